@@ -1,11 +1,108 @@
 import { ApolloProvider } from "@apollo/client";
+import { BrowserRouter, NavLink } from "react-router-dom";
 import { client } from "./clients/apollo-client";
-import CompteList from "./components/CompteList";
-import CreateCompte from "./components/CreateCompte";
-import TransactionForm from "./components/TransactionForm";
-import TransactionList from "./components/TransactionList";
+import AppRoutes from "./AppRoutes";
+import { NotificationProvider } from "./contexts/NotificationContext";
+import { AuthProvider } from "./contexts/AuthContext";
+import { I18nProvider, useI18n } from "./contexts/I18nContext";
+import { ThemeProvider } from "./contexts/ThemeContext";
+import ToastContainer from "./components/ToastContainer";
+import ErrorBanner from "./components/ErrorBanner";
+import ConnectionIndicator from "./components/ConnectionIndicator";
+import PendingOperations from "./components/PendingOperations";
+import LiveUpdates from "./components/LiveUpdates";
+import NotificationHistory from "./components/NotificationHistory";
+import UserMenu from "./components/UserMenu";
+import LanguageSwitcher from "./components/LanguageSwitcher";
+import ThemeSwitcher from "./components/ThemeSwitcher";
 import "./App.css";
 
+/**
+ * Mise en page de l'application : en-tête, contenu routé et pied de page
+ *
+ * Séparée d'App afin de lire la langue fournie par l'I18nProvider.
+ *
+ * @returns {JSX.Element} Mise en page traduite dans la langue courante
+ */
+const AppLayout = () => {
+    const { t } = useI18n();
+
+    const navLinkClass = ({ isActive }) =>
+        `px-3 py-2 rounded-lg text-sm font-semibold transition ${
+            isActive ? 'bg-accent/10 text-accent' : 'text-content-muted hover:text-content hover:bg-slate-100'
+        }`;
+
+    return (
+        <div className="min-h-screen bg-canvas text-content">
+            {/* Navigation Header */}
+            <nav className="bg-surface shadow-lg border-b border-line print:hidden" aria-label={t('app.nav.label')}>
+                <div className="container mx-auto px-4 py-4">
+                    <div className="flex items-center justify-between">
+                        <div className="flex items-center space-x-3 rtl:space-x-reverse">
+                            <div className="w-10 h-10 bg-gradient-to-br from-blue-600 to-blue-800 rounded-lg flex items-center justify-center">
+                                <span className="text-white font-bold text-xl">🏦</span>
+                            </div>
+                            <div>
+                                <h1 className="text-2xl font-bold text-content">{t('app.title')}</h1>
+                                <p className="text-sm text-content-muted">{t('app.subtitle')}</p>
+                            </div>
+                        </div>
+                        <div className="flex items-center space-x-1 rtl:space-x-reverse">
+                            <NavLink to="/comptes" className={navLinkClass}>{t('app.nav.comptes')}</NavLink>
+                            <NavLink to="/transactions" end className={navLinkClass}>{t('app.nav.transactions')}</NavLink>
+                            <NavLink to="/transactions/new" className={navLinkClass}>{t('app.nav.newOperation')}</NavLink>
+                            <NavLink to="/stats" className={navLinkClass}>{t('app.nav.stats')}</NavLink>
+                        </div>
+                        <div className="flex items-center space-x-4 rtl:space-x-reverse">
+                            <PendingOperations />
+                            <NotificationHistory />
+                            <UserMenu />
+                            <LanguageSwitcher />
+                            <ThemeSwitcher />
+                            <div className="hidden md:flex items-center space-x-3 rtl:space-x-reverse">
+                                <ConnectionIndicator />
+                                <LiveUpdates />
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </nav>
+
+            {/* Main Content */}
+            <main className="container mx-auto px-4 py-8 print:p-0">
+                {/* Welcome Section */}
+                <div className="text-center mb-8 print:hidden">
+                    <h2 className="text-3xl font-bold text-content mb-2">
+                        {t('app.welcomeTitle')}
+                    </h2>
+                    <p className="text-content-muted max-w-2xl mx-auto">
+                        {t('app.welcomeText')}
+                    </p>
+                </div>
+
+                {/* Global Error Banner */}
+                <ErrorBanner />
+
+                {/* Routed Content */}
+                <AppRoutes />
+            </main>
+
+            {/* Footer */}
+            <footer className="bg-surface border-t border-line mt-12 print:hidden">
+                <div className="container mx-auto px-4 py-6">
+                    <div className="text-center">
+                        <p className="text-content">{t('app.footer')}</p>
+                        <p className="text-content-muted text-sm mt-1">{t('app.footerAuthor', { year: new Date().getFullYear() })}</p>
+                    </div>
+                </div>
+            </footer>
+
+            {/* Notifications */}
+            <ToastContainer />
+        </div>
+    );
+};
+
 /**
  * Composant principal de l'application React de gestion bancaire
  *
@@ -15,10 +112,21 @@ import "./App.css";
  *
  * Fonctionnalités principales :
  * - Affichage de la liste des comptes avec statistiques
+ * - Détail d'un compte avec historique et solde cumulé
  * - Création de nouveaux comptes (courant/épargne)
  * - Gestion des transactions (dépôts/retraits)
+ * - Statistiques globales des comptes et transactions
+ * - Navigation par URL avec liens partageables vers chaque compte
+ * - Notifications non bloquantes avec historique consultable
+ * - Bandeau d'erreur global avec nouvelle tentative des requêtes
+ * - Indicateur de l'état réel de la connexion au serveur
+ * - Mise en attente des opérations hors connexion et synchronisation au retour du réseau
  * - Interface responsive avec Tailwind CSS
- * - Mise à jour en temps réel via Apollo Client
+ * - Mise à jour en temps réel via les abonnements GraphQL, avec actualisation périodique de secours
+ * - Connexion obligatoire, utilisateur affiché dans l'en-tête et retour à la connexion à l'expiration de la session
+ * - Interface en français, anglais et arabe (mise en page de droite à gauche), choisie depuis l'en-tête
+ * - Thèmes clair, sombre et à contraste élevé, suivant par défaut les préférences du navigateur
+ * - Relevés de compte sur une période, imprimables et téléchargeables en PDF
  *
  * L'application se connecte au backend GraphQL via le proxy configuré
  * dans package.json (http://localhost:8082/graphql).
@@ -31,123 +139,19 @@ import "./App.css";
  */
 function App() {
     return (
-        <ApolloProvider client={client}>
-            <div className="min-h-screen bg-slate-50">
-                {/* Navigation Header */}
-                <nav className="bg-white shadow-lg border-b border-slate-200">
-                    <div className="container mx-auto px-4 py-4">
-                        <div className="flex items-center justify-between">
-                            <div className="flex items-center space-x-3">
-                                <div className="w-10 h-10 bg-gradient-to-br from-blue-600 to-blue-800 rounded-lg flex items-center justify-center">
-                                    <span className="text-white font-bold text-xl">🏦</span>
-                                </div>
-                                <div>
-                                    <h1 className="text-2xl font-bold text-slate-800">Banque Digital</h1>
-                                    <p className="text-sm text-slate-600">Gestion des Comptes</p>
-                                </div>
-                            </div>
-                            <div className="hidden md:flex items-center space-x-4">
-                                <div className="flex items-center space-x-2 text-slate-600">
-                                    <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
-                                    <span className="text-sm">Connecté</span>
-                                </div>
-                            </div>
-                        </div>
-                    </div>
-                </nav>
-
-                {/* Main Content */}
-                <main className="container mx-auto px-4 py-8">
-                    {/* Welcome Section */}
-                    <div className="text-center mb-8">
-                        <h2 className="text-3xl font-bold text-slate-800 mb-2">
-                            Bienvenue dans votre Espace Bancaire
-                        </h2>
-                        <p className="text-slate-600 max-w-2xl mx-auto">
-                            Gérez vos comptes et transactions en toute simplicité avec notre interface moderne
-                        </p>
-                    </div>
-
-                    {/* Dashboard Grid */}
-                    <div className="grid grid-cols-1 xl:grid-cols-3 gap-8">
-                        {/* Left Column - Account Management */}
-                        <div className="xl:col-span-1 space-y-6">
-                            <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
-                                <div className="flex items-center space-x-3 mb-4">
-                                    <div className="w-8 h-8 bg-blue-100 rounded-lg flex items-center justify-center">
-                                        <span className="text-blue-600 text-sm">💳</span>
-                                    </div>
-                                    <h3 className="text-lg font-semibold text-slate-800">Gestion des Comptes</h3>
-                                </div>
-                                <CreateCompte />
-                            </div>
-                        </div>
-
-                        {/* Middle Column - Account List */}
-                        <div className="xl:col-span-1 space-y-6">
-                            <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
-                                <div className="flex items-center space-x-3 mb-4">
-                                    <div className="w-8 h-8 bg-green-100 rounded-lg flex items-center justify-center">
-                                        <span className="text-green-600 text-sm">📊</span>
-                                    </div>
-                                    <h3 className="text-lg font-semibold text-slate-800">Vos Comptes</h3>
-                                </div>
-                                <CompteList />
-                            </div>
-                        </div>
-
-                        {/* Right Column - Transactions */}
-                        <div className="xl:col-span-1 space-y-6">
-                            <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
-                                <div className="flex items-center space-x-3 mb-4">
-                                    <div className="w-8 h-8 bg-purple-100 rounded-lg flex items-center justify-center">
-                                        <span className="text-purple-600 text-sm">💸</span>
-                                    </div>
-                                    <h3 className="text-lg font-semibold text-slate-800">Transactions</h3>
-                                </div>
-                                <TransactionForm />
-                            </div>
-
-                            <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
-                                <div className="flex items-center space-x-3 mb-4">
-                                    <div className="w-8 h-8 bg-orange-100 rounded-lg flex items-center justify-center">
-                                        <span className="text-orange-600 text-sm">📋</span>
-                                    </div>
-                                    <h3 className="text-lg font-semibold text-slate-800">Historique</h3>
-                                </div>
-                                <TransactionList />
-                            </div>
-                        </div>
-                    </div>
-
-                    {/* Stats Footer */}
-                    <div className="mt-8 grid grid-cols-1 md:grid-cols-3 gap-6">
-                        <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6 text-center">
-                            <div className="text-2xl font-bold text-blue-600 mb-2">💰</div>
-                            <div className="text-sm text-slate-600">Comptes Gérés</div>
-                        </div>
-                        <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6 text-center">
-                            <div className="text-2xl font-bold text-green-600 mb-2">📈</div>
-                            <div className="text-sm text-slate-600">Transactions Réussies</div>
-                        </div>
-                        <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6 text-center">
-                            <div className="text-2xl font-bold text-purple-600 mb-2">🔒</div>
-                            <div className="text-sm text-slate-600">Sécurité Garantie</div>
-                        </div>
-                    </div>
-                </main>
-
-                {/* Footer */}
-                <footer className="bg-slate-800 text-white mt-12">
-                    <div className="container mx-auto px-4 py-6">
-                        <div className="text-center">
-                            <p className="text-slate-400">TP 16 - Application React GraphQL Apollo Client</p>
-                            <p className="text-slate-500 text-sm mt-1">Développé par Halmaoui Abdellah • {new Date().getFullYear()}</p>
-                        </div>
-                    </div>
-                </footer>
-            </div>
-        </ApolloProvider>
+        <I18nProvider>
+            <ThemeProvider>
+                <ApolloProvider client={client}>
+                    <NotificationProvider>
+                        <AuthProvider>
+                            <BrowserRouter>
+                                <AppLayout />
+                            </BrowserRouter>
+                        </AuthProvider>
+                    </NotificationProvider>
+                </ApolloProvider>
+            </ThemeProvider>
+        </I18nProvider>
     );
 }
 
@@ -0,0 +1,59 @@
+import { Navigate, Route, Routes } from "react-router-dom";
+import ComptesPage from "./pages/ComptesPage";
+import CompteDetailPage from "./pages/CompteDetailPage";
+import ImportTransactionsPage from "./pages/ImportTransactionsPage";
+import LoginPage from "./pages/LoginPage";
+import NewTransactionPage from "./pages/NewTransactionPage";
+import NotFoundPage from "./pages/NotFoundPage";
+import StatementPage from "./pages/StatementPage";
+import StatsPage from "./pages/StatsPage";
+import TransactionsPage from "./pages/TransactionsPage";
+import RequireAuth from "./components/RequireAuth";
+
+/**
+ * Table de routage de l'application
+ *
+ * Ce composant associe chaque URL à sa page. Il doit être rendu à l'intérieur
+ * d'un routeur (BrowserRouter dans l'application, MemoryRouter dans les tests).
+ *
+ * Routes disponibles :
+ * - /login : connexion (seule route accessible sans session)
+ * - /comptes : création et liste des comptes
+ * - /comptes/:id : détail d'un compte
+ * - /comptes/:id/releve?from=…&to=… : relevé d'un compte sur une période
+ * - /transactions : historique des transactions
+ * - /transactions/new?compteId=… : saisie d'une transaction
+ * - /transactions/import : import en masse depuis un fichier CSV
+ * - /stats : statistiques globales
+ * - toute autre URL : page 404
+ *
+ * Les autres routes sont protégées par RequireAuth, qui redirige vers /login
+ * tant qu'aucune session n'est ouverte.
+ *
+ * @module AppRoutes
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @returns {JSX.Element} Définition des routes
+ */
+function AppRoutes() {
+    return (
+        <Routes>
+            <Route path="/login" element={<LoginPage />} />
+            <Route element={<RequireAuth />}>
+                <Route path="/" element={<Navigate to="/comptes" replace />} />
+                <Route path="/comptes" element={<ComptesPage />} />
+                <Route path="/comptes/:id" element={<CompteDetailPage />} />
+                <Route path="/comptes/:id/releve" element={<StatementPage />} />
+                <Route path="/transactions" element={<TransactionsPage />} />
+                <Route path="/transactions/new" element={<NewTransactionPage />} />
+                <Route path="/transactions/import" element={<ImportTransactionsPage />} />
+                <Route path="/stats" element={<StatsPage />} />
+                <Route path="*" element={<NotFoundPage />} />
+            </Route>
+        </Routes>
+    );
+}
+
+export default AppRoutes;
@@ -0,0 +1,174 @@
+import React from 'react';
+import { act, render, screen } from '@testing-library/react';
+import { MockedProvider } from '@apollo/client/testing';
+import { MemoryRouter } from 'react-router-dom';
+import AppRoutes from './AppRoutes';
+import { NotificationProvider } from './contexts/NotificationContext';
+import { AuthProvider } from './contexts/AuthContext';
+import { SessionEndReason, endSession, startSession } from './services/auth-session';
+import { GET_ALL_COMPTES, GET_COMPTE_BY_TYPE } from './services/graphql-queries';
+
+/**
+ * Tests pour la table de routage de l'application
+ *
+ * Ces tests vérifient que chaque URL affiche la page attendue :
+ * - Redirection de la racine vers /comptes
+ * - Filtre par type conservé dans ?type=
+ * - Page de détail d'un compte
+ * - Page du relevé d'un compte
+ * - Présélection du compte via ?compteId=
+ * - Page 404 pour les routes inconnues
+ * - Redirection vers la page de connexion sans session ouverte
+ *
+ * @module AppRoutes.test
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+// Données de test pour les comptes
+const mockComptes = [
+    {
+        id: '1',
+        solde: 1500.50,
+        devise: 'EUR',
+        dateCreation: '2025-01-15',
+        type: 'COURANT'
+    },
+    {
+        id: '2',
+        solde: 5000.00,
+        devise: 'EUR',
+        dateCreation: '2025-02-20',
+        type: 'EPARGNE'
+    }
+];
+
+// Mock pour la requête des comptes
+const mocks = [
+    {
+        request: {
+            query: GET_ALL_COMPTES,
+        },
+        result: {
+            data: {
+                allComptes: mockComptes,
+            },
+        },
+    },
+    {
+        request: {
+            query: GET_COMPTE_BY_TYPE,
+            variables: { type: 'EPARGNE' },
+        },
+        result: {
+            data: {
+                findCompteByType: [mockComptes[1]],
+            },
+        },
+    },
+];
+
+/**
+ * Rend la table de routage à une URL donnée
+ * @param {string} url - URL initiale
+ */
+const renderAt = (url) =>
+    render(
+        <MockedProvider mocks={mocks} addTypename={false}>
+            <NotificationProvider>
+                <AuthProvider>
+                    <MemoryRouter initialEntries={[url]}>
+                        <AppRoutes />
+                    </MemoryRouter>
+                </AuthProvider>
+            </NotificationProvider>
+        </MockedProvider>
+    );
+
+describe('AppRoutes', () => {
+    beforeEach(() => {
+        startSession({ token: 'jeton', expiresAt: null, user: { username: 'conseiller', nom: 'Conseiller', role: 'CONSEILLER' } });
+    });
+
+    afterEach(() => {
+        act(() => endSession(SessionEndReason.LOGOUT));
+    });
+
+    /**
+     * Test la redirection de la racine
+     */
+    test('redirige la racine vers la page des comptes', () => {
+        renderAt('/');
+
+        expect(screen.getByText('Vos Comptes')).toBeInTheDocument();
+        expect(screen.getByText('Gestion des Comptes')).toBeInTheDocument();
+    });
+
+    /**
+     * Test la lecture du filtre par type depuis l'URL
+     */
+    test('applique le filtre par type lu dans ?type=', async () => {
+        renderAt('/comptes?type=EPARGNE');
+
+        expect(await screen.findByText('Total: 1 compte')).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'Épargne' })).toHaveAttribute('aria-pressed', 'true');
+    });
+
+    /**
+     * Test la page de détail d'un compte
+     */
+    test('affiche la page de détail pour /comptes/:id', () => {
+        renderAt('/comptes/42');
+
+        expect(screen.getByText('Détail du Compte')).toBeInTheDocument();
+        expect(screen.getByRole('link', { name: /nouvelle transaction/i })).toHaveAttribute(
+            'href',
+            '/transactions/new?compteId=42'
+        );
+        expect(screen.getByRole('link', { name: 'Relevé de compte' })).toHaveAttribute('href', '/comptes/42/releve');
+    });
+
+    /**
+     * Test la page du relevé d'un compte
+     */
+    test('affiche la page du relevé pour /comptes/:id/releve', () => {
+        renderAt('/comptes/42/releve?from=2025-02-01&to=2025-02-28');
+
+        expect(screen.getByText('Relevé de Compte')).toBeInTheDocument();
+        expect(screen.getByText('Chargement du compte...')).toBeInTheDocument();
+    });
+
+    /**
+     * Test la présélection du compte dans le formulaire de transaction
+     */
+    test('présélectionne le compte passé dans ?compteId=', async () => {
+        renderAt('/transactions/new?compteId=2');
+
+        await screen.findByText(/EPARGNE - Solde/);
+
+        expect(screen.getByRole('combobox')).toHaveValue('2');
+    });
+
+    /**
+     * Test la page 404
+     */
+    test('affiche la page 404 pour une route inconnue', () => {
+        renderAt('/inexistant');
+
+        expect(screen.getByText('Page introuvable')).toBeInTheDocument();
+        expect(screen.getByText('/inexistant')).toBeInTheDocument();
+    });
+
+    /**
+     * Test la protection des pages sans session
+     */
+    test('redirige vers la page de connexion sans session ouverte', () => {
+        endSession(SessionEndReason.LOGOUT);
+
+        renderAt('/stats');
+
+        expect(screen.getByRole('button', { name: 'Se connecter' })).toBeInTheDocument();
+        expect(screen.queryByText('Statistiques')).not.toBeInTheDocument();
+    });
+});
@@ -0,0 +1,116 @@
+import { InMemoryCache } from '@apollo/client';
+import { LocalStorageWrapper, persistCacheSync } from 'apollo3-cache-persist';
+
+/**
+ * Configuration du cache Apollo normalisé et persistant
+ *
+ * Ce fichier crée le cache partagé par toutes les requêtes de l'application :
+ * - Normalisation des comptes et transactions par identifiant (typePolicies)
+ * - Lecture de compteById directement depuis un compte déjà en cache
+ * - Remplacement des listes complètes à chaque réponse du serveur
+ * - Persistance du cache dans le localStorage entre deux rechargements
+ *
+ * Le contenu persisté est associé à une version de schéma : lorsque la forme
+ * des données en cache change de manière incompatible (requêtes, typePolicies),
+ * CACHE_SCHEMA_VERSION doit être incrémentée pour que l'ancien cache soit purgé
+ * au démarrage au lieu d'être restauré.
+ *
+ * @module clients/apollo-cache
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+/**
+ * Version du schéma du cache persisté
+ * Version 3 : totaux totalSolde et transactionStats lus par devise (parDevise)
+ * @constant {string}
+ */
+export const CACHE_SCHEMA_VERSION = '3';
+
+/**
+ * Clé de stockage du cache persisté
+ * @constant {string}
+ */
+export const CACHE_STORAGE_KEY = 'banque-digital.apollo-cache';
+
+/**
+ * Clé de stockage de la version du cache persisté
+ * @constant {string}
+ */
+export const CACHE_VERSION_KEY = 'banque-digital.apollo-cache-version';
+
+/**
+ * Politique de fusion des listes complètes : la réponse du serveur remplace la liste en cache
+ * @constant {Object}
+ */
+const replaceList = {
+    merge: (existing, incoming) => incoming,
+};
+
+/**
+ * Politiques de cache par type GraphQL
+ * @constant {Object}
+ */
+export const typePolicies = {
+    Query: {
+        fields: {
+            allComptes: replaceList,
+            allTransactions: replaceList,
+            findCompteByType: { keyArgs: ['type'], ...replaceList },
+            compteTransactions: { keyArgs: ['id'], ...replaceList },
+            compteById: {
+                read: (existing, { args, toReference }) =>
+                    existing ?? toReference({ __typename: 'Compte', id: args.id }),
+            },
+        },
+    },
+    Compte: {
+        keyFields: ['id'],
+    },
+    Transaction: {
+        keyFields: ['id'],
+    },
+};
+
+/**
+ * Purge le cache persisté s'il a été enregistré avec une autre version de schéma
+ * @param {Storage} storage - Stockage du navigateur
+ * @returns {boolean} true si un cache incompatible a été purgé
+ */
+export const purgeIncompatibleCache = (storage) => {
+    if (storage.getItem(CACHE_VERSION_KEY) === CACHE_SCHEMA_VERSION) return false;
+
+    const purged = storage.getItem(CACHE_STORAGE_KEY) !== null;
+    storage.removeItem(CACHE_STORAGE_KEY);
+    storage.setItem(CACHE_VERSION_KEY, CACHE_SCHEMA_VERSION);
+    return purged;
+};
+
+/**
+ * Crée le cache Apollo et restaure de façon synchrone son contenu persisté
+ *
+ * La restauration synchrone garantit que les premières requêtes trouvent
+ * les données du dernier chargement avant d'interroger le serveur.
+ * Un contenu persisté illisible est supprimé.
+ *
+ * @param {Storage} [storage=window.localStorage] - Stockage du navigateur
+ * @returns {InMemoryCache} Cache prêt à être utilisé par le client Apollo
+ */
+export const createPersistedCache = (storage = window.localStorage) => {
+    const cache = new InMemoryCache({ typePolicies });
+
+    try {
+        purgeIncompatibleCache(storage);
+        persistCacheSync({
+            cache,
+            storage: new LocalStorageWrapper(storage),
+            key: CACHE_STORAGE_KEY,
+            debounce: 500,
+        });
+    } catch (err) {
+        storage.removeItem(CACHE_STORAGE_KEY);
+    }
+
+    return cache;
+};
@@ -0,0 +1,82 @@
+import { gql } from '@apollo/client';
+import {
+    CACHE_SCHEMA_VERSION,
+    CACHE_STORAGE_KEY,
+    CACHE_VERSION_KEY,
+    createPersistedCache,
+    purgeIncompatibleCache,
+} from './apollo-cache';
+import { GET_ALL_COMPTES } from '../services/graphql-queries';
+
+/**
+ * Tests pour le cache Apollo normalisé et persistant
+ *
+ * Ces tests vérifient :
+ * - La purge du cache persisté lors d'un changement de version de schéma
+ * - La restauration du cache persisté au démarrage
+ * - La lecture de compteById depuis un compte déjà normalisé
+ *
+ * @module clients/apollo-cache.test
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+// Requête de lecture d'un compte, limitée aux champs présents dans allComptes
+const COMPTE_BY_ID = gql`
+  query CompteById($id: ID!) {
+    compteById(id: $id) {
+      id
+      solde
+      devise
+      dateCreation
+      type
+    }
+  }
+`;
+
+const compte = { __typename: 'Compte', id: '1', solde: 150, devise: 'EUR', dateCreation: '2025-01-15', type: 'COURANT' };
+
+describe('apollo-cache', () => {
+    afterEach(() => {
+        localStorage.clear();
+    });
+
+    /**
+     * Test la purge d'un cache enregistré avec une autre version
+     */
+    test('purge le cache persisté d\'une version de schéma incompatible', () => {
+        localStorage.setItem(CACHE_VERSION_KEY, 'ancienne');
+        localStorage.setItem(CACHE_STORAGE_KEY, '{}');
+
+        expect(purgeIncompatibleCache(localStorage)).toBe(true);
+        expect(localStorage.getItem(CACHE_STORAGE_KEY)).toBeNull();
+        expect(localStorage.getItem(CACHE_VERSION_KEY)).toBe(CACHE_SCHEMA_VERSION);
+        expect(purgeIncompatibleCache(localStorage)).toBe(false);
+    });
+
+    /**
+     * Test la restauration du cache persisté
+     */
+    test('restaure les données persistées avec la version courante', () => {
+        localStorage.setItem(CACHE_VERSION_KEY, CACHE_SCHEMA_VERSION);
+        localStorage.setItem(CACHE_STORAGE_KEY, JSON.stringify({
+            'Compte:1': compte,
+            ROOT_QUERY: { __typename: 'Query', allComptes: [{ __ref: 'Compte:1' }] },
+        }));
+
+        const cache = createPersistedCache(localStorage);
+
+        expect(cache.readQuery({ query: GET_ALL_COMPTES }).allComptes).toEqual([compte]);
+    });
+
+    /**
+     * Test la lecture d'un compte normalisé via compteById
+     */
+    test('lit compteById depuis un compte déjà chargé par allComptes', () => {
+        const cache = createPersistedCache(localStorage);
+        cache.writeQuery({ query: GET_ALL_COMPTES, data: { allComptes: [compte] } });
+
+        expect(cache.readQuery({ query: COMPTE_BY_ID, variables: { id: '1' } }).compteById).toEqual(compte);
+    });
+});
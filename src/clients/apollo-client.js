@@ -1,4 +1,21 @@
-import { ApolloClient, InMemoryCache, createHttpLink } from '@apollo/client';
+import { ApolloClient, ApolloLink, Observable, createHttpLink, from, split } from '@apollo/client';
+import { setContext } from '@apollo/client/link/context';
+import { onError } from '@apollo/client/link/error';
+import { RetryLink } from '@apollo/client/link/retry';
+import { GraphQLWsLink } from '@apollo/client/link/subscriptions';
+import { getMainDefinition } from '@apollo/client/utilities';
+import { createClient } from 'graphql-ws';
+import {
+    ErrorCategory,
+    classifyError,
+    getErrorMessage,
+    isTransientNetworkError,
+    reportError,
+} from '../services/error-handling';
+import { recordFailure, recordSuccess } from '../services/connection-status';
+import { SessionEndReason, endSession, getToken } from '../services/auth-session';
+import { setRealtimeAvailable } from '../services/realtime-status';
+import { createPersistedCache } from './apollo-cache';
 
 /**
  * Configuration du client Apollo pour la communication GraphQL
@@ -9,8 +26,18 @@ import { ApolloClient, InMemoryCache, createHttpLink } from '@apollo/client';
  *
  * Configuration :
  * - URI GraphQL : '/graphql' (utilise le proxy vers localhost:8082)
- * - Cache : InMemoryCache pour le stockage local des données
- * - Politique de récupération : 'network-only' pour toujours obtenir les données fraîches
+ * - Abonnements (subscriptions) par WebSocket sur la même URL, avec reconnexion automatique
+ * - Jeton de la session courante joint à chaque opération (en-tête Authorization)
+ * - Fin de la session et retour à la page de connexion sur réponse 401
+ * - Nouvelles tentatives des requêtes de lecture en cas d'erreur réseau transitoire
+ * - Classification des erreurs et signalement au bandeau d'erreur global
+ * - Mesure du résultat et de la durée de chaque opération pour l'indicateur de connexion
+ * - Cache : InMemoryCache normalisé et persisté (voir clients/apollo-cache)
+ * - Politique de récupération : 'cache-and-network' pour afficher immédiatement les
+ *   données en cache tout en les rafraîchissant depuis le serveur
+ *
+ * Les opérations exécutées avec le contexte `{ background: true }` (contrôles
+ * de disponibilité) ne sont ni renvoyées ni signalées au bandeau d'erreur.
  *
  * Le proxy est configuré dans package.json pour rediriger les requêtes
  * vers le serveur backend Spring Boot.
@@ -30,20 +57,183 @@ const httpLink = createHttpLink({
     credentials: 'include',
 });
 
+/**
+ * URL WebSocket des abonnements GraphQL
+ *
+ * Par défaut, l'URL est déduite de l'adresse de la page ('/graphql' en ws:// ou wss://).
+ * La variable d'environnement REACT_APP_GRAPHQL_WS_URL permet de viser directement
+ * le backend lorsque le serveur de développement ne relaie pas les WebSockets.
+ *
+ * @constant {string}
+ */
+const wsUrl = process.env.REACT_APP_GRAPHQL_WS_URL
+    || `${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}/graphql`;
+
+/**
+ * Lien WebSocket pour les abonnements GraphQL (protocole graphql-transport-ws)
+ *
+ * Le jeton de session est transmis dans le message d'initialisation de la
+ * connexion. La connexion n'est ouverte qu'au premier abonnement et se rétablit
+ * automatiquement, avec un délai croissant, après chaque coupure. Son état
+ * alimente services/realtime-status pour déclencher l'actualisation périodique
+ * de secours tant qu'elle est interrompue.
+ *
+ * @constant {GraphQLWsLink}
+ */
+const wsLink = new GraphQLWsLink(createClient({
+    url: wsUrl,
+    connectionParams: () => {
+        const token = getToken();
+        return token ? { Authorization: `Bearer ${token}` } : {};
+    },
+    retryAttempts: Infinity,
+    shouldRetry: () => true,
+    on: {
+        connected: () => setRealtimeAvailable(true),
+        closed: () => setRealtimeAvailable(false),
+    },
+}));
+
+/**
+ * Lien d'authentification
+ *
+ * Ajoute le jeton de la session courante à l'en-tête Authorization. Sans
+ * session, la requête part sans en-tête : le cookie de session éventuel
+ * reste transmis grâce à `credentials: 'include'`.
+ *
+ * @constant {ApolloLink}
+ */
+const authLink = setContext((operation, { headers }) => {
+    const token = getToken();
+    return token ? { headers: { ...headers, Authorization: `Bearer ${token}` } } : {};
+});
+
+/**
+ * Indique si une opération GraphQL est une mutation
+ * @param {Operation} operation - Opération Apollo
+ * @returns {boolean} true pour une mutation
+ */
+const isMutation = (operation) => {
+    const definition = getMainDefinition(operation.query);
+    return definition.kind === 'OperationDefinition' && definition.operation === 'mutation';
+};
+
+/**
+ * Lien de nouvelle tentative pour les requêtes de lecture
+ *
+ * Seules les requêtes (idempotentes) sont renvoyées, avec un délai exponentiel
+ * et aléatoire (jitter) pour ne pas saturer un serveur qui redémarre. Les
+ * mutations ne sont jamais renvoyées automatiquement : un dépôt ou un retrait
+ * déjà pris en compte par le serveur serait enregistré deux fois.
+ *
+ * @constant {RetryLink}
+ */
+const retryLink = new RetryLink({
+    delay: {
+        initial: 300,
+        max: 5000,
+        jitter: true,
+    },
+    attempts: {
+        max: 4,
+        retryIf: (error, operation) =>
+            !isMutation(operation) && !operation.getContext().background && isTransientNetworkError(error),
+    },
+});
+
+/**
+ * Lien de classification des erreurs
+ *
+ * Placé avant le lien de nouvelle tentative, il ne voit que les erreurs
+ * définitives. Les erreurs des requêtes de lecture sont signalées au bandeau
+ * global avec une action « Réessayer ». Pour les mutations, seules les erreurs
+ * réseau sont signalées, sans nouvelle tentative : les refus métier et de
+ * validation sont déjà affichés par le formulaire concerné.
+ *
+ * Une réponse 401 (ou une erreur GraphQL UNAUTHENTICATED) termine la session
+ * courante, contrôles de disponibilité compris : l'application renvoie alors
+ * vers la page de connexion au lieu d'afficher le bandeau.
+ *
+ * @constant {ApolloLink}
+ */
+const errorLink = onError(({ graphQLErrors, networkError, operation }) => {
+    const error = { graphQLErrors, networkError };
+    const category = classifyError(error);
+    const mutation = isMutation(operation);
+
+    if (category === ErrorCategory.AUTHENTICATION) {
+        endSession(SessionEndReason.EXPIRED);
+        return;
+    }
+    if (operation.getContext().background) return;
+    if (mutation && category !== ErrorCategory.NETWORK) return;
+
+    reportError({
+        category,
+        message: getErrorMessage(error),
+        operationName: operation.operationName,
+        retryable: !mutation && category !== ErrorCategory.VALIDATION && category !== ErrorCategory.FORBIDDEN,
+    });
+});
+
+/**
+ * Lien de mesure de la connexion
+ *
+ * Placé juste avant le lien HTTP, il voit chaque tentative individuelle.
+ * Toute réponse du serveur, même en erreur GraphQL ou HTTP 4xx, prouve que
+ * le serveur est joignable ; seules les erreurs réseau transitoires
+ * (coupure, délai dépassé, 5xx) sont comptées comme des échecs.
+ *
+ * @constant {ApolloLink}
+ */
+const connectionLink = new ApolloLink((operation, forward) => new Observable((observer) => {
+    const start = Date.now();
+    const subscription = forward(operation).subscribe({
+        next: (result) => {
+            recordSuccess(Date.now() - start);
+            observer.next(result);
+        },
+        error: (error) => {
+            if (isTransientNetworkError(error)) {
+                recordFailure();
+            } else {
+                recordSuccess(Date.now() - start);
+            }
+            observer.error(error);
+        },
+        complete: () => observer.complete(),
+    });
+    return () => subscription.unsubscribe();
+}));
+
+/**
+ * Aiguillage des opérations : abonnements par WebSocket, requêtes et mutations par HTTP
+ * @constant {ApolloLink}
+ */
+const link = split(
+    ({ query }) => {
+        const definition = getMainDefinition(query);
+        return definition.kind === 'OperationDefinition' && definition.operation === 'subscription';
+    },
+    wsLink,
+    from([errorLink, retryLink, connectionLink, authLink, httpLink])
+);
+
 /**
  * Instance du client Apollo configuré pour l'application
  * 
  * @constant {ApolloClient}
- * @property {HttpLink} link - Lien HTTP vers le serveur GraphQL
- * @property {InMemoryCache} cache - Cache en mémoire pour optimiser les performances
+ * @property {ApolloLink} link - WebSocket pour les abonnements, sinon chaîne erreur → nouvelle tentative → mesure → authentification → HTTP
+ * @property {InMemoryCache} cache - Cache normalisé restauré depuis le localStorage
  * @property {Object} defaultOptions - Options par défaut pour les requêtes
  */
 export const client = new ApolloClient({
-    link: httpLink,
-    cache: new InMemoryCache(),
+    link,
+    cache: createPersistedCache(),
     defaultOptions: {
         watchQuery: {
-            fetchPolicy: 'network-only',
+            fetchPolicy: 'cache-and-network',
+            nextFetchPolicy: 'cache-first',
         },
         query: {
             fetchPolicy: 'network-only',
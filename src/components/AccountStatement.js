@@ -0,0 +1,231 @@
+import React, { useId } from "react";
+import { useQuery } from "@apollo/client";
+import { GET_COMPTE_BY_ID, GET_COMPTE_TRANSACTIONS } from "../services/graphql-queries";
+import {
+    STATEMENT_DATE_FORMAT,
+    computeStatement,
+    downloadStatementPdf,
+    getStatementPdfLocale,
+    isValidStatementPeriod,
+} from "../services/statement";
+import { getDevise } from "../services/money";
+import { useI18n } from "../contexts/I18nContext";
+import FieldError from "./FieldError";
+
+/**
+ * Composant React affichant le relevé d'un compte sur une période
+ *
+ * Ce composant charge, comme CompteDetail, le compte via GET_COMPTE_BY_ID et
+ * son historique via GET_COMPTE_TRANSACTIONS, puis calcule le relevé de la
+ * période choisie avec services/statement.
+ *
+ * Fonctionnalités :
+ * - Choix de la période (dates de début et de fin incluses)
+ * - Solde d'ouverture, transactions avec solde cumulé, totaux et solde de clôture
+ * - Impression : seul le relevé est imprimé, sans la navigation ni les commandes
+ * - Téléchargement du relevé au format PDF, généré dans le navigateur
+ *
+ * @module components/AccountStatement
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @param {Object} props - Propriétés du composant
+ * @param {string} props.compteId - Identifiant du compte
+ * @param {string} props.from - Premier jour de la période (AAAA-MM-JJ)
+ * @param {string} props.to - Dernier jour de la période (AAAA-MM-JJ)
+ * @param {Function} props.onPeriodChange - Callback appelé avec la nouvelle période { from, to }
+ * @returns {JSX.Element} Composant React affichant le relevé de compte
+ */
+const AccountStatement = ({ compteId, from, to, onPeriodChange }) => {
+    const { loading: compteLoading, error: compteError, data: compteData } = useQuery(GET_COMPTE_BY_ID, {
+        variables: { id: compteId },
+    });
+    const { loading: transactionsLoading, error: transactionsError, data: transactionsData } = useQuery(
+        GET_COMPTE_TRANSACTIONS,
+        { variables: { id: compteId } }
+    );
+    const { locale, t, formatAmount, formatDate } = useI18n();
+    const periodErrorId = useId();
+
+    if (compteLoading || transactionsLoading) return (
+        <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            <span className="ms-3 text-slate-600">{t('compteDetail.loading')}</span>
+        </div>
+    );
+
+    const error = compteError || transactionsError;
+    if (error) return (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+            <div className="flex items-center">
+                <div className="text-red-500 me-3">⚠️</div>
+                <div>
+                    <p className="font-semibold text-red-800">{t('common.loadError')}</p>
+                    <p className="text-red-600 text-sm">{error.message}</p>
+                </div>
+            </div>
+        </div>
+    );
+
+    const compte = compteData.compteById;
+
+    if (!compte) return (
+        <div className="text-center py-12">
+            <div className="text-4xl mb-4">🔍</div>
+            <p className="text-slate-500">{t('compteDetail.notFound')}</p>
+            <p className="text-slate-400 text-sm mt-2 font-mono break-all">{t('common.id', { id: compteId })}</p>
+        </div>
+    );
+
+    const devise = getDevise(compte);
+    const valid = isValidStatementPeriod({ from, to });
+    const statement = valid
+        ? computeStatement(transactionsData.compteTransactions, compte.solde, { from, to }, devise)
+        : null;
+    const day = (date) => formatDate(date, STATEMENT_DATE_FORMAT);
+    const inputClass = "form-input px-3 py-2 rounded-lg border-slate-300 text-sm";
+
+    return (
+        <div className="space-y-6">
+            <div className="print:hidden space-y-2">
+                <div className="flex flex-wrap items-end justify-between gap-4">
+                    <div className="flex flex-wrap items-end gap-3">
+                        <label className="text-sm text-slate-600">
+                            <span className="block mb-1">{t('statement.from')}</span>
+                            <input
+                                type="date"
+                                value={from}
+                                max={to || undefined}
+                                onChange={(e) => onPeriodChange({ from: e.target.value, to })}
+                                className={inputClass}
+                                aria-invalid={!valid}
+                                aria-describedby={valid ? undefined : periodErrorId}
+                            />
+                        </label>
+                        <label className="text-sm text-slate-600">
+                            <span className="block mb-1">{t('statement.to')}</span>
+                            <input
+                                type="date"
+                                value={to}
+                                min={from || undefined}
+                                onChange={(e) => onPeriodChange({ from, to: e.target.value })}
+                                className={inputClass}
+                                aria-invalid={!valid}
+                                aria-describedby={valid ? undefined : periodErrorId}
+                            />
+                        </label>
+                    </div>
+                    <div className="flex items-center gap-2">
+                        <button
+                            type="button"
+                            onClick={() => window.print()}
+                            disabled={!valid}
+                            className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            {t('statement.print')}
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => downloadStatementPdf(compte, statement)}
+                            disabled={!valid}
+                            className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            {t('statement.download')}
+                        </button>
+                    </div>
+                </div>
+                <FieldError id={periodErrorId} message={valid ? null : t('statement.invalidPeriod')} />
+                {getStatementPdfLocale() !== locale && (
+                    <p className="text-xs text-slate-500">{t('statement.pdfLanguage')}</p>
+                )}
+            </div>
+
+            {statement && (
+                <article className="space-y-6">
+                    <header className="space-y-1">
+                        <p className="hidden print:block text-2xl font-bold text-slate-800">{t('app.title')}</p>
+                        <p className="font-semibold text-slate-800">{t(`compteTypeName.${compte.type}`)}</p>
+                        <p className="text-xs text-slate-500 font-mono break-all">{t('common.id', { id: compte.id })}</p>
+                        <p className="text-sm text-slate-600">{t('statement.devise', { devise })}</p>
+                        <p className="text-sm text-slate-600">{t('statement.period', { from: day(from), to: day(to) })}</p>
+                        <p className="text-sm text-slate-600">{t('statement.generated', { date: formatDate(new Date()) })}</p>
+                    </header>
+
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-start text-slate-500 border-b border-slate-200">
+                                    <th className="py-2 pe-4">{t('compteDetail.columns.date')}</th>
+                                    <th className="py-2 pe-4">{t('compteDetail.columns.type')}</th>
+                                    <th className="py-2 pe-4 text-end">{t('compteDetail.columns.montant')}</th>
+                                    <th className="py-2 text-end">{t('compteDetail.columns.solde')}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                <tr className="border-b border-slate-100 text-slate-500">
+                                    <td className="py-2 pe-4" colSpan={3}>
+                                        {t('statement.openingSolde', { date: day(from) })}
+                                    </td>
+                                    <td className="py-2 text-end">{formatAmount(statement.openingSolde, { devise })}</td>
+                                </tr>
+                                {statement.rows.length === 0 && (
+                                    <tr className="border-b border-slate-100">
+                                        <td className="py-4 text-center text-slate-500" colSpan={4}>{t('statement.empty')}</td>
+                                    </tr>
+                                )}
+                                {statement.rows.map(({ transaction, solde }) => (
+                                    <tr key={transaction.id} className="border-b border-slate-100 break-inside-avoid">
+                                        <td className="py-2 pe-4">{day(transaction.date)}</td>
+                                        <td className="py-2 pe-4">{t(`transactionType.${transaction.type}`)}</td>
+                                        <td className={`py-2 pe-4 text-end font-semibold ${
+                                            transaction.type === 'DEPOT' ? 'text-depot' : 'text-retrait'
+                                        }`}>
+                                            {formatAmount(
+                                                transaction.type === 'DEPOT' ? transaction.montant : -transaction.montant,
+                                                { signed: true, devise },
+                                            )}
+                                        </td>
+                                        <td className="py-2 text-end font-semibold text-slate-800">
+                                            {formatAmount(solde, { devise })}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                            <tfoot className="break-inside-avoid">
+                                <tr className="border-t-2 border-slate-300">
+                                    <th scope="row" className="py-2 pe-4 text-start font-normal" colSpan={2}>
+                                        {t('statement.totalDepots')}
+                                    </th>
+                                    <td className="py-2 pe-4 text-end font-semibold text-depot">
+                                        {formatAmount(statement.totalDepots, { devise })}
+                                    </td>
+                                    <td></td>
+                                </tr>
+                                <tr>
+                                    <th scope="row" className="py-2 pe-4 text-start font-normal" colSpan={2}>
+                                        {t('statement.totalRetraits')}
+                                    </th>
+                                    <td className="py-2 pe-4 text-end font-semibold text-retrait">
+                                        {formatAmount(statement.totalRetraits, { devise })}
+                                    </td>
+                                    <td></td>
+                                </tr>
+                                <tr className="border-t border-slate-200">
+                                    <th scope="row" className="py-2 pe-4 text-start" colSpan={3}>
+                                        {t('statement.closingSolde', { date: day(to) })}
+                                    </th>
+                                    <td className="py-2 text-end font-bold text-slate-800">
+                                        {formatAmount(statement.closingSolde, { devise })}
+                                    </td>
+                                </tr>
+                            </tfoot>
+                        </table>
+                    </div>
+                </article>
+            )}
+        </div>
+    );
+};
+
+export default AccountStatement;
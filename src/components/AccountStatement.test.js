@@ -0,0 +1,203 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { MockedProvider } from '@apollo/client/testing';
+import AccountStatement from './AccountStatement';
+import { I18nProvider } from '../contexts/I18nContext';
+import { GET_COMPTE_BY_ID, GET_COMPTE_TRANSACTIONS } from '../services/graphql-queries';
+import { setLocale } from '../services/i18n';
+
+/**
+ * Tests pour le composant AccountStatement
+ *
+ * Ces tests vérifient le relevé d'un compte sur une période :
+ * - État de chargement
+ * - Soldes d'ouverture et de clôture, solde cumulé et totaux de la période
+ * - Période sans transaction et période invalide
+ * - Impression et téléchargement du PDF
+ * - PDF rédigé en français lorsque l'interface est en arabe
+ *
+ * @module components/AccountStatement.test
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+// Compte de test
+const mockCompte = {
+    id: 'a1b2c3d4-e5f6-7890',
+    solde: 1500.0,
+    devise: 'EUR',
+    dateCreation: '2025-01-05',
+    type: 'COURANT',
+};
+
+// Transactions de test, de part et d'autre du mois de février
+const mockTransactions = [
+    { id: '1', type: 'DEPOT', montant: 300.0, date: '2025-01-10' },
+    { id: '2', type: 'DEPOT', montant: 500.0, date: '2025-02-01' },
+    { id: '3', type: 'RETRAIT', montant: 200.0, date: '2025-02-15' },
+    { id: '4', type: 'RETRAIT', montant: 100.0, date: '2025-03-10' },
+].map((transaction) => ({
+    ...transaction,
+    compte: { id: mockCompte.id, solde: mockCompte.solde, devise: 'EUR', type: 'COURANT' },
+}));
+
+// Mocks pour les requêtes réussies
+const mocks = [
+    {
+        request: { query: GET_COMPTE_BY_ID, variables: { id: mockCompte.id } },
+        result: { data: { compteById: mockCompte } },
+    },
+    {
+        request: { query: GET_COMPTE_TRANSACTIONS, variables: { id: mockCompte.id } },
+        result: { data: { compteTransactions: mockTransactions } },
+    },
+];
+
+/**
+ * Affiche le relevé du compte de test sur une période
+ * @param {string} from - Premier jour de la période
+ * @param {string} to - Dernier jour de la période
+ * @param {Function} [onPeriodChange] - Callback de changement de période
+ */
+const renderStatement = (from, to, onPeriodChange = jest.fn()) =>
+    render(
+        <I18nProvider>
+            <MockedProvider mocks={mocks} addTypename={false}>
+                <AccountStatement compteId={mockCompte.id} from={from} to={to} onPeriodChange={onPeriodChange} />
+            </MockedProvider>
+        </I18nProvider>
+    );
+
+/**
+ * Lit le contenu d'un Blob, un caractère par octet
+ * @param {Blob} blob - Blob à lire
+ * @returns {Promise<string>} Contenu du Blob
+ */
+const readBlob = (blob) =>
+    new Promise((resolve) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsBinaryString(blob);
+    });
+
+describe('AccountStatement Component', () => {
+    let createdBlobs;
+
+    beforeEach(() => {
+        createdBlobs = [];
+        URL.createObjectURL = jest.fn((blob) => {
+            createdBlobs.push(blob);
+            return 'blob:releve';
+        });
+        URL.revokeObjectURL = jest.fn();
+    });
+
+    afterEach(() => {
+        setLocale('fr');
+    });
+
+    /**
+     * Test l'affichage du composant pendant le chargement
+     */
+    test('affiche l\'indicateur de chargement', () => {
+        renderStatement('2025-02-01', '2025-02-28');
+
+        expect(screen.getByText('Chargement du compte...')).toBeInTheDocument();
+    });
+
+    /**
+     * Test le contenu du relevé de la période
+     */
+    test('affiche les soldes, les transactions et les totaux de la période', async () => {
+        renderStatement('2025-02-01', '2025-02-28');
+
+        expect(await screen.findByText('Période du 01/02/2025 au 28/02/2025')).toBeInTheDocument();
+        const rows = screen.getAllByRole('row').map((row) => row.textContent.replace(/\s/g, ' '));
+        expect(rows).toEqual([
+            'DateTypeMontantSolde',
+            'Solde d\'ouverture au 01/02/20251 300,00 €',
+            '01/02/2025Dépôt+500,00 €1 800,00 €',
+            '15/02/2025Retrait-200,00 €1 600,00 €',
+            'Total des dépôts500,00 €',
+            'Total des retraits200,00 €',
+            'Solde de clôture au 28/02/20251 600,00 €',
+        ]);
+    });
+
+    /**
+     * Test une période sans transaction
+     */
+    test('reprend le solde d\'ouverture quand la période est vide', async () => {
+        renderStatement('2025-03-11', '2025-03-31');
+
+        expect(await screen.findByText('Aucune transaction sur la période')).toBeInTheDocument();
+        expect(screen.getByRole('row', { name: /^Solde d'ouverture au 11\/03\/2025/ }).textContent.replace(/\s/g, ' '))
+            .toContain('1 500,00 €');
+        expect(screen.getByRole('row', { name: /^Solde de clôture au 31\/03\/2025/ }).textContent.replace(/\s/g, ' '))
+            .toContain('1 500,00 €');
+    });
+
+    /**
+     * Test le changement et la validation de la période
+     */
+    test('signale une période invalide et transmet les changements de période', async () => {
+        const onPeriodChange = jest.fn();
+        renderStatement('2025-03-01', '2025-02-01', onPeriodChange);
+
+        expect(await screen.findByText('La date de début doit précéder la date de fin')).toBeInTheDocument();
+        expect(screen.queryByRole('table')).not.toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'Télécharger le PDF' })).toBeDisabled();
+
+        fireEvent.change(screen.getByLabelText('Du'), { target: { value: '2025-01-01' } });
+        expect(onPeriodChange).toHaveBeenCalledWith({ from: '2025-01-01', to: '2025-02-01' });
+    });
+
+    /**
+     * Test l'impression du relevé
+     */
+    test('imprime le relevé', async () => {
+        window.print = jest.fn();
+        renderStatement('2025-02-01', '2025-02-28');
+
+        fireEvent.click(await screen.findByRole('button', { name: '🖨️ Imprimer' }));
+
+        expect(window.print).toHaveBeenCalled();
+    });
+
+    /**
+     * Test le PDF généré dans le navigateur
+     */
+    test('télécharge le relevé au format PDF', async () => {
+        renderStatement('2025-02-01', '2025-02-28');
+
+        fireEvent.click(await screen.findByRole('button', { name: 'Télécharger le PDF' }));
+
+        expect(createdBlobs).toHaveLength(1);
+        expect(createdBlobs[0].type).toBe('application/pdf');
+        const content = await readBlob(createdBlobs[0]);
+        expect(content.startsWith('%PDF-1.4')).toBe(true);
+        // Texte encodé en WinAnsi : é = \xE9, ô = \xF4, espaces insécables = \xA0, € = \x80
+        expect(content).toContain('(Relev\xE9 de compte) Tj');
+        expect(content).toContain('(+500,00\xA0\x80) Tj');
+        expect(content).toContain('(Solde de cl\xF4ture au 28/02/2025) Tj');
+        expect(content).toContain('(1\xA0600,00\xA0\x80) Tj');
+        // La table de références croisées est à la position annoncée
+        expect(content.indexOf('\nxref\n') + 1).toBe(Number(content.match(/startxref\n(\d+)/)[1]));
+    });
+
+    /**
+     * Test la langue du PDF lorsque l'interface est en arabe
+     */
+    test('rédige le PDF en français lorsque l\'interface est en arabe', async () => {
+        setLocale('ar');
+        renderStatement('2025-02-01', '2025-02-28');
+
+        expect(await screen.findByText('يُحرَّر ملف PDF باللغة الفرنسية')).toBeInTheDocument();
+        fireEvent.click(screen.getByRole('button', { name: 'تنزيل ملف PDF' }));
+
+        const content = await readBlob(createdBlobs[0]);
+        expect(content).toContain('(Relev\xE9 de compte) Tj');
+        expect(content).not.toContain('?');
+    });
+});
@@ -0,0 +1,151 @@
+import React from "react";
+import ChartFigure from "./ChartFigure";
+import { useI18n } from "../contexts/I18nContext";
+import { TypeCompte } from "../services/type-definitions";
+import { getValueDomain } from "../services/chart-data";
+
+/**
+ * Dimensions du repère SVG (le graphique occupe toute la largeur disponible)
+ * @constant {Object}
+ */
+const VIEWBOX = { width: 600, height: 200 };
+
+/**
+ * Tracés distinguant les comptes d'un même type, la couleur indiquant le type
+ * @constant {string[]}
+ */
+const DASHES = ['', '6 4', '2 4', '10 4 2 4'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Composant React traçant l'évolution du solde d'un ou plusieurs comptes
+ *
+ * Le solde ne change qu'au moment des transactions : chaque courbe est donc
+ * tracée en escalier, jusqu'à la dernière date représentée. Les comptes
+ * courants et épargne sont distingués par leur couleur, les comptes d'un
+ * même type par leur tracé.
+ *
+ * L'axe du temps se lit de gauche à droite quel que soit le sens d'écriture.
+ *
+ * @module components/BalanceChart
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @param {Object} props - Propriétés du composant
+ * @param {string} props.title - Titre du graphique
+ * @param {Array<{compte: Compte, points: Array<{date: string, solde: number}>}>} props.series - Soldes par compte (voir computeBalanceSeries)
+ * @param {string} props.devise - Devise des soldes
+ * @returns {JSX.Element} Graphique de l'évolution des soldes
+ */
+const BalanceChart = ({ title, series, devise }) => {
+    const { t, formatAmount, formatDate } = useI18n();
+
+    const times = series.flatMap(({ points }) => points.map((point) => Date.parse(point.date)));
+    const start = Math.min(...times);
+    const last = Math.max(...times);
+    const end = Math.max(start + DAY_MS, last);
+    const { min, max } = getValueDomain(series.flatMap(({ points }) => points.map((point) => point.solde)));
+
+    const x = (date) => ((Date.parse(date) - start) / (end - start)) * VIEWBOX.width;
+    const y = (solde) => VIEWBOX.height - ((solde - min) / (max - min)) * VIEWBOX.height;
+
+    const formatDay = (date) => formatDate(date, { dateStyle: 'short', timeZone: 'UTC' });
+    const compteLabel = (compte) => t('charts.compte', {
+        type: t(`compteType.${compte.type}`),
+        id: String(compte.id).substring(0, 8),
+    });
+
+    // Position de chaque courbe parmi les comptes de même type
+    const styles = series.map(({ compte }, index) => ({
+        color: compte.type === TypeCompte.COURANT ? 'stroke-courant' : 'stroke-epargne',
+        dash: DASHES[series.slice(0, index).filter((other) => other.compte.type === compte.type).length % DASHES.length],
+    }));
+
+    const stepPath = (points) => points
+        .map((point, index) => {
+            const next = points[index + 1];
+            const nextX = next ? x(next.date) : VIEWBOX.width;
+            return `${index === 0 ? 'M' : 'L'}${x(point.date)},${y(point.solde)} H${nextX}`;
+        })
+        .join(' ');
+
+    const columns = [
+        { key: 'date', label: t('charts.columns.date') },
+        { key: 'compte', label: t('charts.columns.compte') },
+        { key: 'solde', label: t('charts.columns.solde'), numeric: true },
+    ];
+    const rows = series.flatMap(({ compte, points }) => points.map((point) => ({
+        date: formatDay(point.date),
+        compte: compteLabel(compte),
+        solde: formatAmount(point.solde, { devise }),
+    })));
+
+    const legend = (
+        <ul className="flex flex-wrap gap-4 text-xs text-slate-600">
+            {series.map(({ compte }, index) => (
+                <li key={compte.id} className="flex items-center gap-2">
+                    <svg width="24" height="8" aria-hidden="true">
+                        <line x1="0" y1="4" x2="24" y2="4" strokeWidth="2" strokeDasharray={styles[index].dash} className={styles[index].color} />
+                    </svg>
+                    {compteLabel(compte)}
+                </li>
+            ))}
+        </ul>
+    );
+
+    return (
+        <ChartFigure
+            title={title}
+            summary={t('charts.balance.summary', {
+                count: series.length,
+                from: formatDay(start),
+                to: formatDay(last),
+            })}
+            columns={columns}
+            rows={rows}
+            legend={legend}
+        >
+            <div dir="ltr" className="flex gap-2 text-xs text-slate-500">
+                <div className="flex flex-col justify-between text-end" aria-hidden="true">
+                    <span>{formatAmount(max, { devise })}</span>
+                    <span>{formatAmount(min, { devise })}</span>
+                </div>
+                <div className="flex-1">
+                    <svg
+                        viewBox={`0 0 ${VIEWBOX.width} ${VIEWBOX.height}`}
+                        preserveAspectRatio="none"
+                        className="w-full h-48 border-b border-s border-slate-300"
+                        aria-hidden="true"
+                    >
+                        {min < 0 && (
+                            <line
+                                x1="0" y1={y(0)} x2={VIEWBOX.width} y2={y(0)}
+                                strokeDasharray="4 4" vectorEffect="non-scaling-stroke"
+                                className="stroke-slate-400"
+                            />
+                        )}
+                        {series.map(({ compte, points }, index) => (
+                            <path
+                                key={compte.id}
+                                d={stepPath(points)}
+                                fill="none"
+                                strokeWidth="2"
+                                strokeDasharray={styles[index].dash}
+                                vectorEffect="non-scaling-stroke"
+                                className={styles[index].color}
+                            />
+                        ))}
+                    </svg>
+                    <div className="flex justify-between mt-1" aria-hidden="true">
+                        <span>{formatDay(start)}</span>
+                        <span>{formatDay(last)}</span>
+                    </div>
+                </div>
+            </div>
+        </ChartFigure>
+    );
+};
+
+export default BalanceChart;
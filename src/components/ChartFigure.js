@@ -0,0 +1,68 @@
+import React, { useId } from "react";
+import { useI18n } from "../contexts/I18nContext";
+
+/**
+ * Composant React encadrant un graphique et son tableau de données
+ *
+ * Le graphique est présenté aux technologies d'assistance comme une image
+ * décrite par un résumé ; les valeurs exactes sont disponibles dans un
+ * tableau dépliable, lisible au clavier et par les lecteurs d'écran.
+ *
+ * @module components/ChartFigure
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @param {Object} props - Propriétés du composant
+ * @param {string} props.title - Titre du graphique
+ * @param {string} props.summary - Description textuelle du graphique
+ * @param {Array<{key: string, label: string, numeric: boolean}>} props.columns - Colonnes du tableau de données
+ * @param {Object[]} props.rows - Lignes du tableau, valeurs déjà formatées indexées par clé de colonne
+ * @param {React.ReactNode} [props.legend] - Légende affichée sous le graphique
+ * @param {React.ReactNode} props.children - Graphique SVG
+ * @returns {JSX.Element} Figure avec graphique et tableau de données
+ */
+const ChartFigure = ({ title, summary, columns, rows, legend, children }) => {
+    const { t } = useI18n();
+    const titleId = useId();
+
+    return (
+        <figure className="space-y-3" aria-labelledby={titleId}>
+            <figcaption id={titleId} className="font-semibold text-slate-800">{title}</figcaption>
+            <div role="img" aria-label={summary}>
+                {children}
+            </div>
+            {legend}
+            <details>
+                <summary className="text-sm text-slate-600 cursor-pointer">{t('charts.showTable')}</summary>
+                <div className="overflow-x-auto mt-2">
+                    <table className="w-full text-sm">
+                        <caption className="sr-only">{title}</caption>
+                        <thead>
+                            <tr className="text-start text-slate-500 border-b border-slate-200">
+                                {columns.map((column) => (
+                                    <th key={column.key} scope="col" className={`py-2 pe-4 ${column.numeric ? 'text-end' : 'text-start'}`}>
+                                        {column.label}
+                                    </th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map((row, index) => (
+                                <tr key={index} className="border-b border-slate-100">
+                                    {columns.map((column) => (
+                                        <td key={column.key} className={`py-2 pe-4 ${column.numeric ? 'text-end' : ''}`}>
+                                            {row[column.key]}
+                                        </td>
+                                    ))}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </details>
+        </figure>
+    );
+};
+
+export default ChartFigure;
@@ -0,0 +1,138 @@
+import React, { useMemo, useState } from "react";
+import { useQuery } from "@apollo/client";
+import { GET_ALL_COMPTES, GET_ALL_TRANSACTIONS } from "../services/graphql-queries";
+import {
+    CHART_PERIODS,
+    DEFAULT_CHART_PERIOD,
+    Periodicite,
+    computeBalanceSeries,
+    computeFlowSeries,
+    computeTypeShare,
+    getPeriodStart,
+} from "../services/chart-data";
+import { REPORTING_DEVISE, getDevise, getUnconvertibleDevises } from "../services/money";
+import { useI18n } from "../contexts/I18nContext";
+import BalanceChart from "./BalanceChart";
+import FlowChart from "./FlowChart";
+import TypeShareChart from "./TypeShareChart";
+
+/**
+ * Composant React regroupant les graphiques des comptes et des transactions
+ *
+ * Ce composant calcule à partir des requêtes GET_ALL_COMPTES et
+ * GET_ALL_TRANSACTIONS les séries de services/chart-data et les affiche
+ * sous forme de graphiques, chacun accompagné de son tableau de données.
+ *
+ * Graphiques affichés :
+ * - Évolution du solde de chaque compte sur la période, à partir de son solde
+ *   au début de la période
+ * - Dépôts et retraits par jour, semaine ou mois sur la période
+ * - Part des comptes courants et épargne dans le solde total actuel
+ *
+ * Les montants sont exprimés dans la devise de consolidation ; une mention
+ * l'indique lorsque des comptes sont tenus dans une autre devise.
+ *
+ * @module components/ChartsPanel
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @returns {JSX.Element} Composant React affichant les graphiques
+ */
+const ChartsPanel = () => {
+    const { loading: comptesLoading, error: comptesError, data: comptesData } = useQuery(GET_ALL_COMPTES);
+    const {
+        loading: transactionsLoading,
+        error: transactionsError,
+        data: transactionsData,
+    } = useQuery(GET_ALL_TRANSACTIONS);
+    const [period, setPeriod] = useState(DEFAULT_CHART_PERIOD);
+    const [periodicite, setPeriodicite] = useState(Periodicite.JOUR);
+    const { t } = useI18n();
+
+    const transactions = transactionsData?.allTransactions;
+    const from = getPeriodStart(period);
+
+    const balanceSeries = useMemo(
+        () => computeBalanceSeries(transactions || [], from).filter(({ points }) => points.length > 0),
+        [transactions, from]
+    );
+    const flowSeries = useMemo(
+        () => computeFlowSeries(transactions || [], periodicite, from),
+        [transactions, periodicite, from]
+    );
+
+    if (comptesLoading || transactionsLoading) return (
+        <div className="flex items-center justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            <span className="ms-3 text-slate-600">{t('charts.loading')}</span>
+        </div>
+    );
+
+    const error = comptesError || transactionsError;
+    if (error) return (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+            <div className="flex items-center">
+                <div className="text-red-500 me-3">⚠️</div>
+                <div>
+                    <p className="font-semibold text-red-800">{t('charts.error')}</p>
+                    <p className="text-red-600 text-sm">{error.message}</p>
+                </div>
+            </div>
+        </div>
+    );
+
+    const comptes = comptesData.allComptes;
+    const converted = comptes.some((compte) => getDevise(compte) !== REPORTING_DEVISE);
+    const excluded = getUnconvertibleDevises(comptes.map(getDevise));
+    const selectClass = "form-input px-3 py-2 rounded-lg border-slate-300 text-sm";
+
+    return (
+        <div className="space-y-8">
+            <div className="flex flex-wrap items-center gap-3">
+                <select
+                    value={period}
+                    onChange={(e) => setPeriod(e.target.value)}
+                    className={selectClass}
+                    aria-label={t('charts.period')}
+                >
+                    {Object.keys(CHART_PERIODS).map((key) => (
+                        <option key={key} value={key}>{t(`charts.periods.${key}`)}</option>
+                    ))}
+                </select>
+                <select
+                    value={periodicite}
+                    onChange={(e) => setPeriodicite(e.target.value)}
+                    className={selectClass}
+                    aria-label={t('charts.periodicite')}
+                >
+                    {Object.values(Periodicite).map((value) => (
+                        <option key={value} value={value}>{t(`charts.periodicites.${value}`)}</option>
+                    ))}
+                </select>
+                {converted && (
+                    <p className="text-xs text-slate-500">{t('charts.converted', { devise: REPORTING_DEVISE })}</p>
+                )}
+                {excluded.length > 0 && (
+                    <p className="text-xs text-slate-500">
+                        {t('common.excludedDevises', { devises: excluded.join(', ') })}
+                    </p>
+                )}
+            </div>
+
+            {balanceSeries.length > 0 && (
+                <BalanceChart title={t('charts.balance.title')} series={balanceSeries} devise={REPORTING_DEVISE} />
+            )}
+
+            {flowSeries.length === 0 ? (
+                <p className="text-center text-slate-500 py-8">{t('charts.empty')}</p>
+            ) : (
+                <FlowChart series={flowSeries} periodicite={periodicite} devise={REPORTING_DEVISE} />
+            )}
+
+            {comptes.length > 0 && <TypeShareChart shares={computeTypeShare(comptes)} devise={REPORTING_DEVISE} />}
+        </div>
+    );
+};
+
+export default ChartsPanel;
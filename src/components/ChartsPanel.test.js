@@ -0,0 +1,165 @@
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import { MockedProvider } from '@apollo/client/testing';
+import ChartsPanel from './ChartsPanel';
+import { GET_ALL_COMPTES, GET_ALL_TRANSACTIONS } from '../services/graphql-queries';
+
+/**
+ * Tests pour le composant ChartsPanel
+ *
+ * Ces tests vérifient l'affichage des graphiques et de leurs tableaux de données :
+ * - État de chargement et gestion des erreurs
+ * - Limitation à la période choisie
+ * - Évolution du solde reconstituée par compte
+ * - Dépôts et retraits regroupés par mois
+ * - Part des comptes courants et épargne dans le solde total
+ *
+ * @module components/ChartsPanel.test
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+const courant = { id: '1', solde: 1500.50, devise: 'EUR', dateCreation: '2025-01-15', type: 'COURANT' };
+const epargne = { id: '2', solde: 5000.00, devise: 'EUR', dateCreation: '2025-01-15', type: 'EPARGNE' };
+
+// Mock pour la requête des comptes
+const comptesMock = {
+    request: {
+        query: GET_ALL_COMPTES,
+    },
+    result: {
+        data: {
+            allComptes: [courant, epargne],
+        },
+    },
+};
+
+// Mock pour la requête des transactions
+const transactionsMock = {
+    request: {
+        query: GET_ALL_TRANSACTIONS,
+    },
+    result: {
+        data: {
+            allTransactions: [
+                { id: '1', type: 'DEPOT', montant: 1000, date: '2025-01-20', compte: courant },
+                { id: '2', type: 'RETRAIT', montant: 200, date: '2025-01-22', compte: courant },
+                { id: '3', type: 'DEPOT', montant: 500, date: '2025-02-03', compte: epargne },
+            ],
+        },
+    },
+};
+
+/**
+ * Affiche les graphiques de tout l'historique
+ */
+const renderAllHistory = async () => {
+    render(
+        <MockedProvider mocks={[comptesMock, transactionsMock]} addTypename={false}>
+            <ChartsPanel />
+        </MockedProvider>
+    );
+
+    fireEvent.change(await screen.findByRole('combobox', { name: 'Période' }), { target: { value: 'all' } });
+};
+
+describe('ChartsPanel Component', () => {
+    /**
+     * Test l'affichage du composant pendant le chargement
+     */
+    test('affiche l\'indicateur de chargement', () => {
+        render(
+            <MockedProvider mocks={[comptesMock, transactionsMock]} addTypename={false}>
+                <ChartsPanel />
+            </MockedProvider>
+        );
+
+        expect(screen.getByText('Chargement des graphiques...')).toBeInTheDocument();
+    });
+
+    /**
+     * Test la limitation des graphiques à la période choisie
+     */
+    test('n\'affiche que les transactions de la période choisie', async () => {
+        render(
+            <MockedProvider mocks={[comptesMock, transactionsMock]} addTypename={false}>
+                <ChartsPanel />
+            </MockedProvider>
+        );
+
+        // Les transactions de test sont antérieures aux 90 derniers jours
+        expect(await screen.findByText('Aucune transaction sur la période')).toBeInTheDocument();
+        expect(screen.getByRole('figure', { name: 'Évolution du solde par compte' })).toBeInTheDocument();
+
+        fireEvent.change(screen.getByRole('combobox', { name: 'Période' }), { target: { value: 'all' } });
+
+        expect(screen.queryByText('Aucune transaction sur la période')).not.toBeInTheDocument();
+        expect(screen.getByRole('figure', { name: 'Dépôts et retraits' })).toBeInTheDocument();
+    });
+
+    /**
+     * Test la reconstitution du solde de chaque compte
+     */
+    test('reconstitue l\'évolution du solde de chaque compte', async () => {
+        await renderAllHistory();
+
+        const figure = screen.getByRole('figure', { name: 'Évolution du solde par compte' });
+        const rows = within(figure).getAllByRole('row').slice(1).map((row) => row.textContent.replace(/\s/g, ' '));
+
+        expect(within(figure).getByRole('img', { name: 'Courbes du solde de 2 comptes du 20/01/2025 au 03/02/2025' }))
+            .toBeInTheDocument();
+        expect(rows).toEqual([
+            '20/01/2025COURANT 11 700,50 €',
+            '22/01/2025COURANT 11 500,50 €',
+            '03/02/2025EPARGNE 25 000,00 €',
+        ]);
+    });
+
+    /**
+     * Test le regroupement mensuel des dépôts et retraits
+     */
+    test('regroupe les dépôts et les retraits par mois', async () => {
+        await renderAllHistory();
+
+        fireEvent.change(screen.getByRole('combobox', { name: 'Regroupement' }), { target: { value: 'MOIS' } });
+
+        const figure = screen.getByRole('figure', { name: 'Dépôts et retraits' });
+        const rows = within(figure).getAllByRole('row').slice(1).map((row) => row.textContent.replace(/\s/g, ' '));
+
+        expect(within(figure).getByRole('img', { name: 'Barres des dépôts et retraits sur 2 périodes' }))
+            .toBeInTheDocument();
+        expect(rows).toEqual([
+            'janvier 20251 000,00 €200,00 €',
+            'février 2025500,00 €0,00 €',
+        ]);
+    });
+
+    /**
+     * Test la part de chaque type de compte dans le solde total
+     */
+    test('affiche la part des comptes courants et épargne', async () => {
+        await renderAllHistory();
+
+        const figure = screen.getByRole('figure', { name: 'Répartition du solde total' });
+
+        expect(within(figure).getByRole('img', { name: /^Répartition du solde total : COURANT 23,1\s%, EPARGNE 76,9\s%$/ }))
+            .toBeInTheDocument();
+        expect(within(figure).getByText('5 000,00 €')).toBeInTheDocument(); // Solde des comptes épargne
+    });
+
+    /**
+     * Test l'affichage des erreurs
+     */
+    test('affiche le message d\'erreur en cas d\'échec', async () => {
+        const errorMock = { request: { query: GET_ALL_TRANSACTIONS }, error: new Error('Erreur GraphQL') };
+
+        render(
+            <MockedProvider mocks={[comptesMock, errorMock]} addTypename={false}>
+                <ChartsPanel />
+            </MockedProvider>
+        );
+
+        expect(await screen.findByText('Erreur GraphQL')).toBeInTheDocument();
+    });
+});
@@ -0,0 +1,185 @@
+import React from "react";
+import { useQuery } from "@apollo/client";
+import { GET_COMPTE_BY_ID, GET_COMPTE_TRANSACTIONS } from "../services/graphql-queries";
+import { computeRunningBalances } from "../services/transaction-utils";
+import { useI18n } from "../contexts/I18nContext";
+import { getDevise } from "../services/money";
+import { computeBalanceSeries } from "../services/chart-data";
+import BalanceChart from "./BalanceChart";
+
+/**
+ * Composant React affichant le détail d'un compte bancaire
+ *
+ * Ce composant charge un compte via GET_COMPTE_BY_ID et son historique via
+ * GET_COMPTE_TRANSACTIONS. Il permet au support de reconstituer comment le
+ * solde actuel a été atteint.
+ *
+ * Fonctionnalités :
+ * - Affichage de l'identifiant complet, du type, de la devise, de la date de création et du solde
+ * - Historique chronologique des transactions du compte
+ * - Colonne de solde cumulé calculée à partir des transactions
+ * - Graphique de l'évolution du solde, avec son tableau de données
+ * - Gestion des états de chargement, d'erreur et de compte introuvable
+ *
+ * @module components/CompteDetail
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @param {Object} props - Propriétés du composant
+ * @param {string} props.compteId - Identifiant du compte à afficher
+ * @param {Function} [props.onBack] - Callback appelé par le bouton de retour
+ * @returns {JSX.Element} Composant React affichant le détail d'un compte
+ */
+const CompteDetail = ({ compteId, onBack }) => {
+    const { loading: compteLoading, error: compteError, data: compteData } = useQuery(GET_COMPTE_BY_ID, {
+        variables: { id: compteId },
+    });
+    const { loading: transactionsLoading, error: transactionsError, data: transactionsData } = useQuery(
+        GET_COMPTE_TRANSACTIONS,
+        { variables: { id: compteId } }
+    );
+    const { t, formatAmount, formatDate, formatDeviseName } = useI18n();
+
+    if (compteLoading || transactionsLoading) return (
+        <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            <span className="ms-3 text-slate-600">{t('compteDetail.loading')}</span>
+        </div>
+    );
+
+    const error = compteError || transactionsError;
+    if (error) return (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+            <div className="flex items-center">
+                <div className="text-red-500 me-3">⚠️</div>
+                <div>
+                    <p className="font-semibold text-red-800">{t('common.loadError')}</p>
+                    <p className="text-red-600 text-sm">{error.message}</p>
+                </div>
+            </div>
+        </div>
+    );
+
+    const compte = compteData.compteById;
+
+    if (!compte) return (
+        <div className="text-center py-12">
+            <div className="text-4xl mb-4">🔍</div>
+            <p className="text-slate-500">{t('compteDetail.notFound')}</p>
+            <p className="text-slate-400 text-sm mt-2 font-mono break-all">{t('common.id', { id: compteId })}</p>
+        </div>
+    );
+
+    const devise = getDevise(compte);
+    const { openingSolde, rows } = computeRunningBalances(transactionsData.compteTransactions, compte.solde, devise);
+    // Le solde de référence est celui du compte chargé, comme pour la colonne de solde cumulé
+    const balanceSeries = computeBalanceSeries(
+        transactionsData.compteTransactions.map((transaction) => ({ ...transaction, compte })), null, devise
+    );
+
+    return (
+        <div className="space-y-6">
+            <div className="flex items-center justify-between">
+                <div className="flex items-center space-x-3 rtl:space-x-reverse">
+                    <div className={`w-12 h-12 rounded-full flex items-center justify-center ${
+                        compte.type === 'COURANT'
+                            ? 'bg-blue-100 text-blue-600'
+                            : 'bg-green-100 text-green-600'
+                    }`}>
+                        {compte.type === 'COURANT' ? '💳' : '💰'}
+                    </div>
+                    <div>
+                        <p className="font-semibold text-slate-800">
+                            {t(`compteTypeName.${compte.type}`)}
+                        </p>
+                        <p className="text-xs text-slate-500 font-mono break-all">{t('common.id', { id: compte.id })}</p>
+                    </div>
+                </div>
+                {onBack && (
+                    <button onClick={onBack} className="btn-secondary">
+                        {t('common.back')}
+                    </button>
+                )}
+            </div>
+
+            <dl className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                <div className="account-card rounded-xl p-4">
+                    <dt className="text-sm text-slate-500">{t('compteDetail.type')}</dt>
+                    <dd className="font-semibold text-slate-800">{t(`compteType.${compte.type}`)}</dd>
+                </div>
+                <div className="account-card rounded-xl p-4">
+                    <dt className="text-sm text-slate-500">{t('compteDetail.devise')}</dt>
+                    <dd className="font-semibold text-slate-800" title={formatDeviseName(devise)}>{devise}</dd>
+                </div>
+                <div className="account-card rounded-xl p-4">
+                    <dt className="text-sm text-slate-500">{t('compteDetail.dateCreation')}</dt>
+                    <dd className="font-semibold text-slate-800">
+                        {formatDate(compte.dateCreation)}
+                    </dd>
+                </div>
+                <div className="account-card rounded-xl p-4">
+                    <dt className="text-sm text-slate-500">{t('compteDetail.currentSolde')}</dt>
+                    <dd className="text-2xl font-bold text-slate-800">{formatAmount(compte.solde, { devise })}</dd>
+                </div>
+            </dl>
+
+            {rows.length > 0 && (
+                <BalanceChart
+                    title={t('compteDetail.balanceChart')}
+                    series={balanceSeries}
+                    devise={devise}
+                />
+            )}
+
+            {rows.length === 0 ? (
+                <div className="text-center py-12">
+                    <div className="text-4xl mb-4">📊</div>
+                    <p className="text-slate-500">{t('compteDetail.empty')}</p>
+                </div>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-start text-slate-500 border-b border-slate-200">
+                                <th className="py-2 pe-4">{t('compteDetail.columns.date')}</th>
+                                <th className="py-2 pe-4">{t('compteDetail.columns.type')}</th>
+                                <th className="py-2 pe-4 text-end">{t('compteDetail.columns.montant')}</th>
+                                <th className="py-2 text-end">{t('compteDetail.columns.solde')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            <tr className="border-b border-slate-100 text-slate-500">
+                                <td className="py-2 pe-4" colSpan={3}>{t('compteDetail.openingSolde')}</td>
+                                <td className="py-2 text-end">{formatAmount(openingSolde, { devise })}</td>
+                            </tr>
+                            {rows.map(({ transaction, solde }) => (
+                                <tr key={transaction.id} className="border-b border-slate-100">
+                                    <td className="py-2 pe-4">
+                                        {formatDate(transaction.date)}
+                                    </td>
+                                    <td className="py-2 pe-4">
+                                        {t(`transactionType.${transaction.type}`)}
+                                    </td>
+                                    <td className={`py-2 pe-4 text-end font-semibold ${
+                                        transaction.type === 'DEPOT' ? 'text-depot' : 'text-retrait'
+                                    }`}>
+                                        {formatAmount(
+                                            transaction.type === 'DEPOT' ? transaction.montant : -transaction.montant,
+                                            { signed: true, devise },
+                                        )}
+                                    </td>
+                                    <td className="py-2 text-end font-semibold text-slate-800">
+                                        {formatAmount(solde, { devise })}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CompteDetail;
@@ -0,0 +1,156 @@
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import { MockedProvider } from '@apollo/client/testing';
+import CompteDetail from './CompteDetail';
+import { GET_COMPTE_BY_ID, GET_COMPTE_TRANSACTIONS } from '../services/graphql-queries';
+
+/**
+ * Tests pour le composant CompteDetail
+ *
+ * Ces tests vérifient l'affichage du détail d'un compte :
+ * - État de chargement
+ * - Informations du compte
+ * - Historique avec solde cumulé
+ * - Compte introuvable
+ *
+ * @module components/CompteDetail.test
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+// Compte de test
+const mockCompte = {
+    id: 'a1b2c3d4-e5f6-7890',
+    solde: 1300.0,
+    devise: 'EUR',
+    dateCreation: '2025-01-15',
+    type: 'COURANT',
+};
+
+// Transactions de test, volontairement dans le désordre
+const mockTransactions = [
+    {
+        id: '2',
+        type: 'RETRAIT',
+        montant: 200.0,
+        date: '2025-03-10',
+        compte: { id: mockCompte.id, solde: 1300.0, devise: 'EUR', type: 'COURANT' },
+    },
+    {
+        id: '1',
+        type: 'DEPOT',
+        montant: 500.0,
+        date: '2025-02-01',
+        compte: { id: mockCompte.id, solde: 1300.0, devise: 'EUR', type: 'COURANT' },
+    },
+];
+
+// Mocks pour les requêtes réussies
+const mocks = (compte) => [
+    {
+        request: { query: GET_COMPTE_BY_ID, variables: { id: mockCompte.id } },
+        result: { data: { compteById: compte } },
+    },
+    {
+        request: { query: GET_COMPTE_TRANSACTIONS, variables: { id: mockCompte.id } },
+        result: { data: { compteTransactions: compte ? mockTransactions : [] } },
+    },
+];
+
+describe('CompteDetail Component', () => {
+    /**
+     * Test l'affichage du composant pendant le chargement
+     */
+    test('affiche l\'indicateur de chargement', () => {
+        render(
+            <MockedProvider mocks={mocks(mockCompte)} addTypename={false}>
+                <CompteDetail compteId={mockCompte.id} />
+            </MockedProvider>
+        );
+
+        expect(screen.getByText('Chargement du compte...')).toBeInTheDocument();
+    });
+
+    /**
+     * Test l'affichage des informations du compte
+     */
+    test('affiche l\'identifiant complet et les informations du compte', async () => {
+        render(
+            <MockedProvider mocks={mocks(mockCompte)} addTypename={false}>
+                <CompteDetail compteId={mockCompte.id} />
+            </MockedProvider>
+        );
+
+        expect(await screen.findByText(`ID: ${mockCompte.id}`)).toBeInTheDocument();
+        expect(screen.getByText('COURANT')).toBeInTheDocument();
+        expect(screen.getByText('15/01/2025')).toBeInTheDocument();
+    });
+
+    /**
+     * Test le calcul du solde cumulé
+     */
+    test('affiche l\'historique chronologique avec le solde cumulé', async () => {
+        render(
+            <MockedProvider mocks={mocks(mockCompte)} addTypename={false}>
+                <CompteDetail compteId={mockCompte.id} />
+            </MockedProvider>
+        );
+
+        // Le tableau de données du graphique précède celui de l'historique
+        const [, historique] = await screen.findAllByRole('table');
+        const rows = within(historique).getAllByRole('row');
+        // En-tête, solde d'ouverture, puis transactions du plus ancien au plus récent
+        expect(rows).toHaveLength(4);
+        expect(within(rows[1]).getByText('1 000,00 €')).toBeInTheDocument();
+        expect(within(rows[2]).getByText('+500,00 €')).toBeInTheDocument();
+        expect(within(rows[2]).getByText('1 500,00 €')).toBeInTheDocument();
+        expect(within(rows[3]).getByText('-200,00 €')).toBeInTheDocument();
+        expect(within(rows[3]).getByText('1 300,00 €')).toBeInTheDocument();
+    });
+
+    /**
+     * Test le graphique de l'évolution du solde
+     */
+    test('affiche l\'évolution du solde du compte', async () => {
+        render(
+            <MockedProvider mocks={mocks(mockCompte)} addTypename={false}>
+                <CompteDetail compteId={mockCompte.id} />
+            </MockedProvider>
+        );
+
+        const figure = await screen.findByRole('figure', { name: 'Évolution du solde' });
+        expect(within(figure).getByRole('img', { name: 'Courbe du solde de 1 compte du 01/02/2025 au 10/03/2025' }))
+            .toBeInTheDocument();
+    });
+
+    /**
+     * Test l'affichage d'un compte introuvable
+     */
+    test('affiche un message quand le compte est introuvable', async () => {
+        render(
+            <MockedProvider mocks={mocks(null)} addTypename={false}>
+                <CompteDetail compteId={mockCompte.id} />
+            </MockedProvider>
+        );
+
+        expect(await screen.findByText('Compte introuvable')).toBeInTheDocument();
+    });
+
+    /**
+     * Test le bouton de retour
+     */
+    test('appelle onBack lors du clic sur le bouton de retour', async () => {
+        const onBack = jest.fn();
+
+        render(
+            <MockedProvider mocks={mocks(mockCompte)} addTypename={false}>
+                <CompteDetail compteId={mockCompte.id} onBack={onBack} />
+            </MockedProvider>
+        );
+
+        fireEvent.click(await screen.findByRole('button', { name: /retour/i }));
+
+        expect(onBack).toHaveBeenCalledTimes(1);
+    });
+});
@@ -1,6 +1,26 @@
-import React from "react";
+import React, { useState } from "react";
 import { useQuery } from "@apollo/client";
-import { GET_ALL_COMPTES } from "../services/graphql-queries";
+import { GET_ALL_COMPTES, GET_COMPTE_BY_TYPE } from "../services/graphql-queries";
+import { TypeCompte } from "../services/type-definitions";
+import DeleteCompteDialog from "./DeleteCompteDialog";
+import ExportButtons from "./ExportButtons";
+import { useAuth } from "../contexts/AuthContext";
+import { Permission } from "../services/permissions";
+import { getOverdraftLimit } from "../services/overdraft-rules";
+import { useI18n } from "../contexts/I18nContext";
+import { REPORTING_DEVISE, consolidateAmounts, getDevise, getUnconvertibleDevises } from "../services/money";
+
+/**
+ * Colonnes de l'export CSV/JSON des comptes, libellées par compteList.export.<key>
+ * @constant {Array<{key: string, type: string}>}
+ */
+const EXPORT_COLUMNS = [
+    { key: 'id', type: 'text' },
+    { key: 'type', type: 'text' },
+    { key: 'solde', type: 'number' },
+    { key: 'devise', type: 'text' },
+    { key: 'dateCreation', type: 'text' },
+];
 
 /**
  * Composant React pour afficher la liste des comptes bancaires
@@ -13,6 +33,12 @@ import { GET_ALL_COMPTES } from "../services/graphql-queries";
  * - Bouton de rafraîchissement pour recharger les données
  * - Gestion des états de chargement et d'erreur
  * - Statistiques du nombre total de comptes
+ * - Suppression d'un compte avec boîte de dialogue de confirmation, réservée aux superviseurs
+ * - Sélection d'un compte pour afficher son détail
+ * - Filtre par type de compte via la requête serveur GET_COMPTE_BY_TYPE
+ * - Sous-totaux par type de compte, convertis dans la devise de consolidation
+ *   (les devises sans taux de change connu en sont exclues et signalées)
+ * - Export CSV/JSON des comptes affichés
  *
  * Le composant utilise Tailwind CSS pour le styling et gère automatiquement
  * la mise à jour des données via Apollo Client.
@@ -22,84 +48,196 @@ import { GET_ALL_COMPTES } from "../services/graphql-queries";
  * @author Halmaoui Abdellah
  * @version 2.0
  * @since 2025
+ * @param {Object} props - Propriétés du composant
+ * @param {Function} [props.onSelectCompte] - Callback appelé avec le compte cliqué
+ * @param {string} [props.typeFilter] - Type de compte filtré (COURANT, EPARGNE ou '' pour tous).
+ *        Si absent, le filtre est géré en interne par le composant.
+ * @param {Function} [props.onTypeFilterChange] - Callback appelé avec le nouveau filtre
  * @returns {JSX.Element} Composant React affichant la liste des comptes
  */
-const CompteList = () => {
-    const { loading, error, data, refetch } = useQuery(GET_ALL_COMPTES);
+const CompteList = ({ onSelectCompte, typeFilter, onTypeFilterChange }) => {
+    const [localTypeFilter, setLocalTypeFilter] = useState('');
+    const type = typeFilter ?? localTypeFilter;
+
+    const { loading, error, data, refetch } = useQuery(type ? GET_COMPTE_BY_TYPE : GET_ALL_COMPTES, {
+        variables: type ? { type } : undefined,
+    });
+    const [compteToDelete, setCompteToDelete] = useState(null);
+    const { can } = useAuth();
+    const canDelete = can(Permission.DELETE_COMPTE);
+    const { t, formatAmount, formatDate } = useI18n();
+
+    const handleTypeChange = (value) => {
+        setLocalTypeFilter(value);
+        onTypeFilterChange?.(value);
+    };
+
+    const filterOptions = [
+        { value: '', label: t('compteList.filters.all') },
+        { value: TypeCompte.COURANT, label: t('compteList.filters.COURANT') },
+        { value: TypeCompte.EPARGNE, label: t('compteList.filters.EPARGNE') },
+    ];
+
+    const filterBar = (
+        <div className="flex space-x-2 rtl:space-x-reverse" role="group" aria-label={t('compteList.filterLabel')}>
+            {filterOptions.map((option) => (
+                <button
+                    key={option.value || 'TOUS'}
+                    type="button"
+                    aria-pressed={type === option.value}
+                    onClick={() => handleTypeChange(option.value)}
+                    className={`px-3 py-1 rounded-full text-xs font-semibold border transition ${
+                        type === option.value
+                            ? 'bg-blue-600 border-blue-600 text-white'
+                            : 'border-slate-300 text-slate-600 hover:bg-slate-100'
+                    }`}
+                >
+                    {option.label}
+                </button>
+            ))}
+        </div>
+    );
 
     if (loading) return (
-        <div className="flex items-center justify-center py-12">
-            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
-            <span className="ml-3 text-slate-600">Chargement des comptes...</span>
+        <div className="space-y-4">
+            {filterBar}
+            <div role="status" className="flex items-center justify-center py-12">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                <span className="ms-3 text-slate-600">{t('compteList.loading')}</span>
+            </div>
         </div>
     );
 
     if (error) return (
-        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
-            <div className="flex items-center">
-                <div className="text-red-500 mr-3">⚠️</div>
-                <div>
-                    <p className="font-semibold text-red-800">Erreur de chargement</p>
-                    <p className="text-red-600 text-sm">{error.message}</p>
+        <div className="space-y-4">
+            {filterBar}
+            <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                <div className="flex items-center">
+                    <div className="text-red-500 me-3">⚠️</div>
+                    <div>
+                        <p className="font-semibold text-red-800">{t('common.loadError')}</p>
+                        <p className="text-red-600 text-sm">{error.message}</p>
+                    </div>
                 </div>
             </div>
         </div>
     );
 
+    const comptes = (type ? data.findCompteByType : data.allComptes) || [];
+
+    // Sous-totaux par type de compte, convertis dans la devise de consolidation
+    const subtotals = Object.values(TypeCompte)
+        .map((typeCompte) => {
+            const comptesDuType = comptes.filter((compte) => compte.type === typeCompte);
+            return {
+                type: typeCompte,
+                count: comptesDuType.length,
+                sum: consolidateAmounts(comptesDuType.map((compte) => ({
+                    amount: compte.solde,
+                    devise: getDevise(compte),
+                }))),
+            };
+        })
+        .filter((subtotal) => subtotal.count > 0);
+    const converted = comptes.some((compte) => getDevise(compte) !== REPORTING_DEVISE);
+    const excluded = getUnconvertibleDevises(comptes.map(getDevise));
+
     return (
         <div className="space-y-4">
+            {filterBar}
+
             <div className="flex justify-between items-center">
-                <div className="flex items-center space-x-2">
-                    <span className="text-sm text-slate-600">Total: {data.allComptes.length} compte(s)</span>
+                <div className="flex items-center space-x-2 rtl:space-x-reverse">
+                    <span className="text-sm text-slate-600">{t('compteList.total', { count: comptes.length })}</span>
+                </div>
+                <div className="flex items-center space-x-2 rtl:space-x-reverse">
+                    <ExportButtons
+                        basename="comptes"
+                        columns={EXPORT_COLUMNS.map((column) => ({ ...column, label: t(`compteList.export.${column.key}`) }))}
+                        getRows={() => comptes}
+                        disabled={comptes.length === 0}
+                    />
+                    <button
+                        onClick={() => refetch()}
+                        className="text-slate-600 hover:text-slate-800 p-2 rounded-lg hover:bg-slate-100 transition"
+                        title={t('common.refresh')}
+                    >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                        </svg>
+                    </button>
                 </div>
-                <button
-                    onClick={() => refetch()}
-                    className="text-slate-600 hover:text-slate-800 p-2 rounded-lg hover:bg-slate-100 transition"
-                    title="Actualiser"
-                >
-                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
-                    </svg>
-                </button>
             </div>
 
-            {data.allComptes.length === 0 ? (
+            {subtotals.length > 0 && (
+                <dl className="grid grid-cols-2 gap-3">
+                    {subtotals.map((subtotal) => (
+                        <div
+                            key={subtotal.type}
+                            className={`rounded-lg px-3 py-2 text-sm ${
+                                subtotal.type === TypeCompte.COURANT
+                                    ? 'bg-courant-soft text-courant'
+                                    : 'bg-epargne-soft text-epargne'
+                            }`}
+                        >
+                            <dt className="font-semibold">
+                                {t('compteList.subtotal', { type: t(`compteType.${subtotal.type}`), count: subtotal.count })}
+                            </dt>
+                            <dd>{formatAmount(subtotal.sum, { devise: REPORTING_DEVISE })}</dd>
+                        </div>
+                    ))}
+                </dl>
+            )}
+            {converted && (
+                <p className="text-xs text-slate-500">{t('compteList.converted', { devise: REPORTING_DEVISE })}</p>
+            )}
+            {excluded.length > 0 && (
+                <p className="text-xs text-slate-500">{t('common.excludedDevises', { devises: excluded.join(', ') })}</p>
+            )}
+
+            {comptes.length === 0 ? (
                 <div className="text-center py-12">
                     <div className="text-4xl mb-4">🏦</div>
-                    <p className="text-slate-500">Aucun compte disponible</p>
-                    <p className="text-slate-400 text-sm mt-2">Créez votre premier compte pour commencer</p>
+                    <p className="text-slate-500">{t('compteList.empty')}</p>
+                    <p className="text-slate-400 text-sm mt-2">{t('compteList.emptyHint')}</p>
                 </div>
             ) : (
                 <div className="grid gap-4">
-                    {data.allComptes.map((compte) => (
+                    {comptes.map((compte) => (
                         <div
                             key={compte.id}
-                            className="account-card rounded-xl p-6 hover:shadow-card transition-all duration-300"
+                            className="account-card relative rounded-xl p-6 hover:shadow-card transition-all duration-300 cursor-pointer"
                         >
                             <div className="flex items-center justify-between mb-4">
-                                <div className="flex items-center space-x-3">
+                                <div className="flex items-center space-x-3 rtl:space-x-reverse">
                                     <div className={`w-12 h-12 rounded-full flex items-center justify-center ${
                                         compte.type === 'COURANT'
-                                            ? 'bg-blue-100 text-blue-600'
-                                            : 'bg-green-100 text-green-600'
+                                            ? 'bg-courant-soft text-courant'
+                                            : 'bg-epargne-soft text-epargne'
                                     }`}>
                                         {compte.type === 'COURANT' ? '💳' : '💰'}
                                     </div>
                                     <div>
-                                        <p className="font-semibold text-slate-800">
-                                            {compte.type === 'COURANT' ? 'Compte Courant' : 'Compte Épargne'}
-                                        </p>
-                                        <p className="text-xs text-slate-500 font-mono">
-                                            ID: {compte.id.substring(0, 8)}...
+                                        {/* Le bouton s'étend à toute la carte, sous le bouton de suppression */}
+                                        <button
+                                            type="button"
+                                            onClick={() => onSelectCompte?.(compte)}
+                                            aria-describedby={`compte-${compte.id}-id`}
+                                            className="font-semibold text-slate-800 text-start after:absolute after:inset-0 after:rounded-xl focus:outline-none focus-visible:after:ring-2 focus-visible:after:ring-blue-500"
+                                        >
+                                            {t(`compteTypeName.${compte.type}`)}
+                                        </button>
+                                        <p id={`compte-${compte.id}-id`} className="text-xs text-slate-500 font-mono">
+                                            {t('common.shortId', { id: compte.id.substring(0, 8) })}
                                         </p>
                                     </div>
                                 </div>
-                                <div className="text-right">
+                                <div className="text-end">
                                     <p className="text-2xl font-bold text-slate-800">
-                                        {compte.solde.toFixed(2)} €
+                                        {formatAmount(compte.solde, { devise: getDevise(compte) })}
                                     </p>
                                     <p className="text-xs text-slate-500">
-                                        Créé le {new Date(compte.dateCreation).toLocaleDateString('fr-FR')}
+                                        {t('compteList.createdOn', { date: formatDate(compte.dateCreation) })}
                                     </p>
                                 </div>
                             </div>
@@ -107,23 +245,50 @@ const CompteList = () => {
                             <div className="flex items-center justify-between">
                                 <div className={`px-3 py-1 rounded-full text-xs font-medium ${
                                     compte.type === 'COURANT'
-                                        ? 'bg-blue-100 text-blue-800'
-                                        : 'bg-green-100 text-green-800'
+                                        ? 'bg-courant-soft text-courant'
+                                        : 'bg-epargne-soft text-epargne'
                                 }`}>
-                                    {compte.type}
+                                    {t(`compteType.${compte.type}`)}
                                 </div>
-                                <div className={`px-3 py-1 rounded-full text-xs font-medium ${
-                                    compte.solde >= 0
-                                        ? 'bg-green-100 text-green-800'
-                                        : 'bg-red-100 text-red-800'
-                                }`}>
-                                    {compte.solde >= 0 ? '✓ Solde positif' : '⚠️ Solde négatif'}
+                                <div className="flex items-center space-x-2 rtl:space-x-reverse">
+                                    <div
+                                        className={`px-3 py-1 rounded-full text-xs font-medium ${
+                                            compte.solde >= 0
+                                                ? 'bg-depot-soft text-depot'
+                                                : 'bg-retrait-soft text-retrait'
+                                        }`}
+                                        title={t('compteList.overdraftLimit', {
+                                            amount: formatAmount(getOverdraftLimit(compte), { devise: getDevise(compte) }),
+                                        })}
+                                    >
+                                        {compte.solde >= 0 ? t('compteList.positive') : t('compteList.overdrawn')}
+                                    </div>
+                                    {canDelete && (
+                                        <button
+                                            type="button"
+                                            onClick={() => setCompteToDelete(compte)}
+                                            className="relative text-red-500 hover:text-red-700 p-1 rounded-lg hover:bg-red-50 transition"
+                                            title={t('compteList.delete')}
+                                            aria-label={t('compteList.deleteLabel', { id: compte.id })}
+                                        >
+                                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                                            </svg>
+                                        </button>
+                                    )}
                                 </div>
                             </div>
                         </div>
                     ))}
                 </div>
             )}
+
+            {compteToDelete && (
+                <DeleteCompteDialog
+                    compte={compteToDelete}
+                    onClose={() => setCompteToDelete(null)}
+                />
+            )}
         </div>
     );
 };
@@ -1,8 +1,11 @@
 import React from 'react';
-import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import { act, render, screen, waitFor, fireEvent } from '@testing-library/react';
 import { MockedProvider } from '@apollo/client/testing';
 import CompteList from './CompteList';
-import { GET_ALL_COMPTES } from '../services/graphql-queries';
+import { AuthProvider } from '../contexts/AuthContext';
+import { GET_ALL_COMPTES, GET_COMPTE_BY_TYPE } from '../services/graphql-queries';
+import { SessionEndReason, endSession, startSession } from '../services/auth-session';
+import { Role } from '../services/type-definitions';
 
 /**
  * Tests pour le composant CompteList
@@ -12,6 +15,8 @@ import { GET_ALL_COMPTES } from '../services/graphql-queries';
  * - Gestion des erreurs
  * - Affichage des données
  * - Fonctionnalité de rafraîchissement
+ * - Filtre par type de compte et sous-totaux
+ * - Comptes tenus dans une autre devise
  *
  * Les tests utilisent MockedProvider d'Apollo Client pour simuler les réponses GraphQL.
  *
@@ -26,12 +31,14 @@ const mockComptes = [
     {
         id: '1',
         solde: 1500.50,
+        devise: 'EUR',
         dateCreation: '2025-01-15',
         type: 'COURANT'
     },
     {
         id: '2',
         solde: 5000.00,
+        devise: 'EUR',
         dateCreation: '2025-02-20',
         type: 'EPARGNE'
     }
@@ -76,19 +83,44 @@ const errorMocks = [
     },
 ];
 
+// Mock pour la requête filtrée par type
+const typeMocks = [
+    ...mocks,
+    {
+        request: {
+            query: GET_COMPTE_BY_TYPE,
+            variables: { type: 'EPARGNE' },
+        },
+        result: {
+            data: {
+                findCompteByType: [mockComptes[1]],
+            },
+        },
+    },
+];
+
 describe('CompteList Component', () => {
+    beforeEach(() => {
+        startSession({ token: 'jeton', expiresAt: null, user: { username: 'conseiller', nom: 'Conseiller', role: Role.CONSEILLER } });
+    });
+
+    afterEach(() => {
+        act(() => endSession(SessionEndReason.LOGOUT));
+    });
+
     /**
      * Test l'affichage du composant pendant le chargement
      */
     test('affiche l\'indicateur de chargement', async () => {
         render(
             <MockedProvider mocks={loadingMocks} addTypename={false}>
-                <CompteList />
+                <AuthProvider>
+                    <CompteList />
+                </AuthProvider>
             </MockedProvider>
         );
 
-        expect(screen.getByText('Chargement des comptes...')).toBeInTheDocument();
-        expect(screen.getByRole('status')).toBeInTheDocument(); // Spinner
+        expect(screen.getByRole('status')).toHaveTextContent('Chargement des comptes...');
     });
 
     /**
@@ -97,7 +129,9 @@ describe('CompteList Component', () => {
     test('affiche le message d\'erreur en cas d\'échec', async () => {
         render(
             <MockedProvider mocks={errorMocks} addTypename={false}>
-                <CompteList />
+                <AuthProvider>
+                    <CompteList />
+                </AuthProvider>
             </MockedProvider>
         );
 
@@ -113,67 +147,201 @@ describe('CompteList Component', () => {
     test('affiche la liste des comptes correctement', async () => {
         render(
             <MockedProvider mocks={mocks} addTypename={false}>
-                <CompteList />
+                <AuthProvider>
+                    <CompteList />
+                </AuthProvider>
             </MockedProvider>
         );
 
         await waitFor(() => {
-            expect(screen.getByText('Total: 2 compte(s)')).toBeInTheDocument();
+            expect(screen.getByText('Total: 2 comptes')).toBeInTheDocument();
         });
 
-        // Vérifier l'affichage des comptes
-        expect(screen.getByText('1 500,50 €')).toBeInTheDocument();
-        expect(screen.getByText('5 000,00 €')).toBeInTheDocument();
+        // Vérifier l'affichage des comptes, dont le solde figure aussi dans le sous-total de leur type
+        expect(screen.getAllByText('1 500,50 €')).toHaveLength(2);
+        expect(screen.getAllByText('5 000,00 €')).toHaveLength(2);
         expect(screen.getByText('COURANT')).toBeInTheDocument();
-        expect(screen.getByText('ÉPARGNE')).toBeInTheDocument();
+        expect(screen.getByText('EPARGNE')).toBeInTheDocument();
     });
 
     /**
      * Test la fonctionnalité de rafraîchissement
      */
     test('rafraîchit les données lors du clic sur le bouton', async () => {
-        const mockRefetch = jest.fn();
-
-        // Mock de useQuery avec refetch
-        jest.mock('@apollo/client', () => ({
-            ...jest.requireActual('@apollo/client'),
-            useQuery: () => ({
-                loading: false,
-                error: null,
-                data: { allComptes: mockComptes },
-                refetch: mockRefetch,
-            }),
-        }));
+        // Réponse du rafraîchissement, avec un compte créé entre-temps
+        const refreshedMock = {
+            request: { query: GET_ALL_COMPTES },
+            result: {
+                data: {
+                    allComptes: [
+                        ...mockComptes,
+                        { id: '3', solde: 0, devise: 'EUR', dateCreation: '2025-03-01', type: 'COURANT' },
+                    ],
+                },
+            },
+        };
 
         render(
-            <MockedProvider mocks={mocks} addTypename={false}>
-                <CompteList />
+            <MockedProvider mocks={[...mocks, refreshedMock]} addTypename={false}>
+                <AuthProvider>
+                    <CompteList />
+                </AuthProvider>
             </MockedProvider>
         );
 
         await waitFor(() => {
-            expect(screen.getByText('Total: 2 compte(s)')).toBeInTheDocument();
+            expect(screen.getByText('Total: 2 comptes')).toBeInTheDocument();
         });
 
-        const refreshButton = screen.getByRole('button', { name: /rafraîchir/i });
-        fireEvent.click(refreshButton);
+        fireEvent.click(screen.getByRole('button', { name: 'Actualiser' }));
 
-        expect(mockRefetch).toHaveBeenCalledTimes(1);
+        expect(await screen.findByText('Total: 3 comptes')).toBeInTheDocument();
     });
 
     /**
      * Test l'affichage des statistiques des comptes
      */
     test('calcule et affiche les statistiques correctement', async () => {
+        const overdrawnMocks = [{
+            request: { query: GET_ALL_COMPTES },
+            result: { data: { allComptes: [{ ...mockComptes[0], solde: -200 }, mockComptes[1]] } },
+        }];
+
         render(
-            <MockedProvider mocks={mocks} addTypename={false}>
-                <CompteList />
+            <MockedProvider mocks={overdrawnMocks} addTypename={false}>
+                <AuthProvider>
+                    <CompteList />
+                </AuthProvider>
             </MockedProvider>
         );
 
         await waitFor(() => {
-            expect(screen.getByText('Total: 2 compte(s)')).toBeInTheDocument();
-            expect(screen.getByText('6 500,50 €')).toBeInTheDocument(); // Solde total
+            expect(screen.getByText('Total: 2 comptes')).toBeInTheDocument();
         });
+        expect(screen.getAllByText('✓ Solde positif')).toHaveLength(1);
+        expect(screen.getAllByText('⚠️ À découvert')).toHaveLength(1);
+        expect(screen.getAllByText('-200,00 €')).toHaveLength(2); // Sous-total et carte du compte
+    });
+
+    /**
+     * Test les sous-totaux par type de compte
+     */
+    test('affiche les sous-totaux par type de compte', async () => {
+        render(
+            <MockedProvider mocks={mocks} addTypename={false}>
+                <AuthProvider>
+                    <CompteList />
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        expect(await screen.findByText('COURANT (1)')).toBeInTheDocument();
+        expect(screen.getByText('EPARGNE (1)')).toBeInTheDocument();
+        expect(screen.getAllByText('1 500,50 €')).toHaveLength(2); // Sous-total et carte du compte
+    });
+
+    /**
+     * Test les comptes tenus dans une autre devise
+     */
+    test('affiche chaque compte dans sa devise et convertit les sous-totaux', async () => {
+        const dollarMocks = [{
+            request: { query: GET_ALL_COMPTES },
+            result: {
+                data: {
+                    allComptes: [mockComptes[0], { ...mockComptes[1], solde: 1080, devise: 'USD' }], // 1 000 € au taux par défaut
+                },
+            },
+        }];
+
+        render(
+            <MockedProvider mocks={dollarMocks} addTypename={false}>
+                <AuthProvider>
+                    <CompteList />
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        expect(await screen.findByText('1 080,00 $US')).toBeInTheDocument(); // Carte du compte
+        expect(screen.getByText('1 000,00 €')).toBeInTheDocument(); // Sous-total EPARGNE
+        expect(screen.getByText('Sous-totaux convertis en EUR aux taux de change indicatifs')).toBeInTheDocument();
+    });
+
+    /**
+     * Test le filtre par type via la requête serveur
+     */
+    test('charge les comptes du type sélectionné via GET_COMPTE_BY_TYPE', async () => {
+        const onTypeFilterChange = jest.fn();
+
+        render(
+            <MockedProvider mocks={typeMocks} addTypename={false}>
+                <AuthProvider>
+                    <CompteList onTypeFilterChange={onTypeFilterChange} />
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        await screen.findByText('Total: 2 comptes');
+        fireEvent.click(screen.getByRole('button', { name: 'Épargne' }));
+
+        expect(await screen.findByText('Total: 1 compte')).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'Épargne' })).toHaveAttribute('aria-pressed', 'true');
+        expect(screen.queryByText('COURANT (1)')).not.toBeInTheDocument();
+        expect(onTypeFilterChange).toHaveBeenCalledWith('EPARGNE');
+    });
+
+    /**
+     * Test la suppression réservée aux superviseurs
+     */
+    test('réserve le bouton de suppression aux profils autorisés', async () => {
+        const { unmount } = render(
+            <MockedProvider mocks={mocks} addTypename={false}>
+                <AuthProvider>
+                    <CompteList />
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        expect(await screen.findByText('Total: 2 comptes')).toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: 'Supprimer le compte 1' })).not.toBeInTheDocument();
+        unmount();
+
+        startSession({ token: 'jeton', expiresAt: null, user: { username: 'superviseur', nom: 'Superviseur', role: Role.SUPERVISEUR } });
+        render(
+            <MockedProvider mocks={mocks} addTypename={false}>
+                <AuthProvider>
+                    <CompteList />
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        expect(await screen.findByRole('button', { name: 'Supprimer le compte 1' })).toBeInTheDocument();
+    });
+
+    /**
+     * Test la sélection d'un compte, distincte de sa suppression
+     */
+    test('sélectionne un compte via son titre sans l\'ouvrir lors d\'une suppression', async () => {
+        startSession({ token: 'jeton', expiresAt: null, user: { username: 'superviseur', nom: 'Superviseur', role: Role.SUPERVISEUR } });
+        const onSelectCompte = jest.fn();
+
+        render(
+            <MockedProvider mocks={mocks} addTypename={false}>
+                <AuthProvider>
+                    <CompteList onSelectCompte={onSelectCompte} />
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        const title = await screen.findByRole('button', { name: 'Compte Courant' });
+        const deleteButton = screen.getByRole('button', { name: 'Supprimer le compte 1' });
+        expect(title).not.toContainElement(deleteButton);
+        expect(title).toHaveAccessibleDescription('ID: 1...');
+
+        fireEvent.click(title);
+        expect(onSelectCompte).toHaveBeenCalledWith(mockComptes[0]);
+
+        fireEvent.click(deleteButton);
+        expect(screen.getByRole('dialog')).toBeInTheDocument();
+        expect(onSelectCompte).toHaveBeenCalledTimes(1);
     });
-});
\ No newline at end of file
+});
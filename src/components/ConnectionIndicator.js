@@ -0,0 +1,95 @@
+import React, { useEffect, useState } from "react";
+import { useApolloClient } from "@apollo/client";
+import { HEALTH_CHECK } from "../services/graphql-queries";
+import {
+    ConnectionStatus,
+    getConnectionState,
+    setBrowserOnline,
+    subscribeToConnection,
+} from "../services/connection-status";
+import { useI18n } from "../contexts/I18nContext";
+
+/**
+ * Intervalle entre deux contrôles de disponibilité du serveur, en millisecondes
+ * @constant {number}
+ */
+export const HEALTH_CHECK_INTERVAL = 30000;
+
+/**
+ * Classe CSS de la pastille pour chaque état de connexion ; le libellé est connection.<état>
+ * @constant {Object}
+ */
+const DOT_CLASSES = {
+    [ConnectionStatus.UNKNOWN]: 'status-offline',
+    [ConnectionStatus.CONNECTED]: 'status-online',
+    [ConnectionStatus.DEGRADED]: 'status-degraded',
+    [ConnectionStatus.DISCONNECTED]: 'status-disconnected',
+};
+
+/**
+ * Indicateur de l'état de la connexion au backend GraphQL
+ *
+ * Ce composant remplace le badge statique « Connecté » de l'en-tête. Il suit
+ * les événements online/offline du navigateur et lance à intervalle régulier
+ * une requête de contrôle légère ; le résultat de toutes les autres opérations
+ * GraphQL est mesuré par le lien de connexion du client Apollo.
+ *
+ * La date de la dernière opération réussie est affichée lorsque la connexion
+ * est dégradée ou interrompue.
+ *
+ * @module components/ConnectionIndicator
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @returns {JSX.Element} Pastille et libellé de l'état de la connexion
+ */
+const ConnectionIndicator = () => {
+    const client = useApolloClient();
+    const [connection, setConnection] = useState(getConnectionState);
+    const { t, formatTime } = useI18n();
+
+    useEffect(() => subscribeToConnection(setConnection), []);
+
+    useEffect(() => {
+        const checkHealth = () => {
+            client
+                .query({ query: HEALTH_CHECK, fetchPolicy: 'no-cache', context: { background: true } })
+                .catch(() => {
+                    // L'échec est déjà enregistré par le lien de connexion
+                });
+        };
+        const handleOnline = () => {
+            setBrowserOnline(true);
+            checkHealth();
+        };
+        const handleOffline = () => setBrowserOnline(false);
+
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        checkHealth();
+        const interval = setInterval(checkHealth, HEALTH_CHECK_INTERVAL);
+
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+            clearInterval(interval);
+        };
+    }, [client]);
+
+    const lastSuccess = connection.lastSuccess
+        ? t('connection.lastSuccess', { time: formatTime(connection.lastSuccess) })
+        : t('connection.neverSucceeded');
+    const showLastSuccess = connection.status === ConnectionStatus.DEGRADED
+        || connection.status === ConnectionStatus.DISCONNECTED;
+
+    return (
+        <div className="flex items-center space-x-2 rtl:space-x-reverse text-slate-600" role="status" title={lastSuccess}>
+            <div className={`w-2 h-2 rounded-full ${DOT_CLASSES[connection.status]}`}></div>
+            <span className="text-sm">{t(`connection.${connection.status}`)}</span>
+            {showLastSuccess && <span className="text-xs text-slate-500">({lastSuccess})</span>}
+        </div>
+    );
+};
+
+export default ConnectionIndicator;
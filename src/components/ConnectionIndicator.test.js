@@ -0,0 +1,103 @@
+import React from 'react';
+import { act, render, screen } from '@testing-library/react';
+import { MockedProvider } from '@apollo/client/testing';
+import ConnectionIndicator from './ConnectionIndicator';
+import { HEALTH_CHECK } from '../services/graphql-queries';
+import { recordFailure, recordSuccess, setBrowserOnline } from '../services/connection-status';
+
+/**
+ * Tests pour l'indicateur de connexion
+ *
+ * Ces tests vérifient que l'indicateur reflète :
+ * - Le résultat des opérations GraphQL (connecté, déconnecté)
+ * - La lenteur des réponses (connexion dégradée)
+ * - Les événements online/offline du navigateur
+ * - La date de la dernière opération réussie
+ *
+ * @module components/ConnectionIndicator.test
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+// Mock pour la requête de contrôle lancée au montage
+const mocks = [
+    {
+        request: {
+            query: HEALTH_CHECK,
+        },
+        result: {
+            data: {
+                __typename: 'Query',
+            },
+        },
+    },
+];
+
+const renderIndicator = () =>
+    render(
+        <MockedProvider mocks={mocks} addTypename={false}>
+            <ConnectionIndicator />
+        </MockedProvider>
+    );
+
+describe('ConnectionIndicator Component', () => {
+    afterEach(() => {
+        act(() => {
+            setBrowserOnline(true);
+            recordSuccess(10);
+        });
+    });
+
+    /**
+     * Test l'état connecté après une opération rapide
+     */
+    test('affiche Connecté après une opération réussie', () => {
+        renderIndicator();
+
+        act(() => recordSuccess(120));
+
+        expect(screen.getByRole('status')).toHaveTextContent('Connecté');
+    });
+
+    /**
+     * Test l'état dégradé après une opération lente
+     */
+    test('affiche une connexion lente avec la date du dernier succès', () => {
+        renderIndicator();
+
+        act(() => recordSuccess(3500));
+
+        expect(screen.getByRole('status')).toHaveTextContent('Connexion lente');
+        expect(screen.getByRole('status')).toHaveTextContent(/Dernier succès à \d{2}:\d{2}:\d{2}/);
+    });
+
+    /**
+     * Test l'état déconnecté après un échec réseau
+     */
+    test('affiche Déconnecté après un échec réseau', () => {
+        renderIndicator();
+
+        act(() => recordFailure());
+
+        expect(screen.getByRole('status')).toHaveTextContent('Déconnecté');
+    });
+
+    /**
+     * Test les événements du navigateur
+     */
+    test('suit les événements offline et online du navigateur', () => {
+        renderIndicator();
+
+        act(() => {
+            recordSuccess(50);
+            window.dispatchEvent(new Event('offline'));
+        });
+        expect(screen.getByRole('status')).toHaveTextContent('Déconnecté');
+
+        act(() => {
+            window.dispatchEvent(new Event('online'));
+        });
+        expect(screen.getByRole('status')).toHaveTextContent('Connecté');
+    });
+});
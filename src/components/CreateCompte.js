@@ -1,7 +1,18 @@
-import React, { useState } from 'react';
+import React, { useId, useState } from 'react';
 import { useMutation } from '@apollo/client';
-import { SAVE_COMPTE } from '../services/graphql-mutations';
-import { GET_ALL_COMPTES } from '../services/graphql-queries';
+import { DELETE_COMPTE, SAVE_COMPTE } from '../services/graphql-mutations';
+import { addCompteToCache, evictCompte, optimisticCompte } from '../services/cache-updates';
+import { getErrorMessage } from '../services/error-handling';
+import { QueuedMutation, enqueueMutation, isOffline, isQueueableError } from '../services/offline-queue';
+import { useNotifications } from '../contexts/NotificationContext';
+import { useAuth } from '../contexts/AuthContext';
+import { useI18n } from '../contexts/I18nContext';
+import { Permission } from '../services/permissions';
+import { Devise } from '../services/type-definitions';
+import { DEFAULT_DEVISE } from '../services/money';
+import { CompteRequestSchema, hasErrors, parseAmount, validate } from '../services/form-validation';
+import PermissionNotice from './PermissionNotice';
+import FieldError from './FieldError';
 
 /**
  * Composant React pour créer un nouveau compte bancaire
@@ -11,15 +22,21 @@ import { GET_ALL_COMPTES } from '../services/graphql-queries';
  * à jour la liste des comptes après création.
  *
  * Fonctionnalités :
- * - Formulaire avec validation des champs (solde positif requis)
- * - Sélection du type de compte (courant/épargne)
+ * - Formulaire validé par le schéma CompteRequestSchema (solde positif, deux décimales au plus)
+ * - Messages d'erreur affichés sous chaque champ et associés au champ pour les lecteurs d'écran
+ * - Sélection du type de compte (courant/épargne) et de sa devise
  * - Gestion des états de chargement et d'erreur
- * - Mise à jour automatique de la liste via refetchQueries
+ * - Affichage immédiat du nouveau compte (réponse optimiste)
+ * - Mise à jour directe du cache, sans relancer les requêtes de liste
  * - Interface utilisateur moderne avec Tailwind CSS
- * - Messages de feedback utilisateur (succès/erreur)
+ * - Notifications de succès/erreur avec annulation de la création
+ * - Mise en attente de la création lorsque le serveur est injoignable
+ * - Formulaire remplacé par un message pour les profils sans droit de création
  *
  * Le composant réinitialise le formulaire après création réussie
- * et affiche des alertes pour informer l'utilisateur du résultat.
+ * et affiche une notification pour informer l'utilisateur du résultat.
+ * L'annulation supprime le compte qui vient d'être créé : elle n'est proposée
+ * qu'aux profils autorisés à supprimer un compte.
  *
  * @module components/CreateCompte
  * @component
@@ -31,69 +48,169 @@ import { GET_ALL_COMPTES } from '../services/graphql-queries';
 const CreateCompte = () => {
     const [solde, setSolde] = useState('');
     const [type, setType] = useState('COURANT');
+    const [devise, setDevise] = useState(DEFAULT_DEVISE);
+    const [errors, setErrors] = useState({});
+    const notifications = useNotifications();
+    const formId = useId();
+    const { can } = useAuth();
+    const { t, formatDeviseName } = useI18n();
 
     const [saveCompte, { loading, error }] = useMutation(SAVE_COMPTE, {
-        refetchQueries: [{ query: GET_ALL_COMPTES }],
+        optimisticResponse: ({ compte }) => optimisticCompte(compte),
+        update: (cache, { data }) => addCompteToCache(cache, data.saveCompte),
     });
 
+    const [deleteCompte] = useMutation(DELETE_COMPTE);
+
+    const handleUndo = async (id) => {
+        try {
+            const { data } = await deleteCompte({
+                variables: { id },
+                update: (cache, result) => {
+                    if (result.data?.deleteCompte !== false) evictCompte(cache, id);
+                },
+            });
+            if (data?.deleteCompte === false) {
+                notifications.error(t('createCompte.deleteRefused'));
+                return;
+            }
+            notifications.info(t('createCompte.undone'));
+        } catch (err) {
+            notifications.error(t('common.undoFailed', { message: getErrorMessage(err) }));
+        }
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
 
-        if (!solde || parseFloat(solde) < 0) {
-            alert('Veuillez entrer un solde valide');
+        const validationErrors = validate(CompteRequestSchema, { solde, type, devise });
+        setErrors(validationErrors);
+        if (hasErrors(validationErrors)) {
+            e.currentTarget.elements.namedItem(Object.keys(validationErrors)[0])?.focus?.();
+            return;
+        }
+
+        const variables = {
+            compte: {
+                solde: parseAmount(solde),
+                type,
+                devise,
+            },
+        };
+
+        if (isOffline()) {
+            queueCreation(variables);
             return;
         }
 
         try {
-            await saveCompte({
-                variables: {
-                    compte: {
-                        solde: parseFloat(solde),
-                        type,
-                    },
-                },
-            });
+            const { data } = await saveCompte({ variables });
 
-            setSolde('');
-            setType('COURANT');
-            alert('✅ Compte créé avec succès !');
+            resetForm();
+            notifications.success(t('createCompte.success'), can(Permission.DELETE_COMPTE)
+                ? { action: { label: t('common.undo'), onClick: () => handleUndo(data.saveCompte.id) } }
+                : undefined);
         } catch (err) {
-            alert('❌ Erreur : ' + err.message);
+            if (isQueueableError(err)) {
+                queueCreation(variables);
+                return;
+            }
+            notifications.error(t('createCompte.failed', { message: getErrorMessage(err) }));
         }
     };
 
+    const resetForm = () => {
+        setSolde('');
+        setType('COURANT');
+        setDevise(DEFAULT_DEVISE);
+    };
+
+    const queueCreation = (variables) => {
+        enqueueMutation(QueuedMutation.SAVE_COMPTE, variables, variables.compte.devise);
+        resetForm();
+        notifications.info(t('createCompte.queued'));
+    };
+
+    /**
+     * Attributs reliant un champ à son message d'erreur
+     * @param {string} field - Nom du champ dans CompteRequestSchema
+     * @returns {Object} Attributs name, aria-invalid et aria-describedby
+     */
+    const fieldAttributes = (field) => ({
+        name: field,
+        'aria-invalid': Boolean(errors[field]),
+        'aria-describedby': errors[field] ? `${formId}-${field}-error` : undefined,
+    });
+
+    if (!can(Permission.CREATE_COMPTE)) {
+        return <PermissionNotice action={t('permission.createCompte')} />;
+    }
+
     return (
         <div className="space-y-6">
-            <form onSubmit={handleSubmit} className="space-y-6">
+            <form onSubmit={handleSubmit} className="space-y-6" noValidate>
                 <div>
-                    <label className="block text-sm font-semibold text-slate-700 mb-3">
-                        Solde initial *
+                    <label htmlFor={`${formId}-solde`} className="block text-sm font-semibold text-slate-700 mb-3">
+                        {t('createCompte.soldeLabel')}
                     </label>
                     <div className="relative">
-                        <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                            <span className="text-slate-500 text-sm">€</span>
+                        <div className="absolute inset-y-0 start-0 ps-3 flex items-center pointer-events-none">
+                            <span className="text-slate-500 text-sm">{devise}</span>
                         </div>
                         <input
-                            type="number"
-                            step="0.01"
-                            min="0"
+                            id={`${formId}-solde`}
+                            type="text"
+                            inputMode="decimal"
                             value={solde}
-                            onChange={(e) => setSolde(e.target.value)}
-                            className="form-input w-full pl-8 pr-4 py-3 rounded-lg border-slate-300 focus:border-blue-500 focus:ring-blue-500"
-                            placeholder="Ex: 1000.00"
+                            onChange={(e) => {
+                                setSolde(e.target.value);
+                                setErrors((current) => ({ ...current, solde: undefined }));
+                            }}
+                            className={`form-input w-full ps-14 pe-4 py-3 rounded-lg focus:border-accent focus:ring-accent ${
+                                errors.solde ? 'border-red-400' : 'border-slate-300'
+                            }`}
+                            placeholder={t('createCompte.soldePlaceholder')}
                             required
+                            {...fieldAttributes('solde')}
                         />
                     </div>
+                    <FieldError id={`${formId}-solde-error`} message={errors.solde} />
                 </div>
 
                 <div>
-                    <label className="block text-sm font-semibold text-slate-700 mb-3">
-                        Type de compte *
+                    <label htmlFor={`${formId}-devise`} className="block text-sm font-semibold text-slate-700 mb-3">
+                        {t('createCompte.deviseLabel')}
                     </label>
-                    <div className="grid grid-cols-2 gap-3">
+                    <select
+                        id={`${formId}-devise`}
+                        value={devise}
+                        onChange={(e) => {
+                            setDevise(e.target.value);
+                            setErrors((current) => ({ ...current, devise: undefined }));
+                        }}
+                        className={`form-input w-full px-4 py-3 rounded-lg focus:border-accent focus:ring-accent ${
+                            errors.devise ? 'border-red-400' : 'border-slate-300'
+                        }`}
+                        required
+                        {...fieldAttributes('devise')}
+                    >
+                        {Object.values(Devise).map((code) => (
+                            <option key={code} value={code}>
+                                {t('createCompte.deviseOption', { code, name: formatDeviseName(code) })}
+                            </option>
+                        ))}
+                    </select>
+                    <FieldError id={`${formId}-devise-error`} message={errors.devise} />
+                </div>
+
+                <div>
+                    <span id={`${formId}-type-label`} className="block text-sm font-semibold text-slate-700 mb-3">
+                        {t('createCompte.typeLabel')}
+                    </span>
+                    <div role="radiogroup" aria-labelledby={`${formId}-type-label`} className="grid grid-cols-2 gap-3">
                         <label className={`relative cursor-pointer rounded-lg border-2 p-4 transition-all ${
                             type === 'COURANT'
-                                ? 'border-blue-500 bg-blue-50 text-blue-700'
+                                ? 'border-courant bg-courant-soft text-courant'
                                 : 'border-slate-200 hover:border-slate-300'
                         }`}>
                             <input
@@ -102,17 +219,18 @@ const CreateCompte = () => {
                                 checked={type === 'COURANT'}
                                 onChange={(e) => setType(e.target.value)}
                                 className="sr-only"
+                                {...fieldAttributes('type')}
                             />
                             <div className="text-center">
                                 <div className="text-2xl mb-2">💳</div>
-                                <div className="font-semibold">Courant</div>
-                                <div className="text-xs opacity-75">Usage quotidien</div>
+                                <div className="font-semibold">{t('createCompte.types.COURANT.title')}</div>
+                                <div className="text-xs opacity-75">{t('createCompte.types.COURANT.hint')}</div>
                             </div>
                         </label>
 
                         <label className={`relative cursor-pointer rounded-lg border-2 p-4 transition-all ${
                             type === 'EPARGNE'
-                                ? 'border-green-500 bg-green-50 text-green-700'
+                                ? 'border-epargne bg-epargne-soft text-epargne'
                                 : 'border-slate-200 hover:border-slate-300'
                         }`}>
                             <input
@@ -121,19 +239,21 @@ const CreateCompte = () => {
                                 checked={type === 'EPARGNE'}
                                 onChange={(e) => setType(e.target.value)}
                                 className="sr-only"
+                                {...fieldAttributes('type')}
                             />
                             <div className="text-center">
                                 <div className="text-2xl mb-2">💰</div>
-                                <div className="font-semibold">Épargne</div>
-                                <div className="text-xs opacity-75">Économies</div>
+                                <div className="font-semibold">{t('createCompte.types.EPARGNE.title')}</div>
+                                <div className="text-xs opacity-75">{t('createCompte.types.EPARGNE.hint')}</div>
                             </div>
                         </label>
                     </div>
+                    <FieldError id={`${formId}-type-error`} message={errors.type} />
                 </div>
 
-                {error && (
+                {error && !isQueueableError(error) && (
                     <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex items-center">
-                        <svg className="w-5 h-5 mr-2" fill="currentColor" viewBox="0 0 20 20">
+                        <svg className="w-5 h-5 me-2" fill="currentColor" viewBox="0 0 20 20">
                             <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
                         </svg>
                         <span className="text-sm">{error.message}</span>
@@ -143,21 +263,21 @@ const CreateCompte = () => {
                 <button
                     type="submit"
                     disabled={loading}
-                    className={`w-full btn-primary flex items-center justify-center space-x-2 ${
+                    className={`w-full btn-primary flex items-center justify-center space-x-2 rtl:space-x-reverse ${
                         loading ? 'opacity-75 cursor-not-allowed' : ''
                     }`}
                 >
                     {loading ? (
                         <>
                             <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
-                            <span>Création en cours...</span>
+                            <span>{t('createCompte.submitting')}</span>
                         </>
                     ) : (
                         <>
                             <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
                             </svg>
-                            <span>Créer le compte</span>
+                            <span>{t('createCompte.submit')}</span>
                         </>
                     )}
                 </button>
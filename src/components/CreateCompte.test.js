@@ -1,18 +1,27 @@
 import React from 'react';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { act, render, screen, fireEvent, waitFor } from '@testing-library/react';
 import { MockedProvider } from '@apollo/client/testing';
+import { InMemoryCache } from '@apollo/client';
+import { GraphQLError } from 'graphql';
 import CreateCompte from './CreateCompte';
-import { SAVE_COMPTE } from '../services/graphql-mutations';
-import { GET_ALL_COMPTES } from '../services/graphql-queries';
+import ToastContainer from './ToastContainer';
+import { NotificationProvider } from '../contexts/NotificationContext';
+import { AuthProvider } from '../contexts/AuthContext';
+import { DELETE_COMPTE, SAVE_COMPTE } from '../services/graphql-mutations';
+import { GET_ALL_COMPTES, GET_TOTAL_SOLDE } from '../services/graphql-queries';
+import { typePolicies } from '../clients/apollo-cache';
+import { SessionEndReason, endSession, startSession } from '../services/auth-session';
+import { Role } from '../services/type-definitions';
 
 /**
  * Tests pour le composant CreateCompte
  *
  * Ces tests vérifient le comportement du formulaire de création de compte :
- * - Validation des champs
+ * - Validation des champs et messages d'erreur associés à chaque champ
  * - Soumission réussie
  * - Gestion des erreurs
  * - Réinitialisation du formulaire
+ * - Annulation de la création réservée aux profils autorisés à supprimer un compte
  *
  * @module components/CreateCompte.test
  * @author Halmaoui Abdellah
@@ -28,6 +37,7 @@ const successMocks = [
             variables: {
                 compte: {
                     solde: 1000.0,
+                    devise: 'EUR',
                     type: 'COURANT',
                 },
             },
@@ -37,6 +47,7 @@ const successMocks = [
                 saveCompte: {
                     id: '3',
                     solde: 1000.0,
+                    devise: 'EUR',
                     dateCreation: '2025-12-09',
                     type: 'COURANT',
                 },
@@ -55,7 +66,7 @@ const successMocks = [
     },
 ];
 
-// Mock pour les erreurs
+// Mock pour les erreurs : refus du serveur (une erreur réseau mettrait la création en attente)
 const errorMocks = [
     {
         request: {
@@ -63,102 +74,118 @@ const errorMocks = [
             variables: {
                 compte: {
                     solde: 1000.0,
+                    devise: 'EUR',
                     type: 'COURANT',
                 },
             },
         },
-        error: new Error('Erreur lors de la création'),
+        result: { errors: [new GraphQLError('Erreur lors de la création')] },
     },
 ];
 
 describe('CreateCompte Component', () => {
+    beforeEach(() => {
+        startSession({ token: 'jeton', expiresAt: null, user: { username: 'conseiller', nom: 'Conseiller', role: Role.CONSEILLER } });
+    });
+
+    afterEach(() => {
+        act(() => endSession(SessionEndReason.LOGOUT));
+    });
+
     /**
      * Test le rendu initial du formulaire
      */
     test('affiche le formulaire de création correctement', () => {
         render(
             <MockedProvider mocks={[]} addTypename={false}>
-                <CreateCompte />
+                <AuthProvider>
+                    <NotificationProvider>
+                        <CreateCompte />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
             </MockedProvider>
         );
 
         expect(screen.getByLabelText(/solde/i)).toBeInTheDocument();
-        expect(screen.getByLabelText(/type de compte/i)).toBeInTheDocument();
-        expect(screen.getByRole('button', { name: /créer compte/i })).toBeInTheDocument();
+        expect(screen.getByRole('radiogroup', { name: /type de compte/i })).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: /créer le compte/i })).toBeInTheDocument();
     });
 
     /**
      * Test la validation des champs (solde négatif)
      */
     test('valide le solde positif', async () => {
-        const alertMock = jest.spyOn(window, 'alert').mockImplementation(() => {});
-
         render(
             <MockedProvider mocks={[]} addTypename={false}>
-                <CreateCompte />
+                <AuthProvider>
+                    <NotificationProvider>
+                        <CreateCompte />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
             </MockedProvider>
         );
 
         const soldeInput = screen.getByLabelText(/solde/i);
-        const submitButton = screen.getByRole('button', { name: /créer compte/i });
+        const submitButton = screen.getByRole('button', { name: /créer le compte/i });
 
         fireEvent.change(soldeInput, { target: { value: '-100' } });
         fireEvent.click(submitButton);
 
-        expect(alertMock).toHaveBeenCalledWith('Veuillez entrer un solde valide');
-
-        alertMock.mockRestore();
+        expect(await screen.findByText('Veuillez entrer un solde valide')).toBeInTheDocument();
     });
 
     /**
      * Test la validation des champs (solde vide)
      */
     test('valide le solde non vide', async () => {
-        const alertMock = jest.spyOn(window, 'alert').mockImplementation(() => {});
-
         render(
             <MockedProvider mocks={[]} addTypename={false}>
-                <CreateCompte />
+                <AuthProvider>
+                    <NotificationProvider>
+                        <CreateCompte />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
             </MockedProvider>
         );
 
-        const submitButton = screen.getByRole('button', { name: /créer compte/i });
+        const submitButton = screen.getByRole('button', { name: /créer le compte/i });
 
         fireEvent.click(submitButton);
 
-        expect(alertMock).toHaveBeenCalledWith('Veuillez entrer un solde valide');
-
-        alertMock.mockRestore();
+        expect(await screen.findByText('Veuillez entrer un solde valide')).toBeInTheDocument();
     });
 
     /**
      * Test la création réussie d'un compte
      */
     test('crée un compte avec succès', async () => {
-        const alertMock = jest.spyOn(window, 'alert').mockImplementation(() => {});
-
         render(
             <MockedProvider mocks={successMocks} addTypename={false}>
-                <CreateCompte />
+                <AuthProvider>
+                    <NotificationProvider>
+                        <CreateCompte />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
             </MockedProvider>
         );
 
         const soldeInput = screen.getByLabelText(/solde/i);
-        const typeSelect = screen.getByLabelText(/type de compte/i);
-        const submitButton = screen.getByRole('button', { name: /créer compte/i });
+        const submitButton = screen.getByRole('button', { name: /créer le compte/i });
 
         fireEvent.change(soldeInput, { target: { value: '1000' } });
-        fireEvent.change(typeSelect, { target: { value: 'COURANT' } });
+        fireEvent.click(screen.getByRole('radio', { name: /courant/i }));
         fireEvent.click(submitButton);
 
         await waitFor(() => {
-            expect(alertMock).toHaveBeenCalledWith('Compte créé avec succès !');
+            expect(screen.getByText('Compte créé avec succès !')).toBeInTheDocument();
         });
 
         // Vérifier que le formulaire est réinitialisé
         expect(soldeInput.value).toBe('');
-
-        alertMock.mockRestore();
     });
 
     /**
@@ -167,18 +194,25 @@ describe('CreateCompte Component', () => {
     test('affiche les erreurs de création', async () => {
         render(
             <MockedProvider mocks={errorMocks} addTypename={false}>
-                <CreateCompte />
+                <AuthProvider>
+                    <NotificationProvider>
+                        <CreateCompte />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
             </MockedProvider>
         );
 
         const soldeInput = screen.getByLabelText(/solde/i);
-        const submitButton = screen.getByRole('button', { name: /créer compte/i });
+        const submitButton = screen.getByRole('button', { name: /créer le compte/i });
 
         fireEvent.change(soldeInput, { target: { value: '1000' } });
         fireEvent.click(submitButton);
 
         await waitFor(() => {
-            expect(screen.getByText('Erreur lors de la création du compte')).toBeInTheDocument();
+            expect(screen.getByText(
+                'Création annulée, la liste des comptes a été rétablie : Erreur lors de la création'
+            )).toBeInTheDocument();
         });
     });
 
@@ -188,18 +222,23 @@ describe('CreateCompte Component', () => {
     test('affiche l\'indicateur de chargement pendant la soumission', async () => {
         render(
             <MockedProvider mocks={successMocks} addTypename={false}>
-                <CreateCompte />
+                <AuthProvider>
+                    <NotificationProvider>
+                        <CreateCompte />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
             </MockedProvider>
         );
 
         const soldeInput = screen.getByLabelText(/solde/i);
-        const submitButton = screen.getByRole('button', { name: /créer compte/i });
+        const submitButton = screen.getByRole('button', { name: /créer le compte/i });
 
         fireEvent.change(soldeInput, { target: { value: '1000' } });
         fireEvent.click(submitButton);
 
         expect(submitButton).toBeDisabled();
-        expect(submitButton).toHaveTextContent('Création...');
+        expect(submitButton).toHaveTextContent('Création en cours...');
     });
 
     /**
@@ -208,14 +247,218 @@ describe('CreateCompte Component', () => {
     test('permet la sélection du type de compte', () => {
         render(
             <MockedProvider mocks={[]} addTypename={false}>
-                <CreateCompte />
+                <AuthProvider>
+                    <NotificationProvider>
+                        <CreateCompte />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
             </MockedProvider>
         );
 
-        const typeSelect = screen.getByLabelText(/type de compte/i);
+        const epargne = screen.getByRole('radio', { name: /épargne/i });
+
+        fireEvent.click(epargne);
+
+        expect(epargne).toBeChecked();
+        expect(screen.getByRole('radio', { name: /courant/i })).not.toBeChecked();
+    });
+
+    /**
+     * Test l'ajout du compte créé dans le cache sans nouvelle requête
+     */
+    test('ajoute le compte créé aux listes et au solde total en cache', async () => {
+        const cache = new InMemoryCache({ typePolicies });
+        cache.writeQuery({ query: GET_ALL_COMPTES, data: { allComptes: [] } });
+        cache.writeQuery({
+            query: GET_TOTAL_SOLDE,
+            data: {
+                totalSolde: {
+                    __typename: 'SoldeStats',
+                    count: 2,
+                    parDevise: [
+                        { __typename: 'SoldeDeviseStats', devise: 'EUR', count: 1, sum: 100.1 },
+                        { __typename: 'SoldeDeviseStats', devise: 'USD', count: 1, sum: 50 },
+                    ],
+                },
+            },
+        });
+        const mock = {
+            request: {
+                query: SAVE_COMPTE,
+                variables: { compte: { solde: 250, devise: 'EUR', type: 'EPARGNE' } },
+            },
+            result: {
+                data: {
+                    saveCompte: { __typename: 'Compte', id: '7', solde: 250, devise: 'EUR', dateCreation: '2025-12-09', type: 'EPARGNE' },
+                },
+            },
+        };
+
+        render(
+            <MockedProvider mocks={[mock]} cache={cache}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <CreateCompte />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        fireEvent.change(screen.getByPlaceholderText('Ex: 1000.00'), { target: { value: '250' } });
+        fireEvent.click(screen.getByDisplayValue('EPARGNE'));
+        fireEvent.click(screen.getByRole('button', { name: 'Créer le compte' }));
+
+        expect(await screen.findByText('Compte créé avec succès !')).toBeInTheDocument();
+        expect(cache.readQuery({ query: GET_ALL_COMPTES }).allComptes).toEqual([mock.result.data.saveCompte]);
+        // Seul le total de la devise du compte est modifié
+        expect(cache.readQuery({ query: GET_TOTAL_SOLDE }).totalSolde).toEqual(expect.objectContaining({
+            count: 3,
+            parDevise: [
+                expect.objectContaining({ devise: 'EUR', count: 2, sum: 350.1 }),
+                expect.objectContaining({ devise: 'USD', count: 1, sum: 50 }),
+            ],
+        }));
+    });
+
+    /**
+     * Test les messages d'erreur affichés sous le champ du solde
+     */
+    test('affiche sous le champ l\'erreur d\'un solde mal formé', () => {
+        render(
+            <MockedProvider mocks={[]} addTypename={false}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <CreateCompte />
+                    </NotificationProvider>
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        const soldeInput = screen.getByLabelText('Solde initial *');
+        const submitButton = screen.getByRole('button', { name: 'Créer le compte' });
+
+        fireEvent.change(soldeInput, { target: { value: '1e5' } });
+        fireEvent.click(submitButton);
+
+        expect(soldeInput).toHaveAttribute('aria-invalid', 'true');
+        expect(soldeInput).toHaveAccessibleDescription('Veuillez entrer un solde valide');
+        expect(soldeInput).toHaveFocus();
+
+        fireEvent.change(soldeInput, { target: { value: '12.345' } });
+        expect(soldeInput).toHaveAttribute('aria-invalid', 'false');
+
+        fireEvent.click(submitButton);
+        expect(soldeInput).toHaveAccessibleDescription('Le montant ne peut pas avoir plus de deux décimales');
+    });
+
+    /**
+     * Test la saisie d'un solde avec une virgule décimale
+     */
+    test('accepte la virgule comme séparateur décimal', async () => {
+        const mock = {
+            request: {
+                query: SAVE_COMPTE,
+                variables: { compte: { solde: 250.5, devise: 'EUR', type: 'COURANT' } },
+            },
+            result: {
+                data: {
+                    saveCompte: { id: '8', solde: 250.5, devise: 'EUR', dateCreation: '2025-12-09', type: 'COURANT' },
+                },
+            },
+        };
+
+        render(
+            <MockedProvider mocks={[mock]} addTypename={false}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <CreateCompte />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        fireEvent.change(screen.getByLabelText('Solde initial *'), { target: { value: '250,50' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Créer le compte' }));
+
+        expect(await screen.findByText('Compte créé avec succès !')).toBeInTheDocument();
+    });
+
+    /**
+     * Test l'absence d'annulation pour un profil sans droit de suppression
+     */
+    test('ne propose pas l\'annulation de la création à un conseiller', async () => {
+        render(
+            <MockedProvider mocks={successMocks} addTypename={false}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <CreateCompte />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        fireEvent.change(screen.getByLabelText('Solde initial *'), { target: { value: '1000' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Créer le compte' }));
+
+        expect(await screen.findByText('Compte créé avec succès !')).toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: 'Annuler' })).not.toBeInTheDocument();
+    });
+
+    /**
+     * Test l'annulation de la création par un superviseur
+     */
+    test('permet à un superviseur d\'annuler la création', async () => {
+        act(() => {
+            startSession({ token: 'jeton', expiresAt: null, user: { username: 'chef', nom: 'Chef', role: Role.SUPERVISEUR } });
+        });
+        const deleteMock = {
+            request: { query: DELETE_COMPTE, variables: { id: '3' } },
+            result: { data: { deleteCompte: true } },
+        };
+
+        render(
+            <MockedProvider mocks={[...successMocks, deleteMock]} addTypename={false}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <CreateCompte />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        fireEvent.change(screen.getByLabelText('Solde initial *'), { target: { value: '1000' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Créer le compte' }));
+        fireEvent.click(await screen.findByRole('button', { name: 'Annuler' }));
+
+        expect(await screen.findByText('Création du compte annulée')).toBeInTheDocument();
+    });
+
+    /**
+     * Test le montant maximal converti dans la devise du compte
+     */
+    test('applique le montant maximal dans la devise du compte', () => {
+        render(
+            <MockedProvider mocks={[]} addTypename={false}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <CreateCompte />
+                    </NotificationProvider>
+                </AuthProvider>
+            </MockedProvider>
+        );
 
-        fireEvent.change(typeSelect, { target: { value: 'EPARGNE' } });
+        const soldeInput = screen.getByLabelText('Solde initial *');
+        fireEvent.change(screen.getByLabelText('Devise *'), { target: { value: 'USD' } });
+        fireEvent.change(soldeInput, { target: { value: '1080000,01' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Créer le compte' }));
 
-        expect(typeSelect.value).toBe('EPARGNE');
+        expect(soldeInput).toHaveAttribute('aria-invalid', 'true');
+        expect(screen.getByText(/^Le montant ne peut pas dépasser/).textContent.replace(/\s/g, ' '))
+            .toBe('Le montant ne peut pas dépasser 1 080 000,00 $US');
     });
-});
\ No newline at end of file
+});
@@ -0,0 +1,176 @@
+import React, { useEffect, useId, useRef, useState } from "react";
+import { useMutation, useQuery } from "@apollo/client";
+import { DELETE_COMPTE } from "../services/graphql-mutations";
+import { GET_COMPTE_TRANSACTIONS } from "../services/graphql-queries";
+import { evictCompte } from "../services/cache-updates";
+import { useI18n } from "../contexts/I18nContext";
+import { getDevise } from "../services/money";
+
+/**
+ * Boîte de dialogue de confirmation de suppression d'un compte bancaire
+ *
+ * Ce composant affiche le récapitulatif du compte à supprimer (solde et nombre
+ * de transactions) et exécute la mutation DELETE_COMPTE après confirmation.
+ *
+ * Fonctionnalités :
+ * - Affichage du solde et du nombre de transactions du compte
+ * - Blocage de la suppression si le solde n'est pas nul, sauf forçage explicite
+ * - Retrait du compte et de ses transactions du cache Apollo et invalidation des totaux après succès
+ * - Affichage en ligne des refus et erreurs renvoyés par le backend
+ * - Fermeture par la touche Échap et focus maintenu dans la boîte de dialogue
+ *
+ * Le focus est placé sur la boîte de dialogue à l'ouverture, puis rendu à
+ * l'élément qui l'avait (le bouton de suppression) à la fermeture.
+ *
+ * @module components/DeleteCompteDialog
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @param {Object} props - Propriétés du composant
+ * @param {Object} props.compte - Compte à supprimer
+ * @param {Function} props.onClose - Callback appelé à la fermeture de la boîte de dialogue
+ * @param {Function} [props.onDeleted] - Callback appelé après une suppression réussie
+ * @returns {JSX.Element} Boîte de dialogue modale de suppression
+ */
+const DeleteCompteDialog = ({ compte, onClose, onDeleted }) => {
+    const [force, setForce] = useState(false);
+    const [refusal, setRefusal] = useState(null);
+    const { t, formatAmount } = useI18n();
+    const dialogRef = useRef(null);
+    const titleId = useId();
+
+    useEffect(() => {
+        const trigger = document.activeElement;
+        dialogRef.current?.focus();
+        return () => trigger?.focus?.();
+    }, []);
+
+    const { loading: transactionsLoading, data: transactionsData } = useQuery(GET_COMPTE_TRANSACTIONS, {
+        variables: { id: compte.id },
+    });
+
+    const [deleteCompte, { loading, error }] = useMutation(DELETE_COMPTE, {
+        update: (cache, { data }) => {
+            if (data?.deleteCompte !== false) {
+                evictCompte(cache, compte.id);
+            }
+        },
+    });
+
+    const hasSolde = compte.solde !== 0;
+    const transactionCount = transactionsData?.compteTransactions.length;
+    const canDelete = !loading && (!hasSolde || force);
+
+    const handleDelete = async () => {
+        setRefusal(null);
+
+        try {
+            const { data } = await deleteCompte({ variables: { id: compte.id } });
+
+            if (data?.deleteCompte === false) {
+                setRefusal(t('deleteCompte.refused'));
+                return;
+            }
+
+            onDeleted?.(compte);
+            onClose();
+        } catch (err) {
+            // L'erreur est affichée via l'état `error` de la mutation
+        }
+    };
+
+    /**
+     * Ferme la boîte de dialogue sur Échap et fait boucler Tab sur ses éléments
+     * @param {KeyboardEvent} e - Événement clavier
+     */
+    const handleKeyDown = (e) => {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            onClose();
+            return;
+        }
+        if (e.key !== 'Tab') return;
+
+        const focusable = Array.from(dialogRef.current.querySelectorAll('button:not([disabled]), input:not([disabled])'));
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && (document.activeElement === first || document.activeElement === dialogRef.current)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+            <div
+                ref={dialogRef}
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby={titleId}
+                tabIndex={-1}
+                onKeyDown={handleKeyDown}
+                className="w-full max-w-md rounded-xl bg-surface p-6 shadow-card space-y-4 focus:outline-none"
+            >
+                <h4 id={titleId} className="text-lg font-semibold text-slate-800">
+                    {t(`deleteCompte.title.${compte.type}`)}
+                </h4>
+                <p className="text-xs text-slate-500 font-mono break-all">{t('common.id', { id: compte.id })}</p>
+
+                <dl className="grid grid-cols-2 gap-3 text-sm">
+                    <div className="rounded-lg bg-slate-50 p-3">
+                        <dt className="text-slate-500">{t('deleteCompte.solde')}</dt>
+                        <dd className="font-semibold text-slate-800">{formatAmount(compte.solde, { devise: getDevise(compte) })}</dd>
+                    </div>
+                    <div className="rounded-lg bg-slate-50 p-3">
+                        <dt className="text-slate-500">{t('deleteCompte.transactions')}</dt>
+                        <dd className="font-semibold text-slate-800">
+                            {transactionsLoading ? '…' : transactionCount ?? '—'}
+                        </dd>
+                    </div>
+                </dl>
+
+                {hasSolde && (
+                    <div className="bg-orange-50 border border-orange-200 text-orange-800 px-4 py-3 rounded-lg text-sm space-y-2">
+                        <p>{t('deleteCompte.nonZero', { amount: formatAmount(compte.solde, { devise: getDevise(compte) }) })}</p>
+                        <label className="flex items-center space-x-2 rtl:space-x-reverse">
+                            <input
+                                type="checkbox"
+                                checked={force}
+                                onChange={(e) => setForce(e.target.checked)}
+                            />
+                            <span>{t('deleteCompte.force')}</span>
+                        </label>
+                    </div>
+                )}
+
+                {(refusal || error) && (
+                    <div role="alert" className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">
+                        {refusal || error.message}
+                    </div>
+                )}
+
+                <div className="flex justify-end space-x-3 rtl:space-x-reverse">
+                    <button type="button" onClick={onClose} className="btn-secondary">
+                        {t('common.cancel')}
+                    </button>
+                    <button
+                        type="button"
+                        onClick={handleDelete}
+                        disabled={!canDelete}
+                        className={`btn-primary bg-gradient-to-r from-red-500 to-red-600 ${
+                            canDelete ? '' : 'opacity-50 cursor-not-allowed'
+                        }`}
+                    >
+                        {loading ? t('deleteCompte.deleting') : t('deleteCompte.submit')}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default DeleteCompteDialog;
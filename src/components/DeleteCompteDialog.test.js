@@ -0,0 +1,200 @@
+import React, { useState } from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MockedProvider } from '@apollo/client/testing';
+import DeleteCompteDialog from './DeleteCompteDialog';
+import { DELETE_COMPTE } from '../services/graphql-mutations';
+import { GET_COMPTE_TRANSACTIONS } from '../services/graphql-queries';
+
+/**
+ * Tests pour le composant DeleteCompteDialog
+ *
+ * Ces tests vérifient le comportement de la boîte de dialogue de suppression :
+ * - Affichage du solde et du nombre de transactions
+ * - Blocage de la suppression d'un compte avec solde non nul
+ * - Suppression réussie
+ * - Affichage en ligne des refus du backend
+ * - Fermeture par Échap, focus dans la boîte de dialogue puis rendu au déclencheur
+ *
+ * @module components/DeleteCompteDialog.test
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+// Compte avec solde nul
+const compteVide = { id: '1', solde: 0, devise: 'EUR', dateCreation: '2025-01-15', type: 'COURANT' };
+
+// Compte avec solde non nul
+const compteAvecSolde = { id: '2', solde: 250.5, devise: 'EUR', dateCreation: '2025-02-20', type: 'EPARGNE' };
+
+// Mock de la requête des transactions d'un compte
+const transactionsMock = (id, count) => ({
+    request: {
+        query: GET_COMPTE_TRANSACTIONS,
+        variables: { id },
+    },
+    result: {
+        data: {
+            compteTransactions: Array.from({ length: count }, (_, i) => ({
+                id: `t${i}`,
+                type: 'DEPOT',
+                montant: 10,
+                date: '2025-03-01',
+                compte: { id, solde: 0, devise: 'EUR', type: 'COURANT' },
+            })),
+        },
+    },
+});
+
+// Mock de la mutation de suppression
+const deleteMock = (id, result) => ({
+    request: {
+        query: DELETE_COMPTE,
+        variables: { id },
+    },
+    ...result,
+});
+
+/**
+ * Bouton ouvrant la boîte de dialogue, comme dans la liste des comptes
+ * @param {Object} props - Propriétés du composant
+ * @param {Object} props.compte - Compte à supprimer
+ */
+const DialogTrigger = ({ compte }) => {
+    const [open, setOpen] = useState(false);
+
+    return (
+        <>
+            <button type="button" onClick={() => setOpen(true)}>Ouvrir</button>
+            {open && <DeleteCompteDialog compte={compte} onClose={() => setOpen(false)} />}
+        </>
+    );
+};
+
+describe('DeleteCompteDialog Component', () => {
+    /**
+     * Test l'affichage du récapitulatif du compte
+     */
+    test('affiche le solde et le nombre de transactions', async () => {
+        render(
+            <MockedProvider mocks={[transactionsMock('1', 3)]} addTypename={false}>
+                <DeleteCompteDialog compte={compteVide} onClose={() => {}} />
+            </MockedProvider>
+        );
+
+        expect(screen.getByRole('dialog')).toBeInTheDocument();
+        expect(screen.getByText('0,00 €')).toBeInTheDocument();
+        expect(await screen.findByText('3')).toBeInTheDocument();
+    });
+
+    /**
+     * Test le blocage de la suppression d'un compte avec solde non nul
+     */
+    test('bloque la suppression d\'un solde non nul sans forçage', async () => {
+        render(
+            <MockedProvider mocks={[transactionsMock('2', 0)]} addTypename={false}>
+                <DeleteCompteDialog compte={compteAvecSolde} onClose={() => {}} />
+            </MockedProvider>
+        );
+
+        const deleteButton = screen.getByRole('button', { name: 'Supprimer' });
+        expect(deleteButton).toBeDisabled();
+
+        fireEvent.click(screen.getByLabelText('Forcer la suppression'));
+
+        expect(deleteButton).toBeEnabled();
+        expect(await screen.findByText('0')).toBeInTheDocument();
+    });
+
+    /**
+     * Test la suppression réussie d'un compte
+     */
+    test('supprime le compte et ferme la boîte de dialogue', async () => {
+        const onClose = jest.fn();
+        const onDeleted = jest.fn();
+
+        render(
+            <MockedProvider
+                mocks={[transactionsMock('1', 0), deleteMock('1', { result: { data: { deleteCompte: true } } })]}
+                addTypename={false}
+            >
+                <DeleteCompteDialog compte={compteVide} onClose={onClose} onDeleted={onDeleted} />
+            </MockedProvider>
+        );
+
+        fireEvent.click(screen.getByRole('button', { name: 'Supprimer' }));
+
+        await waitFor(() => {
+            expect(onClose).toHaveBeenCalledTimes(1);
+        });
+        expect(onDeleted).toHaveBeenCalledWith(compteVide);
+    });
+
+    /**
+     * Test l'affichage en ligne d'un refus du backend
+     */
+    test('affiche le refus du serveur sans fermer la boîte de dialogue', async () => {
+        const onClose = jest.fn();
+
+        render(
+            <MockedProvider
+                mocks={[transactionsMock('1', 0), deleteMock('1', { result: { data: { deleteCompte: false } } })]}
+                addTypename={false}
+            >
+                <DeleteCompteDialog compte={compteVide} onClose={onClose} />
+            </MockedProvider>
+        );
+
+        fireEvent.click(screen.getByRole('button', { name: 'Supprimer' }));
+
+        expect(await screen.findByRole('alert')).toHaveTextContent('La suppression a été refusée par le serveur');
+        expect(onClose).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test l'affichage en ligne d'une erreur GraphQL
+     */
+    test('affiche l\'erreur renvoyée par le backend', async () => {
+        render(
+            <MockedProvider
+                mocks={[transactionsMock('1', 0), deleteMock('1', { error: new Error('Compte introuvable') })]}
+                addTypename={false}
+            >
+                <DeleteCompteDialog compte={compteVide} onClose={() => {}} />
+            </MockedProvider>
+        );
+
+        fireEvent.click(screen.getByRole('button', { name: 'Supprimer' }));
+
+        expect(await screen.findByRole('alert')).toHaveTextContent('Compte introuvable');
+    });
+
+    /**
+     * Test la navigation au clavier dans la boîte de dialogue
+     */
+    test('se ferme sur Échap et rend le focus au bouton qui l\'a ouverte', async () => {
+        render(
+            <MockedProvider mocks={[transactionsMock('1', 0)]} addTypename={false}>
+                <DialogTrigger compte={compteVide} />
+            </MockedProvider>
+        );
+
+        const trigger = screen.getByRole('button', { name: 'Ouvrir' });
+        trigger.focus();
+        fireEvent.click(trigger);
+
+        const dialog = screen.getByRole('dialog', { name: 'Supprimer le compte courant' });
+        expect(dialog).toHaveFocus();
+        expect(await screen.findByText('0')).toBeInTheDocument();
+
+        fireEvent.keyDown(dialog, { key: 'Tab', shiftKey: true });
+        expect(screen.getByRole('button', { name: 'Supprimer' })).toHaveFocus();
+        fireEvent.keyDown(dialog, { key: 'Tab' });
+        expect(screen.getByRole('button', { name: 'Annuler' })).toHaveFocus();
+
+        fireEvent.keyDown(screen.getByRole('button', { name: 'Annuler' }), { key: 'Escape' });
+
+        expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+        expect(trigger).toHaveFocus();
+    });
+});
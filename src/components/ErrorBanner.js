@@ -0,0 +1,78 @@
+import React, { useEffect, useState } from "react";
+import { useApolloClient } from "@apollo/client";
+import { subscribeToErrors } from "../services/error-handling";
+import { useI18n } from "../contexts/I18nContext";
+
+/**
+ * Bandeau d'erreur global de l'application
+ *
+ * Ce composant affiche la dernière erreur signalée par le lien d'erreur Apollo
+ * (voir clients/apollo-client). Lorsque l'erreur concerne des requêtes de lecture,
+ * le bouton « Réessayer » relance toutes les requêtes actives ; le bandeau se
+ * ferme si elles aboutissent.
+ *
+ * @module components/ErrorBanner
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @returns {JSX.Element|null} Bandeau d'erreur ou null si aucune erreur
+ */
+const ErrorBanner = () => {
+    const client = useApolloClient();
+    const [report, setReport] = useState(null);
+    const { t } = useI18n();
+
+    useEffect(() => subscribeToErrors(setReport), []);
+
+    if (!report) return null;
+
+    const handleRetry = async () => {
+        setReport(null);
+        try {
+            await client.refetchQueries({ include: 'active' });
+        } catch (err) {
+            // Une nouvelle erreur est signalée par le lien d'erreur et réaffiche le bandeau
+        }
+    };
+
+    return (
+        <div
+            role="alert"
+            className="mb-6 flex items-center justify-between bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg"
+        >
+            <div className="flex items-center">
+                <svg className="w-5 h-5 me-2 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+                    <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+                </svg>
+                <p className="text-sm">
+                    <span className="font-semibold">
+                        {t('errorBanner.title', { category: t(`errorBanner.${report.category}`) })}
+                    </span>
+                    {report.message}
+                </p>
+            </div>
+            <div className="flex items-center space-x-3 rtl:space-x-reverse ms-4">
+                {report.retryable && (
+                    <button
+                        type="button"
+                        onClick={handleRetry}
+                        className="text-sm font-semibold text-red-700 underline hover:no-underline"
+                    >
+                        {t('errorBanner.retry')}
+                    </button>
+                )}
+                <button
+                    type="button"
+                    onClick={() => setReport(null)}
+                    className="text-red-500 hover:text-red-700"
+                    aria-label={t('errorBanner.close')}
+                >
+                    ✕
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ErrorBanner;
@@ -0,0 +1,115 @@
+import React from 'react';
+import { act, render, screen, fireEvent } from '@testing-library/react';
+import { MockedProvider } from '@apollo/client/testing';
+import { ApolloError } from '@apollo/client';
+import ErrorBanner from './ErrorBanner';
+import { ErrorCategory, classifyError, getErrorMessage, reportError } from '../services/error-handling';
+
+/**
+ * Tests pour le bandeau d'erreur global et la classification des erreurs
+ *
+ * Ces tests vérifient :
+ * - L'affichage de l'erreur signalée par le lien d'erreur Apollo
+ * - L'action « Réessayer » réservée aux erreurs de lecture
+ * - La distinction entre erreurs réseau, de validation et métier
+ *
+ * @module components/ErrorBanner.test
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+const renderBanner = () =>
+    render(
+        <MockedProvider mocks={[]} addTypename={false}>
+            <ErrorBanner />
+        </MockedProvider>
+    );
+
+describe('ErrorBanner Component', () => {
+    /**
+     * Test l'absence de bandeau sans erreur
+     */
+    test('n\'affiche rien tant qu\'aucune erreur n\'est signalée', () => {
+        renderBanner();
+
+        expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+    });
+
+    /**
+     * Test l'affichage d'une erreur réseau avec nouvelle tentative
+     */
+    test('affiche une erreur de lecture avec le bouton Réessayer', () => {
+        renderBanner();
+
+        act(() => {
+            reportError({
+                category: ErrorCategory.NETWORK,
+                message: 'Le serveur est injoignable.',
+                operationName: 'GetAllComptes',
+                retryable: true,
+            });
+        });
+
+        expect(screen.getByRole('alert')).toHaveTextContent('Erreur réseau : Le serveur est injoignable.');
+
+        fireEvent.click(screen.getByRole('button', { name: 'Réessayer' }));
+
+        expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+    });
+
+    /**
+     * Test l'absence de nouvelle tentative pour une mutation
+     */
+    test('ne propose pas de nouvelle tentative pour une erreur non renouvelable', () => {
+        renderBanner();
+
+        act(() => {
+            reportError({
+                category: ErrorCategory.NETWORK,
+                message: 'Le serveur est injoignable.',
+                operationName: 'AddTransaction',
+                retryable: false,
+            });
+        });
+
+        expect(screen.queryByRole('button', { name: 'Réessayer' })).not.toBeInTheDocument();
+
+        fireEvent.click(screen.getByRole('button', { name: 'Fermer le message d\'erreur' }));
+
+        expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+    });
+});
+
+describe('classifyError', () => {
+    /**
+     * Test la classification d'une erreur réseau
+     */
+    test('reconnaît une erreur réseau', () => {
+        const error = new ApolloError({ networkError: new Error('Failed to fetch') });
+
+        expect(classifyError(error)).toBe(ErrorCategory.NETWORK);
+        expect(getErrorMessage(error)).toMatch(/serveur est injoignable/);
+    });
+
+    /**
+     * Test la classification d'une erreur de validation GraphQL
+     */
+    test('reconnaît une erreur de validation du schéma', () => {
+        const error = new ApolloError({
+            graphQLErrors: [{ message: 'Validation error', extensions: { classification: 'ValidationError' } }],
+        });
+
+        expect(classifyError(error)).toBe(ErrorCategory.VALIDATION);
+    });
+
+    /**
+     * Test la classification d'un refus métier
+     */
+    test('reconnaît un refus métier et conserve le message du backend', () => {
+        const error = new ApolloError({ graphQLErrors: [{ message: 'Solde insuffisant' }] });
+
+        expect(classifyError(error)).toBe(ErrorCategory.BUSINESS);
+        expect(getErrorMessage(error)).toBe('Solde insuffisant');
+    });
+});
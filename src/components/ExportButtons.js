@@ -0,0 +1,44 @@
+import React from "react";
+import { ExportFormat, exportRows } from "../services/export";
+import { useI18n } from "../contexts/I18nContext";
+
+/**
+ * Boutons d'export CSV et JSON d'une liste de données
+ *
+ * Les lignes sont calculées au moment du clic via `getRows`, ce qui garantit
+ * que l'export reflète exactement les données actuellement filtrées.
+ *
+ * @module components/ExportButtons
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @param {Object} props - Propriétés du composant
+ * @param {string} props.basename - Nom du fichier exporté, sans date ni extension
+ * @param {Array<{key: string, label: string, type: string}>} props.columns - Colonnes exportées
+ * @param {Function} props.getRows - Fonction renvoyant les lignes à exporter
+ * @param {boolean} [props.disabled=false] - Désactive les boutons (liste vide)
+ * @returns {JSX.Element} Groupe de boutons d'export
+ */
+const ExportButtons = ({ basename, columns, getRows, disabled = false }) => {
+    const { t } = useI18n();
+
+    return (
+        <div className="flex items-center space-x-1 rtl:space-x-reverse" role="group" aria-label={t('exportButtons.group')}>
+            {[ExportFormat.CSV, ExportFormat.JSON].map((format) => (
+                <button
+                    key={format}
+                    type="button"
+                    onClick={() => exportRows(format, basename, columns, getRows())}
+                    disabled={disabled}
+                    className="px-2 py-1 rounded-lg border border-slate-300 text-xs font-semibold text-slate-600 hover:bg-slate-100 disabled:opacity-50 disabled:cursor-not-allowed"
+                    title={t('exportButtons.title', { format: format.toUpperCase() })}
+                >
+                    {format.toUpperCase()}
+                </button>
+            ))}
+        </div>
+    );
+};
+
+export default ExportButtons;
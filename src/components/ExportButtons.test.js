@@ -0,0 +1,140 @@
+import React from 'react';
+import { act, render, screen, fireEvent } from '@testing-library/react';
+import ExportButtons from './ExportButtons';
+
+/**
+ * Tests pour le composant ExportButtons
+ *
+ * Ces tests vérifient le contenu des fichiers générés côté client :
+ * - CSV au format français (point-virgule, virgule décimale)
+ * - Neutralisation des formules dans le CSV
+ * - JSON limité aux colonnes exportées
+ * - Désactivation quand la liste est vide
+ * - Révocation de l'URL du fichier après le téléchargement
+ *
+ * @module components/ExportButtons.test
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+// Colonnes et lignes de test
+const columns = [
+    { key: 'id', label: 'ID', type: 'text' },
+    { key: 'type', label: 'Type', type: 'text' },
+    { key: 'montant', label: 'Montant', type: 'number' },
+];
+
+const rows = [
+    { id: '1', type: 'DEPOT', montant: 1500.5, ignored: true },
+    { id: '2', type: 'RETRAIT; "urgent"', montant: -20 },
+];
+
+/**
+ * Lit le contenu texte d'un Blob
+ * @param {Blob} blob - Blob à lire
+ * @returns {Promise<string>} Contenu du Blob
+ */
+const readBlob = (blob) =>
+    new Promise((resolve) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(blob);
+    });
+
+describe('ExportButtons Component', () => {
+    let createdBlobs;
+
+    beforeEach(() => {
+        createdBlobs = [];
+        URL.createObjectURL = jest.fn((blob) => {
+            createdBlobs.push(blob);
+            return 'blob:export';
+        });
+        URL.revokeObjectURL = jest.fn();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    /**
+     * Test l'export CSV
+     */
+    test('génère un CSV au format français', async () => {
+        render(<ExportButtons basename="transactions" columns={columns} getRows={() => rows} />);
+
+        fireEvent.click(screen.getByRole('button', { name: 'CSV' }));
+
+        expect(createdBlobs).toHaveLength(1);
+        const content = await readBlob(createdBlobs[0]);
+        expect(content.replace(/^\uFEFF/, '').split('\r\n')).toEqual([
+            'ID;Type;Montant',
+            '1;DEPOT;1500,50',
+            '2;"RETRAIT; ""urgent""";-20,00',
+        ]);
+    });
+
+    /**
+     * Test la neutralisation des textes interprétables comme des formules
+     */
+    test('préfixe d\'une apostrophe les textes interprétables comme des formules', async () => {
+        const formulas = [
+            { id: '=HYPERLINK("http://exemple.test";"x")', type: '+DEPOT', montant: -5 },
+            { id: '-1', type: '@SUM(A1)', montant: 0 },
+        ];
+        render(<ExportButtons basename="transactions" columns={columns} getRows={() => formulas} />);
+
+        fireEvent.click(screen.getByRole('button', { name: 'CSV' }));
+
+        const content = await readBlob(createdBlobs[0]);
+        expect(content.replace(/^\uFEFF/, '').split('\r\n')).toEqual([
+            'ID;Type;Montant',
+            '"\'=HYPERLINK(""http://exemple.test"";""x"")";\'+DEPOT;-5,00',
+            '\'-1;\'@SUM(A1);0,00',
+        ]);
+    });
+
+    /**
+     * Test l'export JSON
+     */
+    test('génère un JSON limité aux colonnes exportées', async () => {
+        render(<ExportButtons basename="transactions" columns={columns} getRows={() => rows} />);
+
+        fireEvent.click(screen.getByRole('button', { name: 'JSON' }));
+
+        const content = JSON.parse(await readBlob(createdBlobs[0]));
+        expect(content).toEqual([
+            { id: '1', type: 'DEPOT', montant: 1500.5 },
+            { id: '2', type: 'RETRAIT; "urgent"', montant: -20 },
+        ]);
+    });
+
+    /**
+     * Test la désactivation des boutons
+     */
+    test('désactive les boutons quand il n\'y a rien à exporter', () => {
+        render(<ExportButtons basename="comptes" columns={columns} getRows={() => []} disabled />);
+
+        expect(screen.getByRole('button', { name: 'CSV' })).toBeDisabled();
+        expect(screen.getByRole('button', { name: 'JSON' })).toBeDisabled();
+    });
+
+    /**
+     * Test la révocation différée de l'URL du fichier
+     */
+    test('révoque l\'URL du fichier une fois le téléchargement lancé', () => {
+        jest.useFakeTimers();
+        render(<ExportButtons basename="transactions" columns={columns} getRows={() => rows} />);
+
+        fireEvent.click(screen.getByRole('button', { name: 'CSV' }));
+        expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+        expect(screen.getByRole('link')).toHaveAttribute('href', 'blob:export');
+
+        act(() => {
+            jest.runOnlyPendingTimers();
+        });
+        expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:export');
+        expect(screen.queryByRole('link')).not.toBeInTheDocument();
+    });
+});
@@ -0,0 +1,29 @@
+import React from "react";
+
+/**
+ * Message d'erreur affiché sous un champ de formulaire invalide
+ *
+ * Le champ concerné référence ce message par aria-describedby et porte
+ * aria-invalid, afin que les lecteurs d'écran annoncent l'erreur avec lui.
+ *
+ * @module components/FieldError
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @param {Object} props - Propriétés du composant
+ * @param {string} props.id - Identifiant référencé par l'attribut aria-describedby du champ
+ * @param {string} [props.message] - Message d'erreur ; rien n'est affiché sans message
+ * @returns {JSX.Element|null} Message d'erreur
+ */
+const FieldError = ({ id, message }) => {
+    if (!message) return null;
+
+    return (
+        <p id={id} className="mt-2 text-sm text-red-600">
+            {message}
+        </p>
+    );
+};
+
+export default FieldError;
@@ -0,0 +1,117 @@
+import React from "react";
+import ChartFigure from "./ChartFigure";
+import { useI18n } from "../contexts/I18nContext";
+import { Periodicite, getValueDomain } from "../services/chart-data";
+
+/**
+ * Dimensions du repère SVG (le graphique occupe toute la largeur disponible)
+ * @constant {Object}
+ */
+const VIEWBOX = { width: 600, height: 200 };
+
+/**
+ * Composant React comparant les dépôts et les retraits par période
+ *
+ * Chaque période (jour, semaine ou mois) est représentée par une barre de
+ * dépôts et une barre de retraits côte à côte, à la même échelle. L'axe du
+ * temps se lit de gauche à droite quel que soit le sens d'écriture.
+ *
+ * @module components/FlowChart
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @param {Object} props - Propriétés du composant
+ * @param {Array<{date: string, depots: number, retraits: number}>} props.series - Totaux par période (voir computeFlowSeries)
+ * @param {string} props.periodicite - Regroupement des périodes (voir Periodicite)
+ * @param {string} props.devise - Devise des montants
+ * @returns {JSX.Element} Graphique en barres des dépôts et retraits
+ */
+const FlowChart = ({ series, periodicite, devise }) => {
+    const { t, formatAmount, formatDate } = useI18n();
+
+    const { max } = getValueDomain(series.flatMap(({ depots, retraits }) => [depots, retraits]));
+    const slot = VIEWBOX.width / series.length;
+    const barWidth = slot * 0.35;
+    const height = (amount) => (amount / max) * VIEWBOX.height;
+
+    const formatPeriod = (date) => {
+        if (periodicite === Periodicite.MOIS) return formatDate(date, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+        const day = formatDate(date, { dateStyle: 'short', timeZone: 'UTC' });
+        return periodicite === Periodicite.SEMAINE ? t('charts.week', { date: day }) : day;
+    };
+
+    const columns = [
+        { key: 'periode', label: t('charts.columns.periode') },
+        { key: 'depots', label: t('charts.columns.depots'), numeric: true },
+        { key: 'retraits', label: t('charts.columns.retraits'), numeric: true },
+    ];
+    const rows = series.map(({ date, depots, retraits }) => ({
+        periode: formatPeriod(date),
+        depots: formatAmount(depots, { devise }),
+        retraits: formatAmount(retraits, { devise }),
+    }));
+
+    const legend = (
+        <ul className="flex flex-wrap gap-4 text-xs text-slate-600">
+            <li className="flex items-center gap-2">
+                <span className="inline-block w-3 h-3 rounded-sm bg-depot" aria-hidden="true"></span>
+                {t('charts.columns.depots')}
+            </li>
+            <li className="flex items-center gap-2">
+                <span className="inline-block w-3 h-3 rounded-sm bg-retrait" aria-hidden="true"></span>
+                {t('charts.columns.retraits')}
+            </li>
+        </ul>
+    );
+
+    return (
+        <ChartFigure
+            title={t('charts.flows.title')}
+            summary={t('charts.flows.summary', { count: series.length })}
+            columns={columns}
+            rows={rows}
+            legend={legend}
+        >
+            <div dir="ltr" className="flex gap-2 text-xs text-slate-500">
+                <div className="flex flex-col justify-between text-end" aria-hidden="true">
+                    <span>{formatAmount(max, { devise })}</span>
+                    <span>{formatAmount(0, { devise })}</span>
+                </div>
+                <div className="flex-1">
+                    <svg
+                        viewBox={`0 0 ${VIEWBOX.width} ${VIEWBOX.height}`}
+                        preserveAspectRatio="none"
+                        className="w-full h-48 border-b border-s border-slate-300"
+                        aria-hidden="true"
+                    >
+                        {series.map(({ date, depots, retraits }, index) => (
+                            <g key={date}>
+                                <rect
+                                    x={index * slot + slot * 0.15}
+                                    y={VIEWBOX.height - height(depots)}
+                                    width={barWidth}
+                                    height={height(depots)}
+                                    className="fill-depot"
+                                />
+                                <rect
+                                    x={index * slot + slot * 0.5}
+                                    y={VIEWBOX.height - height(retraits)}
+                                    width={barWidth}
+                                    height={height(retraits)}
+                                    className="fill-retrait"
+                                />
+                            </g>
+                        ))}
+                    </svg>
+                    <div className="flex justify-between mt-1" aria-hidden="true">
+                        <span>{formatPeriod(series[0].date)}</span>
+                        <span>{formatPeriod(series[series.length - 1].date)}</span>
+                    </div>
+                </div>
+            </div>
+        </ChartFigure>
+    );
+};
+
+export default FlowChart;
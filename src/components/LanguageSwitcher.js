@@ -0,0 +1,37 @@
+import React from "react";
+import { useI18n } from "../contexts/I18nContext";
+import { LOCALES } from "../services/i18n";
+
+/**
+ * Sélecteur de la langue de l'application affiché dans l'en-tête
+ *
+ * Chaque langue est proposée sous son propre nom, afin qu'un utilisateur
+ * puisse retrouver la sienne quelle que soit la langue affichée.
+ *
+ * @module components/LanguageSwitcher
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @returns {JSX.Element} Liste déroulante des langues
+ */
+const LanguageSwitcher = () => {
+    const { locale, setLocale, t } = useI18n();
+
+    return (
+        <select
+            value={locale}
+            onChange={(e) => setLocale(e.target.value)}
+            aria-label={t('language.label')}
+            className="px-2 py-1 border border-slate-300 rounded-lg text-sm text-slate-700 bg-surface focus:outline-none focus:ring-2 focus:ring-accent"
+        >
+            {Object.entries(LOCALES).map(([code, { label }]) => (
+                <option key={code} value={code} lang={code}>
+                    {label}
+                </option>
+            ))}
+        </select>
+    );
+};
+
+export default LanguageSwitcher;
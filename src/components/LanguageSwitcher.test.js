@@ -0,0 +1,110 @@
+import React from 'react';
+import { act, render, screen, fireEvent } from '@testing-library/react';
+import { MockedProvider } from '@apollo/client/testing';
+import LanguageSwitcher from './LanguageSwitcher';
+import CompteList from './CompteList';
+import { AuthProvider } from '../contexts/AuthContext';
+import { I18nProvider } from '../contexts/I18nContext';
+import { GET_ALL_COMPTES } from '../services/graphql-queries';
+import { LOCALE_STORAGE_KEY, setLocale } from '../services/i18n';
+import { SessionEndReason, endSession, startSession } from '../services/auth-session';
+import { Role } from '../services/type-definitions';
+
+/**
+ * Tests pour le sélecteur de langue
+ *
+ * Ces tests vérifient que le changement de langue :
+ * - Traduit les composants affichés, accords du pluriel compris
+ * - Formate les montants selon la langue choisie
+ * - Met à jour la langue et le sens d'écriture du document (arabe de droite à gauche)
+ * - Est conservé dans le localStorage
+ *
+ * @module components/LanguageSwitcher.test
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+// Mock pour la liste des comptes
+const mocks = [
+    {
+        request: {
+            query: GET_ALL_COMPTES,
+        },
+        result: {
+            data: {
+                allComptes: [
+                    { id: '1', solde: 1500.50, devise: 'EUR', dateCreation: '2025-01-15', type: 'COURANT' },
+                    { id: '2', solde: 5000.00, devise: 'EUR', dateCreation: '2025-02-20', type: 'EPARGNE' },
+                ],
+            },
+        },
+    },
+];
+
+const renderWithSwitcher = () =>
+    render(
+        <I18nProvider>
+            <MockedProvider mocks={mocks} addTypename={false}>
+                <AuthProvider>
+                    <LanguageSwitcher />
+                    <CompteList />
+                </AuthProvider>
+            </MockedProvider>
+        </I18nProvider>
+    );
+
+describe('LanguageSwitcher Component', () => {
+    beforeEach(() => {
+        startSession({ token: 'jeton', expiresAt: null, user: { username: 'conseiller', nom: 'Conseiller', role: Role.CONSEILLER } });
+    });
+
+    afterEach(() => {
+        act(() => {
+            setLocale('fr');
+            endSession(SessionEndReason.LOGOUT);
+        });
+    });
+
+    /**
+     * Test l'affichage en français par défaut
+     */
+    test('affiche l\'interface en français par défaut', async () => {
+        renderWithSwitcher();
+
+        expect(await screen.findByText('Total: 2 comptes')).toBeInTheDocument();
+        expect(screen.getByRole('combobox', { name: 'Langue' })).toHaveValue('fr');
+        expect(document.documentElement).toHaveAttribute('lang', 'fr');
+        expect(document.documentElement).toHaveAttribute('dir', 'ltr');
+    });
+
+    /**
+     * Test le passage à l'anglais
+     */
+    test('traduit l\'interface et les montants en anglais', async () => {
+        renderWithSwitcher();
+        await screen.findByText('Total: 2 comptes');
+
+        fireEvent.change(screen.getByRole('combobox', { name: 'Langue' }), { target: { value: 'en' } });
+
+        expect(screen.getByText('Total: 2 accounts')).toBeInTheDocument();
+        expect(screen.getAllByText('€1,500.50')).toHaveLength(2); // Sous-total et carte du compte
+        expect(screen.getByRole('combobox', { name: 'Language' })).toHaveValue('en');
+        expect(document.documentElement).toHaveAttribute('lang', 'en');
+        expect(localStorage.getItem(LOCALE_STORAGE_KEY)).toBe('en');
+    });
+
+    /**
+     * Test le passage à l'arabe et la mise en page de droite à gauche
+     */
+    test('passe en arabe avec une mise en page de droite à gauche', async () => {
+        renderWithSwitcher();
+        await screen.findByText('Total: 2 comptes');
+
+        fireEvent.change(screen.getByRole('combobox', { name: 'Langue' }), { target: { value: 'ar' } });
+
+        expect(screen.getByText('المجموع: حسابان')).toBeInTheDocument(); // Forme du duel
+        expect(document.documentElement).toHaveAttribute('lang', 'ar');
+        expect(document.documentElement).toHaveAttribute('dir', 'rtl');
+    });
+});
@@ -0,0 +1,98 @@
+import React, { useEffect, useState } from "react";
+import { useApolloClient, useSubscription } from "@apollo/client";
+import { COMPTE_CHANGED, TRANSACTION_CREATED } from "../services/graphql-subscriptions";
+import { addCompteToLists, addTransactionToLists, invalidateTotals } from "../services/cache-updates";
+import { isRealtimeAvailable, subscribeToRealtime } from "../services/realtime-status";
+import { getSession, subscribeToSession } from "../services/auth-session";
+import { useI18n } from "../contexts/I18nContext";
+
+/**
+ * Intervalle d'actualisation des données lorsque le temps réel est indisponible, en millisecondes
+ * @constant {number}
+ */
+export const POLLING_INTERVAL = 15000;
+
+/**
+ * Mises à jour en temps réel des comptes et transactions
+ *
+ * Ce composant s'abonne aux créations de transactions et aux modifications de
+ * comptes effectuées par les autres utilisateurs :
+ * - Les nouveaux éléments sont ajoutés aux listes en cache
+ * - Les nouveaux soldes sont normalisés automatiquement par Apollo Client
+ * - Les totaux et statistiques sont invalidés, puis relus depuis le serveur s'ils sont affichés
+ *
+ * Tant que la connexion WebSocket est interrompue, ou si le serveur ne
+ * propose pas les abonnements, les requêtes affichées sont actualisées
+ * toutes les POLLING_INTERVAL millisecondes. Le mode courant est indiqué
+ * dans l'en-tête.
+ *
+ * Les abonnements ne sont ouverts que pendant une session : ils sont relancés
+ * à chaque connexion pour être authentifiés avec le nouveau jeton.
+ *
+ * @module components/LiveUpdates
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @returns {JSX.Element} Indicateur du mode de mise à jour
+ */
+const LiveUpdates = () => {
+    const client = useApolloClient();
+    const [realtime, setRealtime] = useState(isRealtimeAvailable);
+    const [subscriptionFailed, setSubscriptionFailed] = useState(false);
+    const [signedIn, setSignedIn] = useState(() => Boolean(getSession()));
+    const { t } = useI18n();
+
+    useEffect(() => subscribeToRealtime(setRealtime), []);
+
+    useEffect(() => subscribeToSession((session) => {
+        setSignedIn(Boolean(session));
+        setSubscriptionFailed(false);
+    }), []);
+
+    useSubscription(TRANSACTION_CREATED, {
+        skip: !signedIn,
+        onData: ({ client: { cache }, data }) => {
+            addTransactionToLists(cache, data.data.transactionCreated);
+            invalidateTotals(cache);
+        },
+        onError: () => setSubscriptionFailed(true),
+    });
+
+    useSubscription(COMPTE_CHANGED, {
+        skip: !signedIn,
+        onData: ({ client: { cache }, data }) => {
+            addCompteToLists(cache, data.data.compteChanged);
+            invalidateTotals(cache);
+        },
+        onError: () => setSubscriptionFailed(true),
+    });
+
+    const live = realtime && !subscriptionFailed;
+
+    useEffect(() => {
+        if (live) return undefined;
+
+        const interval = setInterval(async () => {
+            try {
+                await client.refetchQueries({ include: 'active' });
+            } catch (err) {
+                // Les requêtes en échec sont signalées par le bandeau d'erreur global
+            }
+        }, POLLING_INTERVAL);
+        return () => clearInterval(interval);
+    }, [live, client]);
+
+    return (
+        <span
+            className={`text-xs font-semibold ${live ? 'text-green-700' : 'text-slate-500'}`}
+            title={live
+                ? t('liveUpdates.liveTitle')
+                : t('liveUpdates.pollingTitle', { seconds: POLLING_INTERVAL / 1000 })}
+        >
+            {live ? t('liveUpdates.live') : t('liveUpdates.polling')}
+        </span>
+    );
+};
+
+export default LiveUpdates;
@@ -0,0 +1,207 @@
+import React from 'react';
+import { act, render, screen, waitFor } from '@testing-library/react';
+import { MockedProvider } from '@apollo/client/testing';
+import { InMemoryCache } from '@apollo/client';
+import LiveUpdates from './LiveUpdates';
+import StatsPanel from './StatsPanel';
+import { COMPTE_CHANGED, TRANSACTION_CREATED } from '../services/graphql-subscriptions';
+import {
+    GET_ALL_COMPTES,
+    GET_ALL_TRANSACTIONS,
+    GET_TOTAL_SOLDE,
+    GET_TRANSACTION_STATS,
+} from '../services/graphql-queries';
+import { setRealtimeAvailable } from '../services/realtime-status';
+import { typePolicies } from '../clients/apollo-cache';
+import { SessionEndReason, endSession, startSession } from '../services/auth-session';
+
+/**
+ * Tests pour les mises à jour en temps réel
+ *
+ * Ces tests vérifient :
+ * - La fusion des transactions et comptes reçus par abonnement dans le cache
+ * - La relecture des totaux affichés après un événement
+ * - Le basculement sur l'actualisation périodique quand le temps réel est indisponible
+ *
+ * @module components/LiveUpdates.test
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+const compte = { __typename: 'Compte', id: '1', solde: 1000, devise: 'EUR', dateCreation: '2025-01-15', type: 'COURANT' };
+
+// Transaction créée par un autre utilisateur
+const transactionMock = {
+    request: {
+        query: TRANSACTION_CREATED,
+    },
+    result: {
+        data: {
+            transactionCreated: {
+                __typename: 'Transaction',
+                id: '42',
+                type: 'DEPOT',
+                montant: 200,
+                date: '2025-12-09',
+                compte: { __typename: 'Compte', id: '1', solde: 1200, devise: 'EUR', type: 'COURANT' },
+            },
+        },
+    },
+};
+
+// Compte créé par un autre utilisateur
+const compteMock = {
+    request: {
+        query: COMPTE_CHANGED,
+    },
+    result: {
+        data: {
+            compteChanged: { __typename: 'Compte', id: '2', solde: 50, devise: 'EUR', dateCreation: '2025-12-09', type: 'EPARGNE' },
+        },
+    },
+};
+
+/**
+ * Construit les mocks des totaux avant et après les événements reçus
+ * @returns {Object[]} Mocks de GET_TOTAL_SOLDE et GET_TRANSACTION_STATS
+ */
+const totalsMocks = () => {
+    const totals = (count, sum, transactions) => [
+        {
+            request: { query: GET_TOTAL_SOLDE },
+            result: {
+                data: {
+                    totalSolde: {
+                        __typename: 'SoldeStats',
+                        count,
+                        parDevise: [{ __typename: 'SoldeDeviseStats', devise: 'EUR', count, sum }],
+                    },
+                },
+            },
+        },
+        {
+            request: { query: GET_TRANSACTION_STATS },
+            result: {
+                data: {
+                    transactionStats: {
+                        __typename: 'TransactionStats',
+                        count: transactions.length,
+                        parDevise: transactions.map((sumDepots) => ({
+                            __typename: 'TransactionDeviseStats',
+                            devise: 'EUR',
+                            count: 1,
+                            sumDepots,
+                            sumRetraits: 0,
+                        })),
+                    },
+                },
+            },
+        },
+    ];
+    // Les totaux peuvent être relus une fois par événement reçu
+    return [...totals(1, 1000, []), ...totals(2, 1250, [200]), ...totals(2, 1250, [200])];
+};
+
+/**
+ * Crée un cache normalisé contenant un compte et aucune transaction
+ * @returns {InMemoryCache} Cache prérempli
+ */
+const createFilledCache = () => {
+    const cache = new InMemoryCache({ typePolicies });
+    cache.writeQuery({ query: GET_ALL_COMPTES, data: { allComptes: [compte] } });
+    cache.writeQuery({ query: GET_ALL_TRANSACTIONS, data: { allTransactions: [] } });
+    return cache;
+};
+
+describe('LiveUpdates Component', () => {
+    beforeEach(() => {
+        startSession({ token: 'jeton', expiresAt: null, user: { username: 'conseiller', nom: 'Conseiller', role: 'CONSEILLER' } });
+    });
+
+    afterEach(() => {
+        act(() => {
+            setRealtimeAvailable(false);
+            endSession(SessionEndReason.LOGOUT);
+        });
+    });
+
+    /**
+     * Test la fusion des événements reçus dans le cache
+     */
+    test('ajoute les transactions et comptes reçus aux listes et met à jour le solde', async () => {
+        const cache = createFilledCache();
+
+        render(
+            <MockedProvider mocks={[transactionMock, compteMock]} cache={cache}>
+                <LiveUpdates />
+            </MockedProvider>
+        );
+
+        await waitFor(() => {
+            expect(cache.readQuery({ query: GET_ALL_TRANSACTIONS }).allTransactions).toHaveLength(1);
+        });
+        await waitFor(() => {
+            expect(cache.readQuery({ query: GET_ALL_COMPTES }).allComptes.map((item) => item.id)).toEqual(['1', '2']);
+        });
+        expect(cache.readQuery({ query: GET_ALL_COMPTES }).allComptes[0].solde).toBe(1200);
+    });
+
+    /**
+     * Test la relecture des totaux affichés
+     */
+    test('relit les totaux affichés après un événement reçu', async () => {
+        // Les événements sont reçus une fois les totaux affichés
+        const events = [transactionMock, compteMock].map((mock) => ({ ...mock, delay: 50 }));
+
+        render(
+            <MockedProvider mocks={[...totalsMocks(), ...events]} cache={createFilledCache()}>
+                <>
+                    <LiveUpdates />
+                    <StatsPanel />
+                </>
+            </MockedProvider>
+        );
+
+        expect(await screen.findByText('1 250,00 €')).toBeInTheDocument();
+        expect(await screen.findAllByText('+200,00 €')).toHaveLength(2); // Dépôts et flux net
+    });
+
+    /**
+     * Test l'indicateur du mode temps réel
+     */
+    test('indique le temps réel lorsque la connexion WebSocket est établie', () => {
+        render(
+            <MockedProvider mocks={[transactionMock, compteMock]} cache={createFilledCache()}>
+                <LiveUpdates />
+            </MockedProvider>
+        );
+
+        expect(screen.getByText('⟳ Actualisation périodique')).toBeInTheDocument();
+
+        act(() => setRealtimeAvailable(true));
+
+        expect(screen.getByText('⚡ Temps réel')).toBeInTheDocument();
+    });
+
+    /**
+     * Test le basculement sur l'actualisation périodique
+     */
+    test('bascule sur l\'actualisation périodique si le serveur refuse les abonnements', async () => {
+        act(() => setRealtimeAvailable(true));
+
+        render(
+            <MockedProvider
+                mocks={[
+                    { ...transactionMock, result: undefined, error: new Error('Subscription non supportée') },
+                    compteMock,
+                ]}
+                cache={createFilledCache()}
+            >
+                <LiveUpdates />
+            </MockedProvider>
+        );
+
+        expect(await screen.findByText('⟳ Actualisation périodique')).toBeInTheDocument();
+    });
+});
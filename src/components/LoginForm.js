@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { ErrorCategory, classifyError, getErrorMessage } from '../services/error-handling';
+import { useI18n } from '../contexts/I18nContext';
+
+/**
+ * Composant React de connexion à l'application
+ *
+ * Ce composant authentifie l'utilisateur via la mutation `login` du contexte
+ * d'authentification. Une fois la session ouverte, la page de connexion
+ * redirige vers la page demandée initialement.
+ *
+ * Fonctionnalités :
+ * - Saisie de l'identifiant et du mot de passe
+ * - Message explicite lorsque la session précédente a expiré
+ * - Distinction entre identifiants refusés et serveur injoignable
+ *
+ * @module components/LoginForm
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @returns {JSX.Element} Formulaire de connexion
+ */
+const LoginForm = () => {
+    const { login, sessionExpired } = useAuth();
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const { t } = useI18n();
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError('');
+
+        try {
+            await login(username.trim(), password);
+        } catch (err) {
+            setPassword('');
+            setError(classifyError(err) === ErrorCategory.AUTHENTICATION
+                ? t('loginForm.badCredentials')
+                : getErrorMessage(err));
+            setLoading(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-6">
+            {sessionExpired && !error && (
+                <div role="status" className="bg-orange-50 border border-orange-200 text-orange-800 px-4 py-3 rounded-lg text-sm">
+                    {t('loginForm.sessionExpired')}
+                </div>
+            )}
+
+            <div>
+                <label htmlFor="login-username" className="block text-sm font-semibold text-slate-700 mb-3">
+                    {t('loginForm.username')}
+                </label>
+                <input
+                    id="login-username"
+                    type="text"
+                    autoComplete="username"
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                    className="form-input w-full px-4 py-3 rounded-lg border-slate-300 focus:border-accent focus:ring-accent"
+                    required
+                />
+            </div>
+
+            <div>
+                <label htmlFor="login-password" className="block text-sm font-semibold text-slate-700 mb-3">
+                    {t('loginForm.password')}
+                </label>
+                <input
+                    id="login-password"
+                    type="password"
+                    autoComplete="current-password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="form-input w-full px-4 py-3 rounded-lg border-slate-300 focus:border-accent focus:ring-accent"
+                    required
+                />
+            </div>
+
+            {error && (
+                <div role="alert" className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">
+                    {error}
+                </div>
+            )}
+
+            <button
+                type="submit"
+                disabled={loading}
+                className={`w-full btn-primary flex items-center justify-center space-x-2 rtl:space-x-reverse ${
+                    loading ? 'opacity-75 cursor-not-allowed' : ''
+                }`}
+            >
+                {loading ? (
+                    <>
+                        <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
+                        <span>{t('loginForm.submitting')}</span>
+                    </>
+                ) : (
+                    <span>{t('loginForm.submit')}</span>
+                )}
+            </button>
+        </form>
+    );
+};
+
+export default LoginForm;
@@ -0,0 +1,112 @@
+import React from 'react';
+import { act, render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MockedProvider } from '@apollo/client/testing';
+import { GraphQLError } from 'graphql';
+import LoginForm from './LoginForm';
+import { AuthProvider } from '../contexts/AuthContext';
+import { LOGIN } from '../services/graphql-mutations';
+import { SessionEndReason, endSession, getSession, startSession } from '../services/auth-session';
+
+/**
+ * Tests pour le formulaire de connexion et la session utilisateur
+ *
+ * Ces tests vérifient :
+ * - L'ouverture de la session après une connexion réussie
+ * - Le message affiché pour des identifiants refusés
+ * - Le message affiché après l'expiration de la session
+ *
+ * @module components/LoginForm.test
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+const user = { username: 'conseiller', nom: 'Claire Martin', role: 'CONSEILLER' };
+
+// Connexion acceptée par le serveur
+const loginMock = {
+    request: {
+        query: LOGIN,
+        variables: { username: 'conseiller', password: 'secret' },
+    },
+    result: {
+        data: {
+            login: { token: 'jeton', expiresAt: '2099-01-01T00:00:00Z', user },
+        },
+    },
+};
+
+// Connexion refusée par le serveur
+const refusedMock = {
+    request: {
+        query: LOGIN,
+        variables: { username: 'conseiller', password: 'faux' },
+    },
+    result: {
+        errors: [new GraphQLError('Bad credentials', { extensions: { classification: 'UNAUTHORIZED' } })],
+    },
+};
+
+const renderForm = (mocks) =>
+    render(
+        <MockedProvider mocks={mocks} addTypename={false}>
+            <AuthProvider>
+                <LoginForm />
+            </AuthProvider>
+        </MockedProvider>
+    );
+
+/**
+ * Saisit les identifiants et soumet le formulaire
+ * @param {string} password - Mot de passe saisi
+ */
+const submit = (password) => {
+    fireEvent.change(screen.getByLabelText(/identifiant/i), { target: { value: 'conseiller' } });
+    fireEvent.change(screen.getByLabelText(/mot de passe/i), { target: { value: password } });
+    fireEvent.click(screen.getByRole('button', { name: 'Se connecter' }));
+};
+
+describe('LoginForm Component', () => {
+    afterEach(() => {
+        act(() => endSession(SessionEndReason.LOGOUT));
+    });
+
+    /**
+     * Test une connexion réussie
+     */
+    test('ouvre la session avec le jeton et l\'utilisateur renvoyés par le serveur', async () => {
+        renderForm([loginMock]);
+
+        submit('secret');
+
+        expect(screen.getByText('Connexion en cours...')).toBeInTheDocument();
+        await waitFor(() => {
+            expect(getSession()).toEqual({ token: 'jeton', expiresAt: '2099-01-01T00:00:00Z', user });
+        });
+    });
+
+    /**
+     * Test des identifiants refusés
+     */
+    test('affiche un message clair lorsque les identifiants sont refusés', async () => {
+        renderForm([refusedMock]);
+
+        submit('faux');
+
+        expect(await screen.findByRole('alert')).toHaveTextContent('Identifiant ou mot de passe incorrect');
+        expect(screen.getByLabelText(/mot de passe/i)).toHaveValue('');
+        expect(getSession()).toBeNull();
+    });
+
+    /**
+     * Test le message d'expiration de la session
+     */
+    test('signale l\'expiration de la session précédente', () => {
+        startSession({ token: 'ancien', expiresAt: '2000-01-01T00:00:00Z', user });
+
+        renderForm([]);
+
+        expect(screen.getByRole('status')).toHaveTextContent('Votre session a expiré');
+        expect(getSession()).toBeNull();
+    });
+});
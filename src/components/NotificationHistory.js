@@ -0,0 +1,106 @@
+import React, { useState } from "react";
+import { NotificationType, useNotifications } from "../contexts/NotificationContext";
+import { useI18n } from "../contexts/I18nContext";
+
+/**
+ * Couleur de la pastille de chaque type de notification
+ * @constant {Object}
+ */
+const DOT_COLORS = {
+    [NotificationType.SUCCESS]: 'bg-green-500',
+    [NotificationType.ERROR]: 'bg-red-500',
+    [NotificationType.INFO]: 'bg-blue-500',
+};
+
+/**
+ * Bouton d'en-tête et tiroir d'historique des notifications
+ *
+ * Les notifications disparaissent automatiquement de l'écran ; ce tiroir
+ * permet de relire les messages passés de la session, du plus récent au
+ * plus ancien, puis de vider l'historique.
+ *
+ * @module components/NotificationHistory
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @returns {JSX.Element} Bouton d'ouverture et tiroir d'historique
+ */
+const NotificationHistory = () => {
+    const { history, clearHistory } = useNotifications();
+    const [open, setOpen] = useState(false);
+    const { t, formatTime } = useI18n();
+
+    return (
+        <>
+            <button
+                type="button"
+                onClick={() => setOpen(true)}
+                className="relative px-3 py-2 rounded-lg text-slate-600 hover:text-slate-800 hover:bg-slate-100"
+                aria-label={t('notifications.historyButton', { count: history.length })}
+                aria-expanded={open}
+            >
+                <span aria-hidden="true">🔔</span>
+                {history.length > 0 && (
+                    <span className="absolute -top-1 -end-1 min-w-[1.25rem] px-1 rounded-full bg-blue-600 text-white text-xs">
+                        {history.length}
+                    </span>
+                )}
+            </button>
+
+            {open && (
+                <div className="fixed inset-0 z-40 flex justify-end bg-black/30" onClick={() => setOpen(false)}>
+                    <aside
+                        role="dialog"
+                        aria-label={t('notifications.history')}
+                        className="h-full w-full max-w-sm bg-surface shadow-xl flex flex-col"
+                        onClick={(e) => e.stopPropagation()}
+                    >
+                        <div className="flex items-center justify-between px-4 py-3 border-b border-slate-200">
+                            <h2 className="text-lg font-bold text-slate-800">{t('notifications.heading')}</h2>
+                            <button
+                                type="button"
+                                onClick={() => setOpen(false)}
+                                className="text-slate-500 hover:text-slate-800"
+                                aria-label={t('notifications.closeHistory')}
+                            >
+                                ✕
+                            </button>
+                        </div>
+
+                        {history.length === 0 ? (
+                            <p className="p-4 text-sm text-slate-500">{t('notifications.empty')}</p>
+                        ) : (
+                            <>
+                                <ul className="flex-1 overflow-y-auto divide-y divide-slate-100">
+                                    {history.map((notification) => (
+                                        <li key={notification.id} className="flex items-start space-x-3 rtl:space-x-reverse px-4 py-3 text-sm">
+                                            <span className={`mt-1.5 w-2 h-2 rounded-full ${DOT_COLORS[notification.type]}`}></span>
+                                            <div className="flex-1">
+                                                <p className="text-slate-800">{notification.message}</p>
+                                                <p className="text-xs text-slate-500">
+                                                    {formatTime(notification.date)}
+                                                </p>
+                                            </div>
+                                        </li>
+                                    ))}
+                                </ul>
+                                <div className="p-4 border-t border-slate-200">
+                                    <button
+                                        type="button"
+                                        onClick={clearHistory}
+                                        className="text-sm font-semibold text-blue-600 hover:text-blue-800"
+                                    >
+                                        {t('notifications.clear')}
+                                    </button>
+                                </div>
+                            </>
+                        )}
+                    </aside>
+                </div>
+            )}
+        </>
+    );
+};
+
+export default NotificationHistory;
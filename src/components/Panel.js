@@ -0,0 +1,46 @@
+import React from "react";
+
+/**
+ * Composant React de carte titrée utilisée pour structurer les pages
+ *
+ * Ce composant reprend la présentation des blocs du tableau de bord :
+ * une carte blanche avec une icône colorée, un titre et un contenu libre.
+ *
+ * @module components/Panel
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @param {Object} props - Propriétés du composant
+ * @param {string} props.icon - Emoji affiché dans la pastille
+ * @param {string} props.title - Titre de la carte
+ * @param {string} [props.color='blue'] - Couleur Tailwind de la pastille (blue, green, purple, orange)
+ * @param {React.ReactNode} [props.actions] - Éléments affichés à droite du titre
+ * @param {React.ReactNode} props.children - Contenu de la carte
+ * @returns {JSX.Element} Carte titrée
+ */
+const Panel = ({ icon, title, color = 'blue', actions, children }) => {
+    const colors = {
+        blue: 'bg-blue-100 text-blue-600',
+        green: 'bg-green-100 text-green-600',
+        purple: 'bg-purple-100 text-purple-600',
+        orange: 'bg-orange-100 text-orange-600',
+    };
+
+    return (
+        <div className="card bg-surface rounded-xl shadow-sm border border-slate-200 p-6 print:shadow-none print:border-0 print:p-0">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center space-x-3 rtl:space-x-reverse">
+                    <div className={`w-8 h-8 rounded-lg flex items-center justify-center ${colors[color]}`}>
+                        <span className="text-sm">{icon}</span>
+                    </div>
+                    <h3 className="text-lg font-semibold text-slate-800">{title}</h3>
+                </div>
+                {actions}
+            </div>
+            {children}
+        </div>
+    );
+};
+
+export default Panel;
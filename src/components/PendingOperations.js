@@ -0,0 +1,80 @@
+import React, { useEffect, useState } from "react";
+import { useApolloClient } from "@apollo/client";
+import { useNotifications } from "../contexts/NotificationContext";
+import { useAuth } from "../contexts/AuthContext";
+import { useI18n } from "../contexts/I18nContext";
+import { ConnectionStatus, getConnectionState, subscribeToConnection } from "../services/connection-status";
+import { describeOperation, getQueue, replayQueue, subscribeToQueue } from "../services/offline-queue";
+
+/**
+ * Synchronisation et indicateur des opérations en attente
+ *
+ * Ce composant affiche dans l'en-tête le nombre d'opérations soumises hors
+ * connexion et les rejoue automatiquement dès que le serveur redevient
+ * joignable. Le résultat du rejeu est signalé par des notifications :
+ * - Une notification de succès pour les opérations synchronisées
+ * - Une notification d'erreur par conflit (opération refusée par le serveur)
+ *
+ * Les requêtes affichées sont rafraîchies après chaque rejeu. Le rejeu attend
+ * qu'une session soit ouverte et reprend à chaque nouvelle connexion.
+ *
+ * @module components/PendingOperations
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @returns {JSX.Element|null} Indicateur des opérations en attente ou null si la file est vide
+ */
+const PendingOperations = () => {
+    const client = useApolloClient();
+    const { success, error } = useNotifications();
+    const { t } = useI18n();
+    const { user } = useAuth();
+    const [queue, setQueue] = useState(getQueue);
+    const [status, setStatus] = useState(() => getConnectionState().status);
+
+    useEffect(() => subscribeToQueue(setQueue), []);
+    useEffect(() => subscribeToConnection((connection) => setStatus(connection.status)), []);
+
+    const reachable = status === ConnectionStatus.CONNECTED || status === ConnectionStatus.DEGRADED;
+    const pendingCount = queue.length;
+    const username = user?.username;
+
+    useEffect(() => {
+        if (!reachable || pendingCount === 0 || !username) return;
+
+        const synchronize = async () => {
+            const { replayed, conflicts } = await replayQueue(client);
+
+            if (replayed.length > 0) {
+                success(t('pendingOperations.synchronized', { count: replayed.length }));
+            }
+            conflicts.forEach(({ operation, message }) => {
+                error(t('pendingOperations.refused', { operation: describeOperation(operation), message }), {
+                    duration: 0,
+                });
+            });
+            if (replayed.length > 0 || conflicts.length > 0) {
+                try {
+                    await client.refetchQueries({ include: 'active' });
+                } catch (err) {
+                    // Les requêtes en échec sont signalées par le bandeau d'erreur global
+                }
+            }
+        };
+        synchronize();
+    }, [reachable, pendingCount, username, client, success, error, t]);
+
+    if (pendingCount === 0) return null;
+
+    return (
+        <span
+            className="px-2 py-1 rounded-full bg-orange-100 text-orange-700 text-xs font-semibold"
+            title={queue.map(describeOperation).join('\n')}
+        >
+            {t('pendingOperations.badge', { count: pendingCount })}
+        </span>
+    );
+};
+
+export default PendingOperations;
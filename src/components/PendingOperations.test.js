@@ -0,0 +1,163 @@
+import React from 'react';
+import { act, render, screen } from '@testing-library/react';
+import { MockedProvider } from '@apollo/client/testing';
+import { GraphQLError } from 'graphql';
+import PendingOperations from './PendingOperations';
+import ToastContainer from './ToastContainer';
+import { NotificationProvider } from '../contexts/NotificationContext';
+import { AuthProvider } from '../contexts/AuthContext';
+import { ADD_TRANSACTION } from '../services/graphql-mutations';
+import { recordFailure, recordSuccess } from '../services/connection-status';
+import { QueuedMutation, enqueueMutation, getQueue } from '../services/offline-queue';
+import { SessionEndReason, endSession, startSession } from '../services/auth-session';
+import { Role } from '../services/type-definitions';
+
+/**
+ * Tests pour la synchronisation des opérations en attente
+ *
+ * Ces tests vérifient :
+ * - L'affichage du nombre d'opérations en attente
+ * - Le rejeu dans l'ordre au retour de la connexion
+ * - Le signalement des opérations refusées par le serveur (conflits)
+ * - Le rejeu réservé à l'utilisateur qui a soumis les opérations, dès sa connexion
+ *
+ * @module components/PendingOperations.test
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+/**
+ * Construit les variables d'une transaction en attente
+ * @param {string} type - Type de transaction
+ * @param {number} montant - Montant de la transaction
+ */
+const transactionRequest = (type, montant) => ({
+    transactionRequest: { type, montant, compteId: '1' },
+});
+
+// Le dépôt est accepté, le retrait suivant est refusé par le serveur
+const mocks = [
+    {
+        request: {
+            query: ADD_TRANSACTION,
+            variables: transactionRequest('DEPOT', 100),
+        },
+        result: {
+            data: {
+                addTransaction: {
+                    id: '10',
+                    type: 'DEPOT',
+                    montant: 100,
+                    date: '2025-12-09',
+                    compte: { id: '1', solde: 100, devise: 'EUR', type: 'EPARGNE' },
+                },
+            },
+        },
+    },
+    {
+        request: {
+            query: ADD_TRANSACTION,
+            variables: transactionRequest('RETRAIT', 500),
+        },
+        result: {
+            errors: [new GraphQLError('Solde insuffisant')],
+        },
+    },
+];
+
+/**
+ * Ouvre la session d'un conseiller
+ * @param {string} [username='conseiller'] - Identifiant de l'utilisateur
+ */
+const login = (username = 'conseiller') =>
+    startSession({ token: 'jeton', expiresAt: null, user: { username, nom: username, role: Role.CONSEILLER } });
+
+const renderPending = () =>
+    render(
+        <MockedProvider mocks={mocks} addTypename={false}>
+            <NotificationProvider>
+                <AuthProvider>
+                    <PendingOperations />
+                    <ToastContainer />
+                </AuthProvider>
+            </NotificationProvider>
+        </MockedProvider>
+    );
+
+describe('PendingOperations Component', () => {
+    beforeEach(() => {
+        login();
+    });
+
+    afterEach(() => {
+        act(() => endSession(SessionEndReason.LOGOUT));
+        localStorage.clear();
+        act(() => recordSuccess(10));
+    });
+
+    /**
+     * Test l'indicateur hors connexion
+     */
+    test('affiche le nombre d\'opérations en attente tant que le serveur est injoignable', () => {
+        recordFailure();
+        enqueueMutation(QueuedMutation.ADD_TRANSACTION, transactionRequest('DEPOT', 100));
+
+        renderPending();
+
+        expect(screen.getByText('⏳ 1 en attente')).toBeInTheDocument();
+    });
+
+    /**
+     * Test le rejeu au retour de la connexion
+     */
+    test('rejoue les opérations au retour de la connexion et signale les conflits', async () => {
+        recordFailure();
+        enqueueMutation(QueuedMutation.ADD_TRANSACTION, transactionRequest('DEPOT', 100));
+        enqueueMutation(QueuedMutation.ADD_TRANSACTION, transactionRequest('RETRAIT', 500));
+
+        renderPending();
+        act(() => recordSuccess(50));
+
+        expect(await screen.findByText('1 opération en attente synchronisée')).toBeInTheDocument();
+        expect(screen.getByText(
+            'Opération en attente refusée : Retrait de 500,00 € sur le compte 1 — Solde insuffisant'
+        )).toBeInTheDocument();
+        expect(getQueue()).toEqual([]);
+        expect(screen.queryByText(/en attente$/)).not.toBeInTheDocument();
+    });
+
+    /**
+     * Test le rejeu différé jusqu'à la connexion de l'utilisateur
+     */
+    test('rejoue les opérations d\'une session expirée dès la reconnexion de leur auteur', async () => {
+        enqueueMutation(QueuedMutation.ADD_TRANSACTION, transactionRequest('DEPOT', 100));
+        endSession(SessionEndReason.EXPIRED);
+
+        renderPending();
+
+        expect(screen.getByText('⏳ 1 en attente')).toBeInTheDocument();
+
+        act(() => login());
+
+        expect(await screen.findByText('1 opération en attente synchronisée')).toBeInTheDocument();
+        expect(getQueue()).toEqual([]);
+    });
+
+    /**
+     * Test l'abandon des opérations d'un autre utilisateur
+     */
+    test('ne rejoue pas les opérations d\'une session expirée sous un autre utilisateur', async () => {
+        enqueueMutation(QueuedMutation.ADD_TRANSACTION, transactionRequest('DEPOT', 100));
+        endSession(SessionEndReason.EXPIRED);
+
+        renderPending();
+        act(() => login('autre'));
+
+        expect(getQueue()).toEqual([]);
+        expect(screen.queryByText(/en attente/)).not.toBeInTheDocument();
+        // Laisse à un éventuel rejeu le temps de s'exécuter
+        await act(() => new Promise((resolve) => setTimeout(resolve, 50)));
+        expect(screen.queryByText('1 opération en attente synchronisée')).not.toBeInTheDocument();
+    });
+});
@@ -0,0 +1,30 @@
+import React from "react";
+import { useAuth } from "../contexts/AuthContext";
+import { useI18n } from "../contexts/I18nContext";
+import { Role } from "../services/type-definitions";
+
+/**
+ * Message affiché à la place d'une action interdite au profil de l'utilisateur
+ *
+ * @module components/PermissionNotice
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @param {Object} props - Propriétés du composant
+ * @param {string} props.action - Action refusée, traduite (ex : t('permission.createCompte'))
+ * @returns {JSX.Element} Message d'information
+ */
+const PermissionNotice = ({ action }) => {
+    const { user } = useAuth();
+    const { t } = useI18n();
+    const role = user?.role in Role ? t(`roles.${user.role}`) : t('roles.unknown');
+
+    return (
+        <div role="note" className="bg-slate-50 border border-slate-200 text-slate-600 px-4 py-3 rounded-lg text-sm">
+            {t('permission.notice', { role, action })}
+        </div>
+    );
+};
+
+export default PermissionNotice;
@@ -0,0 +1,37 @@
+import React from "react";
+import { Navigate, Outlet, useLocation } from "react-router-dom";
+import { useAuth } from "../contexts/AuthContext";
+
+/**
+ * Garde des routes réservées aux utilisateurs connectés
+ *
+ * Utilisé comme route parente, ce composant affiche la route enfant si une
+ * session est ouverte, sinon redirige vers /login en conservant l'adresse
+ * demandée. La redirection a aussi lieu dès que la session expire ou qu'une
+ * requête est refusée avec une réponse 401.
+ *
+ * @module components/RequireAuth
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @returns {JSX.Element} Route enfant ou redirection vers la page de connexion
+ */
+const RequireAuth = () => {
+    const { isAuthenticated } = useAuth();
+    const location = useLocation();
+
+    if (!isAuthenticated) {
+        return (
+            <Navigate
+                to="/login"
+                replace
+                state={{ from: `${location.pathname}${location.search}` }}
+            />
+        );
+    }
+
+    return <Outlet />;
+};
+
+export default RequireAuth;
@@ -0,0 +1,114 @@
+import React from "react";
+import { useQuery } from "@apollo/client";
+import { GET_TOTAL_SOLDE, GET_TRANSACTION_STATS } from "../services/graphql-queries";
+import { useI18n } from "../contexts/I18nContext";
+import { REPORTING_DEVISE, consolidateAmounts, getUnconvertibleDevises, sumAmounts } from "../services/money";
+
+/**
+ * Additionne un montant des statistiques par devise dans la devise de consolidation
+ * @param {Object[]} parDevise - Statistiques par devise (voir SoldeStats, TransactionStats)
+ * @param {string} field - Montant additionné (ex : sum, sumDepots)
+ * @returns {number} Total converti dans REPORTING_DEVISE
+ */
+const consolidateStats = (parDevise, field) =>
+    consolidateAmounts(parDevise.map((stats) => ({ amount: stats[field], devise: stats.devise })));
+
+/**
+ * Composant React affichant les statistiques globales de la banque
+ *
+ * Ce composant combine les requêtes GET_TOTAL_SOLDE et GET_TRANSACTION_STATS
+ * pour présenter un tableau de bord chiffré des comptes et des transactions.
+ * Le serveur calcule les totaux de chaque devise ; ils sont ici convertis dans
+ * la devise de consolidation (voir services/money) avant d'être additionnés.
+ * Les devises sans taux de change connu sont exclues des montants consolidés.
+ * Les deux agrégats sont tenus à jour en cache par les mutations et invalidés
+ * lorsqu'ils ne peuvent pas être recalculés localement (voir services/cache-updates).
+ *
+ * Indicateurs affichés :
+ * - Nombre de comptes, solde total et solde moyen
+ * - Nombre de transactions
+ * - Somme des dépôts, somme des retraits et flux net
+ * - Mention de la devise de conversion lorsque des comptes sont tenus dans une autre devise
+ * - Mention des devises exclues des montants consolidés
+ *
+ * @module components/StatsPanel
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @returns {JSX.Element} Composant React affichant les statistiques
+ */
+const StatsPanel = () => {
+    const { loading: soldeLoading, error: soldeError, data: soldeData } = useQuery(GET_TOTAL_SOLDE);
+    const { loading: statsLoading, error: statsError, data: statsData } = useQuery(GET_TRANSACTION_STATS);
+    const { t, formatAmount, formatNumber } = useI18n();
+
+    if (soldeLoading || statsLoading) return (
+        <div className="flex items-center justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            <span className="ms-3 text-slate-600">{t('stats.loading')}</span>
+        </div>
+    );
+
+    const error = soldeError || statsError;
+    if (error) return (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+            <div className="flex items-center">
+                <div className="text-red-500 me-3">⚠️</div>
+                <div>
+                    <p className="font-semibold text-red-800">{t('stats.error')}</p>
+                    <p className="text-red-600 text-sm">{error.message}</p>
+                </div>
+            </div>
+        </div>
+    );
+
+    const { count, parDevise: soldes } = soldeData.totalSolde;
+    const { count: transactionCount, parDevise: flux } = statsData.transactionStats;
+    const excluded = getUnconvertibleDevises([...soldes, ...flux].map((stats) => stats.devise));
+    const convertedCount = soldes
+        .filter((stats) => !excluded.includes(stats.devise))
+        .reduce((acc, stats) => acc + stats.count, 0);
+    const sum = consolidateStats(soldes, 'sum');
+    const average = convertedCount ? sum / convertedCount : 0;
+    const sumDepots = consolidateStats(flux, 'sumDepots');
+    const sumRetraits = consolidateStats(flux, 'sumRetraits');
+    const fluxNet = sumAmounts([sumDepots, -sumRetraits], REPORTING_DEVISE);
+    const converted = [...soldes, ...flux].some((stats) => stats.devise !== REPORTING_DEVISE);
+    const devise = REPORTING_DEVISE;
+
+    const tiles = [
+        { label: t('stats.comptes'), value: formatNumber(count), color: 'text-blue-600' },
+        { label: t('stats.totalSolde'), value: formatAmount(sum, { devise }), color: 'text-blue-600' },
+        { label: t('stats.averageSolde'), value: formatAmount(average, { devise }), color: 'text-blue-600' },
+        { label: t('stats.transactions'), value: formatNumber(transactionCount), color: 'text-purple-600' },
+        { label: t('stats.depots'), value: formatAmount(sumDepots, { signed: true, devise }), color: 'text-depot' },
+        { label: t('stats.retraits'), value: formatAmount(-sumRetraits, { signed: true, devise }), color: 'text-retrait' },
+        {
+            label: t('stats.fluxNet'),
+            value: formatAmount(fluxNet, { signed: true, devise }),
+            color: fluxNet >= 0 ? 'text-depot' : 'text-retrait',
+        },
+    ];
+
+    return (
+        <div className="space-y-2">
+            <dl className="grid grid-cols-2 md:grid-cols-4 xl:grid-cols-7 gap-4">
+                {tiles.map((tile) => (
+                    <div key={tile.label} className="card bg-surface rounded-xl shadow-sm border border-slate-200 p-4 text-center">
+                        <dt className="text-sm text-slate-600">{tile.label}</dt>
+                        <dd className={`text-xl font-bold mt-1 ${tile.color}`}>{tile.value}</dd>
+                    </div>
+                ))}
+            </dl>
+            {converted && <p className="text-xs text-slate-500 text-end">{t('stats.converted', { devise })}</p>}
+            {excluded.length > 0 && (
+                <p className="text-xs text-slate-500 text-end">
+                    {t('common.excludedDevises', { devises: excluded.join(', ') })}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default StatsPanel;
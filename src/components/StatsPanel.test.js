@@ -0,0 +1,144 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { MockedProvider } from '@apollo/client/testing';
+import StatsPanel from './StatsPanel';
+import { GET_TOTAL_SOLDE, GET_TRANSACTION_STATS } from '../services/graphql-queries';
+
+/**
+ * Tests pour le composant StatsPanel
+ *
+ * Ces tests vérifient l'affichage du panneau de statistiques :
+ * - État de chargement
+ * - Affichage des indicateurs calculés
+ * - Consolidation des comptes tenus dans une autre devise
+ * - Exclusion des devises sans taux de change connu
+ * - Gestion des erreurs
+ *
+ * @module components/StatsPanel.test
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+// Mock pour la requête du solde total : deux comptes en euros par défaut
+const totalSoldeMock = (parDevise = [{ devise: 'EUR', count: 2, sum: 6500.5 }]) => ({
+    request: {
+        query: GET_TOTAL_SOLDE,
+    },
+    result: {
+        data: {
+            totalSolde: { count: parDevise.reduce((acc, stats) => acc + stats.count, 0), parDevise },
+        },
+    },
+});
+
+// Mock pour la requête des statistiques de transactions : 12 transactions
+const transactionStatsMock = (sumDepots, sumRetraits, devise = 'EUR') => ({
+    request: {
+        query: GET_TRANSACTION_STATS,
+    },
+    result: {
+        data: {
+            transactionStats: { count: 12, parDevise: [{ devise, count: 12, sumDepots, sumRetraits }] },
+        },
+    },
+});
+
+describe('StatsPanel Component', () => {
+    /**
+     * Test l'affichage du composant pendant le chargement
+     */
+    test('affiche l\'indicateur de chargement', () => {
+        render(
+            <MockedProvider mocks={[totalSoldeMock(), transactionStatsMock(800, 300)]} addTypename={false}>
+                <StatsPanel />
+            </MockedProvider>
+        );
+
+        expect(screen.getByText('Chargement des statistiques...')).toBeInTheDocument();
+    });
+
+    /**
+     * Test l'affichage des statistiques
+     */
+    test('affiche les statistiques des comptes et des transactions', async () => {
+        render(
+            <MockedProvider mocks={[totalSoldeMock(), transactionStatsMock(800, 300)]} addTypename={false}>
+                <StatsPanel />
+            </MockedProvider>
+        );
+
+        expect(await screen.findByText('6 500,50 €')).toBeInTheDocument();
+        expect(screen.getByText('3 250,25 €')).toBeInTheDocument();
+        expect(screen.getByText('12')).toBeInTheDocument();
+        expect(screen.getByText('+800,00 €')).toBeInTheDocument();
+        expect(screen.getByText('-300,00 €')).toBeInTheDocument();
+        expect(screen.getByText('+500,00 €')).toBeInTheDocument();
+    });
+
+    /**
+     * Test l'affichage d'un flux net négatif
+     */
+    test('affiche un flux net négatif', async () => {
+        render(
+            <MockedProvider mocks={[totalSoldeMock(), transactionStatsMock(100, 400)]} addTypename={false}>
+                <StatsPanel />
+            </MockedProvider>
+        );
+
+        expect(await screen.findByText('-300,00 €')).toBeInTheDocument();
+    });
+
+    /**
+     * Test l'affichage des erreurs
+     */
+    test('affiche le message d\'erreur en cas d\'échec', async () => {
+        const errorMock = { request: { query: GET_TOTAL_SOLDE }, error: new Error('Erreur GraphQL') };
+
+        render(
+            <MockedProvider mocks={[errorMock, transactionStatsMock(0, 0)]} addTypename={false}>
+                <StatsPanel />
+            </MockedProvider>
+        );
+
+        expect(await screen.findByText('Erreur GraphQL')).toBeInTheDocument();
+    });
+
+    /**
+     * Test la consolidation des comptes tenus dans une autre devise
+     */
+    test('convertit les comptes en devise étrangère avant de les additionner', async () => {
+        // 1 080 $ valent 1 000 € au taux par défaut
+        const parDevise = [{ devise: 'EUR', count: 1, sum: 1500.5 }, { devise: 'USD', count: 1, sum: 1080 }];
+
+        render(
+            <MockedProvider mocks={[totalSoldeMock(parDevise), transactionStatsMock(216, 0, 'USD')]} addTypename={false}>
+                <StatsPanel />
+            </MockedProvider>
+        );
+
+        expect(await screen.findByText('2 500,50 €')).toBeInTheDocument();
+        expect(screen.getByText('1 250,25 €')).toBeInTheDocument();
+        expect(screen.getAllByText('+200,00 €')).toHaveLength(2); // Dépôts et flux net
+        expect(screen.getByText('Montants convertis en EUR aux taux de change indicatifs')).toBeInTheDocument();
+    });
+
+    /**
+     * Test l'exclusion des devises sans taux de change connu
+     */
+    test('exclut des totaux les devises sans taux de change connu et le signale', async () => {
+        const parDevise = [{ devise: 'EUR', count: 2, sum: 6500.5 }, { devise: 'XYZ', count: 1, sum: 999 }];
+
+        render(
+            <MockedProvider mocks={[totalSoldeMock(parDevise), transactionStatsMock(50, 0, 'XYZ')]} addTypename={false}>
+                <StatsPanel />
+            </MockedProvider>
+        );
+
+        expect(await screen.findByText('6 500,50 €')).toBeInTheDocument();
+        expect(screen.getByText('3 250,25 €')).toBeInTheDocument(); // Moyenne des seuls comptes convertis
+        expect(screen.getByText('3')).toBeInTheDocument();
+        expect(screen.getAllByText('+0,00 €')).toHaveLength(2); // Dépôts et flux net
+        expect(screen.getByText('Montants en XYZ exclus des totaux : taux de change inconnu')).toBeInTheDocument();
+    });
+});
@@ -0,0 +1,39 @@
+import React from "react";
+import { useI18n } from "../contexts/I18nContext";
+import { useTheme } from "../contexts/ThemeContext";
+import { THEME_PREFERENCES } from "../services/theme";
+
+/**
+ * Sélecteur du thème d'affichage affiché dans l'en-tête
+ *
+ * Le choix « Système » suit les préférences de contraste et de mode sombre
+ * du navigateur.
+ *
+ * @module components/ThemeSwitcher
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @returns {JSX.Element} Liste déroulante des thèmes
+ */
+const ThemeSwitcher = () => {
+    const { preference, setPreference } = useTheme();
+    const { t } = useI18n();
+
+    return (
+        <select
+            value={preference}
+            onChange={(e) => setPreference(e.target.value)}
+            aria-label={t('theme.label')}
+            className="px-2 py-1 border border-slate-300 rounded-lg text-sm text-slate-700 bg-surface focus:outline-none focus:ring-2 focus:ring-accent"
+        >
+            {THEME_PREFERENCES.map((code) => (
+                <option key={code} value={code}>
+                    {t(`theme.${code}`)}
+                </option>
+            ))}
+        </select>
+    );
+};
+
+export default ThemeSwitcher;
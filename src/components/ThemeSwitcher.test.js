@@ -0,0 +1,102 @@
+import React from 'react';
+import { act, render, screen, fireEvent } from '@testing-library/react';
+import ThemeSwitcher from './ThemeSwitcher';
+import { ThemeProvider } from '../contexts/ThemeContext';
+import { SYSTEM_THEME, THEME_STORAGE_KEY, setThemePreference } from '../services/theme';
+
+/**
+ * Tests pour le sélecteur de thème
+ *
+ * Ces tests vérifient que le thème :
+ * - Suit par défaut les préférences du navigateur, y compris lorsqu'elles changent
+ * - Peut être choisi explicitement et est alors appliqué à l'élément <html>
+ * - Est conservé dans le localStorage
+ *
+ * @module components/ThemeSwitcher.test
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+/**
+ * Simule window.matchMedia avec les préférences du navigateur indiquées
+ * @param {string[]} matchingQueries - Requêtes média satisfaites
+ * @returns {Function} Fonction modifiant les requêtes satisfaites et prévenant les écouteurs
+ */
+const mockMatchMedia = (matchingQueries) => {
+    let matching = matchingQueries;
+    const listeners = new Set();
+
+    window.matchMedia = (query) => ({
+        get matches() {
+            return matching.includes(query);
+        },
+        addEventListener: (event, listener) => listeners.add(listener),
+        removeEventListener: (event, listener) => listeners.delete(listener),
+    });
+
+    return (nextQueries) => {
+        matching = nextQueries;
+        listeners.forEach((listener) => listener());
+    };
+};
+
+const renderWithProvider = () =>
+    render(
+        <ThemeProvider>
+            <ThemeSwitcher />
+        </ThemeProvider>
+    );
+
+describe('ThemeSwitcher Component', () => {
+    afterEach(() => {
+        act(() => setThemePreference(SYSTEM_THEME));
+        localStorage.clear();
+        delete window.matchMedia;
+    });
+
+    /**
+     * Test le thème par défaut issu des préférences du navigateur
+     */
+    test('suit le mode sombre demandé par le navigateur', () => {
+        mockMatchMedia(['(prefers-color-scheme: dark)']);
+
+        renderWithProvider();
+
+        expect(screen.getByRole('combobox', { name: 'Thème' })).toHaveValue('system');
+        expect(document.documentElement).toHaveAttribute('data-theme', 'dark');
+    });
+
+    /**
+     * Test le suivi des changements de préférences du navigateur
+     */
+    test('change de thème quand les préférences du navigateur changent', () => {
+        const setMatchingQueries = mockMatchMedia([]);
+
+        renderWithProvider();
+        expect(document.documentElement).toHaveAttribute('data-theme', 'light');
+
+        act(() => setMatchingQueries(['(prefers-contrast: more)', '(prefers-color-scheme: dark)']));
+
+        expect(document.documentElement).toHaveAttribute('data-theme', 'contrast');
+    });
+
+    /**
+     * Test le choix explicite d'un thème et sa conservation
+     */
+    test('applique et conserve le thème choisi', () => {
+        mockMatchMedia(['(prefers-color-scheme: dark)']);
+
+        renderWithProvider();
+        fireEvent.change(screen.getByRole('combobox', { name: 'Thème' }), { target: { value: 'contrast' } });
+
+        expect(screen.getByRole('combobox', { name: 'Thème' })).toHaveValue('contrast');
+        expect(document.documentElement).toHaveAttribute('data-theme', 'contrast');
+        expect(localStorage.getItem(THEME_STORAGE_KEY)).toBe('contrast');
+
+        fireEvent.change(screen.getByRole('combobox', { name: 'Thème' }), { target: { value: 'light' } });
+
+        expect(document.documentElement).toHaveAttribute('data-theme', 'light');
+        expect(localStorage.getItem(THEME_STORAGE_KEY)).toBe('light');
+    });
+});
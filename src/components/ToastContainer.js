@@ -0,0 +1,81 @@
+import React from "react";
+import { NotificationType, useNotifications } from "../contexts/NotificationContext";
+import { useI18n } from "../contexts/I18nContext";
+
+/**
+ * Styles et icônes associés à chaque type de notification
+ * @constant {Object}
+ */
+const TOAST_STYLES = {
+    [NotificationType.SUCCESS]: { icon: '✅', className: 'bg-green-50 border-green-200 text-green-800' },
+    [NotificationType.ERROR]: { icon: '❌', className: 'bg-red-50 border-red-200 text-red-800' },
+    [NotificationType.INFO]: { icon: 'ℹ️', className: 'bg-blue-50 border-blue-200 text-blue-800' },
+};
+
+/**
+ * Pile de notifications affichée en bas à droite de l'écran
+ *
+ * Les notifications sont annoncées aux lecteurs d'écran via deux régions
+ * ARIA live : les erreurs sont annoncées immédiatement (assertive), les
+ * succès et informations à la fin de la lecture en cours (polite).
+ *
+ * Chaque notification peut être fermée manuellement et proposer une action
+ * (par exemple « Annuler ») qui ferme la notification une fois exécutée.
+ *
+ * @module components/ToastContainer
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @returns {JSX.Element} Pile de notifications
+ */
+const ToastContainer = () => {
+    const { toasts, dismiss } = useNotifications();
+    const { t } = useI18n();
+
+    const renderToast = (toast) => {
+        const style = TOAST_STYLES[toast.type] || TOAST_STYLES[NotificationType.INFO];
+        return (
+            <div
+                key={toast.id}
+                className={`pointer-events-auto flex items-start space-x-3 rtl:space-x-reverse px-4 py-3 rounded-lg border shadow-lg text-sm ${style.className}`}
+            >
+                <span aria-hidden="true">{style.icon}</span>
+                <p className="flex-1">{toast.message}</p>
+                {toast.action && (
+                    <button
+                        type="button"
+                        onClick={() => {
+                            dismiss(toast.id);
+                            toast.action.onClick();
+                        }}
+                        className="font-semibold underline hover:no-underline"
+                    >
+                        {toast.action.label}
+                    </button>
+                )}
+                <button
+                    type="button"
+                    onClick={() => dismiss(toast.id)}
+                    className="opacity-60 hover:opacity-100"
+                    aria-label={t('notifications.close')}
+                >
+                    ✕
+                </button>
+            </div>
+        );
+    };
+
+    return (
+        <div className="fixed bottom-4 end-4 z-50 w-full max-w-sm space-y-2 pointer-events-none print:hidden">
+            <div role="region" aria-label={t('notifications.errorRegion')} aria-live="assertive" className="space-y-2">
+                {toasts.filter((toast) => toast.type === NotificationType.ERROR).map(renderToast)}
+            </div>
+            <div role="region" aria-label={t('notifications.region')} aria-live="polite" className="space-y-2">
+                {toasts.filter((toast) => toast.type !== NotificationType.ERROR).map(renderToast)}
+            </div>
+        </div>
+    );
+};
+
+export default ToastContainer;
@@ -0,0 +1,140 @@
+import React from 'react';
+import { act, render, screen, fireEvent, within } from '@testing-library/react';
+import ToastContainer from './ToastContainer';
+import NotificationHistory from './NotificationHistory';
+import { NotificationProvider, useNotifications } from '../contexts/NotificationContext';
+
+/**
+ * Tests pour le système de notifications
+ *
+ * Ces tests vérifient le comportement des notifications :
+ * - Empilement des notifications
+ * - Fermeture automatique et manuelle
+ * - Action d'annulation
+ * - Régions ARIA live
+ * - Historique des notifications
+ *
+ * @module components/ToastContainer.test
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+/**
+ * Composant de test déclenchant des notifications
+ * @param {Object} props - Propriétés du composant
+ * @param {Function} [props.onUndo] - Callback de l'action d'annulation
+ */
+const Trigger = ({ onUndo }) => {
+    const { success, error } = useNotifications();
+    return (
+        <>
+            <button onClick={() => success('Compte créé', { action: { label: 'Annuler', onClick: onUndo } })}>
+                Succès
+            </button>
+            <button onClick={() => error('Solde insuffisant')}>Erreur</button>
+        </>
+    );
+};
+
+const renderNotifications = (onUndo = () => {}) =>
+    render(
+        <NotificationProvider>
+            <Trigger onUndo={onUndo} />
+            <NotificationHistory />
+            <ToastContainer />
+        </NotificationProvider>
+    );
+
+describe('ToastContainer Component', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    /**
+     * Test l'empilement et les régions ARIA live
+     */
+    test('empile les notifications dans les régions ARIA live', () => {
+        renderNotifications();
+
+        fireEvent.click(screen.getByText('Succès'));
+        fireEvent.click(screen.getByText('Erreur'));
+
+        const polite = screen.getByRole('region', { name: 'Notifications' });
+        const assertive = screen.getByRole('region', { name: 'Notifications d\'erreur' });
+        expect(polite).toHaveAttribute('aria-live', 'polite');
+        expect(within(polite).getByText('Compte créé')).toBeInTheDocument();
+        expect(assertive).toHaveAttribute('aria-live', 'assertive');
+        expect(within(assertive).getByText('Solde insuffisant')).toBeInTheDocument();
+    });
+
+    /**
+     * Test la fermeture automatique
+     */
+    test('ferme automatiquement les notifications après le délai', () => {
+        renderNotifications();
+
+        fireEvent.click(screen.getByText('Succès'));
+        expect(screen.getByText('Compte créé')).toBeInTheDocument();
+
+        act(() => {
+            jest.advanceTimersByTime(5000);
+        });
+
+        expect(screen.queryByText('Compte créé')).not.toBeInTheDocument();
+    });
+
+    /**
+     * Test la fermeture manuelle
+     */
+    test('ferme une notification avec le bouton de fermeture', () => {
+        renderNotifications();
+
+        fireEvent.click(screen.getByText('Erreur'));
+        fireEvent.click(screen.getByRole('button', { name: 'Fermer la notification' }));
+
+        expect(screen.queryByText('Solde insuffisant')).not.toBeInTheDocument();
+    });
+
+    /**
+     * Test l'action d'annulation
+     */
+    test('exécute l\'action d\'annulation et ferme la notification', () => {
+        const onUndo = jest.fn();
+        renderNotifications(onUndo);
+
+        fireEvent.click(screen.getByText('Succès'));
+        fireEvent.click(screen.getByRole('button', { name: 'Annuler' }));
+
+        expect(onUndo).toHaveBeenCalledTimes(1);
+        expect(screen.queryByText('Compte créé')).not.toBeInTheDocument();
+    });
+
+    /**
+     * Test l'historique des notifications
+     */
+    test('conserve les notifications fermées dans l\'historique', () => {
+        renderNotifications();
+
+        fireEvent.click(screen.getByText('Succès'));
+        fireEvent.click(screen.getByText('Erreur'));
+        act(() => {
+            jest.advanceTimersByTime(5000);
+        });
+
+        fireEvent.click(screen.getByRole('button', { name: 'Historique des notifications (2)' }));
+
+        const drawer = screen.getByRole('dialog', { name: 'Historique des notifications' });
+        const items = within(drawer).getAllByRole('listitem');
+        expect(items).toHaveLength(2);
+        expect(items[0]).toHaveTextContent('Solde insuffisant');
+        expect(items[1]).toHaveTextContent('Compte créé');
+
+        fireEvent.click(screen.getByText('Vider l\'historique'));
+        expect(screen.getByText('Aucune notification')).toBeInTheDocument();
+    });
+});
@@ -0,0 +1,138 @@
+import React from "react";
+import { EMPTY_FILTERS } from "../services/transaction-utils";
+import { TypeTransaction } from "../services/type-definitions";
+import { useI18n } from "../contexts/I18nContext";
+
+/**
+ * Barre de recherche, de filtrage et de tri des transactions
+ *
+ * Ce composant contrôlé n'a pas d'état propre : il affiche les critères reçus
+ * et remonte chaque modification au composant parent.
+ *
+ * Critères disponibles :
+ * - Recherche libre sur l'identifiant de la transaction ou du compte
+ * - Type de transaction et compte concerné
+ * - Plage de montants et plage de dates
+ * - Champ et sens du tri
+ *
+ * @module components/TransactionFilters
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @param {Object} props - Propriétés du composant
+ * @param {Object} props.filters - Critères de filtrage courants (voir EMPTY_FILTERS)
+ * @param {Function} props.onFiltersChange - Callback appelé avec les nouveaux critères
+ * @param {Array<{id: string, type: string}>} props.comptes - Comptes proposés dans le sélecteur
+ * @param {Object} props.sort - Tri courant ({ field, direction })
+ * @param {Function} props.onSortChange - Callback appelé avec le nouveau tri
+ * @returns {JSX.Element} Barre de filtres
+ */
+const TransactionFilters = ({ filters, onFiltersChange, comptes, sort, onSortChange }) => {
+    const { t } = useI18n();
+    const update = (field) => (e) => onFiltersChange({ ...filters, [field]: e.target.value });
+
+    const hasFilters = Object.keys(EMPTY_FILTERS).some((key) => filters[key] !== EMPTY_FILTERS[key]);
+    const inputClass = "form-input w-full px-3 py-2 rounded-lg border-slate-300 text-sm";
+
+    return (
+        <div className="space-y-3 rounded-xl bg-slate-50 p-4" role="search">
+            <input
+                type="search"
+                value={filters.search}
+                onChange={update('search')}
+                className={inputClass}
+                placeholder={t('transactionFilters.searchPlaceholder')}
+                aria-label={t('transactionFilters.search')}
+            />
+
+            <div className="grid grid-cols-2 gap-3">
+                <select value={filters.type} onChange={update('type')} className={inputClass} aria-label={t('transactionFilters.type')}>
+                    <option value="">{t('transactionFilters.allTypes')}</option>
+                    <option value={TypeTransaction.DEPOT}>{t('transactionFilters.depots')}</option>
+                    <option value={TypeTransaction.RETRAIT}>{t('transactionFilters.retraits')}</option>
+                </select>
+                <select value={filters.compteId} onChange={update('compteId')} className={inputClass} aria-label={t('transactionFilters.compte')}>
+                    <option value="">{t('transactionFilters.allComptes')}</option>
+                    {comptes.map((compte) => (
+                        <option key={compte.id} value={compte.id}>
+                            {t('transactionFilters.compteOption', {
+                                type: t(`compteType.${compte.type}`),
+                                id: String(compte.id).substring(0, 8),
+                            })}
+                        </option>
+                    ))}
+                </select>
+                <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={filters.montantMin}
+                    onChange={update('montantMin')}
+                    className={inputClass}
+                    placeholder={t('transactionFilters.montantMinPlaceholder')}
+                    aria-label={t('transactionFilters.montantMin')}
+                />
+                <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={filters.montantMax}
+                    onChange={update('montantMax')}
+                    className={inputClass}
+                    placeholder={t('transactionFilters.montantMaxPlaceholder')}
+                    aria-label={t('transactionFilters.montantMax')}
+                />
+                <input
+                    type="date"
+                    value={filters.dateFrom}
+                    onChange={update('dateFrom')}
+                    className={inputClass}
+                    aria-label={t('transactionFilters.dateFrom')}
+                />
+                <input
+                    type="date"
+                    value={filters.dateTo}
+                    onChange={update('dateTo')}
+                    className={inputClass}
+                    aria-label={t('transactionFilters.dateTo')}
+                />
+            </div>
+
+            <div className="flex items-center justify-between space-x-3 rtl:space-x-reverse">
+                <div className="flex items-center space-x-2 rtl:space-x-reverse">
+                    <select
+                        value={sort.field}
+                        onChange={(e) => onSortChange({ ...sort, field: e.target.value })}
+                        className={inputClass}
+                        aria-label={t('transactionFilters.sortBy')}
+                    >
+                        <option value="date">{t('transactionFilters.sortFields.date')}</option>
+                        <option value="montant">{t('transactionFilters.sortFields.montant')}</option>
+                        <option value="type">{t('transactionFilters.sortFields.type')}</option>
+                    </select>
+                    <button
+                        type="button"
+                        onClick={() => onSortChange({ ...sort, direction: sort.direction === 'asc' ? 'desc' : 'asc' })}
+                        className="px-3 py-2 rounded-lg border border-slate-300 text-sm text-slate-600 hover:bg-slate-100"
+                        aria-label={t(sort.direction === 'asc' ? 'transactionFilters.ascending' : 'transactionFilters.descending')}
+                        title={t(sort.direction === 'asc' ? 'transactionFilters.ascending' : 'transactionFilters.descending')}
+                    >
+                        {sort.direction === 'asc' ? '↑' : '↓'}
+                    </button>
+                </div>
+                {hasFilters && (
+                    <button
+                        type="button"
+                        onClick={() => onFiltersChange(EMPTY_FILTERS)}
+                        className="text-sm font-semibold text-blue-600 hover:text-blue-800"
+                    >
+                        {t('common.reset')}
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default TransactionFilters;
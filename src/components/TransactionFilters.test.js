@@ -0,0 +1,80 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import TransactionFilters from './TransactionFilters';
+import { EMPTY_FILTERS } from '../services/transaction-utils';
+
+/**
+ * Tests pour le composant TransactionFilters
+ *
+ * Ces tests vérifient que la barre de filtres remonte correctement
+ * les modifications au composant parent :
+ * - Modification d'un critère
+ * - Inversion du sens du tri
+ * - Réinitialisation des filtres
+ *
+ * @module components/TransactionFilters.test
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+// Comptes proposés dans le sélecteur
+const comptes = [
+    { id: 'compte-courant', type: 'COURANT' },
+    { id: 'compte-epargne', type: 'EPARGNE' },
+];
+
+/**
+ * Rend la barre de filtres avec des callbacks espionnés
+ * @param {Object} filters - Critères courants
+ */
+const renderFilters = (filters = EMPTY_FILTERS) => {
+    const onFiltersChange = jest.fn();
+    const onSortChange = jest.fn();
+
+    render(
+        <TransactionFilters
+            filters={filters}
+            onFiltersChange={onFiltersChange}
+            comptes={comptes}
+            sort={{ field: 'date', direction: 'desc' }}
+            onSortChange={onSortChange}
+        />
+    );
+
+    return { onFiltersChange, onSortChange };
+};
+
+describe('TransactionFilters Component', () => {
+    /**
+     * Test la modification d'un critère
+     */
+    test('remonte le compte sélectionné', () => {
+        const { onFiltersChange } = renderFilters();
+
+        fireEvent.change(screen.getByLabelText('Compte'), { target: { value: 'compte-epargne' } });
+
+        expect(onFiltersChange).toHaveBeenCalledWith({ ...EMPTY_FILTERS, compteId: 'compte-epargne' });
+    });
+
+    /**
+     * Test l'inversion du sens du tri
+     */
+    test('inverse le sens du tri', () => {
+        const { onSortChange } = renderFilters();
+
+        fireEvent.click(screen.getByRole('button', { name: 'Tri décroissant' }));
+
+        expect(onSortChange).toHaveBeenCalledWith({ field: 'date', direction: 'asc' });
+    });
+
+    /**
+     * Test la réinitialisation des filtres
+     */
+    test('réinitialise les filtres actifs', () => {
+        const { onFiltersChange } = renderFilters({ ...EMPTY_FILTERS, type: 'DEPOT' });
+        fireEvent.click(screen.getByRole('button', { name: 'Réinitialiser' }));
+
+        expect(onFiltersChange).toHaveBeenCalledWith(EMPTY_FILTERS);
+    });
+});
@@ -1,7 +1,60 @@
-import React, { useState } from 'react';
-import { useMutation, useQuery } from '@apollo/client';
-import { ADD_TRANSACTION } from '../services/graphql-mutations';
-import { GET_ALL_TRANSACTIONS, GET_ALL_COMPTES } from '../services/graphql-queries';
+import React, { useId, useState } from 'react';
+import { useApolloClient, useMutation, useQuery } from '@apollo/client';
+import { ADD_TRANSACTION, APPROVE_WITHDRAWAL } from '../services/graphql-mutations';
+import { GET_ALL_COMPTES } from '../services/graphql-queries';
+import { addTransactionToCache, optimisticTransaction } from '../services/cache-updates';
+import { TypeOperation, TypeTransaction } from '../services/type-definitions';
+import { StatutVirement, executeVirement, validateVirement } from '../services/virement';
+import { getOverdraftLimit, projectSolde, validateRetrait } from '../services/overdraft-rules';
+import { getDevise } from '../services/money';
+import {
+    TransactionRequestSchema,
+    hasErrors,
+    parseAmount,
+    required,
+    validate,
+} from '../services/form-validation';
+import { getErrorMessage } from '../services/error-handling';
+import { QueuedMutation, enqueueMutation, isOffline, isQueueableError } from '../services/offline-queue';
+import { useNotifications } from '../contexts/NotificationContext';
+import { useAuth } from '../contexts/AuthContext';
+import { useI18n } from '../contexts/I18nContext';
+import {
+    APPROVAL_HEADER,
+    Permission,
+    WITHDRAWAL_APPROVAL_DEVISE,
+    WITHDRAWAL_APPROVAL_THRESHOLD,
+    requiresApproval,
+} from '../services/permissions';
+import PermissionNotice from './PermissionNotice';
+import FieldError from './FieldError';
+
+/**
+ * Schéma de validation d'un virement : deux comptes et le montant d'une transaction
+ * @constant {Object}
+ */
+const VirementSchema = {
+    compteId: [required('virement.sourceRequired')],
+    destinationId: [required('virement.destinationRequired')],
+    montant: TransactionRequestSchema.montant,
+};
+
+/**
+ * Schéma de validation des identifiants du superviseur qui valide un retrait
+ * @constant {Object}
+ */
+const ApprovalSchema = {
+    supervisorUsername: [required('transactionForm.approval.usernameRequired')],
+    supervisorPassword: [required('transactionForm.approval.passwordRequired')],
+};
+
+/**
+ * Retourne le type de la transaction qui annule une transaction de ce type
+ * @param {string} type - Type de la transaction à annuler (voir TypeTransaction)
+ * @returns {string} RETRAIT pour un dépôt, DEPOT pour un retrait
+ */
+const inverseType = (type) =>
+    type === TypeTransaction.DEPOT ? TypeTransaction.RETRAIT : TypeTransaction.DEPOT;
 
 /**
  * Composant React pour effectuer des transactions bancaires
@@ -12,16 +65,33 @@ import { GET_ALL_TRANSACTIONS, GET_ALL_COMPTES } from '../services/graphql-queri
  * les listes de transactions et comptes.
  *
  * Fonctionnalités :
- * - Formulaire avec validation des champs (montant positif requis)
- * - Sélection du type de transaction (dépôt/retrait)
+ * - Formulaire validé par le schéma TransactionRequestSchema (montant positif, deux décimales au plus)
+ * - Messages d'erreur affichés sous chaque champ et associés au champ pour les lecteurs d'écran
+ * - Solde projeté affiché pendant la saisie, avant l'envoi de l'opération
+ * - Retraits et virements bloqués au-delà du découvert autorisé du compte débité
+ * - Sélection du type de transaction (dépôt/retrait/virement)
+ * - Virement entre deux comptes de même devise avec rapport détaillé en cas d'échec
+ * - Montants et soldes affichés dans la devise du compte débité ou crédité
  * - Sélecteur dynamique des comptes disponibles
  * - Gestion des états de chargement et d'erreur
- * - Mise à jour automatique des listes via refetchQueries
+ * - Affichage immédiat de la transaction et du nouveau solde (réponse optimiste)
+ * - Mise à jour directe du cache, sans relancer les requêtes de liste
  * - Interface utilisateur colorée selon le type de transaction
- * - Messages de feedback utilisateur (succès/erreur)
+ * - Notifications de succès/erreur avec annulation d'un dépôt ou d'un retrait
+ * - Mise en attente des dépôts et retraits lorsque le serveur est injoignable
+ * - Validation par un superviseur des retraits et virements au-delà du seuil configuré,
+ *   dont les identifiants sont vérifiés avant l'envoi
+ * - Formulaire remplacé par un message pour les profils sans droit de saisie
  *
  * Le composant réinitialise le montant après transaction réussie
- * et affiche des alertes pour informer l'utilisateur du résultat.
+ * et affiche une notification pour informer l'utilisateur du résultat.
+ * L'annulation enregistre une transaction inverse du même montant.
+ * Les virements ne sont pas mis en attente et sont refusés hors connexion.
+ * Les retraits soumis à validation sont également refusés hors connexion :
+ * le jeton de validation du superviseur n'est valable que peu de temps. Pour
+ * un virement, le jeton n'accompagne que le retrait du compte source.
+ * Si le serveur refuse une opération, l'affichage optimiste est retiré
+ * et une notification l'indique.
  * Les comptes sont affichés avec leur type et solde actuel.
  *
  * @module components/TransactionForm
@@ -29,65 +99,254 @@ import { GET_ALL_TRANSACTIONS, GET_ALL_COMPTES } from '../services/graphql-queri
  * @author Halmaoui Abdellah
  * @version 2.0
  * @since 2025
+ * @param {Object} props - Propriétés du composant
+ * @param {string} [props.defaultCompteId] - Compte présélectionné dans le sélecteur
  * @returns {JSX.Element} Composant React avec formulaire de transaction
  */
-const TransactionForm = () => {
+const TransactionForm = ({ defaultCompteId = '' }) => {
     const [type, setType] = useState('DEPOT');
     const [montant, setMontant] = useState('');
-    const [compteId, setCompteId] = useState('');
+    const [compteId, setCompteId] = useState(defaultCompteId);
+    const [destinationId, setDestinationId] = useState('');
+    const [virementReport, setVirementReport] = useState(null);
+    const [virementLoading, setVirementLoading] = useState(false);
+    const [supervisorUsername, setSupervisorUsername] = useState('');
+    const [supervisorPassword, setSupervisorPassword] = useState('');
+    const [errors, setErrors] = useState({});
+    const notifications = useNotifications();
+    const formId = useId();
+    const { user, can } = useAuth();
+    const { t, formatAmount } = useI18n();
+    const { cache } = useApolloClient();
 
     // Récupérer la liste des comptes pour le sélecteur
     const { data: comptesData } = useQuery(GET_ALL_COMPTES);
 
     const [addTransaction, { loading, error }] = useMutation(ADD_TRANSACTION, {
-        refetchQueries: [
-            { query: GET_ALL_TRANSACTIONS },
-            { query: GET_ALL_COMPTES }
-        ],
+        optimisticResponse: ({ transactionRequest }) => optimisticTransaction(cache, transactionRequest),
+        update: (cacheToUpdate, { data }) => addTransactionToCache(cacheToUpdate, data.addTransaction),
     });
 
+    const [approveWithdrawal, { loading: approvalLoading }] = useMutation(APPROVE_WITHDRAWAL);
+
+    const isVirement = type === TypeOperation.VIREMENT;
+    const comptes = comptesData?.allComptes || [];
+    const source = comptes.find((compte) => compte.id === compteId);
+    const destination = comptes.find((compte) => compte.id === destinationId);
+    const devise = getDevise(source);
+    const montantValue = parseAmount(montant);
+    const virementError = isVirement && source && destination && montantValue > 0
+        ? validateVirement(source, destination, montantValue)
+        : null;
+    const projectedSolde = source && montantValue > 0
+        ? projectSolde(source, isVirement ? TypeTransaction.RETRAIT : type, montantValue)
+        : null;
+    const retraitError = type === TypeTransaction.RETRAIT && projectedSolde !== null
+        ? validateRetrait(source, montantValue)
+        : null;
+    const blockingError = virementError || retraitError;
+    const needsApproval = requiresApproval(user, isVirement ? TypeTransaction.RETRAIT : type, montantValue, devise);
+    const submitting = loading || virementLoading || approvalLoading;
+
+    /**
+     * Demande la validation du retrait au superviseur dont les identifiants ont été saisis
+     * @returns {Promise<Object|null>} Contexte Apollo portant le jeton de validation, ou null si refusée
+     */
+    const requestApproval = async () => {
+        try {
+            const { data } = await approveWithdrawal({
+                variables: {
+                    approval: {
+                        compteId,
+                        montant: montantValue,
+                        username: supervisorUsername.trim(),
+                        password: supervisorPassword,
+                    },
+                },
+            });
+            return { headers: { [APPROVAL_HEADER]: data.approveWithdrawal.token } };
+        } catch (err) {
+            notifications.error(t('transactionForm.approval.refused', { message: getErrorMessage(err) }));
+            return null;
+        } finally {
+            setSupervisorPassword('');
+        }
+    };
+
+    const handleVirement = async () => {
+        const validationError = validateVirement(source, destination, montantValue);
+        if (validationError) {
+            notifications.error(validationError);
+            return;
+        }
+
+        if (isOffline()) {
+            notifications.error(t('transactionForm.virementOffline'));
+            return;
+        }
+
+        const context = needsApproval ? await requestApproval() : undefined;
+        if (context === null) return;
+
+        setVirementReport(null);
+        setVirementLoading(true);
+        // Le jeton de validation ne porte que sur le retrait du compte source
+        const result = await executeVirement((options) => addTransaction({
+            ...options,
+            context: options.variables.transactionRequest.type === TypeTransaction.RETRAIT ? context : undefined,
+        }), {
+            sourceId: compteId,
+            destinationId,
+            montant: montantValue,
+            devise,
+        });
+        setVirementLoading(false);
+
+        if (result.statut === StatutVirement.SUCCES) {
+            setMontant('');
+            notifications.success(result.message);
+        } else {
+            setVirementReport(result);
+        }
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
 
-        if (!montant || parseFloat(montant) <= 0) {
-            alert('Veuillez entrer un montant valide');
+        const validationErrors = validate(
+            {
+                ...(isVirement ? VirementSchema : TransactionRequestSchema),
+                ...(needsApproval ? ApprovalSchema : {}),
+            },
+            { type, compteId, destinationId, montant, devise, supervisorUsername, supervisorPassword }
+        );
+        setErrors(validationErrors);
+        if (hasErrors(validationErrors)) {
+            e.currentTarget.elements.namedItem(Object.keys(validationErrors)[0])?.focus?.();
+            return;
+        }
+
+        if (isVirement) {
+            await handleVirement();
             return;
         }
 
-        if (!compteId) {
-            alert('Veuillez sélectionner un compte');
+        if (retraitError) {
+            notifications.error(retraitError);
             return;
         }
 
+        const transactionRequest = { type, montant: montantValue, compteId };
+
+        if (isOffline()) {
+            if (needsApproval) {
+                notifications.error(t('transactionForm.approval.offline'));
+                return;
+            }
+            setMontant('');
+            queueTransaction(transactionRequest, devise);
+            return;
+        }
+
+        const context = needsApproval ? await requestApproval() : undefined;
+        if (context === null) return;
+
         try {
-            await addTransaction({
-                variables: {
-                    transactionRequest: {
-                        type,
-                        montant: parseFloat(montant),
-                        compteId,
-                    },
-                },
-            });
+            await addTransaction({ variables: { transactionRequest }, context });
 
+            // L'annulation d'un dépôt important serait un retrait soumis à validation
+            const undoable = !requiresApproval(user, inverseType(type), transactionRequest.montant, devise);
             setMontant('');
-            alert(`✅ ${type === 'DEPOT' ? 'Dépôt' : 'Retrait'} effectué avec succès !`);
+            notifications.success(t(`transactionForm.success.${type}`), {
+                action: undoable ? { label: t('common.undo'), onClick: () => handleUndo(transactionRequest, devise) } : undefined,
+            });
+        } catch (err) {
+            if (isQueueableError(err) && !context) {
+                setMontant('');
+                queueTransaction(transactionRequest, devise);
+                return;
+            }
+            notifications.error(t(`transactionForm.failed.${type}`, { message: getErrorMessage(err) }));
+        }
+    };
+
+    const queueTransaction = (transactionRequest, transactionDevise) => {
+        enqueueMutation(QueuedMutation.ADD_TRANSACTION, { transactionRequest }, transactionDevise);
+        notifications.info(t(`transactionForm.queued.${transactionRequest.type}`));
+    };
+
+    /**
+     * Annule une transaction en soumettant l'opération inverse
+     *
+     * L'opération inverse suit les mêmes règles qu'une saisie : un retrait est
+     * contrôlé sur le solde actuel du compte, lu dans le cache, et l'opération
+     * est mise en attente lorsque le serveur est injoignable.
+     *
+     * @param {TransactionRequest} transactionRequest - Transaction à annuler
+     * @param {string} transactionDevise - Devise du compte de la transaction
+     */
+    const handleUndo = async (transactionRequest, transactionDevise) => {
+        const inverseRequest = { ...transactionRequest, type: inverseType(transactionRequest.type) };
+
+        if (inverseRequest.type === TypeTransaction.RETRAIT) {
+            const compte = cache.readQuery({ query: GET_ALL_COMPTES })?.allComptes
+                .find((item) => item.id === inverseRequest.compteId);
+            const undoError = compte ? validateRetrait(compte, inverseRequest.montant) : null;
+            if (undoError) {
+                notifications.error(t('common.undoFailed', { message: undoError }));
+                return;
+            }
+        }
+
+        if (isOffline()) {
+            queueTransaction(inverseRequest, transactionDevise);
+            return;
+        }
+
+        try {
+            await addTransaction({ variables: { transactionRequest: inverseRequest } });
+            notifications.info(t('transactionForm.undone'));
         } catch (err) {
-            alert('❌ Erreur : ' + err.message);
+            if (isQueueableError(err)) {
+                queueTransaction(inverseRequest, transactionDevise);
+                return;
+            }
+            notifications.error(t('common.undoFailed', { message: getErrorMessage(err) }));
         }
     };
 
+    /**
+     * Attributs reliant un champ à son message d'erreur
+     * @param {string} field - Nom du champ dans le schéma de validation
+     * @returns {Object} Attributs name, aria-invalid et aria-describedby
+     */
+    const fieldAttributes = (field) => ({
+        name: field,
+        'aria-invalid': Boolean(errors[field]),
+        'aria-describedby': errors[field] ? `${formId}-${field}-error` : undefined,
+    });
+
+    /**
+     * Retire le message d'erreur d'un champ modifié
+     * @param {string} field - Nom du champ
+     */
+    const clearError = (field) => setErrors((current) => ({ ...current, [field]: undefined }));
+
+    if (!can(Permission.CREATE_TRANSACTION)) {
+        return <PermissionNotice action={t('permission.createTransaction')} />;
+    }
+
     return (
         <div className="space-y-6">
-            <form onSubmit={handleSubmit} className="space-y-6">
+            <form onSubmit={handleSubmit} className="space-y-6" noValidate>
                 <div>
-                    <label className="block text-sm font-semibold text-slate-700 mb-3">
-                        Type de transaction *
-                    </label>
-                    <div className="grid grid-cols-2 gap-3">
+                    <span id={`${formId}-type-label`} className="block text-sm font-semibold text-slate-700 mb-3">
+                        {t('transactionForm.typeLabel')}
+                    </span>
+                    <div role="radiogroup" aria-labelledby={`${formId}-type-label`} className="grid grid-cols-3 gap-3">
                         <label className={`relative cursor-pointer rounded-lg border-2 p-4 transition-all ${
                             type === 'DEPOT'
-                                ? 'border-green-500 bg-green-50 text-green-700'
+                                ? 'border-depot bg-depot-soft text-depot'
                                 : 'border-slate-200 hover:border-slate-300'
                         }`}>
                             <input
@@ -99,14 +358,14 @@ const TransactionForm = () => {
                             />
                             <div className="text-center">
                                 <div className="text-2xl mb-2">📥</div>
-                                <div className="font-semibold">Dépôt</div>
-                                <div className="text-xs opacity-75">Ajouter de l'argent</div>
+                                <div className="font-semibold">{t('transactionForm.types.DEPOT.title')}</div>
+                                <div className="text-xs opacity-75">{t('transactionForm.types.DEPOT.hint')}</div>
                             </div>
                         </label>
 
                         <label className={`relative cursor-pointer rounded-lg border-2 p-4 transition-all ${
                             type === 'RETRAIT'
-                                ? 'border-red-500 bg-red-50 text-red-700'
+                                ? 'border-retrait bg-retrait-soft text-retrait'
                                 : 'border-slate-200 hover:border-slate-300'
                         }`}>
                             <input
@@ -118,8 +377,27 @@ const TransactionForm = () => {
                             />
                             <div className="text-center">
                                 <div className="text-2xl mb-2">📤</div>
-                                <div className="font-semibold">Retrait</div>
-                                <div className="text-xs opacity-75">Retirer de l'argent</div>
+                                <div className="font-semibold">{t('transactionForm.types.RETRAIT.title')}</div>
+                                <div className="text-xs opacity-75">{t('transactionForm.types.RETRAIT.hint')}</div>
+                            </div>
+                        </label>
+
+                        <label className={`relative cursor-pointer rounded-lg border-2 p-4 transition-all ${
+                            type === 'VIREMENT'
+                                ? 'border-purple-500 bg-purple-50 text-purple-700'
+                                : 'border-slate-200 hover:border-slate-300'
+                        }`}>
+                            <input
+                                type="radio"
+                                value="VIREMENT"
+                                checked={type === 'VIREMENT'}
+                                onChange={(e) => setType(e.target.value)}
+                                className="sr-only"
+                            />
+                            <div className="text-center">
+                                <div className="text-2xl mb-2">🔁</div>
+                                <div className="font-semibold">{t('transactionForm.types.VIREMENT.title')}</div>
+                                <div className="text-xs opacity-75">{t('transactionForm.types.VIREMENT.hint')}</div>
                             </div>
                         </label>
                     </div>
@@ -127,54 +405,211 @@ const TransactionForm = () => {
 
                 <div>
                     <label className="block text-sm font-semibold text-slate-700 mb-3">
-                        Compte *
+                        {t(isVirement ? 'transactionForm.sourceLabel' : 'transactionForm.compteLabel')}
                     </label>
                     <div className="relative">
                         <select
                             value={compteId}
-                            onChange={(e) => setCompteId(e.target.value)}
-                            className="form-input w-full pr-4 py-3 rounded-lg border-slate-300 focus:border-blue-500 focus:ring-blue-500 appearance-none"
+                            onChange={(e) => {
+                                setCompteId(e.target.value);
+                                clearError('compteId');
+                            }}
+                            aria-label={t(isVirement ? 'transactionForm.source' : 'transactionForm.compte')}
+                            className={`form-input w-full pe-4 py-3 rounded-lg focus:border-accent focus:ring-accent appearance-none ${
+                                errors.compteId ? 'border-red-400' : 'border-slate-300'
+                            }`}
                             required
+                            {...fieldAttributes('compteId')}
                         >
-                            <option value="">-- Sélectionner un compte --</option>
+                            <option value="">{t('transactionForm.selectCompte')}</option>
                             {comptesData?.allComptes.map((compte) => (
                                 <option key={compte.id} value={compte.id}>
-                                    {compte.type} - Solde: {compte.solde.toFixed(2)}€
+                                    {t('transactionForm.compteOption', {
+                                        type: t(`compteType.${compte.type}`),
+                                        solde: formatAmount(compte.solde, { devise: getDevise(compte) }),
+                                    })}
                                 </option>
                             ))}
                         </select>
-                        <div className="absolute inset-y-0 right-0 flex items-center px-2 pointer-events-none">
+                        <div className="absolute inset-y-0 end-0 flex items-center px-2 pointer-events-none">
                             <svg className="w-5 h-5 text-slate-400" fill="currentColor" viewBox="0 0 20 20">
                                 <path fillRule="evenodd" d="M5.293 7.293a1 1 0 011.414 0L10 10.586l3.293-3.293a1 1 0 111.414 1.414l-4 4a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414z" clipRule="evenodd" />
                             </svg>
                         </div>
                     </div>
+                    <FieldError id={`${formId}-compteId-error`} message={errors.compteId} />
                 </div>
 
+                {isVirement && (
+                    <div>
+                        <label className="block text-sm font-semibold text-slate-700 mb-3">
+                            {t('transactionForm.destinationLabel')}
+                        </label>
+                        <div className="relative">
+                            <select
+                                value={destinationId}
+                                onChange={(e) => {
+                                    setDestinationId(e.target.value);
+                                    clearError('destinationId');
+                                }}
+                                className={`form-input w-full pe-4 py-3 rounded-lg focus:border-accent focus:ring-accent appearance-none ${
+                                    errors.destinationId ? 'border-red-400' : 'border-slate-300'
+                                }`}
+                                aria-label={t('transactionForm.destination')}
+                                required
+                                {...fieldAttributes('destinationId')}
+                            >
+                                <option value="">{t('transactionForm.selectCompte')}</option>
+                                {comptes.map((compte) => (
+                                    <option key={compte.id} value={compte.id} disabled={compte.id === compteId}>
+                                        {t('transactionForm.compteOption', {
+                                            type: t(`compteType.${compte.type}`),
+                                            solde: formatAmount(compte.solde, { devise: getDevise(compte) }),
+                                        })}
+                                    </option>
+                                ))}
+                            </select>
+                            <div className="absolute inset-y-0 end-0 flex items-center px-2 pointer-events-none">
+                                <svg className="w-5 h-5 text-slate-400" fill="currentColor" viewBox="0 0 20 20">
+                                    <path fillRule="evenodd" d="M5.293 7.293a1 1 0 011.414 0L10 10.586l3.293-3.293a1 1 0 111.414 1.414l-4 4a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414z" clipRule="evenodd" />
+                                </svg>
+                            </div>
+                        </div>
+                        <FieldError id={`${formId}-destinationId-error`} message={errors.destinationId} />
+                    </div>
+                )}
+
                 <div>
-                    <label className="block text-sm font-semibold text-slate-700 mb-3">
-                        Montant *
+                    <label htmlFor={`${formId}-montant`} className="block text-sm font-semibold text-slate-700 mb-3">
+                        {t('transactionForm.montantLabel')}
                     </label>
                     <div className="relative">
-                        <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                            <span className="text-slate-500 text-sm">€</span>
+                        <div className="absolute inset-y-0 start-0 ps-3 flex items-center pointer-events-none">
+                            <span className="text-slate-500 text-sm">{devise}</span>
                         </div>
                         <input
-                            type="number"
-                            step="0.01"
-                            min="0.01"
+                            id={`${formId}-montant`}
+                            type="text"
+                            inputMode="decimal"
                             value={montant}
-                            onChange={(e) => setMontant(e.target.value)}
-                            className="form-input w-full pl-8 pr-4 py-3 rounded-lg border-slate-300 focus:border-blue-500 focus:ring-blue-500"
-                            placeholder="Ex: 50.00"
+                            onChange={(e) => {
+                                setMontant(e.target.value);
+                                clearError('montant');
+                            }}
+                            className={`form-input w-full ps-14 pe-4 py-3 rounded-lg focus:border-accent focus:ring-accent ${
+                                errors.montant ? 'border-red-400' : 'border-slate-300'
+                            }`}
+                            placeholder={t('transactionForm.montantPlaceholder')}
                             required
+                            {...fieldAttributes('montant')}
                         />
                     </div>
+                    <FieldError id={`${formId}-montant-error`} message={errors.montant} />
                 </div>
 
-                {error && (
+                {needsApproval && (
+                    <div
+                        role="group"
+                        aria-label={t('transactionForm.approval.group')}
+                        className="space-y-3 bg-orange-50 border border-orange-200 rounded-lg p-4"
+                    >
+                        <p className="text-sm text-orange-800">
+                            {t('transactionForm.approval.notice', { amount: formatAmount(WITHDRAWAL_APPROVAL_THRESHOLD, { devise: WITHDRAWAL_APPROVAL_DEVISE }) })}
+                        </p>
+                        <div className="grid grid-cols-2 gap-3">
+                            <div>
+                                <input
+                                    type="text"
+                                    value={supervisorUsername}
+                                    onChange={(e) => {
+                                        setSupervisorUsername(e.target.value);
+                                        clearError('supervisorUsername');
+                                    }}
+                                    className={`form-input w-full px-3 py-2 rounded-lg text-sm ${
+                                        errors.supervisorUsername ? 'border-red-400' : 'border-slate-300'
+                                    }`}
+                                    placeholder={t('transactionForm.approval.usernamePlaceholder')}
+                                    aria-label={t('transactionForm.approval.username')}
+                                    autoComplete="off"
+                                    required
+                                    {...fieldAttributes('supervisorUsername')}
+                                />
+                                <FieldError
+                                    id={`${formId}-supervisorUsername-error`}
+                                    message={errors.supervisorUsername}
+                                />
+                            </div>
+                            <div>
+                                <input
+                                    type="password"
+                                    value={supervisorPassword}
+                                    onChange={(e) => {
+                                        setSupervisorPassword(e.target.value);
+                                        clearError('supervisorPassword');
+                                    }}
+                                    className={`form-input w-full px-3 py-2 rounded-lg text-sm ${
+                                        errors.supervisorPassword ? 'border-red-400' : 'border-slate-300'
+                                    }`}
+                                    placeholder={t('transactionForm.approval.passwordPlaceholder')}
+                                    aria-label={t('transactionForm.approval.password')}
+                                    autoComplete="new-password"
+                                    required
+                                    {...fieldAttributes('supervisorPassword')}
+                                />
+                                <FieldError
+                                    id={`${formId}-supervisorPassword-error`}
+                                    message={errors.supervisorPassword}
+                                />
+                            </div>
+                        </div>
+                    </div>
+                )}
+
+                {projectedSolde !== null && (
+                    <div
+                        aria-live="polite"
+                        className={`px-4 py-3 rounded-lg border text-sm ${
+                            blockingError
+                                ? 'bg-red-50 border-red-200 text-red-700'
+                                : 'bg-slate-50 border-slate-200 text-slate-700'
+                        }`}
+                    >
+                        <p>
+                            {t(isVirement ? 'transactionForm.sourceProjection' : 'transactionForm.projection')}{' '}
+                            <span className="font-semibold">{formatAmount(projectedSolde, { devise })}</span>
+                            {projectedSolde < 0 && !blockingError && (
+                                <span>
+                                    {' '}
+                                    {t('transactionForm.overdraftAllowed', {
+                                        amount: formatAmount(getOverdraftLimit(source), { devise }),
+                                    })}
+                                </span>
+                            )}
+                        </p>
+                        {blockingError && <p className="font-semibold mt-1">{blockingError}</p>}
+                    </div>
+                )}
+
+                {virementError && projectedSolde === null && (
+                    <p className="text-sm text-orange-700">{virementError}</p>
+                )}
+
+                {virementReport && (
+                    <div
+                        role="alert"
+                        className={`px-4 py-3 rounded-lg border text-sm ${
+                            virementReport.statut === StatutVirement.INCOHERENT
+                                ? 'bg-red-100 border-red-400 text-red-800 font-semibold'
+                                : 'bg-red-50 border-red-200 text-red-700'
+                        }`}
+                    >
+                        {virementReport.message}
+                    </div>
+                )}
+
+                {error && !isVirement && !isQueueableError(error) && (
                     <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex items-center">
-                        <svg className="w-5 h-5 mr-2" fill="currentColor" viewBox="0 0 20 20">
+                        <svg className="w-5 h-5 me-2" fill="currentColor" viewBox="0 0 20 20">
                             <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
                         </svg>
                         <span className="text-sm">{error.message}</span>
@@ -183,24 +618,28 @@ const TransactionForm = () => {
 
                 <button
                     type="submit"
-                    disabled={loading}
-                    className={`w-full flex items-center justify-center space-x-2 py-3 px-4 rounded-lg font-semibold transition-all ${
-                        loading
+                    disabled={submitting || Boolean(blockingError)}
+                    className={`w-full flex items-center justify-center space-x-2 rtl:space-x-reverse py-3 px-4 rounded-lg font-semibold transition-all ${
+                        submitting || blockingError
                             ? 'bg-slate-400 cursor-not-allowed text-white'
                             : type === 'DEPOT'
                                 ? 'btn-primary bg-gradient-to-r from-green-500 to-green-600 hover:from-green-600 hover:to-green-700'
-                                : 'btn-primary bg-gradient-to-r from-red-500 to-red-600 hover:from-red-600 hover:to-red-700'
+                                : type === 'VIREMENT'
+                                    ? 'btn-primary bg-gradient-to-r from-purple-500 to-purple-600 hover:from-purple-600 hover:to-purple-700'
+                                    : 'btn-primary bg-gradient-to-r from-red-500 to-red-600 hover:from-red-600 hover:to-red-700'
                     }`}
                 >
-                    {loading ? (
+                    {submitting ? (
                         <>
                             <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
-                            <span>Traitement...</span>
+                            <span>{t('transactionForm.processing')}</span>
                         </>
                     ) : (
                         <>
-                            <span>{type === 'DEPOT' ? '💰' : '💸'}</span>
-                            <span>{type === 'DEPOT' ? 'Effectuer le dépôt' : 'Effectuer le retrait'}</span>
+                            <span>{type === 'DEPOT' ? '💰' : type === 'VIREMENT' ? '🔁' : '💸'}</span>
+                            <span>
+                                {t(`transactionForm.submit.${type}`)}
+                            </span>
                         </>
                     )}
                 </button>
@@ -1,18 +1,32 @@
 import React from 'react';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
-import { MockedProvider } from '@apollo/client/testing';
+import { act, render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MockLink, MockedProvider } from '@apollo/client/testing';
+import { ApolloLink, InMemoryCache } from '@apollo/client';
+import { GraphQLError } from 'graphql';
 import TransactionForm from './TransactionForm';
-import { ADD_TRANSACTION } from '../services/graphql-mutations';
+import TransactionList from './TransactionList';
+import ToastContainer from './ToastContainer';
+import { NotificationProvider } from '../contexts/NotificationContext';
+import { AuthProvider } from '../contexts/AuthContext';
+import { ADD_TRANSACTION, APPROVE_WITHDRAWAL } from '../services/graphql-mutations';
 import { GET_ALL_TRANSACTIONS, GET_ALL_COMPTES } from '../services/graphql-queries';
+import { recordFailure, recordSuccess } from '../services/connection-status';
+import { getQueue } from '../services/offline-queue';
+import { typePolicies } from '../clients/apollo-cache';
+import { SessionEndReason, endSession, startSession } from '../services/auth-session';
+import { Role } from '../services/type-definitions';
+import { APPROVAL_HEADER } from '../services/permissions';
 
 /**
  * Tests pour le composant TransactionForm
  *
  * Ces tests vérifient le comportement du formulaire de transaction :
  * - Chargement des comptes
- * - Validation des champs
+ * - Validation des champs et messages d'erreur associés à chaque champ
  * - Soumission réussie des transactions
  * - Gestion des erreurs
+ * - Virements entre comptes et rapport d'échec
+ * - Droits du profil connecté et validation des retraits importants
  *
  * @module components/TransactionForm.test
  * @author Halmaoui Abdellah
@@ -25,108 +39,132 @@ const mockComptes = [
     {
         id: '1',
         solde: 1500.50,
+        devise: 'EUR',
         dateCreation: '2025-01-15',
         type: 'COURANT'
     },
     {
         id: '2',
         solde: 5000.00,
+        devise: 'EUR',
         dateCreation: '2025-02-20',
         type: 'EPARGNE'
     }
 ];
 
-// Mock pour les requêtes
-const mocks = [
-    {
-        request: {
-            query: GET_ALL_COMPTES,
-        },
-        result: {
-            data: {
-                allComptes: mockComptes,
-            },
+/**
+ * Construit un mock de la mutation ADD_TRANSACTION
+ * @param {string} type - Type de transaction
+ * @param {string} compteId - Compte concerné
+ * @param {Error} [error] - Erreur renvoyée à la place du résultat
+ * @param {number} [montant=500] - Montant de la transaction
+ */
+const transactionMock = (type, compteId, error, montant = 500.0) => ({
+    request: {
+        query: ADD_TRANSACTION,
+        variables: {
+            transactionRequest: { type, montant, compteId },
         },
     },
-    {
-        request: {
-            query: ADD_TRANSACTION,
-            variables: {
-                transaction: {
-                    compteId: '1',
-                    montant: 500.0,
-                    type: 'DEPOT',
+    ...(error
+        ? { error }
+        : {
+            result: {
+                data: {
+                    addTransaction: {
+                        id: `${type}-${compteId}`,
+                        type,
+                        montant,
+                        date: '2025-12-09',
+                        compte: { id: compteId, solde: 1000.0, devise: 'EUR', type: 'COURANT' },
+                    },
                 },
             },
-        },
-        result: {
-            data: {
-                addTransaction: {
-                    id: '1',
-                    compteId: '1',
-                    montant: 500.0,
-                    date: '2025-12-09',
-                    type: 'DEPOT',
-                },
-            },
-        },
+        }),
+});
+
+// Mock de la liste des comptes pour les virements
+const comptesMock = {
+    request: {
+        query: GET_ALL_COMPTES,
     },
-    {
-        request: {
-            query: GET_ALL_TRANSACTIONS,
-        },
-        result: {
-            data: {
-                allTransactions: [],
-            },
+    result: {
+        data: {
+            allComptes: mockComptes,
         },
     },
-];
+};
 
-// Mock pour les erreurs
-const errorMocks = [
-    {
-        request: {
-            query: GET_ALL_COMPTES,
-        },
-        result: {
-            data: {
-                allComptes: mockComptes,
-            },
-        },
-    },
-    {
-        request: {
-            query: ADD_TRANSACTION,
-            variables: {
-                transaction: {
-                    compteId: '1',
-                    montant: 500.0,
-                    type: 'DEPOT',
-                },
-            },
+/**
+ * Remplit le formulaire de virement du compte 1 vers le compte 2
+ * @param {string} montant - Montant saisi
+ */
+const fillVirement = async (montant) => {
+    await screen.findAllByText(/EPARGNE - Solde/);
+
+    fireEvent.click(screen.getByDisplayValue('VIREMENT'));
+    fireEvent.change(screen.getByLabelText('Compte source'), { target: { value: '1' } });
+    fireEvent.change(screen.getByLabelText('Compte destination'), { target: { value: '2' } });
+    fireEvent.change(screen.getByPlaceholderText('Ex: 50.00'), { target: { value: montant } });
+};
+
+/**
+ * Construit un mock de la validation par un superviseur d'un retrait de 1500 € sur le compte 2
+ * @param {Object} response - Réponse du serveur ({ result } ou { error })
+ * @returns {Object} Mock de la mutation APPROVE_WITHDRAWAL
+ */
+const approvalMock = (response) => ({
+    request: {
+        query: APPROVE_WITHDRAWAL,
+        variables: {
+            approval: { compteId: '2', montant: 1500, username: 'superviseur', password: 'secret' },
         },
-        error: new Error('Erreur lors de la transaction'),
     },
-];
+    ...response,
+});
+
+/**
+ * Saisit un retrait de 1500 € sur le compte 2 et les identifiants du superviseur
+ */
+const fillApprovedRetrait = async () => {
+    await screen.findAllByText(/EPARGNE - Solde/);
+
+    fireEvent.click(screen.getByDisplayValue('RETRAIT'));
+    fireEvent.change(screen.getByLabelText('Compte'), { target: { value: '2' } });
+    fireEvent.change(screen.getByPlaceholderText('Ex: 50.00'), { target: { value: '1500' } });
+    fireEvent.change(screen.getByLabelText('Identifiant du superviseur'), { target: { value: 'superviseur' } });
+    fireEvent.change(screen.getByLabelText('Mot de passe du superviseur'), { target: { value: 'secret' } });
+};
 
 describe('TransactionForm Component', () => {
+    beforeEach(() => {
+        startSession({ token: 'jeton', expiresAt: null, user: { username: 'conseiller', nom: 'Conseiller', role: Role.CONSEILLER } });
+    });
+
+    afterEach(() => {
+        act(() => endSession(SessionEndReason.LOGOUT));
+    });
+
     /**
      * Test le rendu initial du formulaire
      */
     test('affiche le formulaire de transaction correctement', async () => {
         render(
-            <MockedProvider mocks={mocks} addTypename={false}>
-                <TransactionForm />
+            <MockedProvider mocks={[comptesMock]} addTypename={false}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <TransactionForm />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
             </MockedProvider>
         );
 
-        await waitFor(() => {
-            expect(screen.getByLabelText(/type de transaction/i)).toBeInTheDocument();
-            expect(screen.getByLabelText(/montant/i)).toBeInTheDocument();
-            expect(screen.getByLabelText(/compte/i)).toBeInTheDocument();
-            expect(screen.getByRole('button', { name: /effectuer transaction/i })).toBeInTheDocument();
-        });
+        expect(screen.getByRole('radiogroup', { name: /type de transaction/i })).toBeInTheDocument();
+        expect(screen.getByRole('radio', { name: /dépôt/i })).toBeChecked();
+        expect(screen.getByLabelText('Montant *')).toBeInTheDocument();
+        expect(screen.getByLabelText('Compte')).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: /effectuer le dépôt/i })).toBeInTheDocument();
     });
 
     /**
@@ -134,161 +172,153 @@ describe('TransactionForm Component', () => {
      */
     test('charge et affiche les comptes dans le sélecteur', async () => {
         render(
-            <MockedProvider mocks={mocks} addTypename={false}>
-                <TransactionForm />
+            <MockedProvider mocks={[comptesMock]} addTypename={false}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <TransactionForm />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
             </MockedProvider>
         );
 
-        await waitFor(() => {
-            expect(screen.getByText('COURANT - 1 500,50 €')).toBeInTheDocument();
-            expect(screen.getByText('ÉPARGNE - 5 000,00 €')).toBeInTheDocument();
-        });
+        expect(await screen.findByText('COURANT - Solde: 1 500,50 €')).toBeInTheDocument();
+        expect(screen.getByText('EPARGNE - Solde: 5 000,00 €')).toBeInTheDocument();
     });
 
     /**
      * Test la validation du montant (montant négatif)
      */
     test('valide le montant positif', async () => {
-        const alertMock = jest.spyOn(window, 'alert').mockImplementation(() => {});
-
         render(
-            <MockedProvider mocks={mocks} addTypename={false}>
-                <TransactionForm />
+            <MockedProvider mocks={[comptesMock]} addTypename={false}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <TransactionForm />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
             </MockedProvider>
         );
 
-        await waitFor(() => {
-            expect(screen.getByLabelText(/compte/i)).toBeInTheDocument();
-        });
+        await screen.findAllByText(/EPARGNE - Solde/);
 
-        const montantInput = screen.getByLabelText(/montant/i);
-        const compteSelect = screen.getByLabelText(/compte/i);
-        const submitButton = screen.getByRole('button', { name: /effectuer transaction/i });
+        fireEvent.change(screen.getByLabelText('Compte'), { target: { value: '1' } });
+        fireEvent.change(screen.getByLabelText('Montant *'), { target: { value: '-100' } });
+        fireEvent.click(screen.getByRole('button', { name: /effectuer le dépôt/i }));
 
-        fireEvent.change(compteSelect, { target: { value: '1' } });
-        fireEvent.change(montantInput, { target: { value: '-100' } });
-        fireEvent.click(submitButton);
-
-        expect(alertMock).toHaveBeenCalledWith('Veuillez entrer un montant valide');
-
-        alertMock.mockRestore();
+        expect(await screen.findByText('Veuillez entrer un montant valide')).toBeInTheDocument();
     });
 
     /**
      * Test la validation du montant (montant vide)
      */
     test('valide le montant non vide', async () => {
-        const alertMock = jest.spyOn(window, 'alert').mockImplementation(() => {});
-
         render(
-            <MockedProvider mocks={mocks} addTypename={false}>
-                <TransactionForm />
+            <MockedProvider mocks={[comptesMock]} addTypename={false}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <TransactionForm />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
             </MockedProvider>
         );
 
-        await waitFor(() => {
-            expect(screen.getByLabelText(/compte/i)).toBeInTheDocument();
-        });
-
-        const compteSelect = screen.getByLabelText(/compte/i);
-        const submitButton = screen.getByRole('button', { name: /effectuer transaction/i });
+        await screen.findAllByText(/EPARGNE - Solde/);
 
-        fireEvent.change(compteSelect, { target: { value: '1' } });
-        fireEvent.click(submitButton);
+        fireEvent.change(screen.getByLabelText('Compte'), { target: { value: '1' } });
+        fireEvent.click(screen.getByRole('button', { name: /effectuer le dépôt/i }));
 
-        expect(alertMock).toHaveBeenCalledWith('Veuillez entrer un montant valide');
-
-        alertMock.mockRestore();
+        expect(await screen.findByText('Veuillez entrer un montant valide')).toBeInTheDocument();
     });
 
     /**
      * Test la validation de la sélection du compte
      */
     test('valide la sélection du compte', async () => {
-        const alertMock = jest.spyOn(window, 'alert').mockImplementation(() => {});
-
         render(
-            <MockedProvider mocks={mocks} addTypename={false}>
-                <TransactionForm />
+            <MockedProvider mocks={[comptesMock]} addTypename={false}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <TransactionForm />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
             </MockedProvider>
         );
 
-        await waitFor(() => {
-            expect(screen.getByLabelText(/compte/i)).toBeInTheDocument();
-        });
+        await screen.findAllByText(/EPARGNE - Solde/);
 
-        const montantInput = screen.getByLabelText(/montant/i);
-        const submitButton = screen.getByRole('button', { name: /effectuer transaction/i });
+        fireEvent.change(screen.getByLabelText('Montant *'), { target: { value: '500' } });
+        fireEvent.click(screen.getByRole('button', { name: /effectuer le dépôt/i }));
 
-        fireEvent.change(montantInput, { target: { value: '500' } });
-        fireEvent.click(submitButton);
-
-        expect(alertMock).toHaveBeenCalledWith('Veuillez sélectionner un compte');
-
-        alertMock.mockRestore();
+        expect(await screen.findByText('Veuillez sélectionner un compte')).toBeInTheDocument();
     });
 
     /**
      * Test la soumission réussie d'une transaction
      */
     test('effectue une transaction avec succès', async () => {
-        const alertMock = jest.spyOn(window, 'alert').mockImplementation(() => {});
-
         render(
-            <MockedProvider mocks={mocks} addTypename={false}>
-                <TransactionForm />
+            <MockedProvider mocks={[comptesMock, transactionMock('DEPOT', '1')]} addTypename={false}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <TransactionForm />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
             </MockedProvider>
         );
 
-        await waitFor(() => {
-            expect(screen.getByLabelText(/compte/i)).toBeInTheDocument();
-        });
+        await screen.findAllByText(/EPARGNE - Solde/);
 
-        const typeSelect = screen.getByLabelText(/type de transaction/i);
-        const montantInput = screen.getByLabelText(/montant/i);
-        const compteSelect = screen.getByLabelText(/compte/i);
-        const submitButton = screen.getByRole('button', { name: /effectuer transaction/i });
+        const montantInput = screen.getByLabelText('Montant *');
 
-        fireEvent.change(typeSelect, { target: { value: 'DEPOT' } });
+        fireEvent.click(screen.getByRole('radio', { name: /dépôt/i }));
         fireEvent.change(montantInput, { target: { value: '500' } });
-        fireEvent.change(compteSelect, { target: { value: '1' } });
-        fireEvent.click(submitButton);
+        fireEvent.change(screen.getByLabelText('Compte'), { target: { value: '1' } });
+        fireEvent.click(screen.getByRole('button', { name: /effectuer le dépôt/i }));
 
-        await waitFor(() => {
-            expect(alertMock).toHaveBeenCalledWith('Transaction effectuée avec succès !');
-        });
+        expect(await screen.findByText('Dépôt effectué avec succès !')).toBeInTheDocument();
 
         // Vérifier que le montant est réinitialisé
         expect(montantInput.value).toBe('');
-
-        alertMock.mockRestore();
     });
 
     /**
      * Test l'affichage des erreurs
      */
     test('affiche les erreurs de transaction', async () => {
+        // Refus du serveur : une erreur réseau mettrait la transaction en attente
+        const refusedMock = {
+            request: {
+                query: ADD_TRANSACTION,
+                variables: { transactionRequest: { type: 'DEPOT', montant: 500, compteId: '1' } },
+            },
+            result: { errors: [new GraphQLError('Erreur lors de la transaction')] },
+        };
+
         render(
-            <MockedProvider mocks={errorMocks} addTypename={false}>
-                <TransactionForm />
+            <MockedProvider mocks={[comptesMock, refusedMock]} addTypename={false}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <TransactionForm />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
             </MockedProvider>
         );
 
-        await waitFor(() => {
-            expect(screen.getByLabelText(/compte/i)).toBeInTheDocument();
-        });
+        await screen.findAllByText(/EPARGNE - Solde/);
 
-        const montantInput = screen.getByLabelText(/montant/i);
-        const compteSelect = screen.getByLabelText(/compte/i);
-        const submitButton = screen.getByRole('button', { name: /effectuer transaction/i });
+        fireEvent.change(screen.getByLabelText('Montant *'), { target: { value: '500' } });
+        fireEvent.change(screen.getByLabelText('Compte'), { target: { value: '1' } });
+        fireEvent.click(screen.getByRole('button', { name: /effectuer le dépôt/i }));
 
-        fireEvent.change(montantInput, { target: { value: '500' } });
-        fireEvent.change(compteSelect, { target: { value: '1' } });
-        fireEvent.click(submitButton);
-
-        await waitFor(() => {
-            expect(screen.getByText('Erreur lors de la transaction')).toBeInTheDocument();
-        });
+        expect(await screen.findByText(
+            'Dépôt annulé, les soldes affichés ont été rétablis : Erreur lors de la transaction'
+        )).toBeInTheDocument();
     });
 
     /**
@@ -296,25 +326,27 @@ describe('TransactionForm Component', () => {
      */
     test('affiche l\'indicateur de chargement pendant la transaction', async () => {
         render(
-            <MockedProvider mocks={mocks} addTypename={false}>
-                <TransactionForm />
+            <MockedProvider mocks={[comptesMock, transactionMock('DEPOT', '1')]} addTypename={false}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <TransactionForm />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
             </MockedProvider>
         );
 
-        await waitFor(() => {
-            expect(screen.getByLabelText(/compte/i)).toBeInTheDocument();
-        });
+        await screen.findAllByText(/EPARGNE - Solde/);
 
-        const montantInput = screen.getByLabelText(/montant/i);
-        const compteSelect = screen.getByLabelText(/compte/i);
-        const submitButton = screen.getByRole('button', { name: /effectuer transaction/i });
+        const submitButton = screen.getByRole('button', { name: /effectuer le dépôt/i });
 
-        fireEvent.change(montantInput, { target: { value: '500' } });
-        fireEvent.change(compteSelect, { target: { value: '1' } });
+        fireEvent.change(screen.getByLabelText('Montant *'), { target: { value: '500' } });
+        fireEvent.change(screen.getByLabelText('Compte'), { target: { value: '1' } });
         fireEvent.click(submitButton);
 
-        expect(submitButton).toBeDisabled();
-        expect(submitButton).toHaveTextContent('Transaction...');
+        await waitFor(() => expect(submitButton).toBeDisabled());
+        expect(submitButton).toHaveTextContent('Traitement...');
+        expect(await screen.findByText('Dépôt effectué avec succès !')).toBeInTheDocument();
     });
 
     /**
@@ -322,19 +354,644 @@ describe('TransactionForm Component', () => {
      */
     test('permet la sélection du type de transaction', async () => {
         render(
-            <MockedProvider mocks={mocks} addTypename={false}>
-                <TransactionForm />
+            <MockedProvider mocks={[comptesMock]} addTypename={false}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <TransactionForm />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        const retrait = screen.getByRole('radio', { name: /retrait/i });
+
+        fireEvent.click(retrait);
+
+        expect(retrait).toBeChecked();
+        expect(screen.getByRole('button', { name: /effectuer le retrait/i })).toBeInTheDocument();
+        await screen.findAllByText(/EPARGNE - Solde/);
+    });
+
+    /**
+     * Test un virement réussi
+     */
+    test('effectue un virement par retrait puis dépôt', async () => {
+        render(
+            <MockedProvider
+                mocks={[comptesMock, transactionMock('RETRAIT', '1'), transactionMock('DEPOT', '2')]}
+                addTypename={false}
+            >
+                <AuthProvider>
+                    <NotificationProvider>
+                        <TransactionForm />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
             </MockedProvider>
         );
 
+        await fillVirement('500');
+        fireEvent.click(screen.getByRole('button', { name: /effectuer le virement/i }));
+
         await waitFor(() => {
-            expect(screen.getByLabelText(/type de transaction/i)).toBeInTheDocument();
+            expect(screen.getByText('Virement effectué avec succès !')).toBeInTheDocument();
+        });
+    });
+
+    /**
+     * Test la validation du solde du compte source
+     */
+    test('signale un solde insuffisant sur le compte source', async () => {
+        render(
+            <MockedProvider mocks={[comptesMock]} addTypename={false}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <TransactionForm />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        await fillVirement('2600');
+
+        expect(screen.getByText(
+            'Compte source : Découvert autorisé de 500,00 € dépassé (retrait maximal : 2 000,50 €)'
+        )).toBeInTheDocument();
+    });
+
+    /**
+     * Test le refus d'un virement entre des comptes de devises différentes
+     */
+    test('refuse un virement entre des comptes de devises différentes', async () => {
+        const dollarsMock = {
+            ...comptesMock,
+            result: { data: { allComptes: [mockComptes[0], { ...mockComptes[1], devise: 'USD' }] } },
+        };
+
+        render(
+            <MockedProvider mocks={[dollarsMock]} addTypename={false}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <TransactionForm />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        await fillVirement('500');
+
+        expect(screen.getByText('Virement impossible entre un compte en EUR et un compte en USD')).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: /effectuer le virement/i })).toBeDisabled();
+    });
+
+    /**
+     * Test le solde projeté d'un compte courant dans la limite du découvert autorisé
+     */
+    test('affiche le solde projeté d\'un retrait couvert par le découvert autorisé', async () => {
+        render(
+            <MockedProvider mocks={[comptesMock]} addTypename={false}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <TransactionForm />
+                    </NotificationProvider>
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        await screen.findAllByText(/EPARGNE - Solde/);
+        fireEvent.click(screen.getByDisplayValue('RETRAIT'));
+        fireEvent.change(screen.getByLabelText('Compte'), { target: { value: '1' } });
+        fireEvent.change(screen.getByPlaceholderText('Ex: 50.00'), { target: { value: '1800' } });
+
+        expect(screen.getByText('-299,50 €')).toBeInTheDocument();
+        expect(screen.getByText('(découvert autorisé : 500,00 €)')).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: /Effectuer le retrait/ })).toBeEnabled();
+    });
+
+    /**
+     * Test le blocage d'un retrait rendant un compte épargne débiteur
+     */
+    test('bloque un retrait qui rendrait un compte épargne débiteur', async () => {
+        render(
+            <MockedProvider mocks={[comptesMock]} addTypename={false}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <TransactionForm />
+                    </NotificationProvider>
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        await screen.findAllByText(/EPARGNE - Solde/);
+        fireEvent.click(screen.getByDisplayValue('RETRAIT'));
+        fireEvent.change(screen.getByLabelText('Compte'), { target: { value: '2' } });
+        fireEvent.change(screen.getByPlaceholderText('Ex: 50.00'), { target: { value: '5000.01' } });
+
+        expect(screen.getByText('-0,01 €')).toBeInTheDocument();
+        expect(screen.getByText(
+            'Solde insuffisant : un compte épargne ne peut pas être débiteur (retrait maximal : 5 000,00 €)'
+        )).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: /Effectuer le retrait/ })).toBeDisabled();
+    });
+
+    /**
+     * Test les messages d'erreur affichés sous les champs invalides
+     */
+    test('associe à chaque champ invalide son message d\'erreur', async () => {
+        render(
+            <MockedProvider mocks={[comptesMock]} addTypename={false}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <TransactionForm />
+                    </NotificationProvider>
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        await screen.findAllByText(/EPARGNE - Solde/);
+        const montantInput = screen.getByLabelText('Montant *');
+        fireEvent.change(montantInput, { target: { value: '10,999' } });
+        fireEvent.click(screen.getByRole('button', { name: /Effectuer le dépôt/ }));
+
+        expect(screen.getByLabelText('Compte')).toHaveAccessibleDescription('Veuillez sélectionner un compte');
+        expect(screen.getByLabelText('Compte')).toHaveFocus();
+        expect(montantInput).toHaveAttribute('aria-invalid', 'true');
+        expect(montantInput).toHaveAccessibleDescription('Le montant ne peut pas avoir plus de deux décimales');
+    });
+
+    /**
+     * Test l'annulation du retrait quand le dépôt échoue
+     */
+    test('annule le retrait quand le dépôt sur le compte destination échoue', async () => {
+        render(
+            <MockedProvider
+                mocks={[
+                    comptesMock,
+                    transactionMock('RETRAIT', '1'),
+                    transactionMock('DEPOT', '2', new Error('Compte destination clôturé')),
+                    transactionMock('DEPOT', '1'),
+                ]}
+                addTypename={false}
+            >
+                <AuthProvider>
+                    <NotificationProvider>
+                        <TransactionForm />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        await fillVirement('500');
+        fireEvent.click(screen.getByRole('button', { name: /effectuer le virement/i }));
+
+        expect(await screen.findByRole('alert')).toHaveTextContent(
+            'Le dépôt sur le compte destination a échoué : Compte destination clôturé. '
+            + 'Le retrait a été annulé par un dépôt compensatoire sur le compte source.'
+        );
+    });
+
+    /**
+     * Test le rapport d'incohérence quand la compensation échoue
+     */
+    test('signale une intervention manuelle quand la compensation échoue', async () => {
+        render(
+            <MockedProvider
+                mocks={[
+                    comptesMock,
+                    transactionMock('RETRAIT', '1'),
+                    transactionMock('DEPOT', '2', new Error('Compte destination clôturé')),
+                    transactionMock('DEPOT', '1', new Error('Serveur indisponible')),
+                ]}
+                addTypename={false}
+            >
+                <AuthProvider>
+                    <NotificationProvider>
+                        <TransactionForm />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        await fillVirement('500');
+        fireEvent.click(screen.getByRole('button', { name: /effectuer le virement/i }));
+
+        expect(await screen.findByRole('alert')).toHaveTextContent('Intervention manuelle requise');
+    });
+
+    /**
+     * Test la mise en attente d'un dépôt hors connexion
+     */
+    test('met un dépôt en attente lorsque le serveur est injoignable', async () => {
+        recordFailure();
+
+        render(
+            <MockedProvider mocks={[comptesMock]} addTypename={false}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <TransactionForm />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        await screen.findAllByText(/EPARGNE - Solde/);
+        fireEvent.change(screen.getByLabelText('Compte'), { target: { value: '1' } });
+        fireEvent.change(screen.getByPlaceholderText('Ex: 50.00'), { target: { value: '500' } });
+        fireEvent.click(screen.getByRole('button', { name: /effectuer le dépôt/i }));
+
+        expect(await screen.findByText(/le dépôt sera envoyé au retour de la connexion/)).toBeInTheDocument();
+        expect(getQueue()).toEqual([
+            expect.objectContaining({
+                mutation: 'ADD_TRANSACTION',
+                variables: { transactionRequest: { type: 'DEPOT', montant: 500, compteId: '1' } },
+            }),
+        ]);
+
+        localStorage.clear();
+        recordSuccess(10);
+    });
+
+    /**
+     * Crée un cache normalisé contenant un compte sans transaction
+     * @param {string} [type='COURANT'] - Type du compte
+     * @returns {InMemoryCache} Cache prérempli
+     */
+    const createFilledCache = (type = 'COURANT') => {
+        const cache = new InMemoryCache({ typePolicies });
+        const compte = { __typename: 'Compte', id: '1', solde: 1000, devise: 'EUR', dateCreation: '2025-01-15', type };
+        cache.writeQuery({ query: GET_ALL_COMPTES, data: { allComptes: [compte] } });
+        cache.writeQuery({ query: GET_ALL_TRANSACTIONS, data: { allTransactions: [] } });
+        return cache;
+    };
+
+    /**
+     * Construit un mock différé de la mutation ADD_TRANSACTION sur le compte 1
+     * @param {string} type - Type de transaction
+     * @param {Object} response - Résultat renvoyé par le serveur
+     */
+    const delayedTransactionMock = (type, response) => ({
+        request: {
+            query: ADD_TRANSACTION,
+            variables: { transactionRequest: { type, montant: 500, compteId: '1' } },
+        },
+        delay: 50,
+        result: response,
+    });
+
+    /**
+     * Soumet une transaction de 500 € sur le compte 1
+     * @param {string} label - Libellé du type de transaction
+     */
+    const submitTransaction = async (label) => {
+        await screen.findByText('Total: 0 transaction');
+        fireEvent.click(screen.getByDisplayValue(label === 'dépôt' ? 'DEPOT' : 'RETRAIT'));
+        fireEvent.change(screen.getByLabelText('Compte'), { target: { value: '1' } });
+        fireEvent.change(screen.getByPlaceholderText('Ex: 50.00'), { target: { value: '500' } });
+        fireEvent.click(screen.getByRole('button', { name: new RegExp(`effectuer le ${label}`, 'i') }));
+    };
+
+    /**
+     * Test l'affichage optimiste d'une transaction
+     */
+    test('affiche la transaction et le nouveau solde avant la réponse du serveur', async () => {
+        const mock = delayedTransactionMock('DEPOT', {
+            data: {
+                addTransaction: {
+                    __typename: 'Transaction',
+                    id: '99',
+                    type: 'DEPOT',
+                    montant: 500,
+                    date: '2025-12-09',
+                    compte: { __typename: 'Compte', id: '1', solde: 1500, devise: 'EUR', type: 'COURANT' },
+                },
+            },
         });
 
-        const typeSelect = screen.getByLabelText(/type de transaction/i);
+        render(
+            <MockedProvider mocks={[mock]} cache={createFilledCache()}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <TransactionForm />
+                        <TransactionList />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        await submitTransaction('dépôt');
+
+        expect(await screen.findByText('+500,00 €')).toBeInTheDocument();
+        expect(screen.getByText('Solde: 1 500,00 €')).toBeInTheDocument();
+        expect(screen.queryByText('Dépôt effectué avec succès !')).not.toBeInTheDocument();
+
+        expect(await screen.findByText('Dépôt effectué avec succès !')).toBeInTheDocument();
+        expect(screen.getByText('Total: 1 transaction')).toBeInTheDocument();
+    });
+
+    /**
+     * Test le retrait de l'affichage optimiste quand le serveur refuse l'opération
+     */
+    test('rétablit l\'affichage et le signale quand le serveur refuse la transaction', async () => {
+        const mock = delayedTransactionMock('RETRAIT', { errors: [new GraphQLError('Solde insuffisant')] });
 
-        fireEvent.change(typeSelect, { target: { value: 'RETRAIT' } });
+        render(
+            <MockedProvider mocks={[mock]} cache={createFilledCache()}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <TransactionForm />
+                        <TransactionList />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        await submitTransaction('retrait');
+
+        expect(await screen.findByText('-500,00 €')).toBeInTheDocument();
+
+        expect(await screen.findByText(
+            'Retrait annulé, les soldes affichés ont été rétablis : Solde insuffisant'
+        )).toBeInTheDocument();
+        expect(screen.queryByText('-500,00 €')).not.toBeInTheDocument();
+        expect(screen.getByText('Total: 0 transaction')).toBeInTheDocument();
+    });
+
+    /**
+     * Test le formulaire masqué pour un profil en lecture seule
+     */
+    test('remplace le formulaire par un message pour un profil en lecture seule', () => {
+        startSession({ token: 'jeton', expiresAt: null, user: { username: 'auditeur', nom: 'Auditeur', role: Role.LECTURE_SEULE } });
+
+        render(
+            <MockedProvider mocks={[comptesMock]} addTypename={false}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <TransactionForm />
+                    </NotificationProvider>
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        expect(screen.getByRole('note')).toHaveTextContent('Votre profil (Lecture seule) ne permet pas de saisir de transaction');
+        expect(screen.queryByRole('button', { name: /effectuer/i })).not.toBeInTheDocument();
+    });
+
+    /**
+     * Test la validation d'un retrait important par un superviseur
+     */
+    test('envoie un retrait important après validation par un superviseur', async () => {
+        const retrait = {
+            request: {
+                query: ADD_TRANSACTION,
+                variables: { transactionRequest: { type: 'RETRAIT', montant: 1500, compteId: '2' } },
+            },
+            result: {
+                data: {
+                    addTransaction: {
+                        id: 't1',
+                        type: 'RETRAIT',
+                        montant: 1500,
+                        date: '2025-12-09',
+                        compte: { id: '2', solde: 3500, devise: 'EUR', type: 'EPARGNE' },
+                    },
+                },
+            },
+        };
+
+        render(
+            <MockedProvider
+                mocks={[
+                    comptesMock,
+                    approvalMock({
+                        result: {
+                            data: { approveWithdrawal: { token: 'validation', approvedBy: { username: 'superviseur', nom: 'Superviseur' } } },
+                        },
+                    }),
+                    retrait,
+                ]}
+                addTypename={false}
+            >
+                <AuthProvider>
+                    <NotificationProvider>
+                        <TransactionForm />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        expect(screen.queryByRole('group', { name: 'Validation superviseur' })).not.toBeInTheDocument();
+        await fillApprovedRetrait();
+        expect(screen.getByRole('group', { name: 'Validation superviseur' })).toHaveTextContent('1 000,00 €');
+
+        fireEvent.click(screen.getByRole('button', { name: /effectuer le retrait/i }));
+
+        expect(await screen.findByText('Retrait effectué avec succès !')).toBeInTheDocument();
+    });
+
+    /**
+     * Test le refus de la validation par le superviseur
+     */
+    test('n\'envoie pas le retrait lorsque la validation du superviseur est refusée', async () => {
+        render(
+            <MockedProvider
+                mocks={[
+                    comptesMock,
+                    approvalMock({
+                        result: {
+                            errors: [new GraphQLError('Identifiants du superviseur invalides', {
+                                extensions: { classification: 'BAD_REQUEST' },
+                            })],
+                        },
+                    }),
+                ]}
+                addTypename={false}
+            >
+                <AuthProvider>
+                    <NotificationProvider>
+                        <TransactionForm />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        await fillApprovedRetrait();
+        fireEvent.click(screen.getByRole('button', { name: /effectuer le retrait/i }));
+
+        expect(await screen.findByText(
+            'Validation du superviseur refusée : Identifiants du superviseur invalides'
+        )).toBeInTheDocument();
+        expect(screen.getByLabelText('Mot de passe du superviseur')).toHaveValue('');
+    });
+
+    /**
+     * Test la vérification des identifiants du superviseur avant l'envoi
+     */
+    test('exige les identifiants du superviseur avant de demander la validation', async () => {
+        render(
+            <MockedProvider mocks={[comptesMock]} addTypename={false}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <TransactionForm />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        await fillApprovedRetrait();
+        fireEvent.change(screen.getByLabelText('Identifiant du superviseur'), { target: { value: ' ' } });
+        fireEvent.change(screen.getByLabelText('Mot de passe du superviseur'), { target: { value: '' } });
+        fireEvent.click(screen.getByRole('button', { name: /effectuer le retrait/i }));
+
+        const username = screen.getByLabelText('Identifiant du superviseur');
+        const password = screen.getByLabelText('Mot de passe du superviseur');
+        expect(username).toHaveAttribute('aria-invalid', 'true');
+        expect(username).toHaveAccessibleDescription('Veuillez saisir l\'identifiant du superviseur');
+        expect(username).toHaveFocus();
+        expect(password).toHaveAccessibleDescription('Veuillez saisir le mot de passe du superviseur');
+
+        fireEvent.change(password, { target: { value: 'secret' } });
+        expect(password).toHaveAttribute('aria-invalid', 'false');
+    });
+
+    /**
+     * Test la portée du jeton de validation d'un virement
+     */
+    test('ne joint le jeton de validation qu\'au retrait d\'un virement', async () => {
+        const headers = [];
+        const recorder = new ApolloLink((operation, forward) => {
+            if (operation.operationName === 'AddTransaction') {
+                headers.push([
+                    operation.variables.transactionRequest.type,
+                    operation.getContext().headers?.[APPROVAL_HEADER],
+                ]);
+            }
+            return forward(operation);
+        });
+        const mockLink = new MockLink([
+            comptesMock,
+            approvalMock({
+                result: {
+                    data: { approveWithdrawal: { token: 'validation', approvedBy: { username: 'superviseur', nom: 'Superviseur' } } },
+                },
+            }),
+            transactionMock('RETRAIT', '2', undefined, 1500),
+            transactionMock('DEPOT', '1', new Error('Compte destination clôturé'), 1500),
+            transactionMock('DEPOT', '2', undefined, 1500),
+        ], false);
+
+        render(
+            <MockedProvider link={ApolloLink.from([recorder, mockLink])} addTypename={false}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <TransactionForm />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        await screen.findAllByText(/EPARGNE - Solde/);
+        fireEvent.click(screen.getByDisplayValue('VIREMENT'));
+        fireEvent.change(screen.getByLabelText('Compte source'), { target: { value: '2' } });
+        fireEvent.change(screen.getByLabelText('Compte destination'), { target: { value: '1' } });
+        fireEvent.change(screen.getByPlaceholderText('Ex: 50.00'), { target: { value: '1500' } });
+        fireEvent.change(screen.getByLabelText('Identifiant du superviseur'), { target: { value: 'superviseur' } });
+        fireEvent.change(screen.getByLabelText('Mot de passe du superviseur'), { target: { value: 'secret' } });
+        fireEvent.click(screen.getByRole('button', { name: /effectuer le virement/i }));
+
+        expect(await screen.findByRole('alert')).toHaveTextContent('Le retrait a été annulé par un dépôt compensatoire');
+        // Seul le retrait porte le jeton : ni le dépôt sur le compte destination, ni le dépôt compensatoire
+        expect(headers).toEqual([['RETRAIT', 'validation'], ['DEPOT', undefined], ['DEPOT', undefined]]);
+    });
+
+    /**
+     * Construit la réponse du serveur à un dépôt de 500 € sur le compte 1
+     * @param {number} solde - Solde du compte après le dépôt
+     * @param {string} type - Type du compte
+     */
+    const depotResponse = (solde, type) => ({
+        data: {
+            addTransaction: {
+                __typename: 'Transaction',
+                id: '99',
+                type: 'DEPOT',
+                montant: 500,
+                date: '2025-12-09',
+                compte: { __typename: 'Compte', id: '1', solde, devise: 'EUR', type },
+            },
+        },
+    });
+
+    /**
+     * Test le contrôle du solde actuel lors de l'annulation d'un dépôt
+     */
+    test('refuse d\'annuler un dépôt dont le retrait rendrait le compte épargne débiteur', async () => {
+        // Des retraits ont été effectués depuis : le solde ne couvre plus le dépôt
+        const mock = delayedTransactionMock('DEPOT', depotResponse(300, 'EPARGNE'));
+
+        render(
+            <MockedProvider mocks={[mock]} cache={createFilledCache('EPARGNE')}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <TransactionForm />
+                        <TransactionList />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        await submitTransaction('dépôt');
+        fireEvent.click(await screen.findByRole('button', { name: 'Annuler' }));
+
+        const message = await screen.findByText(/^Annulation impossible : Solde insuffisant/);
+        expect(message.textContent.replace(/\s/g, ' ')).toContain('(retrait maximal : 300,00 €)');
+        expect(screen.queryByText('Opération annulée par une transaction inverse')).not.toBeInTheDocument();
+    });
+
+    /**
+     * Test l'annulation d'un dépôt lorsque le serveur est devenu injoignable
+     */
+    test('met en attente l\'annulation d\'un dépôt lorsque le serveur est injoignable', async () => {
+        const mock = delayedTransactionMock('DEPOT', depotResponse(1500, 'COURANT'));
+
+        render(
+            <MockedProvider mocks={[mock]} cache={createFilledCache()}>
+                <AuthProvider>
+                    <NotificationProvider>
+                        <TransactionForm />
+                        <TransactionList />
+                        <ToastContainer />
+                    </NotificationProvider>
+                </AuthProvider>
+            </MockedProvider>
+        );
 
-        expect(typeSelect.value).toBe('RETRAIT');
+        await submitTransaction('dépôt');
+        const undo = await screen.findByRole('button', { name: 'Annuler' });
+        recordFailure();
+        fireEvent.click(undo);
+
+        expect(await screen.findByText(/le retrait sera envoyé au retour de la connexion/)).toBeInTheDocument();
+        expect(getQueue()).toEqual([
+            expect.objectContaining({
+                mutation: 'ADD_TRANSACTION',
+                variables: { transactionRequest: { type: 'RETRAIT', montant: 500, compteId: '1' } },
+            }),
+        ]);
+
+        localStorage.clear();
+        recordSuccess(10);
     });
-});
\ No newline at end of file
+});
@@ -0,0 +1,267 @@
+import React, { useState } from 'react';
+import { useMutation, useQuery } from '@apollo/client';
+import { ADD_TRANSACTION } from '../services/graphql-mutations';
+import { GET_ALL_COMPTES } from '../services/graphql-queries';
+import { addTransactionToCache } from '../services/cache-updates';
+import { getErrorMessage } from '../services/error-handling';
+import { QueuedMutation, enqueueMutation, isOffline, isQueueableError } from '../services/offline-queue';
+import {
+    groupByCompte,
+    parseImportCsv,
+    runWithConcurrency,
+    validateImportRows,
+} from '../services/transaction-import';
+import { useAuth } from '../contexts/AuthContext';
+import { useI18n } from '../contexts/I18nContext';
+import {
+    Permission,
+    WITHDRAWAL_APPROVAL_DEVISE,
+    WITHDRAWAL_APPROVAL_THRESHOLD,
+    requiresApproval,
+} from '../services/permissions';
+import PermissionNotice from './PermissionNotice';
+
+/**
+ * Nombre maximal de comptes traités simultanément pendant l'import
+ * @constant {number}
+ */
+const IMPORT_CONCURRENCY = 3;
+
+/**
+ * Composant React d'import en masse de transactions depuis un fichier CSV
+ *
+ * Ce composant remplace la saisie une à une dans TransactionForm pour les
+ * opérateurs qui disposent d'un fichier de transactions.
+ *
+ * Fonctionnalités :
+ * - Lecture d'un fichier CSV au format compteId;type;montant
+ * - Validation de chaque ligne par rapport aux comptes chargés et à TypeTransaction
+ * - Aperçu avec les erreurs ligne par ligne
+ * - Envoi des lignes valides via ADD_TRANSACTION avec une concurrence limitée
+ * - Barre de progression et récapitulatif final des succès et échecs
+ * - Rejet des retraits soumis à la validation d'un superviseur
+ * - Mise en file d'attente des lignes lorsque le serveur est injoignable
+ * - Import remplacé par un message pour les profils sans droit de saisie
+ *
+ * Les lignes d'un même compte sont envoyées dans l'ordre du fichier. Chaque
+ * transaction créée est ajoutée aux listes et aux totaux en cache, comme une
+ * saisie dans TransactionForm.
+ * Les retraits qui exigent la validation d'un superviseur ne peuvent pas être
+ * importés : ils doivent être saisis un par un dans le formulaire de transaction.
+ * Comme dans TransactionForm, une ligne qui ne peut pas être envoyée faute de
+ * connexion est mise en file d'attente (voir services/offline-queue) et sera
+ * rejouée au retour du serveur.
+ *
+ * @module components/TransactionImport
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @returns {JSX.Element} Composant React d'import de transactions
+ */
+const TransactionImport = () => {
+    const [fileName, setFileName] = useState('');
+    const [rows, setRows] = useState([]);
+    const [results, setResults] = useState({});
+    const [progress, setProgress] = useState(null);
+    const [running, setRunning] = useState(false);
+    const { user, can } = useAuth();
+    const { t, formatAmount } = useI18n();
+
+    const { loading: comptesLoading, data: comptesData } = useQuery(GET_ALL_COMPTES);
+    const [addTransaction] = useMutation(ADD_TRANSACTION, {
+        update: (cache, { data }) => addTransactionToCache(cache, data.addTransaction),
+    });
+
+    const validRows = rows.filter((row) => row.errors.length === 0);
+    const invalidCount = rows.length - validRows.length;
+    const finished = progress !== null && !running;
+    const successCount = Object.values(results).filter((result) => result.ok && !result.queued).length;
+    const queuedCount = Object.values(results).filter((result) => result.queued).length;
+    const failureCount = Object.values(results).filter((result) => !result.ok).length;
+
+    const handleFile = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            setFileName(file.name);
+            setRows(validateImportRows(
+                parseImportCsv(reader.result),
+                comptesData?.allComptes || [],
+                ({ type, montant, devise }) => (requiresApproval(user, type, montant, devise)
+                    ? t('transactionImport.errors.approval', {
+                        amount: formatAmount(WITHDRAWAL_APPROVAL_THRESHOLD, { devise: WITHDRAWAL_APPROVAL_DEVISE }),
+                    })
+                    : null)
+            ));
+            setResults({});
+            setProgress(null);
+        };
+        reader.readAsText(file);
+    };
+
+    const handleImport = async () => {
+        setRunning(true);
+        setResults({});
+        setProgress({ done: 0, total: validRows.length });
+
+        await runWithConcurrency(groupByCompte(validRows), IMPORT_CONCURRENCY, async (group) => {
+            for (const row of group) {
+                const transactionRequest = { type: row.type, montant: row.montant, compteId: row.compteId };
+                let result;
+                if (isOffline()) {
+                    enqueueMutation(QueuedMutation.ADD_TRANSACTION, { transactionRequest }, row.devise);
+                    result = { ok: true, queued: true };
+                } else {
+                    try {
+                        await addTransaction({ variables: { transactionRequest } });
+                        result = { ok: true };
+                    } catch (err) {
+                        if (isQueueableError(err)) {
+                            enqueueMutation(QueuedMutation.ADD_TRANSACTION, { transactionRequest }, row.devise);
+                            result = { ok: true, queued: true };
+                        } else {
+                            result = { ok: false, message: getErrorMessage(err) };
+                        }
+                    }
+                }
+                setResults((previous) => ({ ...previous, [row.line]: result }));
+                setProgress((previous) => ({ ...previous, done: previous.done + 1 }));
+            }
+        });
+        setRunning(false);
+    };
+
+    if (!can(Permission.CREATE_TRANSACTION)) {
+        return <PermissionNotice action={t('permission.importTransactions')} />;
+    }
+
+    return (
+        <div className="space-y-6">
+            <div>
+                <label htmlFor="import-file" className="block text-sm font-semibold text-slate-700 mb-3">
+                    {t('transactionImport.fileLabel')}
+                </label>
+                <input
+                    id="import-file"
+                    type="file"
+                    accept=".csv,text/csv"
+                    onChange={handleFile}
+                    disabled={comptesLoading || running}
+                    className="block w-full text-sm text-slate-600"
+                />
+                <p className="text-xs text-slate-500 mt-2">
+                    {t('transactionImport.formatLabel')} <span className="font-mono">compteId;type;montant</span>{' '}
+                    {t('transactionImport.formatRules')} <span className="font-mono">42;DEPOT;150,00</span>
+                </p>
+            </div>
+
+            {rows.length > 0 && (
+                <>
+                    <div className="flex items-center justify-between">
+                        <p className="text-sm text-slate-600">
+                            {t('transactionImport.summary', { file: fileName, count: validRows.length, invalid: invalidCount })}
+                        </p>
+                        <button
+                            type="button"
+                            onClick={handleImport}
+                            disabled={running || validRows.length === 0}
+                            className={`btn-primary ${running || validRows.length === 0 ? 'opacity-50 cursor-not-allowed' : ''}`}
+                        >
+                            {running
+                                ? t('transactionImport.importing')
+                                : t('transactionImport.import', { count: validRows.length })}
+                        </button>
+                    </div>
+
+                    {progress && (
+                        <div className="space-y-1">
+                            <div
+                                role="progressbar"
+                                aria-label={t('transactionImport.progress')}
+                                aria-valuemin={0}
+                                aria-valuemax={progress.total}
+                                aria-valuenow={progress.done}
+                                className="h-2 rounded-full bg-slate-200 overflow-hidden"
+                            >
+                                <div
+                                    className="h-2 bg-blue-600"
+                                    style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 100}%` }}
+                                ></div>
+                            </div>
+                            <p className="text-xs text-slate-500">{progress.done} / {progress.total}</p>
+                        </div>
+                    )}
+
+                    {finished && (
+                        <div
+                            role="status"
+                            className={`px-4 py-3 rounded-lg border text-sm ${
+                                failureCount === 0
+                                    ? 'bg-green-50 border-green-200 text-green-800'
+                                    : 'bg-orange-50 border-orange-200 text-orange-800'
+                            }`}
+                        >
+                            {t('transactionImport.finished', {
+                                succeeded: t('transactionImport.succeeded', { count: successCount }),
+                                failed: t('transactionImport.failedCount', { count: failureCount }),
+                            })}
+                            {queuedCount > 0 && t('transactionImport.queuedCount', { count: queuedCount })}
+                            {invalidCount > 0 && t('transactionImport.ignored', { count: invalidCount })}
+                        </div>
+                    )}
+
+                    <div className="overflow-x-auto max-h-96 overflow-y-auto">
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-start text-slate-500 border-b border-slate-200">
+                                    <th className="py-2 pe-4">{t('transactionImport.columns.line')}</th>
+                                    <th className="py-2 pe-4">{t('transactionImport.columns.compte')}</th>
+                                    <th className="py-2 pe-4">{t('transactionImport.columns.type')}</th>
+                                    <th className="py-2 pe-4 text-end">{t('transactionImport.columns.montant')}</th>
+                                    <th className="py-2">{t('transactionImport.columns.status')}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {rows.map((row) => {
+                                    const result = results[row.line];
+                                    return (
+                                        <tr key={row.line} className="border-b border-slate-100 align-top">
+                                            <td className="py-2 pe-4">{row.line}</td>
+                                            <td className="py-2 pe-4 font-mono">{row.compteId}</td>
+                                            <td className="py-2 pe-4">{row.type}</td>
+                                            <td className="py-2 pe-4 text-end">
+                                                {row.montant !== null ? formatAmount(row.montant, { devise: row.devise }) : '—'}
+                                            </td>
+                                            <td className="py-2">
+                                                {row.errors.length > 0 ? (
+                                                    <ul className="text-red-600">
+                                                        {row.errors.map((message) => <li key={message}>{message}</li>)}
+                                                    </ul>
+                                                ) : result?.queued ? (
+                                                    <span className="text-orange-600">{t('transactionImport.queued')}</span>
+                                                ) : result ? (
+                                                    <span className={result.ok ? 'text-green-600' : 'text-red-600'}>
+                                                        {result.ok
+                                                            ? t('transactionImport.imported')
+                                                            : t('transactionImport.importFailed', { message: result.message })}
+                                                    </span>
+                                                ) : (
+                                                    <span className="text-slate-500">{t('transactionImport.valid')}</span>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default TransactionImport;
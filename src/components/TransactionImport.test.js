@@ -0,0 +1,249 @@
+import React from 'react';
+import { act, render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import { MockedProvider } from '@apollo/client/testing';
+import { GraphQLError } from 'graphql';
+import TransactionImport from './TransactionImport';
+import { AuthProvider } from '../contexts/AuthContext';
+import { ADD_TRANSACTION } from '../services/graphql-mutations';
+import { GET_ALL_COMPTES } from '../services/graphql-queries';
+import { SessionEndReason, endSession, startSession } from '../services/auth-session';
+import { getQueue } from '../services/offline-queue';
+import { Role } from '../services/type-definitions';
+
+/**
+ * Tests pour le composant TransactionImport
+ *
+ * Ces tests vérifient l'import en masse de transactions :
+ * - Analyse et validation du fichier CSV
+ * - Aperçu avec erreurs ligne par ligne
+ * - Envoi des lignes valides et récapitulatif final
+ *
+ * @module components/TransactionImport.test
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+// Données de test pour les comptes
+const mockComptes = [
+    { id: '1', solde: 1500.50, devise: 'EUR', dateCreation: '2025-01-15', type: 'COURANT' },
+    { id: '2', solde: 5000.00, devise: 'EUR', dateCreation: '2025-02-20', type: 'EPARGNE' },
+];
+
+// Mock de la requête des comptes
+const comptesMock = {
+    request: { query: GET_ALL_COMPTES },
+    result: { data: { allComptes: mockComptes } },
+};
+
+/**
+ * Construit un mock de la mutation ADD_TRANSACTION
+ * @param {string} compteId - Compte concerné
+ * @param {string} type - Type de transaction
+ * @param {number} montant - Montant
+ * @param {Error} [error] - Erreur renvoyée à la place du résultat : refus du serveur
+ *        (GraphQLError) ou échec de la requête
+ */
+const transactionMock = (compteId, type, montant, error) => ({
+    request: {
+        query: ADD_TRANSACTION,
+        variables: { transactionRequest: { type, montant, compteId } },
+    },
+    ...(error
+        ? (error instanceof GraphQLError ? { result: { errors: [error] } } : { error })
+        : {
+            result: {
+                data: {
+                    addTransaction: {
+                        id: `${compteId}-${type}-${montant}`,
+                        type,
+                        montant,
+                        date: '2025-12-09',
+                        compte: { id: compteId, solde: 0, devise: 'EUR', type: 'COURANT' },
+                    },
+                },
+            },
+        }),
+});
+
+// Fichier CSV de test : en-tête, deux lignes valides et deux lignes invalides
+const csv = [
+    'compteId;type;montant',
+    '1;DEPOT;150,00',
+    '2;retrait;20.5',
+    '9;DEPOT;10',
+    '1;VIREMENT;1e5',
+].join('\n');
+
+/**
+ * Charge un fichier CSV dans le champ fichier
+ * @param {string} [content] - Contenu du fichier, le fichier CSV de test par défaut
+ */
+const uploadCsv = async (content = csv) => {
+    const input = screen.getByLabelText(/fichier csv/i);
+    // Le champ est activé une fois les comptes chargés
+    await waitFor(() => expect(input).toBeEnabled());
+    fireEvent.change(input, { target: { files: [new File([content], 'import.csv', { type: 'text/csv' })] } });
+    return screen.findByText(/import\.csv/);
+};
+
+describe('TransactionImport Component', () => {
+    beforeEach(() => {
+        startSession({ token: 'jeton', expiresAt: null, user: { username: 'conseiller', nom: 'Conseiller', role: Role.CONSEILLER } });
+    });
+
+    afterEach(() => {
+        act(() => endSession(SessionEndReason.LOGOUT));
+        localStorage.clear();
+    });
+
+    /**
+     * Test l'aperçu avec les erreurs ligne par ligne
+     */
+    test('affiche l\'aperçu avec les erreurs de chaque ligne', async () => {
+        render(
+            <MockedProvider mocks={[comptesMock]} addTypename={false}>
+                <AuthProvider>
+                    <TransactionImport />
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        expect(await uploadCsv()).toHaveTextContent('import.csv : 2 lignes valides, 2 en erreur');
+
+        const rows = screen.getAllByRole('row');
+        expect(within(rows[3]).getByText('Compte inconnu : 9')).toBeInTheDocument();
+        expect(within(rows[4]).getByText(/Type invalide : VIREMENT/)).toBeInTheDocument();
+        expect(within(rows[4]).getByText('Montant invalide : 1e5')).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'Importer 2 transactions' })).toBeEnabled();
+    });
+
+    /**
+     * Test le suivi du solde de chaque compte au fil des lignes
+     */
+    test('refuse les retraits qui dépasseraient le découvert autorisé', async () => {
+        render(
+            <MockedProvider mocks={[comptesMock]} addTypename={false}>
+                <AuthProvider>
+                    <TransactionImport />
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        expect(await uploadCsv('1;RETRAIT;900\n1;RETRAIT;900\n1;RETRAIT;900\n1;DEPOT;100'))
+            .toHaveTextContent('import.csv : 3 lignes valides, 1 en erreur');
+
+        const rows = screen.getAllByRole('row');
+        expect(within(rows[3]).getByText(
+            'Découvert autorisé de 500,00 € dépassé (retrait maximal : 200,50 €)'
+        )).toBeInTheDocument();
+    });
+
+    /**
+     * Test le solde suivi sans les retraits rejetés faute de validation
+     */
+    test('ne compte pas dans le solde les retraits soumis à validation', async () => {
+        render(
+            <MockedProvider mocks={[comptesMock]} addTypename={false}>
+                <AuthProvider>
+                    <TransactionImport />
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        await uploadCsv('2;RETRAIT;4500\n2;RETRAIT;900');
+
+        const rows = screen.getAllByRole('row');
+        expect(within(rows[1]).getByText(
+            'Retrait supérieur à 1 000,00 € : validation d\'un superviseur requise'
+        )).toBeInTheDocument();
+        expect(within(rows[2]).queryByText(/Solde insuffisant/)).not.toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'Importer 1 transaction' })).toBeEnabled();
+    });
+
+    /**
+     * Test l'envoi des lignes valides et le récapitulatif
+     */
+    test('envoie les lignes valides et affiche le récapitulatif', async () => {
+        render(
+            <MockedProvider
+                mocks={[
+                    comptesMock,
+                    transactionMock('1', 'DEPOT', 150),
+                    transactionMock('2', 'RETRAIT', 20.5, new GraphQLError('Solde insuffisant')),
+                ]}
+                addTypename={false}
+            >
+                <AuthProvider>
+                    <TransactionImport />
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        await uploadCsv();
+        fireEvent.click(screen.getByRole('button', { name: 'Importer 2 transactions' }));
+
+        expect(await screen.findByText(/Import terminé/)).toHaveTextContent(
+            'Import terminé : 1 réussie, 1 échouée, 2 lignes ignorées car invalides'
+        );
+        expect(screen.getByText('✓ Importée')).toBeInTheDocument();
+        expect(screen.getByText('✗ Solde insuffisant')).toBeInTheDocument();
+        expect(screen.getByRole('progressbar')).toHaveAttribute('aria-valuenow', '2');
+    });
+
+    /**
+     * Test la mise en file d'attente des lignes qui n'atteignent pas le serveur
+     */
+    test('met en attente les lignes envoyées sans connexion', async () => {
+        render(
+            <MockedProvider
+                mocks={[
+                    comptesMock,
+                    transactionMock('1', 'DEPOT', 150),
+                    transactionMock('2', 'RETRAIT', 20.5, new TypeError('Failed to fetch')),
+                ]}
+                addTypename={false}
+            >
+                <AuthProvider>
+                    <TransactionImport />
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        await uploadCsv();
+        fireEvent.click(screen.getByRole('button', { name: 'Importer 2 transactions' }));
+
+        expect(await screen.findByText(/Import terminé/)).toHaveTextContent(
+            'Import terminé : 1 réussie, 0 échouée, 1 en attente de connexion, 2 lignes ignorées car invalides'
+        );
+        expect(screen.getByText('⏳ En attente de connexion')).toBeInTheDocument();
+        expect(getQueue()).toEqual([
+            expect.objectContaining({
+                variables: { transactionRequest: { type: 'RETRAIT', montant: 20.5, compteId: '2' } },
+                devise: 'EUR',
+                username: 'conseiller',
+            }),
+        ]);
+    });
+
+    /**
+     * Test les règles de montant partagées avec le formulaire de transaction
+     */
+    test('applique aux montants les règles du formulaire de transaction', async () => {
+        render(
+            <MockedProvider mocks={[comptesMock]} addTypename={false}>
+                <AuthProvider>
+                    <TransactionImport />
+                </AuthProvider>
+            </MockedProvider>
+        );
+
+        expect(await uploadCsv('1;DEPOT;0\n1;DEPOT;12,345\n1;DEPOT;1000000,01\n1;DEPOT;1000000'))
+            .toHaveTextContent('import.csv : 1 ligne valide, 3 en erreur');
+
+        const rows = screen.getAllByRole('row');
+        expect(within(rows[1]).getByText('Le montant doit être d\'au moins 0,01 €')).toBeInTheDocument();
+        expect(within(rows[2]).getByText('Le montant ne peut pas avoir plus de deux décimales')).toBeInTheDocument();
+        expect(within(rows[3]).getByText('Le montant ne peut pas dépasser 1 000 000,00 €')).toBeInTheDocument();
+    });
+});
@@ -1,6 +1,40 @@
-import React from "react";
+import React, { useEffect, useMemo, useState } from "react";
 import { useQuery } from "@apollo/client";
 import { GET_ALL_TRANSACTIONS } from "../services/graphql-queries";
+import {
+    EMPTY_FILTERS,
+    computeBalancesAfter,
+    filterTransactions,
+    paginate,
+    signedMontant,
+    sortTransactions,
+} from "../services/transaction-utils";
+import { QueuedMutation, getQueue, subscribeToQueue } from "../services/offline-queue";
+import ExportButtons from "./ExportButtons";
+import TransactionFilters from "./TransactionFilters";
+import { useI18n } from "../contexts/I18nContext";
+import { getDevise } from "../services/money";
+
+/**
+ * Nombre de transactions affichées par page
+ * @constant {number}
+ */
+const PAGE_SIZE = 20;
+
+/**
+ * Colonnes de l'export CSV/JSON des transactions, libellées par transactionList.export.<key>
+ * @constant {Array<{key: string, type: string}>}
+ */
+const EXPORT_COLUMNS = [
+    { key: 'id', type: 'text' },
+    { key: 'date', type: 'text' },
+    { key: 'type', type: 'text' },
+    { key: 'compteId', type: 'text' },
+    { key: 'typeCompte', type: 'text' },
+    { key: 'montant', type: 'number' },
+    { key: 'soldeApres', type: 'number' },
+    { key: 'devise', type: 'text' },
+];
 
 /**
  * Composant React pour afficher l'historique des transactions bancaires
@@ -11,9 +45,13 @@ import { GET_ALL_TRANSACTIONS } from "../services/graphql-queries";
  *
  * Fonctionnalités :
  * - Affichage paginé des transactions avec défilement
- * - Tri chronologique (plus récent en haut)
+ * - Tri par date, montant ou type (par défaut : plus récent en haut)
+ * - Filtres par type, compte, plage de montants et plage de dates
+ * - Recherche libre sur les identifiants de transaction et de compte
+ * - Export CSV/JSON des transactions filtrées avec le solde après transaction
  * - Indicateurs visuels colorés selon le type (dépôt/vert, retrait/rouge)
  * - Bouton de rafraîchissement manuel des données
+ * - Opérations soumises hors connexion affichées « en attente » jusqu'à leur synchronisation
  * - Gestion des états de chargement et d'erreur
  * - Affichage détaillé : type, montant, date, compte associé, solde actuel
  * - Interface responsive avec Tailwind CSS
@@ -32,21 +70,96 @@ import { GET_ALL_TRANSACTIONS } from "../services/graphql-queries";
  */
 const TransactionList = () => {
     const { loading, error, data, refetch } = useQuery(GET_ALL_TRANSACTIONS);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [sort, setSort] = useState({ field: 'date', direction: 'desc' });
+    const [page, setPage] = useState(1);
+    const [queue, setQueue] = useState(getQueue);
+    const { t, formatAmount, formatDate } = useI18n();
+
+    useEffect(() => subscribeToQueue(setQueue), []);
+
+    const pendingTransactions = queue.filter((operation) => operation.mutation === QueuedMutation.ADD_TRANSACTION);
+
+    const allTransactions = data?.allTransactions;
+
+    // Comptes distincts présents dans les transactions, pour le filtre par compte
+    const comptes = useMemo(() => {
+        const byId = new Map();
+        (allTransactions || []).forEach((transaction) => {
+            if (transaction.compte) byId.set(transaction.compte.id, transaction.compte);
+        });
+        return [...byId.values()];
+    }, [allTransactions]);
+
+    const visibleTransactions = useMemo(
+        () => sortTransactions(filterTransactions(allTransactions || [], filters), sort.field, sort.direction),
+        [allTransactions, filters, sort]
+    );
+
+    // Solde après chaque transaction, calculé sur l'historique complet de chaque compte
+    const balancesAfter = useMemo(() => computeBalancesAfter(allTransactions || []), [allTransactions]);
+
+    const pagination = paginate(visibleTransactions, page, PAGE_SIZE);
+
+    const handleFiltersChange = (nextFilters) => {
+        setFilters(nextFilters);
+        setPage(1);
+    };
+
+    const handleSortChange = (nextSort) => {
+        setSort(nextSort);
+        setPage(1);
+    };
 
     if (loading) return (
-        <div className="flex items-center justify-center py-12">
+        <div role="status" className="flex items-center justify-center py-12">
             <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
-            <span className="ml-3 text-slate-600">Chargement des transactions...</span>
+            <span className="ms-3 text-slate-600">{t('transactionList.loading')}</span>
         </div>
     );
 
+    // Opérations soumises hors connexion, affichées même si la liste ne peut pas être chargée
+    const pendingSection = pendingTransactions.length > 0 && (
+        <section className="space-y-2" aria-label={t('transactionList.pending')}>
+            {pendingTransactions.map(({ id, createdAt, devise, variables: { transactionRequest } }) => (
+                <div
+                    key={id}
+                    className="rounded-xl p-4 border border-dashed border-orange-300 bg-orange-50 opacity-80"
+                >
+                    <div className="flex items-center justify-between">
+                        <div>
+                            <p className="font-semibold text-slate-800">
+                                {t(`transactionType.${transactionRequest.type}`)}
+                                <span className="ms-2 px-2 py-0.5 rounded-full bg-orange-100 text-orange-700 text-xs">
+                                    {t('transactionList.pendingBadge')}
+                                </span>
+                            </p>
+                            <p className="text-sm text-slate-600">
+                                {t('transactionList.pendingCompte', {
+                                    id: String(transactionRequest.compteId).substring(0, 8),
+                                    date: formatDate(createdAt),
+                                })}
+                            </p>
+                        </div>
+                        <p className="text-xl font-bold text-slate-500">
+                            {formatAmount(signedMontant(transactionRequest), { signed: true, devise })}
+                        </p>
+                    </div>
+                </div>
+            ))}
+        </section>
+    );
+
     if (error) return (
-        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
-            <div className="flex items-center">
-                <div className="text-red-500 mr-3">⚠️</div>
-                <div>
-                    <p className="font-semibold text-red-800">Erreur de chargement</p>
-                    <p className="text-red-600 text-sm">{error.message}</p>
+        <div className="space-y-4">
+            {pendingSection}
+            <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                <div className="flex items-center">
+                    <div className="text-red-500 me-3">⚠️</div>
+                    <div>
+                        <p className="font-semibold text-red-800">{t('common.loadError')}</p>
+                        <p className="text-red-600 text-sm">{error.message}</p>
+                    </div>
                 </div>
             </div>
         </div>
@@ -55,59 +168,105 @@ const TransactionList = () => {
     return (
         <div className="space-y-4">
             <div className="flex justify-between items-center">
-                <div className="flex items-center space-x-2">
-                    <span className="text-sm text-slate-600">Total: {data.allTransactions.length} transaction(s)</span>
+                <div className="flex items-center space-x-2 rtl:space-x-reverse">
+                    <span className="text-sm text-slate-600">
+                        {t('transactionList.total', { count: data.allTransactions.length })}
+                    </span>
+                    {visibleTransactions.length !== data.allTransactions.length && (
+                        <span className="text-sm text-slate-400">
+                            {t('transactionList.shown', { count: visibleTransactions.length })}
+                        </span>
+                    )}
+                </div>
+                <div className="flex items-center space-x-2 rtl:space-x-reverse">
+                    <ExportButtons
+                        basename="transactions"
+                        columns={EXPORT_COLUMNS.map((column) => ({ ...column, label: t(`transactionList.export.${column.key}`) }))}
+                        getRows={() => visibleTransactions.map((transaction) => ({
+                            id: transaction.id,
+                            date: transaction.date,
+                            type: transaction.type,
+                            compteId: transaction.compte?.id,
+                            typeCompte: transaction.compte?.type,
+                            montant: signedMontant(transaction),
+                            soldeApres: balancesAfter.get(transaction.id),
+                            devise: getDevise(transaction.compte),
+                        }))}
+                        disabled={visibleTransactions.length === 0}
+                    />
+                    <button
+                        onClick={() => refetch()}
+                        className="text-slate-600 hover:text-slate-800 p-2 rounded-lg hover:bg-slate-100 transition"
+                        title={t('common.refresh')}
+                    >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                        </svg>
+                    </button>
                 </div>
-                <button
-                    onClick={() => refetch()}
-                    className="text-slate-600 hover:text-slate-800 p-2 rounded-lg hover:bg-slate-100 transition"
-                    title="Actualiser"
-                >
-                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
-                    </svg>
-                </button>
             </div>
 
+            {pendingSection}
+
+            {data.allTransactions.length > 0 && (
+                <TransactionFilters
+                    filters={filters}
+                    onFiltersChange={handleFiltersChange}
+                    comptes={comptes}
+                    sort={sort}
+                    onSortChange={handleSortChange}
+                />
+            )}
+
             {data.allTransactions.length === 0 ? (
                 <div className="text-center py-12">
                     <div className="text-4xl mb-4">📊</div>
-                    <p className="text-slate-500">Aucune transaction disponible</p>
-                    <p className="text-slate-400 text-sm mt-2">Effectuez une transaction pour commencer</p>
+                    <p className="text-slate-500">{t('transactionList.empty')}</p>
+                    <p className="text-slate-400 text-sm mt-2">{t('transactionList.emptyHint')}</p>
+                </div>
+            ) : visibleTransactions.length === 0 ? (
+                <div className="text-center py-12">
+                    <div className="text-4xl mb-4">🔍</div>
+                    <p className="text-slate-500">{t('transactionList.noMatch')}</p>
                 </div>
             ) : (
                 <div className="space-y-3 max-h-96 overflow-y-auto">
-                    {data.allTransactions.map((transaction) => (
+                    {pagination.items.map((transaction) => (
                         <div
                             key={transaction.id}
                             className={`transaction-${transaction.type.toLowerCase()} rounded-xl p-4 border transition-all hover:shadow-card`}
                         >
                             <div className="flex items-center justify-between">
-                                <div className="flex items-center space-x-3">
+                                <div className="flex items-center space-x-3 rtl:space-x-reverse">
                                     <div className={`w-10 h-10 rounded-full flex items-center justify-center ${
                                         transaction.type === 'DEPOT'
-                                            ? 'bg-green-100 text-green-600'
-                                            : 'bg-red-100 text-red-600'
+                                            ? 'bg-depot-soft text-depot'
+                                            : 'bg-retrait-soft text-retrait'
                                     }`}>
                                         {transaction.type === 'DEPOT' ? '📥' : '📤'}
                                     </div>
                                     <div>
                                         <p className="font-semibold text-slate-800">
-                                            {transaction.type === 'DEPOT' ? 'Dépôt' : 'Retrait'}
+                                            {t(`transactionType.${transaction.type}`)}
                                         </p>
                                         <p className="text-sm text-slate-600">
-                                            {transaction.compte.type} • {new Date(transaction.date).toLocaleDateString('fr-FR')}
+                                            {t('transactionList.details', {
+                                                type: t(`compteType.${transaction.compte.type}`),
+                                                date: formatDate(transaction.date),
+                                            })}
                                         </p>
                                     </div>
                                 </div>
-                                <div className="text-right">
+                                <div className="text-end">
                                     <p className={`text-xl font-bold ${
-                                        transaction.type === 'DEPOT' ? 'text-green-600' : 'text-red-600'
+                                        transaction.type === 'DEPOT' ? 'text-depot' : 'text-retrait'
                                     }`}>
-                                        {transaction.type === 'DEPOT' ? '+' : '-'}{transaction.montant.toFixed(2)} €
+                                        {formatAmount(signedMontant(transaction), { signed: true, devise: getDevise(transaction.compte) })}
                                     </p>
                                     <p className="text-sm text-slate-600">
-                                        Solde: {transaction.compte.solde.toFixed(2)} €
+                                        {t('transactionList.solde', {
+                                            amount: formatAmount(transaction.compte.solde, { devise: getDevise(transaction.compte) }),
+                                        })}
                                     </p>
                                 </div>
                             </div>
@@ -115,6 +274,28 @@ const TransactionList = () => {
                     ))}
                 </div>
             )}
+
+            {pagination.pageCount > 1 && (
+                <nav className="flex items-center justify-between text-sm text-slate-600" aria-label={t('transactionList.pagination')}>
+                    <button
+                        type="button"
+                        onClick={() => setPage(pagination.page - 1)}
+                        disabled={pagination.page === 1}
+                        className="px-3 py-1 rounded-lg border border-slate-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        {t('transactionList.previous')}
+                    </button>
+                    <span>{t('transactionList.page', { page: pagination.page, count: pagination.pageCount })}</span>
+                    <button
+                        type="button"
+                        onClick={() => setPage(pagination.page + 1)}
+                        disabled={pagination.page === pagination.pageCount}
+                        className="px-3 py-1 rounded-lg border border-slate-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        {t('transactionList.next')}
+                    </button>
+                </nav>
+            )}
         </div>
     );
 };
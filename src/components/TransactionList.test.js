@@ -1,8 +1,9 @@
 import React from 'react';
-import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import { render, screen, waitFor, fireEvent, within } from '@testing-library/react';
 import { MockedProvider } from '@apollo/client/testing';
 import TransactionList from './TransactionList';
 import { GET_ALL_TRANSACTIONS } from '../services/graphql-queries';
+import { QueuedMutation, enqueueMutation } from '../services/offline-queue';
 
 /**
  * Tests pour le composant TransactionList
@@ -12,6 +13,7 @@ import { GET_ALL_TRANSACTIONS } from '../services/graphql-queries';
  * - Affichage des transactions
  * - Fonctionnalité de rafraîchissement
  * - Tri chronologique
+ * - Recherche, filtres et pagination
  *
  * @module components/TransactionList.test
  * @author Halmaoui Abdellah
@@ -23,17 +25,17 @@ import { GET_ALL_TRANSACTIONS } from '../services/graphql-queries';
 const mockTransactions = [
     {
         id: '1',
-        compteId: '1',
         montant: 500.0,
         date: '2025-12-09',
-        type: 'DEPOT'
+        type: 'DEPOT',
+        compte: { id: '1', solde: 1500.0, devise: 'EUR', type: 'COURANT' },
     },
     {
         id: '2',
-        compteId: '2',
         montant: 200.0,
         date: '2025-12-08',
-        type: 'RETRAIT'
+        type: 'RETRAIT',
+        compte: { id: '2', solde: 4800.0, devise: 'EUR', type: 'EPARGNE' },
     }
 ];
 
@@ -90,6 +92,39 @@ const emptyMocks = [
     },
 ];
 
+// Transactions complètes (avec compte) pour les tests de filtrage et de pagination
+const buildTransactions = (count) =>
+    Array.from({ length: count }, (_, i) => ({
+        id: `tx-${i + 1}`,
+        type: i % 2 === 0 ? 'DEPOT' : 'RETRAIT',
+        montant: (i + 1) * 10,
+        date: `2025-01-${String((i % 28) + 1).padStart(2, '0')}`,
+        compte: i % 3 === 0
+            ? { id: 'compte-courant', solde: 1000, devise: 'EUR', type: 'COURANT' }
+            : { id: 'compte-epargne', solde: 2000, devise: 'EUR', type: 'EPARGNE' },
+    }));
+
+// Mock renvoyant un nombre donné de transactions complètes
+const listMocks = (count) => [
+    {
+        request: {
+            query: GET_ALL_TRANSACTIONS,
+        },
+        result: {
+            data: {
+                allTransactions: buildTransactions(count),
+            },
+        },
+    },
+];
+
+/**
+ * Retourne les montants affichés, dans l'ordre de la liste
+ * @returns {string[]} Montants signés affichés
+ */
+const displayedMontants = () =>
+    screen.getAllByText(/^[+-]\d+,\d{2} €$/).map((element) => element.textContent.replace(/\s/g, ' '));
+
 describe('TransactionList Component', () => {
     /**
      * Test l'affichage du composant pendant le chargement
@@ -101,8 +136,7 @@ describe('TransactionList Component', () => {
             </MockedProvider>
         );
 
-        expect(screen.getByText('Chargement des transactions...')).toBeInTheDocument();
-        expect(screen.getByRole('status')).toBeInTheDocument(); // Spinner
+        expect(screen.getByRole('status')).toHaveTextContent('Chargement des transactions...');
     });
 
     /**
@@ -132,14 +166,13 @@ describe('TransactionList Component', () => {
         );
 
         await waitFor(() => {
-            expect(screen.getByText('Total: 2 transaction(s)')).toBeInTheDocument();
+            expect(screen.getByText('Total: 2 transactions')).toBeInTheDocument();
         });
 
         // Vérifier l'affichage des transactions
-        expect(screen.getByText('500,00 €')).toBeInTheDocument();
-        expect(screen.getByText('200,00 €')).toBeInTheDocument();
-        expect(screen.getByText('DÉPÔT')).toBeInTheDocument();
-        expect(screen.getByText('RETRAIT')).toBeInTheDocument();
+        expect(displayedMontants()).toEqual(['+500,00 €', '-200,00 €']);
+        expect(screen.getByText('Dépôt', { selector: 'p' })).toBeInTheDocument();
+        expect(screen.getByText('Retrait', { selector: 'p' })).toBeInTheDocument();
     });
 
     /**
@@ -153,7 +186,7 @@ describe('TransactionList Component', () => {
         );
 
         await waitFor(() => {
-            expect(screen.getByText('Aucune transaction trouvée')).toBeInTheDocument();
+            expect(screen.getByText('Aucune transaction disponible')).toBeInTheDocument();
         });
     });
 
@@ -161,33 +194,25 @@ describe('TransactionList Component', () => {
      * Test la fonctionnalité de rafraîchissement
      */
     test('rafraîchit les données lors du clic sur le bouton', async () => {
-        const mockRefetch = jest.fn();
-
-        // Mock de useQuery avec refetch
-        jest.mock('@apollo/client', () => ({
-            ...jest.requireActual('@apollo/client'),
-            useQuery: () => ({
-                loading: false,
-                error: null,
-                data: { allTransactions: mockTransactions },
-                refetch: mockRefetch,
-            }),
-        }));
+        // Réponse du rafraîchissement, avec une transaction effectuée entre-temps
+        const refreshedMock = {
+            request: { query: GET_ALL_TRANSACTIONS },
+            result: { data: { allTransactions: [...mockTransactions, { ...mockTransactions[0], id: '3' }] } },
+        };
 
         render(
-            <MockedProvider mocks={mocks} addTypename={false}>
+            <MockedProvider mocks={[...mocks, refreshedMock]} addTypename={false}>
                 <TransactionList />
             </MockedProvider>
         );
 
         await waitFor(() => {
-            expect(screen.getByText('Total: 2 transaction(s)')).toBeInTheDocument();
+            expect(screen.getByText('Total: 2 transactions')).toBeInTheDocument();
         });
 
-        const refreshButton = screen.getByRole('button', { name: /rafraîchir/i });
-        fireEvent.click(refreshButton);
+        fireEvent.click(screen.getByRole('button', { name: 'Actualiser' }));
 
-        expect(mockRefetch).toHaveBeenCalledTimes(1);
+        expect(await screen.findByText('Total: 3 transactions')).toBeInTheDocument();
     });
 
     /**
@@ -201,14 +226,14 @@ describe('TransactionList Component', () => {
         );
 
         await waitFor(() => {
-            expect(screen.getByText('Total: 2 transaction(s)')).toBeInTheDocument();
+            expect(screen.getByText('Total: 2 transactions')).toBeInTheDocument();
         });
 
-        // Vérifier les détails affichés
-        expect(screen.getByText('Compte #1')).toBeInTheDocument();
-        expect(screen.getByText('Compte #2')).toBeInTheDocument();
-        expect(screen.getByText('09/12/2025')).toBeInTheDocument();
-        expect(screen.getByText('08/12/2025')).toBeInTheDocument();
+        // Vérifier les détails affichés : type de compte, date et solde du compte
+        expect(screen.getByText('COURANT • 09/12/2025')).toBeInTheDocument();
+        expect(screen.getByText('EPARGNE • 08/12/2025')).toBeInTheDocument();
+        expect(screen.getByText('Solde: 1 500,00 €')).toBeInTheDocument();
+        expect(screen.getByText('Solde: 4 800,00 €')).toBeInTheDocument();
     });
 
     /**
@@ -222,14 +247,128 @@ describe('TransactionList Component', () => {
         );
 
         await waitFor(() => {
-            expect(screen.getByText('Total: 2 transaction(s)')).toBeInTheDocument();
+            expect(screen.getByText('Total: 2 transactions')).toBeInTheDocument();
         });
 
         // Vérifier les classes CSS pour les indicateurs visuels
-        const depotTransaction = screen.getByText('DÉPÔT').closest('.border-green-200');
-        const retraitTransaction = screen.getByText('RETRAIT').closest('.border-red-200');
+        const depotTransaction = screen.getByText('Dépôt', { selector: 'p' }).closest('.transaction-depot');
+        const retraitTransaction = screen.getByText('Retrait', { selector: 'p' }).closest('.transaction-retrait');
 
         expect(depotTransaction).toBeInTheDocument();
         expect(retraitTransaction).toBeInTheDocument();
     });
-});
\ No newline at end of file
+
+    /**
+     * Test le tri par défaut (plus récent en haut)
+     */
+    test('trie les transactions de la plus récente à la plus ancienne', async () => {
+        render(
+            <MockedProvider mocks={listMocks(3)} addTypename={false}>
+                <TransactionList />
+            </MockedProvider>
+        );
+
+        await screen.findByText('Total: 3 transactions');
+
+        expect(displayedMontants()).toEqual(['+30,00 €', '-20,00 €', '+10,00 €']);
+    });
+
+    /**
+     * Test le tri par montant croissant
+     */
+    test('trie les transactions par montant croissant', async () => {
+        render(
+            <MockedProvider mocks={listMocks(3)} addTypename={false}>
+                <TransactionList />
+            </MockedProvider>
+        );
+
+        await screen.findByText('Total: 3 transactions');
+        fireEvent.change(screen.getByLabelText('Trier par'), { target: { value: 'montant' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Tri décroissant' }));
+
+        expect(displayedMontants()).toEqual(['+10,00 €', '-20,00 €', '+30,00 €']);
+    });
+
+    /**
+     * Test les filtres par type et par plage de montants
+     */
+    test('filtre par type et par plage de montants', async () => {
+        render(
+            <MockedProvider mocks={listMocks(6)} addTypename={false}>
+                <TransactionList />
+            </MockedProvider>
+        );
+
+        await screen.findByText('Total: 6 transactions');
+        fireEvent.change(screen.getByLabelText('Type'), { target: { value: 'RETRAIT' } });
+        fireEvent.change(screen.getByLabelText('Montant minimum'), { target: { value: '30' } });
+
+        expect(screen.getByText('(2 affichées)')).toBeInTheDocument();
+        expect(displayedMontants()).toEqual(['-60,00 €', '-40,00 €']);
+    });
+
+    /**
+     * Test la recherche sur les identifiants
+     */
+    test('recherche une transaction par identifiant', async () => {
+        render(
+            <MockedProvider mocks={listMocks(12)} addTypename={false}>
+                <TransactionList />
+            </MockedProvider>
+        );
+
+        await screen.findByText('Total: 12 transactions');
+        fireEvent.change(screen.getByLabelText('Rechercher'), { target: { value: 'tx-11' } });
+
+        expect(displayedMontants()).toEqual(['+110,00 €']);
+    });
+
+    /**
+     * Test la pagination
+     */
+    test('pagine les transactions par pages de 20', async () => {
+        render(
+            <MockedProvider mocks={listMocks(45)} addTypename={false}>
+                <TransactionList />
+            </MockedProvider>
+        );
+
+        await screen.findByText('Total: 45 transactions');
+        const pagination = screen.getByRole('navigation', { name: 'Pagination' });
+
+        expect(within(pagination).getByText('Page 1 / 3')).toBeInTheDocument();
+        expect(displayedMontants()).toHaveLength(20);
+
+        fireEvent.click(within(pagination).getByRole('button', { name: 'Suivant' }));
+        fireEvent.click(within(pagination).getByRole('button', { name: 'Suivant' }));
+
+        expect(within(pagination).getByText('Page 3 / 3')).toBeInTheDocument();
+        expect(displayedMontants()).toHaveLength(5);
+        expect(within(pagination).getByRole('button', { name: 'Suivant' })).toBeDisabled();
+    });
+
+    /**
+     * Test l'affichage des opérations en attente
+     */
+    test('affiche les opérations hors connexion en attente même si la liste est indisponible', async () => {
+        enqueueMutation(QueuedMutation.ADD_TRANSACTION, {
+            transactionRequest: { type: 'RETRAIT', montant: 75, compteId: 'abcdef123456' },
+        });
+
+        render(
+            <MockedProvider mocks={errorMocks} addTypename={false}>
+                <TransactionList />
+            </MockedProvider>
+        );
+
+        await screen.findByText('Erreur de chargement');
+        const pending = screen.getByRole('region', { name: 'Opérations en attente' });
+
+        expect(within(pending).getByText('en attente')).toBeInTheDocument();
+        expect(within(pending).getByText('-75,00 €')).toBeInTheDocument();
+        expect(within(pending).getByText(/Compte abcdef12/)).toBeInTheDocument();
+
+        localStorage.clear();
+    });
+});
@@ -0,0 +1,87 @@
+import React from "react";
+import ChartFigure from "./ChartFigure";
+import { useI18n } from "../contexts/I18nContext";
+import { TypeCompte } from "../services/type-definitions";
+
+/**
+ * Couleur de chaque type de compte
+ * @constant {Object}
+ */
+const FILLS = {
+    [TypeCompte.COURANT]: 'fill-courant',
+    [TypeCompte.EPARGNE]: 'fill-epargne',
+};
+
+/**
+ * Composant React montrant la part des comptes courants et épargne dans le solde total
+ *
+ * Les parts sont représentées par une barre horizontale divisée en segments
+ * proportionnels, dans la couleur de chaque type de compte.
+ *
+ * @module components/TypeShareChart
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @param {Object} props - Propriétés du composant
+ * @param {Array<{type: string, count: number, solde: number, part: number}>} props.shares - Parts par type de compte (voir computeTypeShare)
+ * @param {string} props.devise - Devise des soldes
+ * @returns {JSX.Element} Graphique de répartition du solde total
+ */
+const TypeShareChart = ({ shares, devise }) => {
+    const { t, formatAmount, formatNumber } = useI18n();
+
+    const formatPart = (part) => formatNumber(part, { style: 'percent', maximumFractionDigits: 1 });
+    const segments = shares.map((share, index) => ({
+        ...share,
+        offset: shares.slice(0, index).reduce((acc, previous) => acc + previous.part, 0),
+    }));
+
+    const columns = [
+        { key: 'type', label: t('charts.columns.type') },
+        { key: 'count', label: t('charts.columns.count'), numeric: true },
+        { key: 'solde', label: t('charts.columns.solde'), numeric: true },
+        { key: 'part', label: t('charts.columns.part'), numeric: true },
+    ];
+    const rows = shares.map(({ type, count, solde, part }) => ({
+        type: t(`compteType.${type}`),
+        count: formatNumber(count),
+        solde: formatAmount(solde, { devise }),
+        part: formatPart(part),
+    }));
+
+    const legend = (
+        <ul className="flex flex-wrap gap-4 text-xs text-slate-600">
+            {shares.map(({ type, part }) => (
+                <li key={type} className="flex items-center gap-2">
+                    <svg width="12" height="12" aria-hidden="true">
+                        <rect width="12" height="12" rx="2" className={FILLS[type]} />
+                    </svg>
+                    {t('charts.share.part', { type: t(`compteType.${type}`), part: formatPart(part) })}
+                </li>
+            ))}
+        </ul>
+    );
+
+    return (
+        <ChartFigure
+            title={t('charts.share.title')}
+            summary={t('charts.share.summary', {
+                parts: shares
+                    .map(({ type, part }) => t('charts.share.part', { type: t(`compteType.${type}`), part: formatPart(part) }))
+                    .join(', '),
+            })}
+            columns={columns}
+            rows={rows}
+            legend={legend}
+        >
+            <svg viewBox="0 0 100 8" preserveAspectRatio="none" className="w-full h-8 rounded-lg bg-slate-100" aria-hidden="true">
+                {segments.map(({ type, part, offset }) => (
+                    <rect key={type} x={offset * 100} y="0" width={part * 100} height="8" className={FILLS[type]} />
+                ))}
+            </svg>
+        </ChartFigure>
+    );
+};
+
+export default TypeShareChart;
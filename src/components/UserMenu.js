@@ -0,0 +1,44 @@
+import React from "react";
+import { useAuth } from "../contexts/AuthContext";
+import { useI18n } from "../contexts/I18nContext";
+import { Role } from "../services/type-definitions";
+
+/**
+ * Utilisateur connecté, son profil et bouton de déconnexion affichés dans l'en-tête
+ *
+ * La déconnexion termine la session : les routes protégées redirigent alors
+ * vers la page de connexion.
+ *
+ * @module components/UserMenu
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @returns {JSX.Element|null} Utilisateur connecté ou null sans session
+ */
+const UserMenu = () => {
+    const { user, logout } = useAuth();
+    const { t } = useI18n();
+
+    if (!user) return null;
+
+    return (
+        <div className="flex items-center space-x-2 rtl:space-x-reverse">
+            <span className="text-sm font-semibold text-slate-700" title={user.username}>
+                👤 {user.nom || user.username}
+            </span>
+            <span className="px-2 py-0.5 rounded-full bg-slate-100 text-xs font-medium text-slate-600">
+                {user.role in Role ? t(`roles.${user.role}`) : user.role}
+            </span>
+            <button
+                type="button"
+                onClick={logout}
+                className="px-3 py-1 rounded-lg border border-slate-300 text-xs font-semibold text-slate-600 hover:bg-slate-100"
+            >
+                {t('userMenu.logout')}
+            </button>
+        </div>
+    );
+};
+
+export default UserMenu;
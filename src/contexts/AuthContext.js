@@ -0,0 +1,130 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+import { useApolloClient } from "@apollo/client";
+import { LOGIN } from "../services/graphql-mutations";
+import { CACHE_STORAGE_KEY } from "../clients/apollo-cache";
+import { clearQueue, discardForeignOperations } from "../services/offline-queue";
+import { hasPermission } from "../services/permissions";
+import {
+    SessionEndReason,
+    endSession,
+    getSession,
+    isSessionExpired,
+    startSession,
+    subscribeToSession,
+} from "../services/auth-session";
+
+/**
+ * Contexte React d'authentification de l'application
+ *
+ * Ce contexte expose l'utilisateur connecté, ses droits et les actions de
+ * connexion et de déconnexion. Il suit la session conservée par
+ * services/auth-session, que le lien d'erreur Apollo peut terminer à tout
+ * moment sur réponse 401.
+ *
+ * À la fin d'une session :
+ * - Le cache Apollo et sa copie persistée sont vidés
+ * - À la déconnexion uniquement, les opérations hors connexion en attente sont
+ *   abandonnées ; après une expiration, elles sont conservées
+ *
+ * À l'ouverture d'une session, les opérations en attente d'un autre utilisateur
+ * sont abandonnées : seules celles du même utilisateur sont rejouées après une
+ * expiration.
+ *
+ * Utilisation :
+ *     const { user, can, login, logout } = useAuth();
+ *     await login('conseiller', 'motdepasse');
+ *     if (can(Permission.DELETE_COMPTE)) { ... }
+ *
+ * @module contexts/AuthContext
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+/**
+ * Délai maximal accepté par setTimeout, en millisecondes
+ * @constant {number}
+ */
+const MAX_TIMEOUT = 2147483647;
+
+const AuthContext = createContext(null);
+
+/**
+ * Fournisseur du contexte d'authentification
+ *
+ * Doit être rendu à l'intérieur d'un ApolloProvider.
+ *
+ * @component
+ * @param {Object} props - Propriétés du composant
+ * @param {React.ReactNode} props.children - Contenu de l'application
+ * @returns {JSX.Element} Fournisseur de contexte
+ */
+export const AuthProvider = ({ children }) => {
+    const client = useApolloClient();
+    const [state, setState] = useState(() => ({ session: getSession(), endReason: null }));
+    const { session, endReason } = state;
+
+    useEffect(() => subscribeToSession((next, reason) => {
+        setState({ session: next, endReason: reason });
+        if (next) {
+            discardForeignOperations(next.user.username);
+        } else {
+            if (reason === SessionEndReason.LOGOUT) clearQueue();
+            client.clearStore().catch(() => {});
+            localStorage.removeItem(CACHE_STORAGE_KEY);
+        }
+    }), [client]);
+
+    useEffect(() => {
+        if (!session?.expiresAt) return undefined;
+        if (isSessionExpired(session)) {
+            endSession(SessionEndReason.EXPIRED);
+            return undefined;
+        }
+
+        const delay = Math.min(new Date(session.expiresAt).getTime() - Date.now(), MAX_TIMEOUT);
+        const timer = setTimeout(() => endSession(SessionEndReason.EXPIRED), delay);
+        return () => clearTimeout(timer);
+    }, [session]);
+
+    const login = useCallback(async (username, password) => {
+        const { data } = await client.mutate({
+            mutation: LOGIN,
+            variables: { username, password },
+            fetchPolicy: 'no-cache',
+        });
+        startSession(data.login);
+        return data.login.user;
+    }, [client]);
+
+    const logout = useCallback(() => endSession(SessionEndReason.LOGOUT), []);
+
+    const value = useMemo(() => ({
+        user: session?.user ?? null,
+        isAuthenticated: Boolean(session),
+        sessionExpired: endReason === SessionEndReason.EXPIRED,
+        can: (permission) => hasPermission(session?.user, permission),
+        login,
+        logout,
+    }), [session, endReason, login, logout]);
+
+    return (
+        <AuthContext.Provider value={value}>
+            {children}
+        </AuthContext.Provider>
+    );
+};
+
+/**
+ * Hook d'accès au contexte d'authentification
+ * @returns {{user: Object|null, isAuthenticated: boolean, sessionExpired: boolean,
+ *           can: Function, login: Function, logout: Function}} Utilisateur connecté, droits et actions
+ * @throws {Error} Si le hook est utilisé en dehors d'un AuthProvider
+ */
+export const useAuth = () => {
+    const context = useContext(AuthContext);
+    if (!context) {
+        throw new Error('useAuth doit être utilisé à l\'intérieur d\'un AuthProvider');
+    }
+    return context;
+};
@@ -0,0 +1,79 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from "react";
+import {
+    formatAmount,
+    formatDate,
+    formatDeviseName,
+    formatNumber,
+    formatTime,
+    getDirection,
+    getLocale,
+    setLocale,
+    subscribeToLocale,
+    t,
+} from "../services/i18n";
+
+/**
+ * Contexte React de la langue de l'application
+ *
+ * Ce contexte suit la langue choisie dans services/i18n et fait re-rendre
+ * l'application à chaque changement. Il reporte aussi la langue et le sens
+ * d'écriture sur l'élément <html>, ce qui bascule toute la mise en page en
+ * droite-à-gauche pour l'arabe.
+ *
+ * Utilisation :
+ *     const { t, formatAmount } = useI18n();
+ *     <p>{t('transactionList.solde', { amount: formatAmount(solde) })}</p>
+ *
+ * @module contexts/I18nContext
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+const buildValue = (locale) => ({
+    locale,
+    direction: getDirection(locale),
+    setLocale,
+    t,
+    formatAmount,
+    formatNumber,
+    formatDate,
+    formatTime,
+    formatDeviseName,
+});
+
+// Hors d'un I18nProvider (tests unitaires de composants), les traductions
+// restent disponibles dans la langue courante, sans suivi des changements.
+const I18nContext = createContext(buildValue(getLocale()));
+
+/**
+ * Fournisseur du contexte de langue
+ * @component
+ * @param {Object} props - Propriétés du composant
+ * @param {React.ReactNode} props.children - Contenu de l'application
+ * @returns {JSX.Element} Fournisseur de contexte
+ */
+export const I18nProvider = ({ children }) => {
+    const [locale, setCurrentLocale] = useState(getLocale);
+
+    useEffect(() => subscribeToLocale(setCurrentLocale), []);
+
+    useEffect(() => {
+        document.documentElement.lang = locale;
+        document.documentElement.dir = getDirection(locale);
+    }, [locale]);
+
+    const value = useMemo(() => buildValue(locale), [locale]);
+
+    return (
+        <I18nContext.Provider value={value}>
+            {children}
+        </I18nContext.Provider>
+    );
+};
+
+/**
+ * Hook d'accès au contexte de langue
+ * @returns {Object} Langue courante, sens d'écriture, setLocale, t et fonctions de formatage
+ */
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,124 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from "react";
+
+/**
+ * Contexte React de notifications de l'application
+ *
+ * Ce contexte remplace les appels bloquants à window.alert par des
+ * notifications non bloquantes (toasts) empilées et fermées automatiquement.
+ *
+ * Fonctionnalités :
+ * - Notifications de succès, d'erreur et d'information
+ * - Fermeture automatique après un délai configurable
+ * - Action d'annulation facultative pour les opérations réversibles
+ * - Historique des notifications consultable dans un tiroir
+ *
+ * Utilisation :
+ *     const { success, error } = useNotifications();
+ *     success('Compte créé avec succès !', { action: { label: 'Annuler', onClick: undo } });
+ *
+ * @module contexts/NotificationContext
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+/**
+ * Types de notifications disponibles
+ * @constant {Object}
+ * @property {string} SUCCESS - Opération réussie
+ * @property {string} ERROR - Opération en échec
+ * @property {string} INFO - Information neutre
+ */
+export const NotificationType = {
+    SUCCESS: 'success',
+    ERROR: 'error',
+    INFO: 'info',
+};
+
+/**
+ * Durée d'affichage par défaut d'une notification, en millisecondes
+ * @constant {number}
+ */
+export const DEFAULT_DURATION = 5000;
+
+/**
+ * Nombre maximal de notifications conservées dans l'historique
+ * @constant {number}
+ */
+const HISTORY_LIMIT = 50;
+
+const NotificationContext = createContext(null);
+
+/**
+ * Fournisseur du contexte de notifications
+ * @component
+ * @param {Object} props - Propriétés du composant
+ * @param {React.ReactNode} props.children - Contenu de l'application
+ * @returns {JSX.Element} Fournisseur de contexte
+ */
+export const NotificationProvider = ({ children }) => {
+    const [toasts, setToasts] = useState([]);
+    const [history, setHistory] = useState([]);
+    const timers = useRef(new Map());
+    const nextId = useRef(1);
+
+    const dismiss = useCallback((id) => {
+        clearTimeout(timers.current.get(id));
+        timers.current.delete(id);
+        setToasts((current) => current.filter((toast) => toast.id !== id));
+    }, []);
+
+    const notify = useCallback((type, message, { action, duration = DEFAULT_DURATION } = {}) => {
+        const id = nextId.current;
+        nextId.current += 1;
+        const notification = { id, type, message, action, date: new Date() };
+
+        setToasts((current) => [...current, notification]);
+        setHistory((current) => [notification, ...current].slice(0, HISTORY_LIMIT));
+
+        if (duration > 0) {
+            timers.current.set(id, setTimeout(() => dismiss(id), duration));
+        }
+        return id;
+    }, [dismiss]);
+
+    const success = useCallback((message, options) => notify(NotificationType.SUCCESS, message, options), [notify]);
+    const error = useCallback((message, options) => notify(NotificationType.ERROR, message, options), [notify]);
+    const info = useCallback((message, options) => notify(NotificationType.INFO, message, options), [notify]);
+    const clearHistory = useCallback(() => setHistory([]), []);
+
+    useEffect(() => {
+        const activeTimers = timers.current;
+        return () => activeTimers.forEach((timer) => clearTimeout(timer));
+    }, []);
+
+    const value = useMemo(() => ({
+        toasts,
+        history,
+        notify,
+        dismiss,
+        clearHistory,
+        success,
+        error,
+        info,
+    }), [toasts, history, notify, dismiss, clearHistory, success, error, info]);
+
+    return (
+        <NotificationContext.Provider value={value}>
+            {children}
+        </NotificationContext.Provider>
+    );
+};
+
+/**
+ * Hook d'accès au contexte de notifications
+ * @returns {Object} Notifications actives, historique et fonctions notify/success/error/info/dismiss/clearHistory
+ * @throws {Error} Si le hook est utilisé en dehors d'un NotificationProvider
+ */
+export const useNotifications = () => {
+    const context = useContext(NotificationContext);
+    if (!context) {
+        throw new Error('useNotifications doit être utilisé à l\'intérieur d\'un NotificationProvider');
+    }
+    return context;
+};
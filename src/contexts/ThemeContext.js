@@ -0,0 +1,68 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from "react";
+import {
+    getThemePreference,
+    resolveTheme,
+    setThemePreference,
+    subscribeToSystemTheme,
+    subscribeToTheme,
+} from "../services/theme";
+
+/**
+ * Contexte React du thème d'affichage
+ *
+ * Ce contexte suit le thème choisi dans services/theme ainsi que les
+ * préférences du navigateur lorsque le choix est « système ». Il reporte le
+ * thème appliqué sur l'attribut data-theme de l'élément <html>, qui active les
+ * variables CSS du thème définies dans index.css.
+ *
+ * Utilisation :
+ *     const { preference, setPreference } = useTheme();
+ *
+ * @module contexts/ThemeContext
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+const ThemeContext = createContext({
+    preference: getThemePreference(),
+    theme: resolveTheme(),
+    setPreference: setThemePreference,
+});
+
+/**
+ * Fournisseur du contexte de thème
+ * @component
+ * @param {Object} props - Propriétés du composant
+ * @param {React.ReactNode} props.children - Contenu de l'application
+ * @returns {JSX.Element} Fournisseur de contexte
+ */
+export const ThemeProvider = ({ children }) => {
+    const [preference, setPreference] = useState(getThemePreference);
+    const [theme, setTheme] = useState(() => resolveTheme(preference));
+
+    useEffect(() => subscribeToTheme(setPreference), []);
+
+    useEffect(() => {
+        setTheme(resolveTheme(preference));
+        return subscribeToSystemTheme(() => setTheme(resolveTheme(preference)));
+    }, [preference]);
+
+    useEffect(() => {
+        document.documentElement.dataset.theme = theme;
+    }, [theme]);
+
+    const value = useMemo(() => ({ preference, theme, setPreference: setThemePreference }), [preference, theme]);
+
+    return (
+        <ThemeContext.Provider value={value}>
+            {children}
+        </ThemeContext.Provider>
+    );
+};
+
+/**
+ * Hook d'accès au contexte de thème
+ * @returns {Object} Choix de l'utilisateur, thème appliqué et setPreference
+ */
+export const useTheme = () => useContext(ThemeContext);
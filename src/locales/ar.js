@@ -0,0 +1,587 @@
+/**
+ * Catalogue des messages en arabe
+ *
+ * Les messages pluriels utilisent les six catégories Intl.PluralRules de
+ * l'arabe (zero, one, two, few, many, other). Les clés absentes de ce
+ * catalogue sont affichées en français.
+ *
+ * @module locales/ar
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+const ar = {
+    app: {
+        title: 'Banque Digital',
+        subtitle: 'إدارة الحسابات',
+        welcomeTitle: 'مرحبًا بك في فضائك البنكي',
+        welcomeText: 'أدر حساباتك ومعاملاتك بكل سهولة عبر واجهتنا الحديثة',
+        footer: 'TP 16 - تطبيق React GraphQL Apollo Client',
+        footerAuthor: 'من تطوير Halmaoui Abdellah • {year}',
+        nav: {
+            label: 'التنقل الرئيسي',
+            comptes: 'الحسابات',
+            transactions: 'المعاملات',
+            newOperation: 'عملية جديدة',
+            stats: 'الإحصائيات',
+        },
+    },
+    language: {
+        label: 'اللغة',
+    },
+    theme: {
+        label: 'المظهر',
+        system: 'النظام',
+        light: 'فاتح',
+        dark: 'داكن',
+        contrast: 'تباين عالٍ',
+    },
+    common: {
+        loadError: 'خطأ في التحميل',
+        refresh: 'تحديث',
+        back: '→ رجوع',
+        cancel: 'إلغاء',
+        undo: 'تراجع',
+        undoFailed: 'تعذر التراجع: {message}',
+        reset: 'إعادة التعيين',
+        id: 'المعرف: {id}',
+        shortId: 'المعرف: {id}...',
+        excludedDevises: 'المبالغ بـ {devises} مستبعدة من المجاميع: سعر الصرف غير معروف',
+    },
+    compteType: {
+        COURANT: 'جاري',
+        EPARGNE: 'ادخار',
+    },
+    compteTypeName: {
+        COURANT: 'حساب جاري',
+        EPARGNE: 'حساب ادخار',
+    },
+    transactionType: {
+        DEPOT: 'إيداع',
+        RETRAIT: 'سحب',
+    },
+    roles: {
+        CONSEILLER: 'مستشار',
+        SUPERVISEUR: 'مشرف',
+        LECTURE_SEULE: 'قراءة فقط',
+        unknown: 'غير معروف',
+    },
+    permission: {
+        notice: '🔒 ملفك ({role}) لا يسمح بـ{action}.',
+        createCompte: 'إنشاء الحسابات',
+        createTransaction: 'إدخال المعاملات',
+        importTransactions: 'استيراد المعاملات',
+    },
+    pages: {
+        comptes: {
+            createTitle: 'إدارة الحسابات',
+            listTitle: 'حساباتك',
+        },
+        compteDetail: {
+            title: 'تفاصيل الحساب',
+            statement: 'كشف الحساب',
+        },
+        statement: {
+            title: 'كشف الحساب',
+        },
+        transactions: {
+            title: 'السجل',
+            newTransaction: '+ معاملة جديدة',
+            import: 'استيراد ملف CSV',
+        },
+        newTransaction: {
+            title: 'المعاملات',
+        },
+        import: {
+            title: 'استيراد المعاملات',
+        },
+        stats: {
+            title: 'الإحصائيات',
+            charts: 'الرسوم البيانية',
+        },
+        login: {
+            title: 'تسجيل الدخول',
+        },
+        notFound: {
+            title: 'الصفحة غير موجودة',
+            message: 'لا توجد صفحة توافق',
+            back: 'العودة إلى الحسابات',
+        },
+    },
+    compteList: {
+        filterLabel: 'التصفية حسب نوع الحساب',
+        filters: {
+            all: 'الكل',
+            COURANT: 'جاري',
+            EPARGNE: 'ادخار',
+        },
+        loading: 'جارٍ تحميل الحسابات...',
+        total: {
+            zero: 'المجموع: لا حسابات',
+            one: 'المجموع: حساب واحد',
+            two: 'المجموع: حسابان',
+            few: 'المجموع: {count} حسابات',
+            many: 'المجموع: {count} حسابًا',
+            other: 'المجموع: {count} حساب',
+        },
+        subtotal: '{type} ({count})',
+        empty: 'لا توجد حسابات',
+        emptyHint: 'أنشئ حسابك الأول للبدء',
+        createdOn: 'أُنشئ في {date}',
+        positive: '✓ رصيد موجب',
+        overdrawn: '⚠️ مكشوف',
+        overdraftLimit: 'السحب على المكشوف المسموح: {amount}',
+        converted: 'المجاميع الفرعية محوّلة إلى {devise} بأسعار صرف استرشادية',
+        delete: 'حذف',
+        deleteLabel: 'حذف الحساب {id}',
+        export: {
+            id: 'المعرف',
+            type: 'نوع الحساب',
+            solde: 'الرصيد',
+            dateCreation: 'تاريخ الإنشاء',
+            devise: 'العملة',
+        },
+    },
+    compteDetail: {
+        loading: 'جارٍ تحميل الحساب...',
+        notFound: 'الحساب غير موجود',
+        type: 'النوع',
+        devise: 'العملة',
+        dateCreation: 'تاريخ الإنشاء',
+        currentSolde: 'الرصيد الحالي',
+        empty: 'لا توجد معاملات على هذا الحساب',
+        balanceChart: 'تطور الرصيد',
+        columns: {
+            date: 'التاريخ',
+            type: 'النوع',
+            montant: 'المبلغ',
+            solde: 'الرصيد',
+        },
+        openingSolde: 'الرصيد الافتتاحي',
+    },
+    statement: {
+        title: 'كشف الحساب',
+        from: 'من',
+        to: 'إلى',
+        invalidPeriod: 'يجب أن يسبق تاريخ البداية تاريخ النهاية',
+        print: '🖨️ طباعة',
+        download: 'تنزيل ملف PDF',
+        pdfLanguage: 'يُحرَّر ملف PDF باللغة الفرنسية',
+        devise: 'العملة: {devise}',
+        period: 'الفترة من {from} إلى {to}',
+        generated: 'صدر في {date}',
+        openingSolde: 'الرصيد الافتتاحي في {date}',
+        closingSolde: 'الرصيد الختامي في {date}',
+        totalDepots: 'مجموع الإيداعات',
+        totalRetraits: 'مجموع السحوبات',
+        empty: 'لا توجد معاملات خلال هذه الفترة',
+        page: 'الصفحة {page} / {count}',
+    },
+    createCompte: {
+        soldeLabel: 'الرصيد الأولي *',
+        soldePlaceholder: 'مثال: 1000.00',
+        typeLabel: 'نوع الحساب *',
+        types: {
+            COURANT: { title: 'جاري', hint: 'للاستعمال اليومي' },
+            EPARGNE: { title: 'ادخار', hint: 'للتوفير' },
+        },
+        deviseLabel: 'العملة *',
+        deviseOption: '{code} - {name}',
+        submit: 'إنشاء الحساب',
+        submitting: 'جارٍ الإنشاء...',
+        success: 'تم إنشاء الحساب بنجاح!',
+        failed: 'أُلغي الإنشاء وأُعيدت قائمة الحسابات: {message}',
+        queued: 'تعذر الوصول إلى الخادم: سيُرسل إنشاء الحساب عند عودة الاتصال',
+        undone: 'أُلغي إنشاء الحساب',
+        deleteRefused: 'رفض الخادم الحذف',
+    },
+    deleteCompte: {
+        title: {
+            COURANT: 'حذف الحساب الجاري',
+            EPARGNE: 'حذف حساب الادخار',
+        },
+        solde: 'الرصيد',
+        transactions: 'المعاملات',
+        nonZero: 'رصيد هذا الحساب غير منعدم. سيؤدي حذفه إلى فقدان {amount}.',
+        force: 'فرض الحذف',
+        refused: 'رفض الخادم الحذف',
+        submit: 'حذف',
+        deleting: 'جارٍ الحذف...',
+    },
+    transactionForm: {
+        typeLabel: 'نوع المعاملة *',
+        types: {
+            DEPOT: { title: 'إيداع', hint: 'إضافة مال' },
+            RETRAIT: { title: 'سحب', hint: 'سحب مال' },
+            VIREMENT: { title: 'تحويل', hint: 'بين حسابين' },
+        },
+        compteLabel: 'الحساب *',
+        compte: 'الحساب',
+        sourceLabel: 'الحساب المصدر *',
+        source: 'الحساب المصدر',
+        destinationLabel: 'الحساب المستفيد *',
+        destination: 'الحساب المستفيد',
+        selectCompte: '-- اختر حسابًا --',
+        compteOption: '{type} - الرصيد: {solde}',
+        montantLabel: 'المبلغ *',
+        montantPlaceholder: 'مثال: 50.00',
+        approval: {
+            group: 'موافقة المشرف',
+            notice: 'يجب أن يوافق مشرف على عمليات السحب التي تتجاوز {amount}، '
+                + 'وذلك بإدخال بيانات دخوله أدناه.',
+            usernamePlaceholder: 'اسم المستخدم',
+            username: 'اسم مستخدم المشرف',
+            passwordPlaceholder: 'كلمة المرور',
+            password: 'كلمة مرور المشرف',
+            refused: 'رُفضت موافقة المشرف: {message}',
+            usernameRequired: 'يرجى إدخال معرف المشرف',
+            passwordRequired: 'يرجى إدخال كلمة مرور المشرف',
+            offline: 'لا يمكن إجراء عمليات السحب الخاضعة للموافقة دون اتصال',
+        },
+        projection: 'الرصيد بعد العملية:',
+        sourceProjection: 'رصيد الحساب المصدر بعد العملية:',
+        overdraftAllowed: '(السحب على المكشوف المسموح: {amount})',
+        submit: {
+            DEPOT: 'تنفيذ الإيداع',
+            RETRAIT: 'تنفيذ السحب',
+            VIREMENT: 'تنفيذ التحويل',
+        },
+        processing: 'جارٍ المعالجة...',
+        virementOffline: 'لا يمكن إجراء التحويلات دون اتصال',
+        success: {
+            DEPOT: 'تم الإيداع بنجاح!',
+            RETRAIT: 'تم السحب بنجاح!',
+        },
+        failed: {
+            DEPOT: 'أُلغي الإيداع وأُعيدت الأرصدة المعروضة: {message}',
+            RETRAIT: 'أُلغي السحب وأُعيدت الأرصدة المعروضة: {message}',
+        },
+        queued: {
+            DEPOT: 'تعذر الوصول إلى الخادم: سيُرسل الإيداع عند عودة الاتصال',
+            RETRAIT: 'تعذر الوصول إلى الخادم: سيُرسل السحب عند عودة الاتصال',
+        },
+        undone: 'أُلغيت العملية بمعاملة عكسية',
+    },
+    transactionList: {
+        loading: 'جارٍ تحميل المعاملات...',
+        pending: 'عمليات قيد الانتظار',
+        pendingBadge: 'قيد الانتظار',
+        pendingCompte: 'الحساب {id} • {date}',
+        total: {
+            zero: 'المجموع: لا معاملات',
+            one: 'المجموع: معاملة واحدة',
+            two: 'المجموع: معاملتان',
+            few: 'المجموع: {count} معاملات',
+            many: 'المجموع: {count} معاملة',
+            other: 'المجموع: {count} معاملة',
+        },
+        shown: {
+            zero: '(لا شيء معروض)',
+            one: '(واحدة معروضة)',
+            two: '(اثنتان معروضتان)',
+            few: '({count} معروضة)',
+            many: '({count} معروضة)',
+            other: '({count} معروضة)',
+        },
+        empty: 'لا توجد معاملات',
+        emptyHint: 'أجرِ معاملة للبدء',
+        noMatch: 'لا توجد معاملة توافق عوامل التصفية',
+        details: '{type} • {date}',
+        solde: 'الرصيد: {amount}',
+        pagination: 'ترقيم الصفحات',
+        previous: 'السابق',
+        next: 'التالي',
+        page: 'الصفحة {page} / {count}',
+        export: {
+            id: 'المعرف',
+            date: 'التاريخ',
+            type: 'النوع',
+            compteId: 'معرف الحساب',
+            typeCompte: 'نوع الحساب',
+            montant: 'المبلغ',
+            soldeApres: 'الرصيد بعد المعاملة',
+            devise: 'العملة',
+        },
+    },
+    transactionFilters: {
+        search: 'بحث',
+        searchPlaceholder: 'البحث بمعرف المعاملة أو الحساب',
+        type: 'النوع',
+        allTypes: 'كل الأنواع',
+        depots: 'الإيداعات',
+        retraits: 'السحوبات',
+        compte: 'الحساب',
+        allComptes: 'كل الحسابات',
+        compteOption: '{type} - {id}',
+        montantMin: 'المبلغ الأدنى',
+        montantMinPlaceholder: 'المبلغ الأدنى',
+        montantMax: 'المبلغ الأقصى',
+        montantMaxPlaceholder: 'المبلغ الأقصى',
+        dateFrom: 'تاريخ البداية',
+        dateTo: 'تاريخ النهاية',
+        sortBy: 'الترتيب حسب',
+        sortFields: {
+            date: 'التاريخ',
+            montant: 'المبلغ',
+            type: 'النوع',
+        },
+        ascending: 'ترتيب تصاعدي',
+        descending: 'ترتيب تنازلي',
+    },
+    transactionImport: {
+        fileLabel: 'ملف CSV *',
+        formatLabel: 'الصيغة:',
+        formatRules: '— النوع DEPOT أو RETRAIT، والمبلغ بمنزلتين عشريتين على الأكثر، مثلًا',
+        summary: {
+            zero: '{file}: لا أسطر صالحة، {invalid} بها أخطاء',
+            one: '{file}: سطر صالح واحد، {invalid} بها أخطاء',
+            two: '{file}: سطران صالحان، {invalid} بها أخطاء',
+            few: '{file}: {count} أسطر صالحة، {invalid} بها أخطاء',
+            many: '{file}: {count} سطرًا صالحًا، {invalid} بها أخطاء',
+            other: '{file}: {count} سطر صالح، {invalid} بها أخطاء',
+        },
+        import: {
+            zero: 'لا معاملات للاستيراد',
+            one: 'استيراد معاملة واحدة',
+            two: 'استيراد معاملتين',
+            few: 'استيراد {count} معاملات',
+            many: 'استيراد {count} معاملة',
+            other: 'استيراد {count} معاملة',
+        },
+        importing: 'جارٍ الاستيراد...',
+        progress: 'تقدم الاستيراد',
+        finished: 'اكتمل الاستيراد: {succeeded}، {failed}',
+        succeeded: {
+            zero: 'لا عمليات ناجحة',
+            one: 'عملية ناجحة واحدة',
+            two: 'عمليتان ناجحتان',
+            few: '{count} عمليات ناجحة',
+            many: '{count} عملية ناجحة',
+            other: '{count} عملية ناجحة',
+        },
+        failedCount: {
+            zero: 'لا عمليات فاشلة',
+            one: 'عملية فاشلة واحدة',
+            two: 'عمليتان فاشلتان',
+            few: '{count} عمليات فاشلة',
+            many: '{count} عملية فاشلة',
+            other: '{count} عملية فاشلة',
+        },
+        queuedCount: {
+            zero: '',
+            one: '، وعملية واحدة في انتظار الاتصال',
+            two: '، وعمليتان في انتظار الاتصال',
+            few: '، و{count} عمليات في انتظار الاتصال',
+            many: '، و{count} عملية في انتظار الاتصال',
+            other: '، و{count} عملية في انتظار الاتصال',
+        },
+        ignored: {
+            zero: '',
+            one: '، وتم تجاهل سطر غير صالح',
+            two: '، وتم تجاهل سطرين غير صالحين',
+            few: '، وتم تجاهل {count} أسطر غير صالحة',
+            many: '، وتم تجاهل {count} سطرًا غير صالح',
+            other: '، وتم تجاهل {count} سطر غير صالح',
+        },
+        columns: {
+            line: 'السطر',
+            compte: 'الحساب',
+            type: 'النوع',
+            montant: 'المبلغ',
+            status: 'الحالة',
+        },
+        imported: '✓ مستوردة',
+        queued: '⏳ في انتظار الاتصال',
+        importFailed: '✗ {message}',
+        valid: 'صالحة',
+        errors: {
+            columns: 'عدد الأعمدة كبير جدًا (المتوقع: compteId;type;montant)',
+            missingCompte: 'الحساب مفقود',
+            unknownCompte: 'حساب غير معروف: {id}',
+            invalidType: 'نوع غير صالح: {type} (المتوقع: {values})',
+            invalidMontant: 'مبلغ غير صالح: {montant}',
+            empty: '(فارغ)',
+            approval: 'سحب يتجاوز {amount}: موافقة المشرف مطلوبة',
+        },
+    },
+    stats: {
+        loading: 'جارٍ تحميل الإحصائيات...',
+        error: 'خطأ في تحميل الإحصائيات',
+        comptes: 'الحسابات',
+        totalSolde: 'الرصيد الإجمالي',
+        averageSolde: 'متوسط الرصيد',
+        transactions: 'المعاملات',
+        depots: 'الإيداعات',
+        retraits: 'السحوبات',
+        fluxNet: 'صافي التدفق',
+        converted: 'المبالغ محوّلة إلى {devise} بأسعار صرف استرشادية',
+    },
+    charts: {
+        loading: 'جارٍ تحميل الرسوم البيانية...',
+        error: 'خطأ في تحميل الرسوم البيانية',
+        period: 'الفترة',
+        periods: {
+            '30': 'آخر 30 يومًا',
+            '90': 'آخر 90 يومًا',
+            '365': 'آخر 12 شهرًا',
+            all: 'كامل السجل',
+        },
+        periodicite: 'التجميع',
+        periodicites: {
+            JOUR: 'حسب اليوم',
+            SEMAINE: 'حسب الأسبوع',
+            MOIS: 'حسب الشهر',
+        },
+        week: 'أسبوع {date}',
+        empty: 'لا توجد معاملات في هذه الفترة',
+        showTable: 'عرض البيانات',
+        converted: 'المبالغ محوّلة إلى {devise} بأسعار صرف استرشادية',
+        compte: '{type} {id}',
+        balance: {
+            title: 'تطور الرصيد حسب الحساب',
+            summary: {
+                zero: 'لا توجد منحنيات للرصيد',
+                one: 'منحنى رصيد حساب واحد من {from} إلى {to}',
+                two: 'منحنيا رصيد حسابين من {from} إلى {to}',
+                few: 'منحنيات رصيد {count} حسابات من {from} إلى {to}',
+                many: 'منحنيات رصيد {count} حسابًا من {from} إلى {to}',
+                other: 'منحنيات رصيد {count} حساب من {from} إلى {to}',
+            },
+        },
+        flows: {
+            title: 'الإيداعات والسحوبات',
+            summary: {
+                zero: 'لا توجد أعمدة للإيداعات والسحوبات',
+                one: 'أعمدة الإيداعات والسحوبات على فترة واحدة',
+                two: 'أعمدة الإيداعات والسحوبات على فترتين',
+                few: 'أعمدة الإيداعات والسحوبات على {count} فترات',
+                many: 'أعمدة الإيداعات والسحوبات على {count} فترة',
+                other: 'أعمدة الإيداعات والسحوبات على {count} فترة',
+            },
+        },
+        share: {
+            title: 'توزيع الرصيد الإجمالي',
+            summary: 'توزيع الرصيد الإجمالي: {parts}',
+            part: '{type} {part}',
+        },
+        columns: {
+            date: 'التاريخ',
+            compte: 'الحساب',
+            solde: 'الرصيد',
+            periode: 'الفترة',
+            depots: 'الإيداعات',
+            retraits: 'السحوبات',
+            type: 'نوع الحساب',
+            count: 'الحسابات',
+            part: 'الحصة',
+        },
+    },
+    loginForm: {
+        sessionExpired: 'انتهت صلاحية جلستك. يرجى تسجيل الدخول من جديد.',
+        username: 'اسم المستخدم *',
+        password: 'كلمة المرور *',
+        badCredentials: 'اسم المستخدم أو كلمة المرور غير صحيحة',
+        submitting: 'جارٍ تسجيل الدخول...',
+        submit: 'تسجيل الدخول',
+    },
+    userMenu: {
+        logout: 'تسجيل الخروج',
+    },
+    connection: {
+        UNKNOWN: 'جارٍ الاتصال...',
+        CONNECTED: 'متصل',
+        DEGRADED: 'اتصال بطيء',
+        DISCONNECTED: 'غير متصل',
+        lastSuccess: 'آخر نجاح على الساعة {time}',
+        neverSucceeded: 'لم ينجح أي تبادل مع الخادم',
+    },
+    liveUpdates: {
+        live: '⚡ مباشر',
+        liveTitle: 'تظهر تعديلات المستخدمين الآخرين فورًا',
+        polling: '⟳ تحديث دوري',
+        pollingTitle: 'التحديث المباشر غير متاح: تحديث كل {seconds} ث',
+    },
+    pendingOperations: {
+        badge: '⏳ {count} قيد الانتظار',
+        synchronized: {
+            zero: 'لا عمليات قيد الانتظار للمزامنة',
+            one: 'تمت مزامنة عملية واحدة قيد الانتظار',
+            two: 'تمت مزامنة عمليتين قيد الانتظار',
+            few: 'تمت مزامنة {count} عمليات قيد الانتظار',
+            many: 'تمت مزامنة {count} عملية قيد الانتظار',
+            other: 'تمت مزامنة {count} عملية قيد الانتظار',
+        },
+        refused: 'رُفضت عملية قيد الانتظار: {operation} — {message}',
+        createCompte: 'إنشاء حساب {type} ({amount})',
+        transaction: '{type} بمبلغ {amount} على الحساب {id}',
+    },
+    notifications: {
+        errorRegion: 'إشعارات الأخطاء',
+        region: 'الإشعارات',
+        close: 'إغلاق الإشعار',
+        historyButton: 'سجل الإشعارات ({count})',
+        history: 'سجل الإشعارات',
+        heading: 'الإشعارات',
+        closeHistory: 'إغلاق السجل',
+        empty: 'لا توجد إشعارات',
+        clear: 'مسح السجل',
+    },
+    exportButtons: {
+        group: 'تصدير',
+        title: 'تصدير بصيغة {format}',
+    },
+    errorBanner: {
+        NETWORK: 'خطأ في الشبكة',
+        VALIDATION: 'طلب غير صالح',
+        BUSINESS: 'عملية مرفوضة',
+        AUTHENTICATION: 'انتهت صلاحية الجلسة',
+        FORBIDDEN: 'الوصول مرفوض',
+        UNKNOWN: 'خطأ في الخادم',
+        title: '{category}: ',
+        retry: 'إعادة المحاولة',
+        close: 'إغلاق رسالة الخطأ',
+    },
+    errors: {
+        network: 'تعذر الوصول إلى الخادم. تحقق من اتصالك ثم أعد المحاولة.',
+        validation: 'الطلب المرسل غير صالح. أعد تحميل الصفحة أو اتصل بالدعم.',
+        authentication: 'انتهت صلاحية جلستك. يرجى تسجيل الدخول من جديد.',
+        forbidden: 'ليست لديك الصلاحيات اللازمة لتنفيذ هذه العملية.',
+        unknown: 'حدث خطأ غير متوقع.',
+    },
+    validation: {
+        soldeInvalid: 'يرجى إدخال رصيد صالح',
+        montantInvalid: 'يرجى إدخال مبلغ صالح',
+        compteRequired: 'يرجى اختيار حساب',
+        compteTypeRequired: 'يرجى اختيار نوع الحساب',
+        transactionTypeRequired: 'يرجى اختيار نوع المعاملة',
+        deviseRequired: 'يرجى اختيار عملة',
+        decimals: 'لا يمكن أن يتجاوز المبلغ منزلتين عشريتين',
+        min: 'يجب ألا يقل المبلغ عن {amount}',
+        max: 'لا يمكن أن يتجاوز المبلغ {amount}',
+        oneOf: '{label} غير صالح (المتوقع: {values})',
+        compteType: 'نوع الحساب',
+        devise: 'العملة',
+        transactionType: 'نوع المعاملة',
+    },
+    overdraft: {
+        savingsNegative: 'رصيد غير كافٍ: لا يمكن أن يكون حساب الادخار مدينًا (أقصى سحب: {maximum})',
+        noOverdraft: 'رصيد غير كافٍ: لا يمكن أن يكون حساب دون سحب على المكشوف مدينًا (أقصى سحب: {maximum})',
+        limitExceeded: 'تم تجاوز السحب على المكشوف المسموح به البالغ {limit} (أقصى سحب: {maximum})',
+    },
+    virement: {
+        sourceRequired: 'يرجى اختيار الحساب المصدر',
+        destinationRequired: 'يرجى اختيار الحساب المستفيد',
+        sameCompte: 'يجب أن يختلف الحساب المصدر عن الحساب المستفيد',
+        deviseMismatch: 'لا يمكن التحويل بين حساب بعملة {source} وحساب بعملة {destination}',
+        sourceRefused: 'الحساب المصدر: {reason}',
+        retraitFailed: 'فشل السحب من الحساب المصدر: {message}. لم يُعدَّل أي حساب.',
+        compensationFailed: 'فشل الإيداع في الحساب المستفيد ({depotMessage}) وتعذر إلغاء سحب '
+            + '{amount} من الحساب {compteId} ({compensationMessage}). '
+            + 'يلزم تدخل يدوي.',
+        compensated: 'فشل الإيداع في الحساب المستفيد: {message}. '
+            + 'أُلغي السحب بإيداع تعويضي في الحساب المصدر.',
+        success: 'تم التحويل بنجاح!',
+    },
+};
+
+export default ar;
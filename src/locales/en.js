@@ -0,0 +1,537 @@
+/**
+ * Catalogue des messages en anglais
+ *
+ * Les clés absentes de ce catalogue sont affichées en français.
+ *
+ * @module locales/en
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+const en = {
+    app: {
+        title: 'Banque Digital',
+        subtitle: 'Account Management',
+        welcomeTitle: 'Welcome to your Banking Space',
+        welcomeText: 'Manage your accounts and transactions with ease through our modern interface',
+        footer: 'TP 16 - React GraphQL Apollo Client application',
+        footerAuthor: 'Developed by Halmaoui Abdellah • {year}',
+        nav: {
+            label: 'Main navigation',
+            comptes: 'Accounts',
+            transactions: 'Transactions',
+            newOperation: 'New operation',
+            stats: 'Statistics',
+        },
+    },
+    language: {
+        label: 'Language',
+    },
+    theme: {
+        label: 'Theme',
+        system: 'System',
+        light: 'Light',
+        dark: 'Dark',
+        contrast: 'High contrast',
+    },
+    common: {
+        loadError: 'Loading error',
+        refresh: 'Refresh',
+        back: '← Back',
+        cancel: 'Cancel',
+        undo: 'Undo',
+        undoFailed: 'Unable to undo: {message}',
+        reset: 'Reset',
+        id: 'ID: {id}',
+        shortId: 'ID: {id}...',
+        excludedDevises: 'Amounts in {devises} excluded from totals: unknown exchange rate',
+    },
+    compteType: {
+        COURANT: 'CHECKING',
+        EPARGNE: 'SAVINGS',
+    },
+    compteTypeName: {
+        COURANT: 'Checking Account',
+        EPARGNE: 'Savings Account',
+    },
+    transactionType: {
+        DEPOT: 'Deposit',
+        RETRAIT: 'Withdrawal',
+    },
+    roles: {
+        CONSEILLER: 'Advisor',
+        SUPERVISEUR: 'Supervisor',
+        LECTURE_SEULE: 'Read only',
+        unknown: 'unknown',
+    },
+    permission: {
+        notice: '🔒 Your profile ({role}) is not allowed to {action}.',
+        createCompte: 'create accounts',
+        createTransaction: 'enter transactions',
+        importTransactions: 'import transactions',
+    },
+    pages: {
+        comptes: {
+            createTitle: 'Account Management',
+            listTitle: 'Your Accounts',
+        },
+        compteDetail: {
+            title: 'Account Details',
+            statement: 'Account statement',
+        },
+        statement: {
+            title: 'Account Statement',
+        },
+        transactions: {
+            title: 'History',
+            newTransaction: '+ New transaction',
+            import: 'Import a CSV',
+        },
+        newTransaction: {
+            title: 'Transactions',
+        },
+        import: {
+            title: 'Transaction import',
+        },
+        stats: {
+            title: 'Statistics',
+            charts: 'Charts',
+        },
+        login: {
+            title: 'Sign in',
+        },
+        notFound: {
+            title: 'Page not found',
+            message: 'No page matches',
+            back: 'Back to accounts',
+        },
+    },
+    compteList: {
+        filterLabel: 'Filter by account type',
+        filters: {
+            all: 'All',
+            COURANT: 'Checking',
+            EPARGNE: 'Savings',
+        },
+        loading: 'Loading accounts...',
+        total: {
+            one: 'Total: {count} account',
+            other: 'Total: {count} accounts',
+        },
+        subtotal: '{type} ({count})',
+        empty: 'No accounts available',
+        emptyHint: 'Create your first account to get started',
+        createdOn: 'Created on {date}',
+        positive: '✓ Positive balance',
+        overdrawn: '⚠️ Overdrawn',
+        overdraftLimit: 'Authorized overdraft: {amount}',
+        converted: 'Subtotals converted to {devise} at indicative exchange rates',
+        delete: 'Delete',
+        deleteLabel: 'Delete account {id}',
+        export: {
+            id: 'ID',
+            type: 'Account type',
+            solde: 'Balance',
+            dateCreation: 'Creation date',
+            devise: 'Currency',
+        },
+    },
+    compteDetail: {
+        loading: 'Loading account...',
+        notFound: 'Account not found',
+        type: 'Type',
+        devise: 'Currency',
+        dateCreation: 'Creation date',
+        currentSolde: 'Current balance',
+        empty: 'No transactions on this account',
+        balanceChart: 'Balance over time',
+        columns: {
+            date: 'Date',
+            type: 'Type',
+            montant: 'Amount',
+            solde: 'Balance',
+        },
+        openingSolde: 'Opening balance',
+    },
+    statement: {
+        title: 'Account statement',
+        from: 'From',
+        to: 'To',
+        invalidPeriod: 'The start date must be before the end date',
+        print: '🖨️ Print',
+        download: 'Download PDF',
+        pdfLanguage: 'The PDF is written in French',
+        devise: 'Currency: {devise}',
+        period: 'Period from {from} to {to}',
+        generated: 'Issued on {date}',
+        openingSolde: 'Opening balance on {date}',
+        closingSolde: 'Closing balance on {date}',
+        totalDepots: 'Total deposits',
+        totalRetraits: 'Total withdrawals',
+        empty: 'No transactions in this period',
+        page: 'Page {page} / {count}',
+    },
+    createCompte: {
+        soldeLabel: 'Initial balance *',
+        soldePlaceholder: 'E.g. 1000.00',
+        typeLabel: 'Account type *',
+        types: {
+            COURANT: { title: 'Checking', hint: 'Everyday use' },
+            EPARGNE: { title: 'Savings', hint: 'Put money aside' },
+        },
+        deviseLabel: 'Currency *',
+        deviseOption: '{code} - {name}',
+        submit: 'Create account',
+        submitting: 'Creating...',
+        success: 'Account created successfully!',
+        failed: 'Creation cancelled, the account list has been restored: {message}',
+        queued: 'Server unreachable: the account will be created when the connection is back',
+        undone: 'Account creation undone',
+        deleteRefused: 'The server refused the deletion',
+    },
+    deleteCompte: {
+        title: {
+            COURANT: 'Delete checking account',
+            EPARGNE: 'Delete savings account',
+        },
+        solde: 'Balance',
+        transactions: 'Transactions',
+        nonZero: 'This account has a non-zero balance. Deleting it will remove {amount}.',
+        force: 'Force deletion',
+        refused: 'The server refused the deletion',
+        submit: 'Delete',
+        deleting: 'Deleting...',
+    },
+    transactionForm: {
+        typeLabel: 'Transaction type *',
+        types: {
+            DEPOT: { title: 'Deposit', hint: 'Add money' },
+            RETRAIT: { title: 'Withdrawal', hint: 'Take money out' },
+            VIREMENT: { title: 'Transfer', hint: 'Between two accounts' },
+        },
+        compteLabel: 'Account *',
+        compte: 'Account',
+        sourceLabel: 'Source account *',
+        source: 'Source account',
+        destinationLabel: 'Destination account *',
+        destination: 'Destination account',
+        selectCompte: '-- Select an account --',
+        compteOption: '{type} - Balance: {solde}',
+        montantLabel: 'Amount *',
+        montantPlaceholder: 'E.g. 50.00',
+        approval: {
+            group: 'Supervisor approval',
+            notice: 'Withdrawals above {amount} must be approved by a supervisor, '
+                + 'who enters their credentials below.',
+            usernamePlaceholder: 'Username',
+            username: 'Supervisor username',
+            passwordPlaceholder: 'Password',
+            password: 'Supervisor password',
+            refused: 'Supervisor approval refused: {message}',
+            usernameRequired: 'Please enter the supervisor username',
+            passwordRequired: 'Please enter the supervisor password',
+            offline: 'Withdrawals requiring approval cannot be made offline',
+        },
+        projection: 'Balance after the operation:',
+        sourceProjection: 'Source account balance after the operation:',
+        overdraftAllowed: '(authorized overdraft: {amount})',
+        submit: {
+            DEPOT: 'Make the deposit',
+            RETRAIT: 'Make the withdrawal',
+            VIREMENT: 'Make the transfer',
+        },
+        processing: 'Processing...',
+        virementOffline: 'Transfers cannot be made offline',
+        success: {
+            DEPOT: 'Deposit completed successfully!',
+            RETRAIT: 'Withdrawal completed successfully!',
+        },
+        failed: {
+            DEPOT: 'Deposit cancelled, the displayed balances have been restored: {message}',
+            RETRAIT: 'Withdrawal cancelled, the displayed balances have been restored: {message}',
+        },
+        queued: {
+            DEPOT: 'Server unreachable: the deposit will be sent when the connection is back',
+            RETRAIT: 'Server unreachable: the withdrawal will be sent when the connection is back',
+        },
+        undone: 'Operation undone by a reverse transaction',
+    },
+    transactionList: {
+        loading: 'Loading transactions...',
+        pending: 'Pending operations',
+        pendingBadge: 'pending',
+        pendingCompte: 'Account {id} • {date}',
+        total: {
+            one: 'Total: {count} transaction',
+            other: 'Total: {count} transactions',
+        },
+        shown: {
+            one: '({count} shown)',
+            other: '({count} shown)',
+        },
+        empty: 'No transactions available',
+        emptyHint: 'Make a transaction to get started',
+        noMatch: 'No transactions match the filters',
+        details: '{type} • {date}',
+        solde: 'Balance: {amount}',
+        pagination: 'Pagination',
+        previous: 'Previous',
+        next: 'Next',
+        page: 'Page {page} / {count}',
+        export: {
+            id: 'ID',
+            date: 'Date',
+            type: 'Type',
+            compteId: 'Account ID',
+            typeCompte: 'Account type',
+            montant: 'Amount',
+            soldeApres: 'Balance after transaction',
+            devise: 'Currency',
+        },
+    },
+    transactionFilters: {
+        search: 'Search',
+        searchPlaceholder: 'Search by transaction or account ID',
+        type: 'Type',
+        allTypes: 'All types',
+        depots: 'Deposits',
+        retraits: 'Withdrawals',
+        compte: 'Account',
+        allComptes: 'All accounts',
+        compteOption: '{type} - {id}',
+        montantMin: 'Minimum amount',
+        montantMinPlaceholder: 'Min amount',
+        montantMax: 'Maximum amount',
+        montantMaxPlaceholder: 'Max amount',
+        dateFrom: 'Start date',
+        dateTo: 'End date',
+        sortBy: 'Sort by',
+        sortFields: {
+            date: 'Date',
+            montant: 'Amount',
+            type: 'Type',
+        },
+        ascending: 'Ascending order',
+        descending: 'Descending order',
+    },
+    transactionImport: {
+        fileLabel: 'CSV file *',
+        formatLabel: 'Format:',
+        formatRules: '— type DEPOT or RETRAIT, amount with at most two decimals, for example',
+        summary: {
+            one: '{file}: {count} valid line, {invalid} with errors',
+            other: '{file}: {count} valid lines, {invalid} with errors',
+        },
+        import: {
+            one: 'Import {count} transaction',
+            other: 'Import {count} transactions',
+        },
+        importing: 'Importing...',
+        progress: 'Import progress',
+        finished: 'Import complete: {succeeded}, {failed}',
+        succeeded: {
+            one: '{count} succeeded',
+            other: '{count} succeeded',
+        },
+        failedCount: {
+            one: '{count} failed',
+            other: '{count} failed',
+        },
+        queuedCount: {
+            one: ', {count} waiting for connection',
+            other: ', {count} waiting for connection',
+        },
+        ignored: {
+            one: ', {count} invalid line skipped',
+            other: ', {count} invalid lines skipped',
+        },
+        columns: {
+            line: 'Line',
+            compte: 'Account',
+            type: 'Type',
+            montant: 'Amount',
+            status: 'Status',
+        },
+        imported: '✓ Imported',
+        queued: '⏳ Waiting for connection',
+        importFailed: '✗ {message}',
+        valid: 'Valid',
+        errors: {
+            columns: 'Too many columns (expected: compteId;type;montant)',
+            missingCompte: 'Missing account',
+            unknownCompte: 'Unknown account: {id}',
+            invalidType: 'Invalid type: {type} (expected: {values})',
+            invalidMontant: 'Invalid amount: {montant}',
+            empty: '(empty)',
+            approval: 'Withdrawal above {amount}: supervisor approval required',
+        },
+    },
+    stats: {
+        loading: 'Loading statistics...',
+        error: 'Error loading statistics',
+        comptes: 'Accounts',
+        totalSolde: 'Total balance',
+        averageSolde: 'Average balance',
+        transactions: 'Transactions',
+        depots: 'Deposits',
+        retraits: 'Withdrawals',
+        fluxNet: 'Net flow',
+        converted: 'Amounts converted to {devise} at indicative exchange rates',
+    },
+    charts: {
+        loading: 'Loading charts...',
+        error: 'Error loading charts',
+        period: 'Period',
+        periods: {
+            '30': 'Last 30 days',
+            '90': 'Last 90 days',
+            '365': 'Last 12 months',
+            all: 'All history',
+        },
+        periodicite: 'Grouping',
+        periodicites: {
+            JOUR: 'By day',
+            SEMAINE: 'By week',
+            MOIS: 'By month',
+        },
+        week: 'Week of {date}',
+        empty: 'No transactions in this period',
+        showTable: 'Show data',
+        converted: 'Amounts converted to {devise} at indicative exchange rates',
+        compte: '{type} {id}',
+        balance: {
+            title: 'Balance over time by account',
+            summary: {
+                one: 'Balance line of {count} account from {from} to {to}',
+                other: 'Balance lines of {count} accounts from {from} to {to}',
+            },
+        },
+        flows: {
+            title: 'Deposits and withdrawals',
+            summary: {
+                one: 'Deposit and withdrawal bars over {count} period',
+                other: 'Deposit and withdrawal bars over {count} periods',
+            },
+        },
+        share: {
+            title: 'Share of total balance',
+            summary: 'Share of total balance: {parts}',
+            part: '{type} {part}',
+        },
+        columns: {
+            date: 'Date',
+            compte: 'Account',
+            solde: 'Balance',
+            periode: 'Period',
+            depots: 'Deposits',
+            retraits: 'Withdrawals',
+            type: 'Account type',
+            count: 'Accounts',
+            part: 'Share',
+        },
+    },
+    loginForm: {
+        sessionExpired: 'Your session has expired. Please sign in again.',
+        username: 'Username *',
+        password: 'Password *',
+        badCredentials: 'Incorrect username or password',
+        submitting: 'Signing in...',
+        submit: 'Sign in',
+    },
+    userMenu: {
+        logout: 'Sign out',
+    },
+    connection: {
+        UNKNOWN: 'Connecting...',
+        CONNECTED: 'Connected',
+        DEGRADED: 'Slow connection',
+        DISCONNECTED: 'Disconnected',
+        lastSuccess: 'Last success at {time}',
+        neverSucceeded: 'No successful exchange with the server',
+    },
+    liveUpdates: {
+        live: '⚡ Real time',
+        liveTitle: 'Changes made by other users appear immediately',
+        polling: '⟳ Periodic refresh',
+        pollingTitle: 'Real time unavailable: refreshing every {seconds} s',
+    },
+    pendingOperations: {
+        badge: '⏳ {count} pending',
+        synchronized: {
+            one: '{count} pending operation synchronized',
+            other: '{count} pending operations synchronized',
+        },
+        refused: 'Pending operation refused: {operation} — {message}',
+        createCompte: 'Creation of a {type} account ({amount})',
+        transaction: '{type} of {amount} on account {id}',
+    },
+    notifications: {
+        errorRegion: 'Error notifications',
+        region: 'Notifications',
+        close: 'Close notification',
+        historyButton: 'Notification history ({count})',
+        history: 'Notification history',
+        heading: 'Notifications',
+        closeHistory: 'Close history',
+        empty: 'No notifications',
+        clear: 'Clear history',
+    },
+    exportButtons: {
+        group: 'Export',
+        title: 'Export as {format}',
+    },
+    errorBanner: {
+        NETWORK: 'Network error',
+        VALIDATION: 'Invalid request',
+        BUSINESS: 'Operation refused',
+        AUTHENTICATION: 'Session expired',
+        FORBIDDEN: 'Access denied',
+        UNKNOWN: 'Server error',
+        title: '{category}: ',
+        retry: 'Retry',
+        close: 'Close error message',
+    },
+    errors: {
+        network: 'The server is unreachable. Check your connection and try again.',
+        validation: 'The request sent is invalid. Reload the page or contact support.',
+        authentication: 'Your session has expired. Please sign in again.',
+        forbidden: 'You do not have the rights required to perform this operation.',
+        unknown: 'An unexpected error occurred.',
+    },
+    validation: {
+        soldeInvalid: 'Please enter a valid balance',
+        montantInvalid: 'Please enter a valid amount',
+        compteRequired: 'Please select an account',
+        compteTypeRequired: 'Please choose an account type',
+        transactionTypeRequired: 'Please choose a transaction type',
+        deviseRequired: 'Please choose a currency',
+        decimals: 'The amount cannot have more than two decimals',
+        min: 'The amount must be at least {amount}',
+        max: 'The amount cannot exceed {amount}',
+        oneOf: 'Invalid {label} (expected: {values})',
+        compteType: 'account type',
+        devise: 'currency',
+        transactionType: 'transaction type',
+    },
+    overdraft: {
+        savingsNegative: 'Insufficient balance: a savings account cannot be overdrawn (maximum withdrawal: {maximum})',
+        noOverdraft: 'Insufficient balance: an account without overdraft cannot be overdrawn (maximum withdrawal: {maximum})',
+        limitExceeded: 'Authorized overdraft of {limit} exceeded (maximum withdrawal: {maximum})',
+    },
+    virement: {
+        sourceRequired: 'Please select a source account',
+        destinationRequired: 'Please select a destination account',
+        sameCompte: 'The source and destination accounts must be different',
+        deviseMismatch: 'Cannot transfer between a {source} account and a {destination} account',
+        sourceRefused: 'Source account: {reason}',
+        retraitFailed: 'The withdrawal from the source account failed: {message}. No account was changed.',
+        compensationFailed: 'The deposit to the destination account failed ({depotMessage}) and the withdrawal '
+            + 'of {amount} from account {compteId} could not be reversed ({compensationMessage}). '
+            + 'Manual intervention required.',
+        compensated: 'The deposit to the destination account failed: {message}. '
+            + 'The withdrawal was reversed by a compensating deposit on the source account.',
+        success: 'Transfer completed successfully!',
+    },
+};
+
+export default en;
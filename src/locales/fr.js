@@ -0,0 +1,539 @@
+/**
+ * Catalogue des messages en français
+ *
+ * Langue de référence de l'application : toute clé absente des autres
+ * catalogues est affichée en français. Les messages pluriels sont indexés
+ * par catégorie Intl.PluralRules (one, other).
+ *
+ * @module locales/fr
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+const fr = {
+    app: {
+        title: 'Banque Digital',
+        subtitle: 'Gestion des Comptes',
+        welcomeTitle: 'Bienvenue dans votre Espace Bancaire',
+        welcomeText: 'Gérez vos comptes et transactions en toute simplicité avec notre interface moderne',
+        footer: 'TP 16 - Application React GraphQL Apollo Client',
+        footerAuthor: 'Développé par Halmaoui Abdellah • {year}',
+        nav: {
+            label: 'Navigation principale',
+            comptes: 'Comptes',
+            transactions: 'Transactions',
+            newOperation: 'Nouvelle opération',
+            stats: 'Statistiques',
+        },
+    },
+    language: {
+        label: 'Langue',
+    },
+    theme: {
+        label: 'Thème',
+        system: 'Système',
+        light: 'Clair',
+        dark: 'Sombre',
+        contrast: 'Contraste élevé',
+    },
+    common: {
+        loadError: 'Erreur de chargement',
+        refresh: 'Actualiser',
+        back: '← Retour',
+        cancel: 'Annuler',
+        undo: 'Annuler',
+        undoFailed: 'Annulation impossible : {message}',
+        reset: 'Réinitialiser',
+        id: 'ID: {id}',
+        shortId: 'ID: {id}...',
+        excludedDevises: 'Montants en {devises} exclus des totaux : taux de change inconnu',
+    },
+    compteType: {
+        COURANT: 'COURANT',
+        EPARGNE: 'EPARGNE',
+    },
+    compteTypeName: {
+        COURANT: 'Compte Courant',
+        EPARGNE: 'Compte Épargne',
+    },
+    transactionType: {
+        DEPOT: 'Dépôt',
+        RETRAIT: 'Retrait',
+    },
+    roles: {
+        CONSEILLER: 'Conseiller',
+        SUPERVISEUR: 'Superviseur',
+        LECTURE_SEULE: 'Lecture seule',
+        unknown: 'inconnu',
+    },
+    permission: {
+        notice: '🔒 Votre profil ({role}) ne permet pas de {action}.',
+        createCompte: 'créer de compte',
+        createTransaction: 'saisir de transaction',
+        importTransactions: 'importer de transactions',
+    },
+    pages: {
+        comptes: {
+            createTitle: 'Gestion des Comptes',
+            listTitle: 'Vos Comptes',
+        },
+        compteDetail: {
+            title: 'Détail du Compte',
+            statement: 'Relevé de compte',
+        },
+        statement: {
+            title: 'Relevé de Compte',
+        },
+        transactions: {
+            title: 'Historique',
+            newTransaction: '+ Nouvelle transaction',
+            import: 'Importer un CSV',
+        },
+        newTransaction: {
+            title: 'Transactions',
+        },
+        import: {
+            title: 'Import de transactions',
+        },
+        stats: {
+            title: 'Statistiques',
+            charts: 'Graphiques',
+        },
+        login: {
+            title: 'Connexion',
+        },
+        notFound: {
+            title: 'Page introuvable',
+            message: 'Aucune page ne correspond à',
+            back: 'Retour aux comptes',
+        },
+    },
+    compteList: {
+        filterLabel: 'Filtrer par type de compte',
+        filters: {
+            all: 'Tous',
+            COURANT: 'Courant',
+            EPARGNE: 'Épargne',
+        },
+        loading: 'Chargement des comptes...',
+        total: {
+            one: 'Total: {count} compte',
+            other: 'Total: {count} comptes',
+        },
+        subtotal: '{type} ({count})',
+        empty: 'Aucun compte disponible',
+        emptyHint: 'Créez votre premier compte pour commencer',
+        createdOn: 'Créé le {date}',
+        positive: '✓ Solde positif',
+        overdrawn: '⚠️ À découvert',
+        overdraftLimit: 'Découvert autorisé : {amount}',
+        converted: 'Sous-totaux convertis en {devise} aux taux de change indicatifs',
+        delete: 'Supprimer',
+        deleteLabel: 'Supprimer le compte {id}',
+        export: {
+            id: 'ID',
+            type: 'Type de compte',
+            solde: 'Solde',
+            dateCreation: 'Date de création',
+            devise: 'Devise',
+        },
+    },
+    compteDetail: {
+        loading: 'Chargement du compte...',
+        notFound: 'Compte introuvable',
+        type: 'Type',
+        devise: 'Devise',
+        dateCreation: 'Date de création',
+        currentSolde: 'Solde actuel',
+        empty: 'Aucune transaction sur ce compte',
+        balanceChart: 'Évolution du solde',
+        columns: {
+            date: 'Date',
+            type: 'Type',
+            montant: 'Montant',
+            solde: 'Solde',
+        },
+        openingSolde: 'Solde d\'ouverture',
+    },
+    statement: {
+        title: 'Relevé de compte',
+        from: 'Du',
+        to: 'Au',
+        invalidPeriod: 'La date de début doit précéder la date de fin',
+        print: '🖨️ Imprimer',
+        download: 'Télécharger le PDF',
+        pdfLanguage: 'Le PDF est rédigé en français',
+        devise: 'Devise : {devise}',
+        period: 'Période du {from} au {to}',
+        generated: 'Édité le {date}',
+        openingSolde: 'Solde d\'ouverture au {date}',
+        closingSolde: 'Solde de clôture au {date}',
+        totalDepots: 'Total des dépôts',
+        totalRetraits: 'Total des retraits',
+        empty: 'Aucune transaction sur la période',
+        page: 'Page {page} / {count}',
+    },
+    createCompte: {
+        soldeLabel: 'Solde initial *',
+        soldePlaceholder: 'Ex: 1000.00',
+        typeLabel: 'Type de compte *',
+        types: {
+            COURANT: { title: 'Courant', hint: 'Usage quotidien' },
+            EPARGNE: { title: 'Épargne', hint: 'Économies' },
+        },
+        deviseLabel: 'Devise *',
+        deviseOption: '{code} - {name}',
+        submit: 'Créer le compte',
+        submitting: 'Création en cours...',
+        success: 'Compte créé avec succès !',
+        failed: 'Création annulée, la liste des comptes a été rétablie : {message}',
+        queued: 'Serveur injoignable : la création du compte sera envoyée au retour de la connexion',
+        undone: 'Création du compte annulée',
+        deleteRefused: 'La suppression a été refusée par le serveur',
+    },
+    deleteCompte: {
+        title: {
+            COURANT: 'Supprimer le compte courant',
+            EPARGNE: 'Supprimer le compte épargne',
+        },
+        solde: 'Solde',
+        transactions: 'Transactions',
+        nonZero: 'Ce compte a un solde non nul. Sa suppression fera disparaître {amount}.',
+        force: 'Forcer la suppression',
+        refused: 'La suppression a été refusée par le serveur',
+        submit: 'Supprimer',
+        deleting: 'Suppression...',
+    },
+    transactionForm: {
+        typeLabel: 'Type de transaction *',
+        types: {
+            DEPOT: { title: 'Dépôt', hint: 'Ajouter de l\'argent' },
+            RETRAIT: { title: 'Retrait', hint: 'Retirer de l\'argent' },
+            VIREMENT: { title: 'Virement', hint: 'Entre deux comptes' },
+        },
+        compteLabel: 'Compte *',
+        compte: 'Compte',
+        sourceLabel: 'Compte source *',
+        source: 'Compte source',
+        destinationLabel: 'Compte destination *',
+        destination: 'Compte destination',
+        selectCompte: '-- Sélectionner un compte --',
+        compteOption: '{type} - Solde: {solde}',
+        montantLabel: 'Montant *',
+        montantPlaceholder: 'Ex: 50.00',
+        approval: {
+            group: 'Validation superviseur',
+            notice: 'Les retraits supérieurs à {amount} doivent être validés par un superviseur, '
+                + 'qui saisit ses identifiants ci-dessous.',
+            usernamePlaceholder: 'Identifiant',
+            username: 'Identifiant du superviseur',
+            passwordPlaceholder: 'Mot de passe',
+            password: 'Mot de passe du superviseur',
+            refused: 'Validation du superviseur refusée : {message}',
+            usernameRequired: 'Veuillez saisir l\'identifiant du superviseur',
+            passwordRequired: 'Veuillez saisir le mot de passe du superviseur',
+            offline: 'Les retraits soumis à validation ne peuvent pas être effectués hors connexion',
+        },
+        projection: 'Solde après l\'opération :',
+        sourceProjection: 'Solde du compte source après l\'opération :',
+        overdraftAllowed: '(découvert autorisé : {amount})',
+        submit: {
+            DEPOT: 'Effectuer le dépôt',
+            RETRAIT: 'Effectuer le retrait',
+            VIREMENT: 'Effectuer le virement',
+        },
+        processing: 'Traitement...',
+        virementOffline: 'Les virements ne peuvent pas être effectués hors connexion',
+        success: {
+            DEPOT: 'Dépôt effectué avec succès !',
+            RETRAIT: 'Retrait effectué avec succès !',
+        },
+        failed: {
+            DEPOT: 'Dépôt annulé, les soldes affichés ont été rétablis : {message}',
+            RETRAIT: 'Retrait annulé, les soldes affichés ont été rétablis : {message}',
+        },
+        queued: {
+            DEPOT: 'Serveur injoignable : le dépôt sera envoyé au retour de la connexion',
+            RETRAIT: 'Serveur injoignable : le retrait sera envoyé au retour de la connexion',
+        },
+        undone: 'Opération annulée par une transaction inverse',
+    },
+    transactionList: {
+        loading: 'Chargement des transactions...',
+        pending: 'Opérations en attente',
+        pendingBadge: 'en attente',
+        pendingCompte: 'Compte {id} • {date}',
+        total: {
+            one: 'Total: {count} transaction',
+            other: 'Total: {count} transactions',
+        },
+        shown: {
+            one: '({count} affichée)',
+            other: '({count} affichées)',
+        },
+        empty: 'Aucune transaction disponible',
+        emptyHint: 'Effectuez une transaction pour commencer',
+        noMatch: 'Aucune transaction ne correspond aux filtres',
+        details: '{type} • {date}',
+        solde: 'Solde: {amount}',
+        pagination: 'Pagination',
+        previous: 'Précédent',
+        next: 'Suivant',
+        page: 'Page {page} / {count}',
+        export: {
+            id: 'ID',
+            date: 'Date',
+            type: 'Type',
+            compteId: 'ID compte',
+            typeCompte: 'Type de compte',
+            montant: 'Montant',
+            soldeApres: 'Solde après transaction',
+            devise: 'Devise',
+        },
+    },
+    transactionFilters: {
+        search: 'Rechercher',
+        searchPlaceholder: 'Rechercher par ID de transaction ou de compte',
+        type: 'Type',
+        allTypes: 'Tous les types',
+        depots: 'Dépôts',
+        retraits: 'Retraits',
+        compte: 'Compte',
+        allComptes: 'Tous les comptes',
+        compteOption: '{type} - {id}',
+        montantMin: 'Montant minimum',
+        montantMinPlaceholder: 'Montant min',
+        montantMax: 'Montant maximum',
+        montantMaxPlaceholder: 'Montant max',
+        dateFrom: 'Date de début',
+        dateTo: 'Date de fin',
+        sortBy: 'Trier par',
+        sortFields: {
+            date: 'Date',
+            montant: 'Montant',
+            type: 'Type',
+        },
+        ascending: 'Tri croissant',
+        descending: 'Tri décroissant',
+    },
+    transactionImport: {
+        fileLabel: 'Fichier CSV *',
+        formatLabel: 'Format :',
+        formatRules: '— type DEPOT ou RETRAIT, montant avec au plus deux décimales, par exemple',
+        summary: {
+            one: '{file} : {count} ligne valide, {invalid} en erreur',
+            other: '{file} : {count} lignes valides, {invalid} en erreur',
+        },
+        import: {
+            one: 'Importer {count} transaction',
+            other: 'Importer {count} transactions',
+        },
+        importing: 'Import en cours...',
+        progress: 'Progression de l\'import',
+        finished: 'Import terminé : {succeeded}, {failed}',
+        succeeded: {
+            one: '{count} réussie',
+            other: '{count} réussies',
+        },
+        failedCount: {
+            one: '{count} échouée',
+            other: '{count} échouées',
+        },
+        queuedCount: {
+            one: ', {count} en attente de connexion',
+            other: ', {count} en attente de connexion',
+        },
+        ignored: {
+            one: ', {count} ligne ignorée car invalide',
+            other: ', {count} lignes ignorées car invalides',
+        },
+        columns: {
+            line: 'Ligne',
+            compte: 'Compte',
+            type: 'Type',
+            montant: 'Montant',
+            status: 'Statut',
+        },
+        imported: '✓ Importée',
+        queued: '⏳ En attente de connexion',
+        importFailed: '✗ {message}',
+        valid: 'Valide',
+        errors: {
+            columns: 'Trop de colonnes (attendu : compteId;type;montant)',
+            missingCompte: 'Compte manquant',
+            unknownCompte: 'Compte inconnu : {id}',
+            invalidType: 'Type invalide : {type} (attendu : {values})',
+            invalidMontant: 'Montant invalide : {montant}',
+            empty: '(vide)',
+            approval: 'Retrait supérieur à {amount} : validation d\'un superviseur requise',
+        },
+    },
+    stats: {
+        loading: 'Chargement des statistiques...',
+        error: 'Erreur de chargement des statistiques',
+        comptes: 'Comptes',
+        totalSolde: 'Solde total',
+        averageSolde: 'Solde moyen',
+        transactions: 'Transactions',
+        depots: 'Dépôts',
+        retraits: 'Retraits',
+        fluxNet: 'Flux net',
+        converted: 'Montants convertis en {devise} aux taux de change indicatifs',
+    },
+    charts: {
+        loading: 'Chargement des graphiques...',
+        error: 'Erreur de chargement des graphiques',
+        period: 'Période',
+        periods: {
+            '30': '30 derniers jours',
+            '90': '90 derniers jours',
+            '365': '12 derniers mois',
+            all: 'Tout l\'historique',
+        },
+        periodicite: 'Regroupement',
+        periodicites: {
+            JOUR: 'Par jour',
+            SEMAINE: 'Par semaine',
+            MOIS: 'Par mois',
+        },
+        week: 'Semaine du {date}',
+        empty: 'Aucune transaction sur la période',
+        showTable: 'Afficher les données',
+        converted: 'Montants convertis en {devise} aux taux de change indicatifs',
+        compte: '{type} {id}',
+        balance: {
+            title: 'Évolution du solde par compte',
+            summary: {
+                one: 'Courbe du solde de {count} compte du {from} au {to}',
+                other: 'Courbes du solde de {count} comptes du {from} au {to}',
+            },
+        },
+        flows: {
+            title: 'Dépôts et retraits',
+            summary: {
+                one: 'Barres des dépôts et retraits sur {count} période',
+                other: 'Barres des dépôts et retraits sur {count} périodes',
+            },
+        },
+        share: {
+            title: 'Répartition du solde total',
+            summary: 'Répartition du solde total : {parts}',
+            part: '{type} {part}',
+        },
+        columns: {
+            date: 'Date',
+            compte: 'Compte',
+            solde: 'Solde',
+            periode: 'Période',
+            depots: 'Dépôts',
+            retraits: 'Retraits',
+            type: 'Type de compte',
+            count: 'Comptes',
+            part: 'Part',
+        },
+    },
+    loginForm: {
+        sessionExpired: 'Votre session a expiré. Veuillez vous reconnecter.',
+        username: 'Identifiant *',
+        password: 'Mot de passe *',
+        badCredentials: 'Identifiant ou mot de passe incorrect',
+        submitting: 'Connexion en cours...',
+        submit: 'Se connecter',
+    },
+    userMenu: {
+        logout: 'Se déconnecter',
+    },
+    connection: {
+        UNKNOWN: 'Connexion...',
+        CONNECTED: 'Connecté',
+        DEGRADED: 'Connexion lente',
+        DISCONNECTED: 'Déconnecté',
+        lastSuccess: 'Dernier succès à {time}',
+        neverSucceeded: 'Aucun échange réussi avec le serveur',
+    },
+    liveUpdates: {
+        live: '⚡ Temps réel',
+        liveTitle: 'Les modifications des autres utilisateurs s\'affichent immédiatement',
+        polling: '⟳ Actualisation périodique',
+        pollingTitle: 'Temps réel indisponible : actualisation toutes les {seconds} s',
+    },
+    pendingOperations: {
+        badge: '⏳ {count} en attente',
+        synchronized: {
+            one: '{count} opération en attente synchronisée',
+            other: '{count} opérations en attente synchronisées',
+        },
+        refused: 'Opération en attente refusée : {operation} — {message}',
+        createCompte: 'Création d\'un compte {type} ({amount})',
+        transaction: '{type} de {amount} sur le compte {id}',
+    },
+    notifications: {
+        errorRegion: 'Notifications d\'erreur',
+        region: 'Notifications',
+        close: 'Fermer la notification',
+        historyButton: 'Historique des notifications ({count})',
+        history: 'Historique des notifications',
+        heading: 'Notifications',
+        closeHistory: 'Fermer l\'historique',
+        empty: 'Aucune notification',
+        clear: 'Vider l\'historique',
+    },
+    exportButtons: {
+        group: 'Exporter',
+        title: 'Exporter en {format}',
+    },
+    errorBanner: {
+        NETWORK: 'Erreur réseau',
+        VALIDATION: 'Requête invalide',
+        BUSINESS: 'Opération refusée',
+        AUTHENTICATION: 'Session expirée',
+        FORBIDDEN: 'Accès refusé',
+        UNKNOWN: 'Erreur serveur',
+        title: '{category} : ',
+        retry: 'Réessayer',
+        close: 'Fermer le message d\'erreur',
+    },
+    errors: {
+        network: 'Le serveur est injoignable. Vérifiez votre connexion puis réessayez.',
+        validation: 'La requête envoyée est invalide. Rechargez la page ou contactez le support.',
+        authentication: 'Votre session a expiré. Veuillez vous reconnecter.',
+        forbidden: 'Vous n\'avez pas les droits nécessaires pour effectuer cette opération.',
+        unknown: 'Une erreur inattendue est survenue.',
+    },
+    validation: {
+        soldeInvalid: 'Veuillez entrer un solde valide',
+        montantInvalid: 'Veuillez entrer un montant valide',
+        compteRequired: 'Veuillez sélectionner un compte',
+        compteTypeRequired: 'Veuillez choisir un type de compte',
+        transactionTypeRequired: 'Veuillez choisir un type de transaction',
+        deviseRequired: 'Veuillez choisir une devise',
+        decimals: 'Le montant ne peut pas avoir plus de deux décimales',
+        min: 'Le montant doit être d\'au moins {amount}',
+        max: 'Le montant ne peut pas dépasser {amount}',
+        oneOf: '{label} invalide (attendu : {values})',
+        compteType: 'Type de compte',
+        devise: 'Devise',
+        transactionType: 'Type de transaction',
+    },
+    overdraft: {
+        savingsNegative: 'Solde insuffisant : un compte épargne ne peut pas être débiteur (retrait maximal : {maximum})',
+        noOverdraft: 'Solde insuffisant : un compte sans découvert ne peut pas être débiteur (retrait maximal : {maximum})',
+        limitExceeded: 'Découvert autorisé de {limit} dépassé (retrait maximal : {maximum})',
+    },
+    virement: {
+        sourceRequired: 'Veuillez sélectionner un compte source',
+        destinationRequired: 'Veuillez sélectionner un compte destination',
+        sameCompte: 'Le compte source et le compte destination doivent être différents',
+        deviseMismatch: 'Virement impossible entre un compte en {source} et un compte en {destination}',
+        sourceRefused: 'Compte source : {reason}',
+        retraitFailed: 'Le retrait sur le compte source a échoué : {message}. Aucun compte n\'a été modifié.',
+        compensationFailed: 'Le dépôt sur le compte destination a échoué ({depotMessage}) et le retrait '
+            + 'de {amount} sur le compte {compteId} n\'a pas pu être annulé ({compensationMessage}). '
+            + 'Intervention manuelle requise.',
+        compensated: 'Le dépôt sur le compte destination a échoué : {message}. '
+            + 'Le retrait a été annulé par un dépôt compensatoire sur le compte source.',
+        success: 'Virement effectué avec succès !',
+    },
+};
+
+export default fr;
@@ -0,0 +1,59 @@
+import React from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import CompteDetail from "../components/CompteDetail";
+import Panel from "../components/Panel";
+import { useAuth } from "../contexts/AuthContext";
+import { useI18n } from "../contexts/I18nContext";
+import { Permission } from "../services/permissions";
+
+/**
+ * Page de détail d'un compte bancaire (route /comptes/:id)
+ *
+ * Cette page lit l'identifiant du compte dans l'URL, ce qui permet de
+ * partager un lien direct vers un compte précis. Le relevé du compte est
+ * accessible à tous les profils ; le lien de saisie d'une transaction n'est
+ * proposé qu'aux profils autorisés.
+ *
+ * @module pages/CompteDetailPage
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @returns {JSX.Element} Page de détail d'un compte
+ */
+const CompteDetailPage = () => {
+    const { id } = useParams();
+    const navigate = useNavigate();
+    const { can } = useAuth();
+    const { t } = useI18n();
+
+    return (
+        <Panel
+            icon="🔍"
+            title={t('pages.compteDetail.title')}
+            color="blue"
+            actions={(
+                <div className="flex items-center gap-4">
+                    <Link
+                        to={`/comptes/${encodeURIComponent(id)}/releve`}
+                        className="text-sm font-semibold text-blue-600 hover:text-blue-800"
+                    >
+                        {t('pages.compteDetail.statement')}
+                    </Link>
+                    {can(Permission.CREATE_TRANSACTION) && (
+                        <Link
+                            to={`/transactions/new?compteId=${encodeURIComponent(id)}`}
+                            className="text-sm font-semibold text-blue-600 hover:text-blue-800"
+                        >
+                            {t('pages.transactions.newTransaction')}
+                        </Link>
+                    )}
+                </div>
+            )}
+        >
+            <CompteDetail compteId={id} onBack={() => navigate('/comptes')} />
+        </Panel>
+    );
+};
+
+export default CompteDetailPage;
@@ -0,0 +1,61 @@
+import React from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import CompteList from "../components/CompteList";
+import CreateCompte from "../components/CreateCompte";
+import Panel from "../components/Panel";
+import { TypeCompte } from "../services/type-definitions";
+import { useI18n } from "../contexts/I18nContext";
+
+/**
+ * Page de gestion des comptes bancaires (route /comptes)
+ *
+ * Cette page regroupe le formulaire de création de compte et la liste des
+ * comptes existants. Un clic sur un compte ouvre sa page de détail.
+ * Le filtre par type est conservé dans le paramètre de requête `type`
+ * (par exemple /comptes?type=EPARGNE).
+ *
+ * @module pages/ComptesPage
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @returns {JSX.Element} Page de gestion des comptes
+ */
+const ComptesPage = () => {
+    const navigate = useNavigate();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const { t } = useI18n();
+    const type = Object.values(TypeCompte).includes(searchParams.get('type')) ? searchParams.get('type') : '';
+
+    const handleTypeFilterChange = (value) => {
+        const params = new URLSearchParams(searchParams);
+        if (value) {
+            params.set('type', value);
+        } else {
+            params.delete('type');
+        }
+        setSearchParams(params);
+    };
+
+    return (
+        <div className="grid grid-cols-1 xl:grid-cols-3 gap-8">
+            <div className="xl:col-span-1 space-y-6">
+                <Panel icon="💳" title={t('pages.comptes.createTitle')} color="blue">
+                    <CreateCompte />
+                </Panel>
+            </div>
+
+            <div className="xl:col-span-2 space-y-6">
+                <Panel icon="📊" title={t('pages.comptes.listTitle')} color="green">
+                    <CompteList
+                        typeFilter={type}
+                        onTypeFilterChange={handleTypeFilterChange}
+                        onSelectCompte={(compte) => navigate(`/comptes/${compte.id}`)}
+                    />
+                </Panel>
+            </div>
+        </div>
+    );
+};
+
+export default ComptesPage;
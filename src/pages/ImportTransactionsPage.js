@@ -0,0 +1,26 @@
+import React from "react";
+import Panel from "../components/Panel";
+import TransactionImport from "../components/TransactionImport";
+import { useI18n } from "../contexts/I18nContext";
+
+/**
+ * Page d'import en masse de transactions (route /transactions/import)
+ *
+ * @module pages/ImportTransactionsPage
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @returns {JSX.Element} Page d'import de transactions
+ */
+const ImportTransactionsPage = () => {
+    const { t } = useI18n();
+
+    return (
+        <Panel icon="📂" title={t('pages.import.title')} color="purple">
+            <TransactionImport />
+        </Panel>
+    );
+};
+
+export default ImportTransactionsPage;
@@ -0,0 +1,40 @@
+import React from "react";
+import { Navigate, useLocation } from "react-router-dom";
+import Panel from "../components/Panel";
+import LoginForm from "../components/LoginForm";
+import { useAuth } from "../contexts/AuthContext";
+import { useI18n } from "../contexts/I18nContext";
+
+/**
+ * Page de connexion (route /login)
+ *
+ * Les pages protégées redirigent ici en transmettant leur adresse dans
+ * l'état de navigation (`state.from`) ; une fois connecté, l'utilisateur
+ * y est renvoyé, ou vers /comptes à défaut.
+ *
+ * @module pages/LoginPage
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @returns {JSX.Element} Page de connexion
+ */
+const LoginPage = () => {
+    const { isAuthenticated } = useAuth();
+    const location = useLocation();
+    const { t } = useI18n();
+
+    if (isAuthenticated) {
+        return <Navigate to={location.state?.from || '/comptes'} replace />;
+    }
+
+    return (
+        <div className="max-w-md mx-auto">
+            <Panel icon="🔐" title={t('pages.login.title')} color="blue">
+                <LoginForm />
+            </Panel>
+        </div>
+    );
+};
+
+export default LoginPage;
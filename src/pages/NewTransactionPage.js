@@ -0,0 +1,34 @@
+import React from "react";
+import { useSearchParams } from "react-router-dom";
+import Panel from "../components/Panel";
+import TransactionForm from "../components/TransactionForm";
+import { useI18n } from "../contexts/I18nContext";
+
+/**
+ * Page de saisie d'une transaction (route /transactions/new)
+ *
+ * Le paramètre de requête `compteId` présélectionne le compte concerné,
+ * par exemple depuis la page de détail d'un compte.
+ *
+ * @module pages/NewTransactionPage
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @returns {JSX.Element} Page de saisie d'une transaction
+ */
+const NewTransactionPage = () => {
+    const [searchParams] = useSearchParams();
+    const compteId = searchParams.get('compteId') || '';
+    const { t } = useI18n();
+
+    return (
+        <div className="max-w-xl mx-auto">
+            <Panel icon="💸" title={t('pages.newTransaction.title')} color="purple">
+                <TransactionForm key={compteId} defaultCompteId={compteId} />
+            </Panel>
+        </div>
+    );
+};
+
+export default NewTransactionPage;
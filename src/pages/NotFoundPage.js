@@ -0,0 +1,33 @@
+import React from "react";
+import { Link, useLocation } from "react-router-dom";
+import { useI18n } from "../contexts/I18nContext";
+
+/**
+ * Page affichée pour toute route inconnue (404)
+ *
+ * @module pages/NotFoundPage
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @returns {JSX.Element} Page 404
+ */
+const NotFoundPage = () => {
+    const location = useLocation();
+    const { t } = useI18n();
+
+    return (
+        <div className="text-center py-16">
+            <div className="text-5xl mb-4">🧭</div>
+            <h2 className="text-2xl font-bold text-slate-800 mb-2">{t('pages.notFound.title')}</h2>
+            <p className="text-slate-500 mb-6">
+                {t('pages.notFound.message')} <span className="font-mono">{location.pathname}</span>
+            </p>
+            <Link to="/comptes" className="btn-primary inline-block">
+                {t('pages.notFound.back')}
+            </Link>
+        </div>
+    );
+};
+
+export default NotFoundPage;
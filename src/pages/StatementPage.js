@@ -0,0 +1,53 @@
+import React from "react";
+import { useNavigate, useParams, useSearchParams } from "react-router-dom";
+import AccountStatement from "../components/AccountStatement";
+import Panel from "../components/Panel";
+import { useI18n } from "../contexts/I18nContext";
+import { getDefaultStatementPeriod } from "../services/statement";
+
+/**
+ * Page du relevé d'un compte bancaire (route /comptes/:id/releve)
+ *
+ * La période est conservée dans les paramètres de requête `from` et `to`
+ * (AAAA-MM-JJ), ce qui permet de partager le lien d'un relevé précis. Sans
+ * paramètre, le relevé couvre le mois en cours.
+ *
+ * @module pages/StatementPage
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @returns {JSX.Element} Page du relevé de compte
+ */
+const StatementPage = () => {
+    const { id } = useParams();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const navigate = useNavigate();
+    const { t } = useI18n();
+
+    const defaultPeriod = getDefaultStatementPeriod();
+    const from = searchParams.get('from') ?? defaultPeriod.from;
+    const to = searchParams.get('to') ?? defaultPeriod.to;
+
+    return (
+        <Panel
+            icon="🧾"
+            title={t('pages.statement.title')}
+            color="blue"
+            actions={(
+                <button onClick={() => navigate(`/comptes/${encodeURIComponent(id)}`)} className="btn-secondary print:hidden">
+                    {t('common.back')}
+                </button>
+            )}
+        >
+            <AccountStatement
+                compteId={id}
+                from={from}
+                to={to}
+                onPeriodChange={(period) => setSearchParams(period, { replace: true })}
+            />
+        </Panel>
+    );
+};
+
+export default StatementPage;
@@ -0,0 +1,32 @@
+import React from "react";
+import Panel from "../components/Panel";
+import StatsPanel from "../components/StatsPanel";
+import ChartsPanel from "../components/ChartsPanel";
+import { useI18n } from "../contexts/I18nContext";
+
+/**
+ * Page des statistiques globales et des graphiques (route /stats)
+ *
+ * @module pages/StatsPage
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @returns {JSX.Element} Page des statistiques
+ */
+const StatsPage = () => {
+    const { t } = useI18n();
+
+    return (
+        <div className="space-y-8">
+            <Panel icon="📈" title={t('pages.stats.title')} color="green">
+                <StatsPanel />
+            </Panel>
+            <Panel icon="📊" title={t('pages.stats.charts')} color="purple">
+                <ChartsPanel />
+            </Panel>
+        </div>
+    );
+};
+
+export default StatsPage;
@@ -0,0 +1,47 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import Panel from "../components/Panel";
+import TransactionList from "../components/TransactionList";
+import { useAuth } from "../contexts/AuthContext";
+import { useI18n } from "../contexts/I18nContext";
+import { Permission } from "../services/permissions";
+
+/**
+ * Page d'historique des transactions (route /transactions)
+ *
+ * Les liens de saisie et d'import ne sont proposés qu'aux profils autorisés
+ * à créer des transactions.
+ *
+ * @module pages/TransactionsPage
+ * @component
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ * @returns {JSX.Element} Page d'historique des transactions
+ */
+const TransactionsPage = () => {
+    const { can } = useAuth();
+    const { t } = useI18n();
+
+    return (
+        <Panel
+            icon="📋"
+            title={t('pages.transactions.title')}
+            color="orange"
+            actions={can(Permission.CREATE_TRANSACTION) && (
+                <div className="flex items-center space-x-4 rtl:space-x-reverse">
+                    <Link to="/transactions/import" className="text-sm font-semibold text-blue-600 hover:text-blue-800">
+                        {t('pages.transactions.import')}
+                    </Link>
+                    <Link to="/transactions/new" className="text-sm font-semibold text-blue-600 hover:text-blue-800">
+                        {t('pages.transactions.newTransaction')}
+                    </Link>
+                </div>
+            )}
+        >
+            <TransactionList />
+        </Panel>
+    );
+};
+
+export default TransactionsPage;
@@ -0,0 +1,124 @@
+/**
+ * Session de l'utilisateur connecté
+ *
+ * Ce fichier conserve le jeton d'authentification renvoyé par la mutation
+ * `login` ainsi que l'identité de l'utilisateur. La session est gardée hors
+ * de React pour pouvoir être lue par le lien d'authentification Apollo et
+ * terminée par le lien d'erreur lorsque le serveur répond 401.
+ *
+ * Forme d'une session :
+ *     { token, expiresAt, user: { username, nom, role } }
+ *
+ * La session est persistée dans le localStorage pour survivre à un
+ * rechargement de la page ; une session expirée n'est jamais restaurée.
+ *
+ * @module services/auth-session
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+/**
+ * Motifs de fin de session
+ * @constant {Object}
+ * @property {string} LOGOUT - Déconnexion demandée par l'utilisateur
+ * @property {string} EXPIRED - Session expirée ou refusée par le serveur (401)
+ */
+export const SessionEndReason = {
+    LOGOUT: 'LOGOUT',
+    EXPIRED: 'EXPIRED',
+};
+
+/**
+ * Clé de stockage de la session dans le localStorage
+ * @constant {string}
+ */
+export const SESSION_STORAGE_KEY = 'banque-digital.session';
+
+const listeners = new Set();
+
+/**
+ * Indique si une session a dépassé sa date d'expiration
+ *
+ * Une session sans date d'expiration (session serveur par cookie) n'expire
+ * que sur réponse 401 du serveur.
+ *
+ * @param {Object} session - Session à évaluer
+ * @param {number} [now=Date.now()] - Instant de référence en millisecondes
+ * @returns {boolean} true si la session est expirée
+ */
+export const isSessionExpired = (session, now = Date.now()) =>
+    Boolean(session?.expiresAt) && new Date(session.expiresAt).getTime() <= now;
+
+/**
+ * Lit la session enregistrée dans le localStorage
+ * @returns {Object|null} Session valide ou null
+ */
+const loadSession = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+        return stored?.user && !isSessionExpired(stored) ? stored : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+let session = loadSession();
+
+/**
+ * Remplace la session courante et prévient les abonnés
+ * @param {Object|null} next - Nouvelle session, ou null pour la terminer
+ * @param {string|null} reason - Motif de fin de session (voir SessionEndReason)
+ */
+const update = (next, reason) => {
+    session = next;
+    if (next) {
+        localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(next));
+    } else {
+        localStorage.removeItem(SESSION_STORAGE_KEY);
+    }
+    listeners.forEach((listener) => listener(next, reason));
+};
+
+/**
+ * Retourne la session courante
+ * @returns {Object|null} Session de l'utilisateur connecté, ou null
+ */
+export const getSession = () => session;
+
+/**
+ * Retourne le jeton d'authentification de la session courante
+ * @returns {string|null} Jeton, ou null si aucune session n'est ouverte
+ */
+export const getToken = () => session?.token ?? null;
+
+/**
+ * Ouvre une session après une authentification réussie
+ * @param {{token: string, expiresAt: string, user: Object}} next - Session renvoyée par le serveur
+ */
+export const startSession = (next) => {
+    update(next, null);
+};
+
+/**
+ * Termine la session courante
+ *
+ * Sans session ouverte, l'appel est ignoré : plusieurs requêtes refusées en
+ * même temps ne produisent qu'une seule fin de session.
+ *
+ * @param {string} reason - Motif de fin de session (voir SessionEndReason)
+ */
+export const endSession = (reason) => {
+    if (!session) return;
+    update(null, reason);
+};
+
+/**
+ * Abonne une fonction aux ouvertures et fins de session
+ * @param {Function} listener - Fonction appelée avec la nouvelle session (ou null) et le motif de fin
+ * @returns {Function} Fonction de désabonnement
+ */
+export const subscribeToSession = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
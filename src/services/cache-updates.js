@@ -0,0 +1,293 @@
+import { gql } from '@apollo/client';
+import { GET_COMPTE_BY_TYPE, GET_COMPTE_TRANSACTIONS } from './graphql-queries';
+import { TypeTransaction } from './type-definitions';
+import { getDevise, sumAmounts } from './money';
+
+/**
+ * Fonctions de mise à jour du cache Apollo
+ *
+ * Ce fichier regroupe les fonctions qui modifient directement le cache
+ * normalisé d'Apollo Client après une mutation. Elles évitent de relancer
+ * des requêtes complètes lorsque le résultat de la mutation suffit à
+ * connaître le nouvel état des données.
+ *
+ * Les fonctions incluent :
+ * - Suppression d'un compte et de ses transactions du cache
+ * - Ajout d'un compte ou d'une transaction dans les listes et les totaux en cache
+ * - Invalidation des totaux lorsqu'ils ne peuvent pas être recalculés localement
+ * - Fusion idempotente des comptes et transactions reçus par abonnement
+ * - Construction des réponses optimistes de SAVE_COMPTE et ADD_TRANSACTION
+ *
+ * Les fonctions d'ajout sont appelées par les options `update` des mutations,
+ * une première fois avec la réponse optimiste puis avec la réponse du serveur.
+ * Si le serveur refuse l'opération, Apollo retire automatiquement la couche
+ * optimiste et le cache retrouve son état précédent.
+ *
+ * Les totaux (totalSolde, transactionStats) sont tenus par devise : un compte
+ * ou une transaction ne modifie que l'entrée `parDevise` de la devise du compte,
+ * dans cette devise. La conversion dans la devise de consolidation est faite à
+ * l'affichage (voir components/StatsPanel).
+ *
+ * @module services/cache-updates
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+/**
+ * Retire un compte et toutes ses transactions du cache Apollo
+ *
+ * Les références sont d'abord retirées des listes `allComptes`,
+ * `findCompteByType` et `allTransactions`, puis les entités sont évincées
+ * et le cache est nettoyé des objets devenus inaccessibles. Les totaux, qui
+ * dépendent des transactions supprimées, sont invalidés.
+ *
+ * @param {ApolloCache} cache - Cache Apollo à modifier
+ * @param {string} compteId - Identifiant du compte supprimé
+ */
+export const evictCompte = (cache, compteId) => {
+    const compteRef = cache.identify({ __typename: 'Compte', id: compteId });
+    const transactionRefs = [];
+
+    cache.modify({
+        fields: {
+            allComptes: (existing = [], { readField }) =>
+                existing.filter((ref) => readField('id', ref) !== compteId),
+            findCompteByType: (existing = [], { readField }) =>
+                existing.filter((ref) => readField('id', ref) !== compteId),
+            allTransactions: (existing = [], { readField }) =>
+                existing.filter((ref) => {
+                    const compte = readField('compte', ref);
+                    if (compte && readField('id', compte) === compteId) {
+                        transactionRefs.push(ref);
+                        return false;
+                    }
+                    return true;
+                }),
+        },
+    });
+
+    transactionRefs.forEach((ref) => cache.evict({ id: cache.identify(ref) }));
+    cache.evict({ id: compteRef });
+    cache.evict({ fieldName: 'compteById', args: { id: compteId } });
+    cache.evict({ fieldName: 'compteTransactions', args: { id: compteId } });
+    invalidateTotals(cache);
+};
+
+/**
+ * Invalide les totaux en cache
+ *
+ * Les champs totalSolde et transactionStats sont évincés : les requêtes
+ * affichées qui les utilisent sont relancées auprès du serveur, les autres
+ * le seront à leur prochaine lecture.
+ *
+ * @param {ApolloCache} cache - Cache Apollo à modifier
+ */
+export const invalidateTotals = (cache) => {
+    cache.evict({ fieldName: 'totalSolde' });
+    cache.evict({ fieldName: 'transactionStats' });
+    cache.gc();
+};
+
+/**
+ * Met à jour l'entrée d'une devise dans les statistiques par devise
+ * @param {Object[]} parDevise - Statistiques par devise en cache
+ * @param {Object} empty - Entrée initiale de la devise si elle est absente
+ * @param {Function} update - Fonction calculant la nouvelle entrée à partir de l'ancienne
+ * @returns {Object[]} Statistiques par devise mises à jour
+ */
+const updateDeviseStats = (parDevise, empty, update) =>
+    parDevise.some((stats) => stats.devise === empty.devise)
+        ? parDevise.map((stats) => (stats.devise === empty.devise ? update(stats) : stats))
+        : [...parDevise, update(empty)];
+
+/**
+ * Fragment de lecture du solde d'un compte en cache
+ * @constant {DocumentNode}
+ */
+const COMPTE_SOLDE = gql`
+  fragment CompteSolde on Compte {
+    id
+    solde
+    devise
+    type
+  }
+`;
+
+/**
+ * Génère un identifiant temporaire pour une entité optimiste
+ * @returns {string} Identifiant préfixé par « optimistic- »
+ */
+const optimisticId = () => `optimistic-${Date.now()}`;
+
+/**
+ * Ajoute une référence en fin de liste si elle n'y figure pas déjà
+ * @param {Reference[]} list - Liste de références en cache
+ * @param {Reference} ref - Référence à ajouter
+ * @returns {Reference[]} Liste complétée
+ */
+const appendRef = (list, ref) =>
+    list.some((item) => item.__ref === ref.__ref) ? list : [...list, ref];
+
+/**
+ * Construit la réponse optimiste de la mutation SAVE_COMPTE
+ * @param {{solde: number, type: string, devise: string}} compte - Compte soumis
+ * @returns {Object} Réponse optimiste avec un identifiant temporaire
+ */
+export const optimisticCompte = (compte) => ({
+    saveCompte: {
+        __typename: 'Compte',
+        id: optimisticId(),
+        solde: compte.solde,
+        devise: compte.devise,
+        dateCreation: new Date().toISOString().slice(0, 10),
+        type: compte.type,
+    },
+});
+
+/**
+ * Ajoute un compte dans les listes de comptes en cache s'il n'y figure pas déjà
+ *
+ * L'opération est idempotente : elle peut être appliquée à un compte déjà
+ * connu, par exemple lorsqu'un abonnement signale un compte créé par cet
+ * utilisateur. Les totaux ne sont pas modifiés.
+ *
+ * @param {ApolloCache} cache - Cache Apollo à modifier
+ * @param {Compte} compte - Compte créé ou modifié
+ */
+export const addCompteToLists = (cache, compte) => {
+    cache.modify({
+        fields: {
+            allComptes: (existing = [], { toReference }) => appendRef(existing, toReference(compte)),
+        },
+    });
+
+    cache.updateQuery({ query: GET_COMPTE_BY_TYPE, variables: { type: compte.type } }, (data) => data && {
+        findCompteByType: [...data.findCompteByType.filter((item) => item.id !== compte.id), compte],
+    });
+};
+
+/**
+ * Ajoute un compte créé dans les listes de comptes et le solde total en cache
+ * @param {ApolloCache} cache - Cache Apollo à modifier
+ * @param {Compte} compte - Compte renvoyé par SAVE_COMPTE
+ */
+export const addCompteToCache = (cache, compte) => {
+    const devise = getDevise(compte);
+
+    addCompteToLists(cache, compte);
+
+    cache.modify({
+        fields: {
+            totalSolde: (existing) => ({
+                ...existing,
+                count: existing.count + 1,
+                parDevise: updateDeviseStats(
+                    existing.parDevise,
+                    { __typename: 'SoldeDeviseStats', devise, count: 0, sum: 0 },
+                    (stats) => ({ ...stats, count: stats.count + 1, sum: sumAmounts([stats.sum, compte.solde], devise) })
+                ),
+            }),
+        },
+    });
+};
+
+/**
+ * Construit la réponse optimiste de la mutation ADD_TRANSACTION
+ *
+ * Le solde projeté du compte est calculé à partir du solde actuellement en
+ * cache, réponses optimistes en cours comprises.
+ *
+ * @param {ApolloCache} cache - Cache Apollo
+ * @param {{type: string, montant: number, compteId: string}} transactionRequest - Transaction soumise
+ * @returns {Object} Réponse optimiste avec un identifiant temporaire
+ */
+export const optimisticTransaction = (cache, { type, montant, compteId }) => {
+    const compte = cache.readFragment({
+        id: cache.identify({ __typename: 'Compte', id: compteId }),
+        fragment: COMPTE_SOLDE,
+    }, true);
+    const devise = getDevise(compte);
+    const delta = type === TypeTransaction.DEPOT ? montant : -montant;
+
+    return {
+        addTransaction: {
+            __typename: 'Transaction',
+            id: optimisticId(),
+            type,
+            montant,
+            date: new Date().toISOString(),
+            compte: {
+                __typename: 'Compte',
+                id: compteId,
+                solde: sumAmounts([compte?.solde ?? 0, delta], devise),
+                devise,
+                type: compte?.type ?? null,
+            },
+        },
+    };
+};
+
+/**
+ * Ajoute une transaction dans les listes de transactions en cache si elle n'y figure pas déjà
+ *
+ * L'opération est idempotente et ne modifie pas les totaux (voir addCompteToLists).
+ *
+ * @param {ApolloCache} cache - Cache Apollo à modifier
+ * @param {Transaction} transaction - Transaction créée
+ */
+export const addTransactionToLists = (cache, transaction) => {
+    cache.modify({
+        fields: {
+            allTransactions: (existing = [], { toReference }) => appendRef(existing, toReference(transaction)),
+        },
+    });
+
+    cache.updateQuery({ query: GET_COMPTE_TRANSACTIONS, variables: { id: transaction.compte.id } }, (data) => data && {
+        compteTransactions: [...data.compteTransactions.filter((item) => item.id !== transaction.id), transaction],
+    });
+};
+
+/**
+ * Ajoute une transaction dans les listes de transactions et les totaux en cache
+ *
+ * Le nouveau solde du compte est déjà normalisé à partir de la réponse de la
+ * mutation ; seules les listes et les agrégats sont mis à jour ici.
+ *
+ * @param {ApolloCache} cache - Cache Apollo à modifier
+ * @param {Transaction} transaction - Transaction renvoyée par ADD_TRANSACTION
+ */
+export const addTransactionToCache = (cache, transaction) => {
+    const devise = getDevise(transaction.compte);
+    const isDepot = transaction.type === TypeTransaction.DEPOT;
+    const delta = isDepot ? transaction.montant : -transaction.montant;
+
+    addTransactionToLists(cache, transaction);
+
+    cache.modify({
+        fields: {
+            totalSolde: (existing) => ({
+                ...existing,
+                parDevise: updateDeviseStats(
+                    existing.parDevise,
+                    { __typename: 'SoldeDeviseStats', devise, count: 0, sum: 0 },
+                    (stats) => ({ ...stats, sum: sumAmounts([stats.sum, delta], devise) })
+                ),
+            }),
+            transactionStats: (existing) => ({
+                ...existing,
+                count: existing.count + 1,
+                parDevise: updateDeviseStats(
+                    existing.parDevise,
+                    { __typename: 'TransactionDeviseStats', devise, count: 0, sumDepots: 0, sumRetraits: 0 },
+                    (stats) => ({
+                        ...stats,
+                        count: stats.count + 1,
+                        sumDepots: sumAmounts([stats.sumDepots, isDepot ? transaction.montant : 0], devise),
+                        sumRetraits: sumAmounts([stats.sumRetraits, isDepot ? 0 : transaction.montant], devise),
+                    })
+                ),
+            }),
+        },
+    });
+};
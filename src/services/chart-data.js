@@ -0,0 +1,213 @@
+import { TypeCompte, TypeTransaction } from './type-definitions';
+import { REPORTING_DEVISE, canConvert, consolidateAmounts, convertAmount, getDevise } from './money';
+import { computeRunningBalances } from './transaction-utils';
+
+/**
+ * Séries de données des graphiques
+ *
+ * Ce fichier prépare, à partir des comptes et des transactions renvoyés par
+ * le backend GraphQL, les séries affichées par les graphiques de l'application.
+ * Comme services/transaction-utils, ces fonctions sont pures et indépendantes
+ * de React.
+ *
+ * Les séries incluent :
+ * - L'évolution du solde de chaque compte, reconstitué transaction par transaction
+ * - Les dépôts et retraits regroupés par jour, semaine ou mois
+ * - La part des comptes courants et épargne dans le solde total
+ *
+ * Les dates des transactions sont traitées sur leur partie AAAA-MM-JJ, en UTC.
+ * Les montants de comptes de devises différentes sont convertis dans la devise
+ * de consolidation avant d'être additionnés (voir services/money).
+ *
+ * @module services/chart-data
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+/**
+ * Regroupements proposés pour les dépôts et retraits
+ * @constant {Object}
+ * @property {string} JOUR - Un groupe par jour
+ * @property {string} SEMAINE - Un groupe par semaine, du lundi au dimanche
+ * @property {string} MOIS - Un groupe par mois calendaire
+ */
+export const Periodicite = {
+    JOUR: 'JOUR',
+    SEMAINE: 'SEMAINE',
+    MOIS: 'MOIS',
+};
+
+/**
+ * Périodes d'affichage proposées, en nombre de jours (null pour tout l'historique)
+ * @constant {Object}
+ */
+export const CHART_PERIODS = {
+    '30': 30,
+    '90': 90,
+    '365': 365,
+    all: null,
+};
+
+/**
+ * Période affichée par défaut
+ * @constant {string}
+ */
+export const DEFAULT_CHART_PERIOD = '90';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDay = (date) => String(date).slice(0, 10);
+
+const toIsoDay = (time) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * Retourne le premier jour d'une période d'affichage
+ * @param {string} period - Clé de CHART_PERIODS
+ * @param {Date} [now=new Date()] - Date de référence
+ * @returns {string|null} Premier jour inclus (AAAA-MM-JJ), null pour tout l'historique
+ */
+export const getPeriodStart = (period, now = new Date()) => {
+    const days = CHART_PERIODS[period];
+    if (!days) return null;
+    const today = Date.parse(toIsoDay(now.getTime()));
+    return toIsoDay(today - (days - 1) * DAY_MS);
+};
+
+/**
+ * Retourne le groupe auquel appartient une date
+ * @param {string} date - Date de la transaction
+ * @param {string} periodicite - Regroupement (voir Periodicite)
+ * @returns {string} Premier jour du groupe (AAAA-MM-JJ)
+ */
+export const getBucketStart = (date, periodicite) => {
+    const day = toDay(date);
+    if (periodicite === Periodicite.MOIS) return `${day.slice(0, 7)}-01`;
+    if (periodicite === Periodicite.SEMAINE) {
+        const time = Date.parse(day);
+        const weekday = (new Date(time).getUTCDay() + 6) % 7; // 0 pour le lundi
+        return toIsoDay(time - weekday * DAY_MS);
+    }
+    return day;
+};
+
+/**
+ * Reconstitue l'évolution du solde de chaque compte
+ *
+ * Le solde est reconstitué sur tout l'historique du compte (voir
+ * computeRunningBalances) puis limité à la période : un premier point donne
+ * alors le solde au début de la période. Seul le dernier solde de chaque jour
+ * est conservé. Les soldes sont convertis dans une même devise afin que tous
+ * les comptes partagent l'axe du graphique ; les comptes dont la devise ne peut
+ * pas être convertie sont écartés.
+ *
+ * @param {Transaction[]} transactions - Transactions de tous les comptes
+ * @param {string|null} [from=null] - Premier jour inclus (AAAA-MM-JJ)
+ * @param {string} [devise=REPORTING_DEVISE] - Devise des soldes
+ * @returns {Array<{compte: Compte, points: Array<{date: string, solde: number}>}>}
+ *          Séries par compte, dans l'ordre de première apparition
+ */
+export const computeBalanceSeries = (transactions, from = null, devise = REPORTING_DEVISE) => {
+    const byCompte = new Map();
+    transactions.forEach((transaction) => {
+        const compteId = transaction.compte?.id;
+        if (!byCompte.has(compteId)) byCompte.set(compteId, []);
+        byCompte.get(compteId).push(transaction);
+    });
+
+    return [...byCompte.values()]
+        .filter(([{ compte }]) => canConvert(getDevise(compte), devise))
+        .map((compteTransactions) => {
+            const { compte } = compteTransactions[0];
+            const { rows } = computeRunningBalances(compteTransactions, compte?.solde ?? 0, getDevise(compte));
+
+            const byDay = new Map();
+            let soldeAtStart = null;
+            rows.forEach(({ transaction, solde }) => {
+                const day = toDay(transaction.date);
+                if (from && day < from) soldeAtStart = solde;
+                else byDay.set(day, solde);
+            });
+
+            const points = [...byDay].map(([date, solde]) => ({ date, solde }));
+            if (soldeAtStart !== null && !byDay.has(from)) points.unshift({ date: from, solde: soldeAtStart });
+
+            return {
+                compte,
+                points: points.map((point) => ({ ...point, solde: convertAmount(point.solde, getDevise(compte), devise) })),
+            };
+        });
+};
+
+/**
+ * Regroupe les dépôts et les retraits par jour, semaine ou mois
+ * @param {Transaction[]} transactions - Transactions à regrouper
+ * @param {string} periodicite - Regroupement (voir Periodicite)
+ * @param {string|null} [from=null] - Premier jour inclus (AAAA-MM-JJ)
+ * @param {string} [devise=REPORTING_DEVISE] - Devise des totaux
+ * @returns {Array<{date: string, depots: number, retraits: number}>}
+ *          Totaux par groupe, du plus ancien au plus récent
+ */
+export const computeFlowSeries = (transactions, periodicite, from = null, devise = REPORTING_DEVISE) => {
+    const buckets = new Map();
+    transactions
+        .filter((transaction) => !from || toDay(transaction.date) >= from)
+        .forEach((transaction) => {
+            const date = getBucketStart(transaction.date, periodicite);
+            if (!buckets.has(date)) buckets.set(date, { [TypeTransaction.DEPOT]: [], [TypeTransaction.RETRAIT]: [] });
+            buckets.get(date)[transaction.type]?.push({
+                amount: transaction.montant,
+                devise: getDevise(transaction.compte),
+            });
+        });
+
+    return [...buckets]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([date, amounts]) => ({
+            date,
+            depots: consolidateAmounts(amounts[TypeTransaction.DEPOT], devise),
+            retraits: consolidateAmounts(amounts[TypeTransaction.RETRAIT], devise),
+        }));
+};
+
+/**
+ * Calcule la part de chaque type de compte dans le solde total
+ *
+ * Un type dont le solde cumulé est négatif compte pour une part nulle.
+ *
+ * @param {Compte[]} comptes - Comptes à répartir
+ * @param {string} [devise=REPORTING_DEVISE] - Devise des soldes
+ * @returns {Array<{type: string, count: number, solde: number, part: number}>}
+ *          Solde cumulé et part (entre 0 et 1) de chaque type de compte
+ */
+export const computeTypeShare = (comptes, devise = REPORTING_DEVISE) => {
+    const totals = Object.values(TypeCompte).map((type) => {
+        const ofType = comptes.filter((compte) => compte.type === type);
+        return {
+            type,
+            count: ofType.length,
+            solde: consolidateAmounts(ofType.map((compte) => ({ amount: compte.solde, devise: getDevise(compte) })), devise),
+        };
+    });
+    const positiveTotal = totals.reduce((acc, { solde }) => acc + Math.max(0, solde), 0);
+
+    return totals.map((total) => ({
+        ...total,
+        part: positiveTotal > 0 ? Math.max(0, total.solde) / positiveTotal : 0,
+    }));
+};
+
+/**
+ * Calcule l'intervalle de valeurs couvert par l'axe d'un graphique
+ *
+ * L'intervalle inclut toujours zéro, afin que la hauteur des barres et la
+ * position des courbes restent comparables, et n'est jamais vide.
+ *
+ * @param {number[]} values - Valeurs représentées
+ * @returns {{min: number, max: number}} Bornes de l'axe
+ */
+export const getValueDomain = (values) => {
+    const min = Math.min(0, ...values);
+    const max = Math.max(0, ...values);
+    return { min, max: max > min ? max : min + 1 };
+};
@@ -0,0 +1,116 @@
+/**
+ * Suivi de l'état de la connexion au backend GraphQL
+ *
+ * Ce fichier centralise les signaux qui renseignent sur la disponibilité du
+ * serveur et en déduit un état unique affiché dans l'en-tête :
+ * - Événements online/offline du navigateur
+ * - Résultat et durée de chaque opération GraphQL (requêtes de contrôle comprises)
+ *
+ * Règles de calcul :
+ * - Navigateur hors ligne ou dernière opération en échec réseau : déconnecté
+ * - Dernière opération réussie mais plus lente que SLOW_RESPONSE_MS : dégradé
+ * - Sinon : connecté
+ *
+ * L'état est conservé hors de React pour pouvoir être alimenté par un lien Apollo.
+ *
+ * @module services/connection-status
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+/**
+ * États possibles de la connexion
+ * @constant {Object}
+ * @property {string} UNKNOWN - Aucune opération encore terminée
+ * @property {string} CONNECTED - Serveur joignable avec des temps de réponse normaux
+ * @property {string} DEGRADED - Serveur joignable mais lent
+ * @property {string} DISCONNECTED - Navigateur hors ligne ou serveur injoignable
+ */
+export const ConnectionStatus = {
+    UNKNOWN: 'UNKNOWN',
+    CONNECTED: 'CONNECTED',
+    DEGRADED: 'DEGRADED',
+    DISCONNECTED: 'DISCONNECTED',
+};
+
+/**
+ * Durée de réponse au-delà de laquelle la connexion est considérée comme dégradée, en millisecondes
+ * @constant {number}
+ */
+export const SLOW_RESPONSE_MS = 2000;
+
+let state = {
+    online: typeof navigator === 'undefined' ? true : navigator.onLine,
+    lastOutcome: null,
+    lastLatency: null,
+    lastSuccess: null,
+};
+
+const listeners = new Set();
+
+/**
+ * Calcule l'état de la connexion à partir des derniers signaux reçus
+ * @param {Object} signals - Signaux courants
+ * @returns {string} État de la connexion (voir ConnectionStatus)
+ */
+const computeStatus = ({ online, lastOutcome, lastLatency }) => {
+    if (!online || lastOutcome === 'failure') return ConnectionStatus.DISCONNECTED;
+    if (lastOutcome === null) return ConnectionStatus.UNKNOWN;
+    if (lastLatency > SLOW_RESPONSE_MS) return ConnectionStatus.DEGRADED;
+    return ConnectionStatus.CONNECTED;
+};
+
+/**
+ * Met à jour les signaux et prévient les abonnés
+ * @param {Object} changes - Signaux modifiés
+ */
+const update = (changes) => {
+    state = { ...state, ...changes };
+    const snapshot = getConnectionState();
+    listeners.forEach((listener) => listener(snapshot));
+};
+
+/**
+ * Retourne l'état courant de la connexion
+ * @returns {{status: string, lastSuccess: Date|null, lastLatency: number|null}}
+ *          État, date de la dernière opération réussie et durée de la dernière opération
+ */
+export const getConnectionState = () => ({
+    status: computeStatus(state),
+    lastSuccess: state.lastSuccess,
+    lastLatency: state.lastLatency,
+});
+
+/**
+ * Abonne une fonction aux changements d'état de la connexion
+ * @param {Function} listener - Fonction appelée avec le nouvel état
+ * @returns {Function} Fonction de désabonnement
+ */
+export const subscribeToConnection = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Enregistre une opération GraphQL ayant reçu une réponse du serveur
+ * @param {number} latency - Durée de l'opération en millisecondes
+ */
+export const recordSuccess = (latency) => {
+    update({ lastOutcome: 'success', lastLatency: latency, lastSuccess: new Date() });
+};
+
+/**
+ * Enregistre une opération GraphQL restée sans réponse exploitable du serveur
+ */
+export const recordFailure = () => {
+    update({ lastOutcome: 'failure' });
+};
+
+/**
+ * Enregistre un changement de connectivité signalé par le navigateur
+ * @param {boolean} online - true si le navigateur est en ligne
+ */
+export const setBrowserOnline = (online) => {
+    update({ online });
+};
@@ -0,0 +1,167 @@
+import { t } from './i18n';
+
+/**
+ * Classification et diffusion des erreurs GraphQL
+ *
+ * Ce fichier distingue les familles d'erreurs rencontrées par l'application
+ * afin d'afficher un message adapté et de décider si une nouvelle tentative a un sens :
+ * - Réseau : serveur injoignable, coupure de connexion, erreur HTTP
+ * - Validation : requête refusée par le schéma GraphQL (champ ou type invalide)
+ * - Métier : règle de gestion refusée par le backend (ex : solde insuffisant)
+ * - Authentification : session absente ou expirée (HTTP 401)
+ * - Autorisation : opération interdite à l'utilisateur connecté (HTTP 403)
+ *
+ * Il expose également un canal de diffusion minimal qui permet au lien d'erreur
+ * Apollo, situé hors de l'arbre React, d'alimenter le bandeau d'erreur global.
+ *
+ * @module services/error-handling
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+/**
+ * Familles d'erreurs reconnues
+ * @constant {Object}
+ * @property {string} NETWORK - Erreur de communication avec le serveur
+ * @property {string} VALIDATION - Requête invalide au regard du schéma GraphQL
+ * @property {string} BUSINESS - Règle de gestion refusée par le backend
+ * @property {string} AUTHENTICATION - Session absente ou expirée
+ * @property {string} FORBIDDEN - Opération interdite à l'utilisateur connecté
+ * @property {string} UNKNOWN - Erreur serveur non identifiée
+ */
+export const ErrorCategory = {
+    NETWORK: 'NETWORK',
+    VALIDATION: 'VALIDATION',
+    BUSINESS: 'BUSINESS',
+    AUTHENTICATION: 'AUTHENTICATION',
+    FORBIDDEN: 'FORBIDDEN',
+    UNKNOWN: 'UNKNOWN',
+};
+
+/**
+ * Classifications GraphQL correspondant à une requête invalide
+ * (graphql-java, Spring for GraphQL et conventions Apollo Server)
+ * @constant {string[]}
+ */
+const VALIDATION_CODES = ['ValidationError', 'InvalidSyntax', 'GRAPHQL_VALIDATION_FAILED', 'BAD_USER_INPUT'];
+
+/**
+ * Classifications GraphQL correspondant à un refus métier
+ * @constant {string[]}
+ */
+const BUSINESS_CODES = ['BAD_REQUEST', 'NOT_FOUND'];
+
+/**
+ * Classifications GraphQL correspondant à une session absente ou expirée
+ * @constant {string[]}
+ */
+const AUTHENTICATION_CODES = ['UNAUTHORIZED', 'UNAUTHENTICATED'];
+
+/**
+ * Classifications GraphQL correspondant à une opération interdite
+ * @constant {string[]}
+ */
+const FORBIDDEN_CODES = ['FORBIDDEN'];
+
+/**
+ * Messages du backend reconnus comme des refus métier lorsque l'erreur
+ * n'est pas explicitement classifiée
+ * @constant {RegExp}
+ */
+const BUSINESS_MESSAGE = /solde insuffisant|insufficient|introuvable|not found|inexistant/i;
+
+/**
+ * Classifie une erreur GraphQL renvoyée dans la réponse du serveur
+ * @param {GraphQLFormattedError} graphQLError - Erreur présente dans `errors`
+ * @returns {string} Famille de l'erreur (voir ErrorCategory)
+ */
+export const classifyGraphQLError = (graphQLError) => {
+    const extensions = graphQLError.extensions || {};
+    const code = extensions.classification || extensions.code;
+
+    if (VALIDATION_CODES.includes(code)) return ErrorCategory.VALIDATION;
+    if (AUTHENTICATION_CODES.includes(code)) return ErrorCategory.AUTHENTICATION;
+    if (FORBIDDEN_CODES.includes(code)) return ErrorCategory.FORBIDDEN;
+    if (BUSINESS_CODES.includes(code) || BUSINESS_MESSAGE.test(graphQLError.message)) return ErrorCategory.BUSINESS;
+    return ErrorCategory.UNKNOWN;
+};
+
+/**
+ * Classifie une erreur Apollo (réseau ou GraphQL)
+ * @param {ApolloError|Object} error - Erreur levée par une requête ou une mutation,
+ *        ou objet { networkError, graphQLErrors } fourni par le lien d'erreur
+ * @returns {string} Famille de l'erreur (voir ErrorCategory)
+ */
+export const classifyError = (error) => {
+    const status = error?.networkError?.statusCode;
+    if (status === 401) return ErrorCategory.AUTHENTICATION;
+    if (status === 403) return ErrorCategory.FORBIDDEN;
+    if (error?.networkError) return ErrorCategory.NETWORK;
+    const graphQLError = error?.graphQLErrors?.[0];
+    if (graphQLError) return classifyGraphQLError(graphQLError);
+    if (error?.name === 'TypeError' || /network|fetch/i.test(error?.message || '')) return ErrorCategory.NETWORK;
+    return ErrorCategory.UNKNOWN;
+};
+
+/**
+ * Indique si une erreur réseau peut disparaître lors d'une nouvelle tentative
+ *
+ * Les réponses HTTP 4xx (hors 408 et 429) signalent une requête refusée :
+ * la renvoyer à l'identique produirait le même résultat.
+ *
+ * @param {Error} networkError - Erreur réseau Apollo
+ * @returns {boolean} true si une nouvelle tentative est pertinente
+ */
+export const isTransientNetworkError = (networkError) => {
+    const status = networkError?.statusCode;
+    if (!status) return true;
+    return status >= 500 || status === 408 || status === 429;
+};
+
+/**
+ * Retourne un message compréhensible par l'utilisateur pour une erreur Apollo
+ *
+ * Les refus métier reprennent le message du backend, qui décrit la règle
+ * enfreinte ; les autres familles reçoivent un message générique.
+ *
+ * @param {ApolloError|Error} error - Erreur à décrire
+ * @returns {string} Message dans la langue courante
+ */
+export const getErrorMessage = (error) => {
+    switch (classifyError(error)) {
+        case ErrorCategory.NETWORK:
+            return t('errors.network');
+        case ErrorCategory.VALIDATION:
+            return t('errors.validation');
+        case ErrorCategory.BUSINESS:
+            return error.graphQLErrors[0].message;
+        case ErrorCategory.AUTHENTICATION:
+            return t('errors.authentication');
+        case ErrorCategory.FORBIDDEN:
+            return t('errors.forbidden');
+        default:
+            return error?.message || t('errors.unknown');
+    }
+};
+
+const listeners = new Set();
+
+/**
+ * Abonne une fonction aux erreurs signalées par le lien d'erreur Apollo
+ * @param {Function} listener - Fonction appelée avec chaque erreur signalée
+ * @returns {Function} Fonction de désabonnement
+ */
+export const subscribeToErrors = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Signale une erreur à tous les abonnés
+ * @param {{category: string, message: string, operationName: string, retryable: boolean}} report
+ *        Erreur classifiée ; `retryable` indique qu'une nouvelle tentative est sans risque
+ */
+export const reportError = (report) => {
+    listeners.forEach((listener) => listener(report));
+};
@@ -0,0 +1,138 @@
+/**
+ * Export des données au format CSV et JSON
+ *
+ * Ce fichier génère entièrement côté client les fichiers d'export des comptes
+ * et des transactions, puis déclenche leur téléchargement dans le navigateur.
+ *
+ * Format CSV (convention française, compatible Excel) :
+ * - Séparateur de champs : point-virgule
+ * - Séparateur décimal : virgule
+ * - Encodage UTF-8 avec BOM pour l'affichage correct des accents
+ * - Textes commençant par =, +, - ou @ préfixés d'une apostrophe, pour
+ *   qu'un tableur ne les interprète pas comme des formules
+ *
+ * Chaque export est décrit par une liste de colonnes :
+ * { key, label, type } où `type` vaut 'number' pour les montants
+ * (formatés avec deux décimales) ou 'text' pour les autres valeurs.
+ *
+ * @module services/export
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+/**
+ * Formats d'export disponibles
+ * @constant {Object}
+ * @property {string} CSV - Fichier CSV au format français
+ * @property {string} JSON - Fichier JSON
+ */
+export const ExportFormat = {
+    CSV: 'csv',
+    JSON: 'json',
+};
+
+/**
+ * Formate un nombre avec deux décimales et une virgule comme séparateur décimal
+ * @param {number} value - Nombre à formater
+ * @returns {string} Nombre formaté (ex : "-1234,50")
+ */
+export const formatDecimalFr = (value) => value.toFixed(2).replace('.', ',');
+
+/**
+ * Protège une valeur CSV contenant un séparateur, un guillemet ou un saut de ligne
+ * @param {string} value - Valeur à protéger
+ * @returns {string} Valeur éventuellement entourée de guillemets
+ */
+const escapeCsv = (value) =>
+    /[;"\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+/**
+ * Neutralise un texte qu'un tableur interpréterait comme une formule
+ * @param {string} value - Texte à neutraliser
+ * @returns {string} Texte préfixé d'une apostrophe s'il commence par =, +, - ou @
+ */
+const neutralizeFormula = (value) => (/^[=+\-@]/.test(value) ? `'${value}` : value);
+
+/**
+ * Génère le contenu d'un fichier CSV
+ *
+ * Les montants ne sont pas neutralisés : un montant négatif reste un nombre.
+ *
+ * @param {Array<{key: string, label: string, type: string}>} columns - Colonnes exportées
+ * @param {Object[]} rows - Lignes à exporter
+ * @returns {string} Contenu CSV avec ligne d'en-tête
+ */
+export const toCsv = (columns, rows) => {
+    const header = columns.map((column) => escapeCsv(neutralizeFormula(column.label))).join(';');
+    const lines = rows.map((row) =>
+        columns
+            .map((column) => {
+                const value = row[column.key];
+                if (value === null || value === undefined) return '';
+                return escapeCsv(column.type === 'number' ? formatDecimalFr(value) : neutralizeFormula(String(value)));
+            })
+            .join(';')
+    );
+
+    return [header, ...lines].join('\r\n');
+};
+
+/**
+ * Génère le contenu d'un fichier JSON limité aux colonnes exportées
+ * @param {Array<{key: string}>} columns - Colonnes exportées
+ * @param {Object[]} rows - Lignes à exporter
+ * @returns {string} Contenu JSON indenté
+ */
+export const toJson = (columns, rows) =>
+    JSON.stringify(
+        rows.map((row) => Object.fromEntries(columns.map((column) => [column.key, row[column.key] ?? null]))),
+        null,
+        2
+    );
+
+/**
+ * Déclenche le téléchargement d'un fichier généré dans le navigateur
+ *
+ * L'URL du fichier n'est révoquée qu'après la fin du clic : certains
+ * navigateurs lisent l'URL de manière asynchrone et annuleraient sinon le
+ * téléchargement.
+ *
+ * @param {string|Uint8Array} content - Contenu du fichier, texte ou binaire
+ * @param {string} filename - Nom du fichier proposé
+ * @param {string} mimeType - Type MIME du fichier
+ */
+export const downloadFile = (content, filename, mimeType) => {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    setTimeout(() => {
+        URL.revokeObjectURL(url);
+        link.remove();
+    }, 0);
+};
+
+/**
+ * Exporte des lignes dans le format demandé et lance le téléchargement
+ *
+ * La date du jour est ajoutée au nom du fichier (ex : transactions-2025-12-09.csv).
+ *
+ * @param {string} format - Format d'export (voir ExportFormat)
+ * @param {string} basename - Nom du fichier sans date ni extension
+ * @param {Array<{key: string, label: string, type: string}>} columns - Colonnes exportées
+ * @param {Object[]} rows - Lignes à exporter
+ */
+export const exportRows = (format, basename, columns, rows) => {
+    const filename = `${basename}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    if (format === ExportFormat.CSV) {
+        downloadFile(`\uFEFF${toCsv(columns, rows)}`, filename, 'text/csv;charset=utf-8');
+    } else {
+        downloadFile(toJson(columns, rows), filename, 'application/json');
+    }
+};
@@ -0,0 +1,166 @@
+import { Devise, TypeCompte, TypeTransaction } from './type-definitions';
+import { formatAmount, formatList, t } from './i18n';
+import { canConvert, convertAmount, getDevise, getMinorUnitDigits, readConfiguredAmount } from './money';
+
+/**
+ * Validation des formulaires par schéma
+ *
+ * Ce fichier regroupe les règles de validation partagées par les formulaires
+ * de l'application. Un schéma associe à chaque champ une liste de règles ;
+ * une règle reçoit la valeur saisie et l'ensemble des valeurs du formulaire,
+ * et retourne un message d'erreur, ou null si la valeur est acceptée. Seul le premier message de chaque champ est
+ * conservé. Les règles reçoivent des clés de messages (voir services/i18n),
+ * traduites au moment de la validation dans la langue courante.
+ *
+ * Les montants sont saisis en texte : la virgule et le point sont acceptés
+ * comme séparateur décimal, avec au plus le nombre de décimales de la devise
+ * (champ `devise` des valeurs, DEFAULT_DEVISE à défaut). Les notations
+ * scientifiques (1e5), les signes et les espaces internes sont refusés.
+ *
+ * Utilisation :
+ *     const errors = validate(CompteRequestSchema, { solde: '150,00', type: 'COURANT' });
+ *     if (hasErrors(errors)) { ... }
+ *     const compte = { solde: parseAmount('150,00'), type: 'COURANT' };
+ *
+ * Le montant maximal d'une saisie se configure avec la variable
+ * d'environnement REACT_APP_MAX_AMOUNT (en euros, 1 000 000 par défaut). Il
+ * est converti dans la devise du compte avant comparaison ; faute de taux de
+ * change connu, il s'applique tel quel dans la devise du compte.
+ *
+ * @module services/form-validation
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+/**
+ * Devise dans laquelle est exprimé le montant maximal d'une saisie
+ * @constant {string}
+ */
+export const MAX_AMOUNT_DEVISE = Devise.EUR;
+
+/**
+ * Montant maximal accepté pour un solde initial ou une transaction,
+ * dans la devise MAX_AMOUNT_DEVISE
+ * @constant {number}
+ */
+export const MAX_AMOUNT = readConfiguredAmount(process.env.REACT_APP_MAX_AMOUNT, 1000000);
+
+/**
+ * Format d'un montant saisi : chiffres, puis éventuellement un séparateur et des décimales
+ * @constant {RegExp}
+ */
+const AMOUNT_PATTERN = /^\d+(?:[.,](\d+))?$/;
+
+/**
+ * Retourne le montant maximal d'une saisie dans une devise
+ * @param {string} devise - Devise du compte concerné
+ * @returns {number} MAX_AMOUNT converti dans la devise, ou tel quel faute de taux de change connu
+ */
+export const getMaxAmount = (devise) =>
+    canConvert(MAX_AMOUNT_DEVISE, devise) ? convertAmount(MAX_AMOUNT, MAX_AMOUNT_DEVISE, devise) : MAX_AMOUNT;
+
+/**
+ * Convertit un montant saisi en nombre
+ * @param {string} value - Montant saisi (virgule ou point comme séparateur décimal)
+ * @returns {number} Montant converti, ou NaN si la saisie n'est pas un montant
+ */
+export const parseAmount = (value) => {
+    const text = String(value ?? '').trim();
+    return AMOUNT_PATTERN.test(text) ? Number(text.replace(',', '.')) : NaN;
+};
+
+/**
+ * Règle refusant une valeur vide
+ * @param {string} messageKey - Clé du message affiché si la valeur est vide
+ * @returns {Function} Règle de validation
+ */
+export const required = (messageKey) => (value) =>
+    value === undefined || value === null || String(value).trim() === '' ? t(messageKey) : null;
+
+/**
+ * Règle vérifiant un montant saisi : format, décimales de la devise et bornes incluses
+ *
+ * La devise est lue dans le champ `devise` des valeurs du formulaire.
+ *
+ * @param {Object} options - Options de la règle
+ * @param {number} options.min - Montant minimal accepté, dans la devise du compte
+ * @param {number} [options.max] - Montant maximal accepté, dans la devise du compte
+ *        (MAX_AMOUNT converti dans cette devise par défaut)
+ * @param {string} options.invalidMessageKey - Clé du message affiché si la saisie n'est pas un montant
+ * @returns {Function} Règle de validation
+ */
+export const amount = ({ min, max, invalidMessageKey }) => (value, values) => {
+    const devise = getDevise(values);
+    const match = AMOUNT_PATTERN.exec(String(value ?? '').trim());
+    if (!match) return t(invalidMessageKey);
+    if (match[1] && match[1].length > getMinorUnitDigits(devise)) return t('validation.decimals');
+
+    const parsed = parseAmount(value);
+    const maximum = max ?? getMaxAmount(devise);
+    if (parsed < min) return t('validation.min', { amount: formatAmount(min, { devise }) });
+    if (parsed > maximum) return t('validation.max', { amount: formatAmount(maximum, { devise }) });
+    return null;
+};
+
+/**
+ * Règle vérifiant qu'une valeur fait partie d'une énumération
+ * @param {Object} enumeration - Constantes autorisées (ex : TypeCompte)
+ * @param {string} labelKey - Clé du nom du champ dans le message d'erreur
+ * @returns {Function} Règle de validation
+ */
+export const oneOf = (enumeration, labelKey) => (value) => {
+    const values = Object.values(enumeration);
+    return values.includes(value) ? null : t('validation.oneOf', { label: t(labelKey), values: formatList(values) });
+};
+
+/**
+ * Schéma de validation d'une demande de création de compte (CompteRequest)
+ * @constant {Object}
+ */
+export const CompteRequestSchema = {
+    solde: [
+        required('validation.soldeInvalid'),
+        amount({ min: 0, invalidMessageKey: 'validation.soldeInvalid' }),
+    ],
+    type: [required('validation.compteTypeRequired'), oneOf(TypeCompte, 'validation.compteType')],
+    devise: [required('validation.deviseRequired'), oneOf(Devise, 'validation.devise')],
+};
+
+/**
+ * Schéma de validation d'une demande de transaction (TransactionRequest)
+ * @constant {Object}
+ */
+export const TransactionRequestSchema = {
+    type: [required('validation.transactionTypeRequired'), oneOf(TypeTransaction, 'validation.transactionType')],
+    compteId: [required('validation.compteRequired')],
+    montant: [
+        required('validation.montantInvalid'),
+        amount({ min: 0.01, invalidMessageKey: 'validation.montantInvalid' }),
+    ],
+};
+
+/**
+ * Valide des valeurs saisies avec un schéma
+ *
+ * Les règles d'un champ sont appliquées dans l'ordre et s'arrêtent au premier
+ * échec. Les champs absents du schéma ne sont pas vérifiés. Chaque règle
+ * reçoit aussi l'ensemble des valeurs, pour les contrôles qui en dépendent
+ * (devise d'un montant).
+ *
+ * @param {Object} schema - Schéma associant à chaque champ une liste de règles
+ * @param {Object} values - Valeurs saisies, par nom de champ
+ * @returns {Object} Message d'erreur de chaque champ invalide, par nom de champ
+ */
+export const validate = (schema, values) =>
+    Object.entries(schema).reduce((errors, [field, rules]) => {
+        const message = rules.reduce((found, rule) => found || rule(values[field], values), null);
+        return message ? { ...errors, [field]: message } : errors;
+    }, {});
+
+/**
+ * Indique si le résultat d'une validation contient des erreurs
+ * @param {Object} errors - Résultat de validate
+ * @returns {boolean} true si au moins un champ est invalide
+ */
+export const hasErrors = (errors) => Object.keys(errors).length > 0;
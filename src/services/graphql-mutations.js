@@ -11,6 +11,8 @@ import { gql } from '@apollo/client';
  * - Création de comptes bancaires
  * - Suppression de comptes existants
  * - Ajout de transactions (dépôts/retraits)
+ * - Authentification de l'utilisateur
+ * - Validation des retraits importants par un superviseur
  *
  * Chaque mutation retourne les données mises à jour pour permettre
  * la mise à jour automatique de l'interface utilisateur via Apollo Client.
@@ -26,6 +28,7 @@ import { gql } from '@apollo/client';
  * @param {Object} compte - Objet contenant le solde initial et le type de compte
  * @param {number} compte.solde - Solde initial du compte
  * @param {string} compte.type - Type de compte (COURANT ou EPARGNE)
+ * @param {string} compte.devise - Devise du compte (voir Devise)
  * @constant {DocumentNode}
  */
 export const SAVE_COMPTE = gql`
@@ -33,6 +36,7 @@ export const SAVE_COMPTE = gql`
     saveCompte(compte: $compte) {
       id
       solde
+      devise
       dateCreation
       type
     }
@@ -68,9 +72,60 @@ export const ADD_TRANSACTION = gql`
       compte {
         id
         solde
+        devise
         type
       }
     }
   }
 `;
 
+
+/**
+ * Mutation GraphQL pour authentifier un utilisateur
+ *
+ * Le serveur renvoie un jeton à joindre aux opérations suivantes, sa date
+ * d'expiration et l'identité de l'utilisateur.
+ *
+ * @param {string} username - Identifiant de connexion
+ * @param {string} password - Mot de passe
+ * @constant {DocumentNode}
+ */
+export const LOGIN = gql`
+  mutation Login($username: String!, $password: String!) {
+    login(username: $username, password: $password) {
+      token
+      expiresAt
+      user {
+        username
+        nom
+        role
+      }
+    }
+  }
+`;
+
+/**
+ * Mutation GraphQL pour obtenir la validation d'un retrait par un superviseur
+ *
+ * Le superviseur saisit ses identifiants sur le poste du conseiller. Le jeton
+ * renvoyé n'est valable que pour ce compte et ce montant ; il est transmis
+ * avec la mutation ADD_TRANSACTION (voir APPROVAL_HEADER dans services/permissions).
+ *
+ * @param {Object} approval - Demande de validation
+ * @param {string} approval.compteId - Identifiant du compte débité
+ * @param {number} approval.montant - Montant du retrait
+ * @param {string} approval.username - Identifiant du superviseur
+ * @param {string} approval.password - Mot de passe du superviseur
+ * @constant {DocumentNode}
+ */
+export const APPROVE_WITHDRAWAL = gql`
+  mutation ApproveWithdrawal($approval: WithdrawalApprovalRequest!) {
+    approveWithdrawal(approval: $approval) {
+      token
+      approvedBy {
+        username
+        nom
+      }
+    }
+  }
+`;
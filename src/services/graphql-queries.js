@@ -16,6 +16,12 @@ import { gql } from '@apollo/client';
  * Toutes les requêtes sont exportées en tant que constantes pour être
  * utilisées dans les composants React avec Apollo Client.
  *
+ * Les statistiques (GET_TOTAL_SOLDE, GET_TRANSACTION_STATS) sont lues par
+ * devise et nécessitent un backend exposant le champ `parDevise` ; les champs
+ * globaux `sum`, `average`, `sumDepots` et `sumRetraits`, qui additionnaient des
+ * montants de devises différentes, ne sont plus demandés. Un serveur qui ne
+ * fournit pas encore `parDevise` rejette ces deux requêtes.
+ *
  * @module services/graphql-queries
  * @author Halmaoui Abdellah
  * @version 2.0
@@ -31,6 +37,7 @@ export const GET_ALL_COMPTES = gql`
     allComptes {
       id
       solde
+      devise
       dateCreation
       type
     }
@@ -47,6 +54,7 @@ export const GET_COMPTE_BY_ID = gql`
     compteById(id: $id) {
       id
       solde
+      devise
       dateCreation
       type
     }
@@ -55,15 +63,24 @@ export const GET_COMPTE_BY_ID = gql`
 
 /**
  * Requête GraphQL pour calculer les statistiques de solde total
- * Retourne le nombre de comptes, la somme totale et la moyenne
+ * Retourne le nombre de comptes et, pour chaque devise, le nombre de comptes
+ * et la somme de leurs soldes. Les sommes ne sont pas additionnées entre
+ * devises : la consolidation est faite par le client (voir services/money).
+ *
+ * Schéma serveur requis :
+ * `type SoldeStats { count: Int!, parDevise: [SoldeDeviseStats!]! }` et
+ * `type SoldeDeviseStats { devise: String!, count: Int!, sum: Float! }`
  * @constant {DocumentNode}
  */
 export const GET_TOTAL_SOLDE = gql`
   query GetTotalSolde {
     totalSolde {
       count
-      sum
-      average
+      parDevise {
+        devise
+        count
+        sum
+      }
     }
   }
 `;
@@ -78,6 +95,7 @@ export const GET_COMPTE_BY_TYPE = gql`
     findCompteByType(type: $type) {
       id
       solde
+      devise
       dateCreation
       type
     }
@@ -99,6 +117,7 @@ export const GET_COMPTE_TRANSACTIONS = gql`
       compte {
         id
         solde
+        devise
         type
       }
     }
@@ -119,6 +138,7 @@ export const GET_ALL_TRANSACTIONS = gql`
       compte {
         id
         solde
+        devise
         type
       }
     }
@@ -127,16 +147,36 @@ export const GET_ALL_TRANSACTIONS = gql`
 
 /**
  * Requête GraphQL pour obtenir les statistiques globales des transactions
- * Retourne le nombre total, la somme des dépôts et la somme des retraits
+ * Retourne le nombre total et, pour chaque devise de compte, le nombre de
+ * transactions, la somme des dépôts et la somme des retraits
+ *
+ * Schéma serveur requis :
+ * `type TransactionStats { count: Int!, parDevise: [TransactionDeviseStats!]! }` et
+ * `type TransactionDeviseStats { devise: String!, count: Int!, sumDepots: Float!, sumRetraits: Float! }`
  * @constant {DocumentNode}
  */
 export const GET_TRANSACTION_STATS = gql`
   query GetTransactionStats {
     transactionStats {
       count
-      sumDepots
-      sumRetraits
+      parDevise {
+        devise
+        count
+        sumDepots
+        sumRetraits
+      }
     }
   }
 `;
 
+
+/**
+ * Requête GraphQL de contrôle de disponibilité du serveur
+ * Ne lit aucune donnée métier : seule la réponse du serveur est utile
+ * @constant {DocumentNode}
+ */
+export const HEALTH_CHECK = gql`
+  query HealthCheck {
+    __typename
+  }
+`;
@@ -0,0 +1,56 @@
+import { gql } from '@apollo/client';
+
+/**
+ * Abonnements GraphQL pour les mises à jour en temps réel
+ *
+ * Ce fichier contient les abonnements (subscriptions) reçus par WebSocket
+ * lorsque d'autres utilisateurs modifient les données. Les champs demandés
+ * sont identiques à ceux des requêtes de liste pour que les événements
+ * puissent être fusionnés directement dans le cache normalisé.
+ *
+ * Les abonnements incluent :
+ * - Création d'une transaction (dépôt/retrait)
+ * - Création ou modification d'un compte (nouveau solde)
+ *
+ * @module services/graphql-subscriptions
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+/**
+ * Abonnement GraphQL aux transactions créées
+ * @constant {DocumentNode}
+ */
+export const TRANSACTION_CREATED = gql`
+  subscription OnTransactionCreated {
+    transactionCreated {
+      id
+      type
+      montant
+      date
+      compte {
+        id
+        solde
+        devise
+        type
+      }
+    }
+  }
+`;
+
+/**
+ * Abonnement GraphQL aux comptes créés ou modifiés
+ * @constant {DocumentNode}
+ */
+export const COMPTE_CHANGED = gql`
+  subscription OnCompteChanged {
+    compteChanged {
+      id
+      solde
+      devise
+      dateCreation
+      type
+    }
+  }
+`;
@@ -0,0 +1,210 @@
+import fr from '../locales/fr';
+import en from '../locales/en';
+import ar from '../locales/ar';
+import { DEFAULT_DEVISE } from './money';
+
+/**
+ * Internationalisation de l'application
+ *
+ * Ce fichier conserve la langue choisie par l'utilisateur et fournit la
+ * traduction des messages ainsi que le formatage des nombres, montants et
+ * dates selon cette langue. Les catalogues de messages sont définis dans
+ * le dossier locales, un fichier par langue.
+ *
+ * Fonctionnement :
+ * - Les messages sont désignés par une clé pointée (ex : 'compteList.empty')
+ * - Les paramètres {nom} d'un message sont remplacés par les valeurs fournies
+ * - Un message pluriel est un objet indexé par catégorie (zero, one, two, few,
+ *   many, other) choisie avec Intl.PluralRules à partir du paramètre count
+ * - Une clé absente du catalogue courant est cherchée dans le catalogue
+ *   français, puis la clé elle-même est affichée
+ *
+ * La langue choisie est conservée dans le localStorage. Les composants suivent
+ * ses changements via contexts/I18nContext ; les services appellent t() au
+ * moment de produire leurs messages.
+ *
+ * @module services/i18n
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+/**
+ * Langues proposées par l'application
+ *
+ * Les chiffres latins sont imposés en arabe (extension -u-nu-latn), comme sur
+ * les relevés bancaires.
+ *
+ * @constant {Object}
+ */
+export const LOCALES = {
+    fr: { label: 'Français', intl: 'fr-FR', direction: 'ltr', messages: fr },
+    en: { label: 'English', intl: 'en-GB', direction: 'ltr', messages: en },
+    ar: { label: 'العربية', intl: 'ar-u-nu-latn', direction: 'rtl', messages: ar },
+};
+
+/**
+ * Langue utilisée par défaut et pour les messages absents d'un catalogue
+ * @constant {string}
+ */
+export const DEFAULT_LOCALE = 'fr';
+
+/**
+ * Clé localStorage de la langue choisie
+ * @constant {string}
+ */
+export const LOCALE_STORAGE_KEY = 'banque-digital.locale';
+
+const loadLocale = () => {
+    try {
+        const stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+        return LOCALES[stored] ? stored : DEFAULT_LOCALE;
+    } catch (err) {
+        return DEFAULT_LOCALE;
+    }
+};
+
+let currentLocale = loadLocale();
+const listeners = new Set();
+
+/**
+ * Retourne la langue courante
+ * @returns {string} Code de la langue (voir LOCALES)
+ */
+export const getLocale = () => currentLocale;
+
+/**
+ * Retourne le sens d'écriture d'une langue
+ * @param {string} [locale] - Code de la langue, la langue courante par défaut
+ * @returns {('ltr'|'rtl')} Sens d'écriture
+ */
+export const getDirection = (locale = currentLocale) => LOCALES[locale].direction;
+
+/**
+ * Change la langue courante et la conserve pour les prochaines visites
+ *
+ * Un code de langue inconnu est ignoré.
+ *
+ * @param {string} locale - Code de la langue (voir LOCALES)
+ */
+export const setLocale = (locale) => {
+    if (!LOCALES[locale] || locale === currentLocale) return;
+
+    currentLocale = locale;
+    try {
+        localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    } catch (err) {
+        // Le choix reste valable pour la session en cours
+    }
+    listeners.forEach((listener) => listener(locale));
+};
+
+/**
+ * Abonne un écouteur aux changements de langue
+ * @param {Function} listener - Fonction appelée avec le code de la nouvelle langue
+ * @returns {Function} Fonction de désabonnement
+ */
+export const subscribeToLocale = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Exécute une fonction dans une autre langue, sans changer le choix de l'utilisateur
+ *
+ * Les traductions et formatages appelés pendant l'exécution utilisent la
+ * langue indiquée ; les écouteurs ne sont pas prévenus. Sert à produire un
+ * document dans une langue imposée (ex : relevé de compte en PDF).
+ *
+ * @param {string} locale - Code de la langue (voir LOCALES)
+ * @param {Function} callback - Fonction synchrone à exécuter
+ * @returns {*} Valeur renvoyée par la fonction
+ */
+export const withLocale = (locale, callback) => {
+    const previous = currentLocale;
+    currentLocale = LOCALES[locale] ? locale : previous;
+    try {
+        return callback();
+    } finally {
+        currentLocale = previous;
+    }
+};
+
+const lookup = (locale, key) => key.split('.').reduce((node, part) => node?.[part], LOCALES[locale].messages);
+
+/**
+ * Traduit un message dans la langue courante
+ *
+ * Utilisation :
+ *     t('transactionList.total', { count: 3 }); // "Total: 3 transactions"
+ *
+ * @param {string} key - Clé du message dans les catalogues
+ * @param {Object} [params] - Valeurs des paramètres {nom} ; count choisit la forme plurielle
+ * @returns {string} Message traduit
+ */
+export const t = (key, params = {}) => {
+    let locale = currentLocale;
+    let entry = lookup(locale, key);
+    if (entry === undefined) {
+        locale = DEFAULT_LOCALE;
+        entry = lookup(locale, key);
+    }
+    if (entry === undefined) return key;
+
+    if (typeof entry === 'object') {
+        const category = new Intl.PluralRules(LOCALES[locale].intl).select(params.count ?? 0);
+        entry = entry[category] ?? entry.other;
+    }
+    return entry.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+};
+
+/**
+ * Formate un nombre selon la langue courante
+ * @param {number} value - Nombre à formater
+ * @param {Object} [options] - Options d'Intl.NumberFormat
+ * @returns {string} Nombre formaté
+ */
+export const formatNumber = (value, options) => new Intl.NumberFormat(LOCALES[currentLocale].intl, options).format(value);
+
+/**
+ * Formate un montant selon la langue courante
+ * @param {number} value - Montant à formater
+ * @param {Object} [options] - Options de formatage
+ * @param {boolean} [options.signed=false] - Affiche toujours le signe (+ pour un crédit)
+ * @param {string} [options.devise=DEFAULT_DEVISE] - Devise du montant (code ISO 4217)
+ * @returns {string} Montant formaté avec sa devise
+ */
+export const formatAmount = (value, { signed = false, devise = DEFAULT_DEVISE } = {}) =>
+    formatNumber(value, { style: 'currency', currency: devise, signDisplay: signed ? 'always' : 'auto' });
+
+/**
+ * Retourne le nom d'une devise dans la langue courante
+ * @param {string} devise - Code ISO 4217 de la devise
+ * @returns {string} Nom de la devise (ex : "dollar des États-Unis")
+ */
+export const formatDeviseName = (devise) =>
+    new Intl.DisplayNames(LOCALES[currentLocale].intl, { type: 'currency' }).of(devise);
+
+/**
+ * Énumère des valeurs sous forme d'alternative selon la langue courante
+ * @param {string[]} values - Valeurs à énumérer
+ * @returns {string} Alternative formatée (ex : "DEPOT ou RETRAIT")
+ */
+export const formatList = (values) =>
+    new Intl.ListFormat(LOCALES[currentLocale].intl, { type: 'disjunction' }).format(values);
+
+/**
+ * Formate une date selon la langue courante
+ * @param {Date|string|number} value - Date à formater
+ * @param {Object} [options] - Options d'Intl.DateTimeFormat (jour, mois et année par défaut)
+ * @returns {string} Date formatée
+ */
+export const formatDate = (value, options = { dateStyle: 'short' }) =>
+    new Intl.DateTimeFormat(LOCALES[currentLocale].intl, options).format(new Date(value));
+
+/**
+ * Formate l'heure d'une date selon la langue courante
+ * @param {Date|string|number} value - Date dont l'heure est formatée
+ * @returns {string} Heure formatée
+ */
+export const formatTime = (value) => formatDate(value, { timeStyle: 'medium' });
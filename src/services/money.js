@@ -0,0 +1,208 @@
+import { Devise } from './type-definitions';
+
+/**
+ * Calculs sur les montants et conversion entre devises
+ *
+ * Les montants échangés avec le backend GraphQL sont des nombres décimaux
+ * exprimés dans la devise de leur compte. Additionner directement ces nombres
+ * laisse apparaître les erreurs d'arrondi des flottants (0.1 + 0.2) : les
+ * calculs de ce fichier sont donc effectués en unités mineures entières
+ * (centimes pour l'euro), dont le nombre de décimales est donné par
+ * Intl.NumberFormat pour chaque devise.
+ *
+ * Les totaux regroupant des comptes de devises différentes sont convertis
+ * dans la devise de consolidation avec une table de taux locale, exprimée en
+ * unités de chaque devise pour un euro. Elle se configure avec les variables
+ * d'environnement :
+ * - REACT_APP_EXCHANGE_RATES : taux remplaçant ceux par défaut, au format JSON
+ *   (ex : {"USD": 1.1, "GBP": 0.86})
+ * - REACT_APP_REPORTING_DEVISE : devise de consolidation (EUR par défaut)
+ *
+ * Les montants d'une devise absente de la table ne peuvent pas être convertis :
+ * ils sont exclus des totaux consolidés, ce que les composants signalent à
+ * l'utilisateur (voir getUnconvertibleDevises).
+ *
+ * @module services/money
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+/**
+ * Devise d'un compte qui n'en précise pas
+ * @constant {string}
+ */
+export const DEFAULT_DEVISE = Devise.EUR;
+
+/**
+ * Taux de change par défaut, en unités de chaque devise pour un euro
+ * @constant {Object}
+ */
+const DEFAULT_EXCHANGE_RATES = {
+    [Devise.EUR]: 1,
+    [Devise.USD]: 1.08,
+    [Devise.GBP]: 0.85,
+    [Devise.CHF]: 0.95,
+    [Devise.MAD]: 10.8,
+};
+
+/**
+ * Lit les taux de change configurés, en ignorant les valeurs invalides
+ * @param {string|undefined} value - Table des taux au format JSON
+ * @returns {Object} Taux valides indexés par devise
+ */
+const readExchangeRates = (value) => {
+    try {
+        return Object.fromEntries(Object.entries(JSON.parse(value ?? '{}'))
+            .filter(([, rate]) => Number.isFinite(rate) && rate > 0));
+    } catch (err) {
+        return {};
+    }
+};
+
+/**
+ * Lit un montant configuré par une variable d'environnement
+ *
+ * Zéro est un montant valide ; une valeur absente, vide, négative ou non
+ * numérique donne le montant par défaut.
+ *
+ * @param {string|undefined} value - Valeur de la variable d'environnement
+ * @param {number} defaultAmount - Montant utilisé à défaut de valeur valide
+ * @returns {number} Montant configuré
+ */
+export const readConfiguredAmount = (value, defaultAmount) => {
+    const amount = Number(value);
+    return value?.trim() && Number.isFinite(amount) && amount >= 0 ? amount : defaultAmount;
+};
+
+/**
+ * Taux de change utilisés pour les conversions, en unités de chaque devise pour un euro
+ * @constant {Object}
+ */
+export const EXCHANGE_RATES = {
+    ...DEFAULT_EXCHANGE_RATES,
+    ...readExchangeRates(process.env.REACT_APP_EXCHANGE_RATES),
+};
+
+/**
+ * Devise dans laquelle sont exprimés les totaux consolidés
+ * @constant {string}
+ */
+export const REPORTING_DEVISE = Devise[process.env.REACT_APP_REPORTING_DEVISE] || DEFAULT_DEVISE;
+
+/**
+ * Retourne la devise d'un compte
+ * @param {Compte|null|undefined} compte - Compte concerné
+ * @returns {string} Devise du compte, DEFAULT_DEVISE si elle n'est pas renseignée
+ */
+export const getDevise = (compte) => compte?.devise || DEFAULT_DEVISE;
+
+// Nombre de décimales par devise, calculé une seule fois
+const minorUnitDigits = new Map();
+
+/**
+ * Retourne le nombre de décimales d'une devise (2 pour l'euro)
+ * @param {string} [devise=DEFAULT_DEVISE] - Code ISO 4217 de la devise
+ * @returns {number} Nombre de décimales des unités mineures
+ */
+export const getMinorUnitDigits = (devise = DEFAULT_DEVISE) => {
+    if (!minorUnitDigits.has(devise)) {
+        const { maximumFractionDigits } = new Intl.NumberFormat('en', { style: 'currency', currency: devise })
+            .resolvedOptions();
+        minorUnitDigits.set(devise, maximumFractionDigits);
+    }
+    return minorUnitDigits.get(devise);
+};
+
+/**
+ * Convertit un montant décimal en unités mineures entières
+ *
+ * L'arrondi est symétrique : -0,005 € donne -1 centime comme 0,005 € en donne 1.
+ *
+ * @param {number} amount - Montant décimal
+ * @param {string} [devise=DEFAULT_DEVISE] - Devise du montant
+ * @returns {number} Montant en unités mineures (ex : centimes)
+ */
+export const toMinorUnits = (amount, devise = DEFAULT_DEVISE) => {
+    const units = Math.round(Math.abs(amount) * 10 ** getMinorUnitDigits(devise));
+    return amount < 0 ? -units : units;
+};
+
+/**
+ * Convertit des unités mineures entières en montant décimal
+ * @param {number} units - Montant en unités mineures
+ * @param {string} [devise=DEFAULT_DEVISE] - Devise du montant
+ * @returns {number} Montant décimal
+ */
+export const fromMinorUnits = (units, devise = DEFAULT_DEVISE) => units / 10 ** getMinorUnitDigits(devise);
+
+/**
+ * Additionne des montants d'une même devise sans erreur d'arrondi
+ * @param {number[]} amounts - Montants à additionner
+ * @param {string} [devise=DEFAULT_DEVISE] - Devise des montants
+ * @returns {number} Somme arrondie aux unités mineures de la devise
+ */
+export const sumAmounts = (amounts, devise = DEFAULT_DEVISE) =>
+    fromMinorUnits(amounts.reduce((acc, amount) => acc + toMinorUnits(amount, devise), 0), devise);
+
+/**
+ * Compare deux montants d'une même devise à l'unité mineure près
+ * @param {number} a - Premier montant
+ * @param {number} b - Second montant
+ * @param {string} [devise=DEFAULT_DEVISE] - Devise des montants
+ * @returns {number} -1 si a < b, 0 si a = b, 1 si a > b
+ */
+export const compareAmounts = (a, b, devise = DEFAULT_DEVISE) =>
+    Math.sign(toMinorUnits(a, devise) - toMinorUnits(b, devise));
+
+/**
+ * Convertit un montant d'une devise dans une autre
+ * @param {number} amount - Montant à convertir
+ * @param {string} from - Devise du montant
+ * @param {string} [to=REPORTING_DEVISE] - Devise souhaitée
+ * @param {Object} [rates=EXCHANGE_RATES] - Taux en unités de chaque devise pour un euro
+ * @returns {number} Montant converti, arrondi aux unités mineures de la devise souhaitée
+ * @throws {RangeError} Si le taux d'une des deux devises est inconnu
+ */
+export const convertAmount = (amount, from, to = REPORTING_DEVISE, rates = EXCHANGE_RATES) => {
+    if (from === to) return amount;
+    [from, to].forEach((devise) => {
+        if (!rates[devise]) throw new RangeError(`Taux de change inconnu pour la devise ${devise}`);
+    });
+    return fromMinorUnits(toMinorUnits((amount / rates[from]) * rates[to], to), to);
+};
+
+/**
+ * Indique si un montant peut être converti d'une devise dans une autre
+ * @param {string} from - Devise du montant
+ * @param {string} [to=REPORTING_DEVISE] - Devise souhaitée
+ * @param {Object} [rates=EXCHANGE_RATES] - Taux en unités de chaque devise pour un euro
+ * @returns {boolean} true si les devises sont identiques ou si leurs deux taux sont connus
+ */
+export const canConvert = (from, to = REPORTING_DEVISE, rates = EXCHANGE_RATES) =>
+    from === to || Boolean(rates[from] && rates[to]);
+
+/**
+ * Retourne les devises qui ne peuvent pas être converties dans une devise donnée
+ * @param {string[]} devises - Devises à vérifier, éventuellement répétées
+ * @param {string} [to=REPORTING_DEVISE] - Devise souhaitée
+ * @param {Object} [rates=EXCHANGE_RATES] - Taux en unités de chaque devise pour un euro
+ * @returns {string[]} Devises sans taux de change connu, sans doublon et triées
+ */
+export const getUnconvertibleDevises = (devises, to = REPORTING_DEVISE, rates = EXCHANGE_RATES) =>
+    [...new Set(devises)].filter((devise) => !canConvert(devise, to, rates)).sort();
+
+/**
+ * Additionne des montants de devises différentes après conversion
+ *
+ * Les montants dont la devise ne peut pas être convertie sont exclus du total.
+ *
+ * @param {Array<{amount: number, devise: string}>} amounts - Montants avec leur devise
+ * @param {string} [devise=REPORTING_DEVISE] - Devise du total
+ * @param {Object} [rates=EXCHANGE_RATES] - Taux en unités de chaque devise pour un euro
+ * @returns {number} Total consolidé dans la devise demandée
+ */
+export const consolidateAmounts = (amounts, devise = REPORTING_DEVISE, rates = EXCHANGE_RATES) =>
+    sumAmounts(amounts
+        .filter((item) => canConvert(item.devise, devise, rates))
+        .map((item) => convertAmount(item.amount, item.devise, devise, rates)), devise);
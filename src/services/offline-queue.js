@@ -0,0 +1,234 @@
+import { ADD_TRANSACTION, SAVE_COMPTE } from './graphql-mutations';
+import { ErrorCategory, classifyError, getErrorMessage } from './error-handling';
+import { ConnectionStatus, getConnectionState } from './connection-status';
+import { formatAmount, t } from './i18n';
+import { DEFAULT_DEVISE } from './money';
+import { getSession } from './auth-session';
+
+/**
+ * File d'attente des mutations soumises hors connexion
+ *
+ * Lorsque le backend est injoignable, les créations de comptes et les dépôts ou
+ * retraits sont conservés dans le localStorage au lieu d'échouer. Ils sont
+ * rejoués dans leur ordre de soumission dès le retour de la connexion.
+ *
+ * Chaque opération porte l'identifiant de l'utilisateur qui l'a soumise : seules
+ * les opérations de l'utilisateur connecté sont rejouées, sous sa session.
+ *
+ * Règles de rejeu :
+ * - Une opération acceptée par le serveur est retirée de la file
+ * - Une opération refusée par le serveur (ex : retrait devenu impossible) est
+ *   retirée de la file et signalée comme conflit
+ * - Une nouvelle erreur réseau ou une session expirée interrompt le rejeu ;
+ *   les opérations restantes sont conservées pour la prochaine tentative
+ *
+ * Les virements ne sont pas mis en attente : leur compensation en cas d'échec
+ * du dépôt exige que les deux opérations soient exécutées ensemble.
+ *
+ * @module services/offline-queue
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+/**
+ * Mutations pouvant être mises en attente
+ * @constant {Object}
+ * @property {string} ADD_TRANSACTION - Dépôt ou retrait
+ * @property {string} SAVE_COMPTE - Création de compte
+ */
+export const QueuedMutation = {
+    ADD_TRANSACTION: 'ADD_TRANSACTION',
+    SAVE_COMPTE: 'SAVE_COMPTE',
+};
+
+/**
+ * Document GraphQL de chaque mutation pouvant être mise en attente
+ * @constant {Object}
+ */
+const MUTATION_DOCUMENTS = {
+    [QueuedMutation.ADD_TRANSACTION]: ADD_TRANSACTION,
+    [QueuedMutation.SAVE_COMPTE]: SAVE_COMPTE,
+};
+
+/**
+ * Clé de stockage de la file dans le localStorage
+ * @constant {string}
+ */
+const STORAGE_KEY = 'banque-digital.offline-queue';
+
+const listeners = new Set();
+let replaying = false;
+
+/**
+ * Lit la file d'attente depuis le localStorage
+ * @returns {Array<{id: string, mutation: string, variables: Object, devise: string, username: string, createdAt: string}>}
+ *          Opérations en attente, dans l'ordre de soumission
+ */
+export const getQueue = () => {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+    } catch (err) {
+        return [];
+    }
+};
+
+/**
+ * Enregistre la file d'attente et prévient les abonnés
+ * @param {Array} queue - Nouvelle file d'attente
+ */
+const saveQueue = (queue) => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(queue));
+    listeners.forEach((listener) => listener(queue));
+};
+
+/**
+ * Abonne une fonction aux modifications de la file d'attente
+ * @param {Function} listener - Fonction appelée avec la nouvelle file
+ * @returns {Function} Fonction de désabonnement
+ */
+export const subscribeToQueue = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Ajoute une mutation en fin de file d'attente
+ *
+ * La devise n'est pas transmise au serveur : elle sert uniquement à afficher
+ * le montant de l'opération tant qu'elle est en attente. L'opération est
+ * attribuée à l'utilisateur de la session courante.
+ *
+ * @param {string} mutation - Mutation à rejouer (voir QueuedMutation)
+ * @param {Object} variables - Variables de la mutation
+ * @param {string} [devise=DEFAULT_DEVISE] - Devise du montant de l'opération
+ * @returns {Object} Opération mise en attente
+ */
+export const enqueueMutation = (mutation, variables, devise = DEFAULT_DEVISE) => {
+    const operation = {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        mutation,
+        variables,
+        devise,
+        username: getSession()?.user.username ?? null,
+        createdAt: new Date().toISOString(),
+    };
+    saveQueue([...getQueue(), operation]);
+    return operation;
+};
+
+/**
+ * Retire une opération de la file d'attente
+ * @param {string} id - Identifiant de l'opération
+ */
+const removeOperation = (id) => {
+    saveQueue(getQueue().filter((operation) => operation.id !== id));
+};
+
+/**
+ * Vide la file d'attente
+ *
+ * Appelée à la déconnexion : les opérations d'un utilisateur ne doivent pas
+ * être rejouées sous l'identité du suivant. Après une expiration, voir
+ * discardForeignOperations.
+ */
+export const clearQueue = () => {
+    saveQueue([]);
+};
+
+/**
+ * Abandonne les opérations en attente soumises par un autre utilisateur
+ *
+ * Appelée à l'ouverture d'une session : après une expiration, les opérations
+ * de l'utilisateur précédent ne doivent pas être rejouées sous l'identité d'un
+ * autre. Les opérations sans utilisateur connu sont également abandonnées.
+ *
+ * @param {string} username - Identifiant de l'utilisateur connecté
+ */
+export const discardForeignOperations = (username) => {
+    const queue = getQueue();
+    const own = queue.filter((operation) => operation.username === username);
+    if (own.length !== queue.length) saveQueue(own);
+};
+
+/**
+ * Indique si le backend est connu comme injoignable
+ * @returns {boolean} true si l'indicateur de connexion est à l'état déconnecté
+ */
+export const isOffline = () => getConnectionState().status === ConnectionStatus.DISCONNECTED;
+
+/**
+ * Indique si une mutation en échec peut être mise en attente
+ *
+ * Seuls les échecs de fetch eux-mêmes (TypeError levée sans réponse HTTP)
+ * sont concernés : la requête n'a pas atteint le serveur et peut être rejouée
+ * sans risque de doublon. Une réponse HTTP en erreur prouve au contraire que
+ * le serveur a reçu la requête.
+ *
+ * @param {ApolloError} error - Erreur levée par la mutation
+ * @returns {boolean} true si la mutation peut être mise en attente
+ */
+export const isQueueableError = (error) =>
+    error?.networkError?.name === 'TypeError' && !error.networkError.statusCode;
+
+/**
+ * Décrit une opération en attente pour l'utilisateur
+ * @param {Object} operation - Opération en attente
+ * @returns {string} Description (ex : "Retrait de 50,00 € sur le compte 3fa85f64")
+ */
+export const describeOperation = ({ mutation, variables, devise = DEFAULT_DEVISE }) => {
+    if (mutation === QueuedMutation.SAVE_COMPTE) {
+        return t('pendingOperations.createCompte', {
+            type: t(`compteType.${variables.compte.type}`),
+            amount: formatAmount(variables.compte.solde, { devise }),
+        });
+    }
+    const { type, montant, compteId } = variables.transactionRequest;
+    return t('pendingOperations.transaction', {
+        type: t(`transactionType.${type}`),
+        amount: formatAmount(montant, { devise }),
+        id: String(compteId).substring(0, 8),
+    });
+};
+
+/**
+ * Rejoue les opérations en attente dans leur ordre de soumission
+ *
+ * Seules les opérations de l'utilisateur connecté sont rejouées ; sans session
+ * ouverte, rien n'est rejoué. Un seul rejeu peut être en cours à la fois ; un
+ * appel concurrent renvoie un résultat vide.
+ *
+ * @param {ApolloClient} client - Client Apollo utilisé pour exécuter les mutations
+ * @returns {Promise<{replayed: Object[], conflicts: Array<{operation: Object, message: string}>, remaining: number}>}
+ *          Opérations acceptées, opérations refusées avec leur motif et nombre d'opérations restantes
+ */
+export const replayQueue = async (client) => {
+    const report = { replayed: [], conflicts: [], remaining: 0 };
+    const username = getSession()?.user.username;
+    if (replaying || !username) {
+        report.remaining = getQueue().length;
+        return report;
+    }
+    replaying = true;
+
+    try {
+        for (const operation of getQueue().filter((queued) => queued.username === username)) {
+            try {
+                await client.mutate({
+                    mutation: MUTATION_DOCUMENTS[operation.mutation],
+                    variables: operation.variables,
+                });
+                report.replayed.push(operation);
+            } catch (err) {
+                if (isQueueableError(err) || classifyError(err) === ErrorCategory.AUTHENTICATION) break;
+                report.conflicts.push({ operation, message: getErrorMessage(err) });
+            }
+            removeOperation(operation.id);
+        }
+    } finally {
+        replaying = false;
+    }
+
+    report.remaining = getQueue().length;
+    return report;
+};
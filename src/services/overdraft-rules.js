@@ -0,0 +1,78 @@
+import { TypeCompte, TypeTransaction } from './type-definitions';
+import { formatAmount, t } from './i18n';
+import { compareAmounts, getDevise, readConfiguredAmount, sumAmounts } from './money';
+
+/**
+ * Règles de découvert par type de compte
+ *
+ * Ce fichier définit jusqu'où le solde d'un compte peut descendre après un
+ * retrait, afin de bloquer côté client les opérations que le backend refusera :
+ * - Compte épargne : le solde ne peut jamais être négatif
+ * - Compte courant : le solde peut descendre jusqu'au découvert autorisé
+ *
+ * Le découvert autorisé des comptes courants se configure avec la variable
+ * d'environnement REACT_APP_COURANT_OVERDRAFT_LIMIT (500 par défaut). Il est
+ * exprimé dans la devise du compte, comme son solde.
+ *
+ * @module services/overdraft-rules
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+/**
+ * Découvert autorisé par type de compte, dans la devise du compte
+ * @constant {Object}
+ * @property {number} COURANT - Découvert autorisé d'un compte courant
+ * @property {number} EPARGNE - Aucun découvert pour un compte épargne
+ */
+export const OVERDRAFT_LIMITS = {
+    [TypeCompte.COURANT]: readConfiguredAmount(process.env.REACT_APP_COURANT_OVERDRAFT_LIMIT, 500),
+    [TypeCompte.EPARGNE]: 0,
+};
+
+/**
+ * Retourne le découvert autorisé d'un compte
+ *
+ * Un type de compte inconnu n'a droit à aucun découvert.
+ *
+ * @param {Compte} compte - Compte concerné
+ * @returns {number} Découvert autorisé dans la devise du compte
+ */
+export const getOverdraftLimit = (compte) => OVERDRAFT_LIMITS[compte.type] ?? 0;
+
+/**
+ * Retourne le montant maximal qu'il est possible de retirer d'un compte
+ * @param {Compte} compte - Compte concerné
+ * @returns {number} Solde augmenté du découvert autorisé, jamais négatif
+ */
+export const getAvailableAmount = (compte) =>
+    Math.max(0, sumAmounts([compte.solde, getOverdraftLimit(compte)], getDevise(compte)));
+
+/**
+ * Calcule le solde d'un compte après une transaction
+ * @param {Compte} compte - Compte concerné
+ * @param {string} type - Type de transaction (voir TypeTransaction)
+ * @param {number} montant - Montant de la transaction
+ * @returns {number} Solde projeté
+ */
+export const projectSolde = (compte, type, montant) =>
+    sumAmounts([compte.solde, type === TypeTransaction.DEPOT ? montant : -montant], getDevise(compte));
+
+/**
+ * Vérifie qu'un retrait respecte la règle de découvert du compte
+ * @param {Compte} compte - Compte débité
+ * @param {number} montant - Montant du retrait
+ * @returns {string|null} Message expliquant le blocage, ou null si le retrait est autorisé
+ */
+export const validateRetrait = (compte, montant) => {
+    const devise = getDevise(compte);
+    if (compareAmounts(montant, getAvailableAmount(compte), devise) <= 0) return null;
+
+    const maximum = formatAmount(getAvailableAmount(compte), { devise });
+    const limit = getOverdraftLimit(compte);
+    if (limit === 0) {
+        return t(compte.type === TypeCompte.EPARGNE ? 'overdraft.savingsNegative' : 'overdraft.noOverdraft', { maximum });
+    }
+    return t('overdraft.limitExceeded', { limit: formatAmount(limit, { devise }), maximum });
+};
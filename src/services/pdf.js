@@ -0,0 +1,168 @@
+/**
+ * Génération de documents PDF dans le navigateur
+ *
+ * Ce fichier écrit directement la structure d'un fichier PDF 1.4 (objets,
+ * table de références croisées et trailer) à partir de pages décrites par
+ * une liste d'éléments positionnés, sans bibliothèque externe.
+ *
+ * Le texte utilise les polices standard Courier et Courier-Bold, disponibles
+ * dans tous les lecteurs PDF sans être embarquées, avec l'encodage WinAnsi :
+ * - Alphabet latin, accents français et symbole € pris en charge
+ * - Caractères hors de l'encodage remplacés par « ? »
+ * - Police à chasse fixe : chaque caractère occupe 0,6 fois la taille de police,
+ *   ce qui permet d'aligner les montants à droite sans table de métriques
+ *
+ * Les coordonnées sont exprimées en points (1/72 de pouce), depuis le coin
+ * inférieur gauche de la page.
+ *
+ * @module services/pdf
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+/**
+ * Dimensions d'une page A4 en points
+ * @constant {Object}
+ * @property {number} width - Largeur de la page
+ * @property {number} height - Hauteur de la page
+ */
+export const PAGE_SIZE = {
+    width: 595,
+    height: 842,
+};
+
+/**
+ * Largeur d'un caractère de la police Courier, en fraction de la taille de police
+ * @constant {number}
+ */
+const CHAR_WIDTH = 0.6;
+
+/**
+ * Taille de police utilisée par défaut
+ * @constant {number}
+ */
+const DEFAULT_FONT_SIZE = 10;
+
+/**
+ * Caractères hors Latin-1 ayant une position dans l'encodage WinAnsi
+ * @constant {Object}
+ */
+const WIN_ANSI_EXTRAS = {
+    '€': 0x80, // Euro
+    '…': 0x85, // Points de suspension
+    '‘': 0x91, // Guillemets et apostrophes typographiques
+    '’': 0x92,
+    '“': 0x93,
+    '”': 0x94,
+    '–': 0x96, // Tirets demi-cadratin et cadratin
+    '—': 0x97,
+    '\u202F': 0xA0, // Espace fine insécable des montants en français
+    '−': 0x2D, // Signe moins
+};
+
+/**
+ * Convertit un texte dans l'encodage WinAnsi des polices standard
+ * @param {string} text - Texte à convertir
+ * @returns {string} Texte dont chaque caractère correspond à un octet
+ */
+export const toWinAnsi = (text) =>
+    Array.from(String(text))
+        .map((char) => {
+            if (WIN_ANSI_EXTRAS[char] !== undefined) return String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+            const code = char.codePointAt(0);
+            return code < 0x80 || (code >= 0xA0 && code <= 0xFF) ? char : '?';
+        })
+        .join('');
+
+/**
+ * Mesure la largeur d'un texte écrit en Courier
+ * @param {string} text - Texte à mesurer
+ * @param {number} [size=DEFAULT_FONT_SIZE] - Taille de police
+ * @returns {number} Largeur en points
+ */
+export const measureText = (text, size = DEFAULT_FONT_SIZE) => Array.from(String(text)).length * size * CHAR_WIDTH;
+
+const escapePdfString = (text) => text.replace(/[\\()]/g, (char) => `\\${char}`);
+
+const formatNumber = (value) => String(Math.round(value * 100) / 100);
+
+/**
+ * Écrit les instructions de dessin d'un élément de page
+ *
+ * Élément texte : { text, x, y, size, bold, align } où `align` vaut 'right'
+ * lorsque `x` désigne le bord droit du texte.
+ * Élément trait : { rule: { x, y, width } } pour un trait horizontal.
+ *
+ * @param {Object} item - Élément à dessiner
+ * @returns {string} Instructions du flux de contenu de la page
+ */
+const renderItem = (item) => {
+    if (item.rule) {
+        const { x, y, width } = item.rule;
+        return `0.5 w ${formatNumber(x)} ${formatNumber(y)} m ${formatNumber(x + width)} ${formatNumber(y)} l S`;
+    }
+
+    const size = item.size || DEFAULT_FONT_SIZE;
+    const x = item.align === 'right' ? item.x - measureText(item.text, size) : item.x;
+    const font = item.bold ? 'F2' : 'F1';
+
+    return `BT /${font} ${size} Tf ${formatNumber(x)} ${formatNumber(item.y)} Td (${escapePdfString(toWinAnsi(item.text))}) Tj ET`;
+};
+
+/**
+ * Génère un fichier PDF à partir de pages d'éléments positionnés
+ *
+ * Utilisation :
+ *     const bytes = buildPdf([[{ text: 'Bonjour', x: 50, y: 800, bold: true }]], { title: 'Exemple' });
+ *     downloadFile(bytes, 'exemple.pdf', 'application/pdf');
+ *
+ * @param {Array<Object[]>} pages - Éléments de chaque page (voir renderItem)
+ * @param {Object} [options] - Options du document
+ * @param {string} [options.title] - Titre affiché par le lecteur PDF
+ * @returns {Uint8Array} Contenu binaire du fichier PDF
+ */
+export const buildPdf = (pages, { title } = {}) => {
+    const objects = [];
+    const addObject = (body) => {
+        objects.push(body);
+        return objects.length;
+    };
+
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const regularId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>');
+    const boldId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>');
+
+    const pageIds = pages.map((items) => {
+        const content = items.map(renderItem).join('\n');
+        const contentId = addObject(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+
+        return addObject(
+            `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_SIZE.width} ${PAGE_SIZE.height}]`
+            + ` /Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`
+        );
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    const infoId = addObject(`<< /Title (${escapePdfString(toWinAnsi(title || ''))}) /CreationDate (D:${
+        new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)
+    }Z) >>`);
+
+    // Chaque caractère correspond à un octet : les positions se mesurent en longueur de chaîne
+    let pdf = '%PDF-1.4\n%âãÏÓ\n';
+    const offsets = objects.map((body, index) => {
+        const offset = pdf.length;
+        pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+    pdf += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Uint8Array.from(pdf, (char) => char.charCodeAt(0));
+};
@@ -0,0 +1,99 @@
+import { Devise, Role, TypeTransaction } from './type-definitions';
+import { canConvert, convertAmount, readConfiguredAmount } from './money';
+
+/**
+ * Droits des utilisateurs selon leur profil
+ *
+ * Ce fichier associe à chaque profil (voir Role) les opérations qu'il peut
+ * effectuer. L'interface s'en sert pour masquer ou désactiver les actions
+ * interdites ; le backend reste seul juge et refuse toute opération non
+ * autorisée (erreur FORBIDDEN).
+ *
+ * Droits par profil :
+ * - Lecture seule : consultation uniquement
+ * - Conseiller : création de comptes, dépôts, retraits et virements ; les
+ *   retraits supérieurs au seuil de validation exigent l'accord d'un superviseur
+ * - Superviseur : tous les droits, dont la suppression de comptes
+ *
+ * Le seuil de validation se configure avec la variable d'environnement
+ * REACT_APP_WITHDRAWAL_APPROVAL_THRESHOLD (en euros). Les retraits sur un
+ * compte tenu dans une autre devise sont convertis en euros avant comparaison ;
+ * faute de taux de change connu, ils exigent l'accord d'un superviseur.
+ *
+ * @module services/permissions
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+/**
+ * Opérations soumises à autorisation
+ * @constant {Object}
+ * @property {string} CREATE_COMPTE - Création d'un compte
+ * @property {string} DELETE_COMPTE - Suppression d'un compte
+ * @property {string} CREATE_TRANSACTION - Dépôt, retrait, virement et import de transactions
+ * @property {string} APPROVE_WITHDRAWAL - Retrait au-delà du seuil de validation sans accord préalable
+ */
+export const Permission = {
+    CREATE_COMPTE: 'CREATE_COMPTE',
+    DELETE_COMPTE: 'DELETE_COMPTE',
+    CREATE_TRANSACTION: 'CREATE_TRANSACTION',
+    APPROVE_WITHDRAWAL: 'APPROVE_WITHDRAWAL',
+};
+
+/**
+ * Opérations autorisées pour chaque profil
+ * @constant {Object}
+ */
+const ROLE_PERMISSIONS = {
+    [Role.LECTURE_SEULE]: [],
+    [Role.CONSEILLER]: [Permission.CREATE_COMPTE, Permission.CREATE_TRANSACTION],
+    [Role.SUPERVISEUR]: Object.values(Permission),
+};
+
+/**
+ * Devise dans laquelle est exprimé le seuil de validation des retraits
+ * @constant {string}
+ */
+export const WITHDRAWAL_APPROVAL_DEVISE = Devise.EUR;
+
+/**
+ * Montant au-delà duquel un retrait doit être validé par un superviseur,
+ * dans la devise WITHDRAWAL_APPROVAL_DEVISE
+ * @constant {number}
+ */
+export const WITHDRAWAL_APPROVAL_THRESHOLD =
+    readConfiguredAmount(process.env.REACT_APP_WITHDRAWAL_APPROVAL_THRESHOLD, 1000);
+
+/**
+ * En-tête HTTP portant le jeton de validation d'un retrait par un superviseur
+ * @constant {string}
+ */
+export const APPROVAL_HEADER = 'X-Approval-Token';
+
+/**
+ * Indique si un utilisateur peut effectuer une opération
+ *
+ * Un profil inconnu ne donne aucun droit.
+ *
+ * @param {Utilisateur|null} user - Utilisateur connecté
+ * @param {string} permission - Opération demandée (voir Permission)
+ * @returns {boolean} true si l'opération est autorisée
+ */
+export const hasPermission = (user, permission) =>
+    Boolean(user && ROLE_PERMISSIONS[user.role]?.includes(permission));
+
+/**
+ * Indique si une transaction doit être validée par un superviseur avant envoi
+ * @param {Utilisateur|null} user - Utilisateur connecté
+ * @param {string} type - Type de transaction (voir TypeTransaction)
+ * @param {number} montant - Montant de la transaction
+ * @param {string} [devise=Devise.EUR] - Devise du compte concerné
+ * @returns {boolean} true pour un retrait supérieur au seuil, ou dans une devise sans taux connu,
+ *          effectué sans droit de validation
+ */
+export const requiresApproval = (user, type, montant, devise = Devise.EUR) =>
+    type === TypeTransaction.RETRAIT
+    && (!canConvert(devise, WITHDRAWAL_APPROVAL_DEVISE)
+        || convertAmount(montant, devise, WITHDRAWAL_APPROVAL_DEVISE) > WITHDRAWAL_APPROVAL_THRESHOLD)
+    && !hasPermission(user, Permission.APPROVE_WITHDRAWAL);
@@ -0,0 +1,43 @@
+/**
+ * Disponibilité des mises à jour en temps réel
+ *
+ * Ce fichier indique si la connexion WebSocket des abonnements GraphQL est
+ * établie. Il est alimenté par le client WebSocket (voir clients/apollo-client)
+ * et par les erreurs d'abonnement, et consulté par le composant LiveUpdates
+ * qui bascule sur une actualisation périodique lorsque le temps réel est
+ * indisponible.
+ *
+ * @module services/realtime-status
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+let available = false;
+const listeners = new Set();
+
+/**
+ * Indique si les abonnements temps réel sont actuellement disponibles
+ * @returns {boolean} true si la connexion WebSocket est établie
+ */
+export const isRealtimeAvailable = () => available;
+
+/**
+ * Enregistre la disponibilité des abonnements et prévient les abonnés
+ * @param {boolean} value - true si la connexion WebSocket est établie
+ */
+export const setRealtimeAvailable = (value) => {
+    if (available === value) return;
+    available = value;
+    listeners.forEach((listener) => listener(available));
+};
+
+/**
+ * Abonne une fonction aux changements de disponibilité du temps réel
+ * @param {Function} listener - Fonction appelée avec la nouvelle disponibilité
+ * @returns {Function} Fonction de désabonnement
+ */
+export const subscribeToRealtime = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
@@ -0,0 +1,222 @@
+import { TypeTransaction } from './type-definitions';
+import { getDevise, sumAmounts } from './money';
+import { computeRunningBalances } from './transaction-utils';
+import { DEFAULT_LOCALE, formatAmount, formatDate, getDirection, getLocale, t, withLocale } from './i18n';
+import { PAGE_SIZE, buildPdf } from './pdf';
+import { downloadFile } from './export';
+
+/**
+ * Relevés de compte
+ *
+ * Ce fichier calcule le relevé d'un compte sur une période à partir de son
+ * solde actuel et de son historique, puis le met en page au format PDF.
+ *
+ * Contenu d'un relevé :
+ * - Solde d'ouverture, au début de la période
+ * - Transactions de la période, avec le solde après chacune
+ * - Totaux des dépôts et des retraits de la période
+ * - Solde de clôture, à la fin de la période
+ *
+ * Les bornes de la période sont des dates AAAA-MM-JJ incluses, comparées à la
+ * partie date des transactions (voir services/chart-data).
+ *
+ * Le PDF utilise les polices standard, limitées à l'alphabet latin (voir
+ * services/pdf) : il est rédigé dans la langue courante, sauf en arabe où il
+ * est rédigé dans la langue par défaut.
+ *
+ * @module services/statement
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+/**
+ * Format des dates d'un relevé (AAAA-MM-JJ interprété en UTC)
+ * @constant {Object}
+ */
+export const STATEMENT_DATE_FORMAT = { dateStyle: 'short', timeZone: 'UTC' };
+
+const toDay = (date) => String(date).slice(0, 10);
+
+/**
+ * Retourne la période proposée par défaut : du premier jour du mois à aujourd'hui
+ * @param {Date} [now=new Date()] - Date de référence
+ * @returns {{from: string, to: string}} Bornes incluses (AAAA-MM-JJ)
+ */
+export const getDefaultStatementPeriod = (now = new Date()) => {
+    const today = now.toISOString().slice(0, 10);
+    return { from: `${today.slice(0, 7)}-01`, to: today };
+};
+
+/**
+ * Indique si une période de relevé est valide
+ * @param {{from: string, to: string}} period - Bornes de la période
+ * @returns {boolean} true si les deux bornes sont renseignées et dans l'ordre
+ */
+export const isValidStatementPeriod = ({ from, to }) => Boolean(from && to && from <= to);
+
+/**
+ * Calcule le relevé d'un compte sur une période
+ *
+ * Le solde d'ouverture est le solde après la dernière transaction antérieure
+ * à la période ; le solde de clôture, celui après la dernière transaction de
+ * la période. Les totaux sont calculés en unités mineures de la devise.
+ *
+ * @param {Transaction[]} transactions - Toutes les transactions du compte
+ * @param {number} currentSolde - Solde actuel du compte
+ * @param {{from: string, to: string}} period - Bornes incluses (AAAA-MM-JJ)
+ * @param {string} [devise] - Devise du compte
+ * @returns {{from: string, to: string, openingSolde: number, rows: Array<{transaction: Transaction, solde: number}>,
+ *            totalDepots: number, totalRetraits: number, closingSolde: number}} Relevé de la période
+ */
+export const computeStatement = (transactions, currentSolde, { from, to }, devise) => {
+    const { openingSolde, rows } = computeRunningBalances(transactions, currentSolde, devise);
+    const before = rows.filter(({ transaction }) => toDay(transaction.date) < from);
+    const inPeriod = rows.filter(({ transaction }) => toDay(transaction.date) >= from && toDay(transaction.date) <= to);
+    const opening = before.length > 0 ? before[before.length - 1].solde : openingSolde;
+    const totalOf = (type) => sumAmounts(
+        inPeriod.filter(({ transaction }) => transaction.type === type).map(({ transaction }) => transaction.montant),
+        devise
+    );
+
+    return {
+        from,
+        to,
+        openingSolde: opening,
+        rows: inPeriod,
+        totalDepots: totalOf(TypeTransaction.DEPOT),
+        totalRetraits: totalOf(TypeTransaction.RETRAIT),
+        closingSolde: inPeriod.length > 0 ? inPeriod[inPeriod.length - 1].solde : opening,
+    };
+};
+
+/**
+ * Mise en page du PDF, en points (voir services/pdf)
+ * @constant {Object}
+ */
+const LAYOUT = {
+    top: 790,
+    bottom: 60,
+    left: 50,
+    right: PAGE_SIZE.width - 50,
+    line: 14,
+    fontSize: 9,
+    columns: { date: 50, type: 130, montant: 430, solde: PAGE_SIZE.width - 50 },
+};
+
+/**
+ * Met en page un relevé sous forme de pages d'éléments positionnés
+ * @param {Compte} compte - Compte concerné
+ * @param {Object} statement - Relevé calculé par computeStatement
+ * @returns {Array<Object[]>} Éléments de chaque page
+ */
+const layoutStatement = (compte, statement) => {
+    const devise = getDevise(compte);
+    const { left, right, line, fontSize, columns } = LAYOUT;
+    const day = (date) => formatDate(date, STATEMENT_DATE_FORMAT);
+    const pages = [[]];
+    let y = LAYOUT.top;
+
+    const write = (text, x, options = {}) => pages[pages.length - 1].push({ text, x, y, size: fontSize, ...options });
+    const rule = () => pages[pages.length - 1].push({ rule: { x: left, y: y + line - 4, width: right - left } });
+
+    const writeColumnHeaders = () => {
+        write(t('compteDetail.columns.date'), columns.date, { bold: true });
+        write(t('compteDetail.columns.type'), columns.type, { bold: true });
+        write(t('compteDetail.columns.montant'), columns.montant, { bold: true, align: 'right' });
+        write(t('compteDetail.columns.solde'), columns.solde, { bold: true, align: 'right' });
+        y -= line;
+        rule();
+    };
+    // Les en-têtes de colonnes sont répétés en haut de chaque nouvelle page
+    const reserve = (lines) => {
+        if (y - lines * line >= LAYOUT.bottom) return;
+        pages.push([]);
+        y = LAYOUT.top;
+        writeColumnHeaders();
+    };
+
+    write(t('app.title'), left, { size: 16, bold: true });
+    y -= 24;
+    write(t('statement.title'), left, { size: 12, bold: true });
+    y -= 20;
+    write(t(`compteTypeName.${compte.type}`), left, { bold: true });
+    y -= line;
+    write(t('common.id', { id: compte.id }), left);
+    y -= line;
+    write(t('statement.devise', { devise }), left);
+    y -= line;
+    write(t('statement.period', { from: day(statement.from), to: day(statement.to) }), left);
+    y -= line;
+    write(t('statement.generated', { date: formatDate(new Date()) }), left);
+    y -= line * 2;
+
+    writeColumnHeaders();
+    write(t('statement.openingSolde', { date: day(statement.from) }), columns.date);
+    write(formatAmount(statement.openingSolde, { devise }), columns.solde, { align: 'right' });
+    y -= line;
+
+    if (statement.rows.length === 0) {
+        write(t('statement.empty'), columns.date);
+        y -= line;
+    }
+    statement.rows.forEach(({ transaction, solde }) => {
+        reserve(1);
+        const montant = transaction.type === TypeTransaction.DEPOT ? transaction.montant : -transaction.montant;
+        write(day(transaction.date), columns.date);
+        write(t(`transactionType.${transaction.type}`), columns.type);
+        write(formatAmount(montant, { signed: true, devise }), columns.montant, { align: 'right' });
+        write(formatAmount(solde, { devise }), columns.solde, { align: 'right' });
+        y -= line;
+    });
+
+    reserve(4);
+    rule();
+    write(t('statement.totalDepots'), columns.date);
+    write(formatAmount(statement.totalDepots, { devise }), columns.montant, { align: 'right' });
+    y -= line;
+    write(t('statement.totalRetraits'), columns.date);
+    write(formatAmount(statement.totalRetraits, { devise }), columns.montant, { align: 'right' });
+    y -= line;
+    write(t('statement.closingSolde', { date: day(statement.to) }), columns.date, { bold: true });
+    write(formatAmount(statement.closingSolde, { devise }), columns.solde, { bold: true, align: 'right' });
+
+    return pages.map((items, index) => [
+        ...items,
+        { text: t('statement.page', { page: index + 1, count: pages.length }), x: right, y: 30, size: 8, align: 'right' },
+    ]);
+};
+
+/**
+ * Retourne la langue dans laquelle les relevés PDF sont rédigés
+ * @returns {string} Code de la langue (voir services/i18n)
+ */
+export const getStatementPdfLocale = () => (getDirection() === 'rtl' ? DEFAULT_LOCALE : getLocale());
+
+/**
+ * Génère le PDF d'un relevé de compte
+ * @param {Compte} compte - Compte concerné
+ * @param {Object} statement - Relevé calculé par computeStatement
+ * @returns {Uint8Array} Contenu du fichier PDF
+ */
+export const buildStatementPdf = (compte, statement) =>
+    withLocale(getStatementPdfLocale(), () =>
+        buildPdf(layoutStatement(compte, statement), { title: `${t('statement.title')} ${compte.id}` })
+    );
+
+/**
+ * Génère le PDF d'un relevé de compte et lance son téléchargement
+ *
+ * Le nom du fichier indique le compte et la période
+ * (ex : releve-1-2025-01-01-2025-01-31.pdf).
+ *
+ * @param {Compte} compte - Compte concerné
+ * @param {Object} statement - Relevé calculé par computeStatement
+ */
+export const downloadStatementPdf = (compte, statement) => {
+    downloadFile(
+        buildStatementPdf(compte, statement),
+        `releve-${compte.id}-${statement.from}-${statement.to}.pdf`,
+        'application/pdf'
+    );
+};
@@ -0,0 +1,134 @@
+/**
+ * Thème d'affichage de l'application
+ *
+ * Ce fichier conserve le thème choisi par l'utilisateur et détermine le thème
+ * effectivement appliqué. Les couleurs de chaque thème sont définies par des
+ * variables CSS dans index.css (sélecteur [data-theme]) et exposées à Tailwind
+ * sous forme de couleurs sémantiques dans tailwind.config.js (canvas, surface,
+ * content, line, depot, retrait, courant, epargne).
+ *
+ * Fonctionnement :
+ * - Le choix « système » suit les préférences du navigateur : contraste élevé
+ *   (prefers-contrast: more), puis mode sombre (prefers-color-scheme: dark)
+ * - Le choix est conservé dans le localStorage
+ *
+ * Le thème appliqué est reporté sur l'attribut data-theme de l'élément <html>
+ * par contexts/ThemeContext.
+ *
+ * @module services/theme
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+/**
+ * Thèmes proposés par l'application
+ * @constant {Object}
+ * @property {string} LIGHT - Thème clair
+ * @property {string} DARK - Thème sombre
+ * @property {string} CONTRAST - Thème à contraste élevé (texte blanc sur fond noir)
+ */
+export const Theme = {
+    LIGHT: 'light',
+    DARK: 'dark',
+    CONTRAST: 'contrast',
+};
+
+/**
+ * Choix qui délègue le thème aux préférences du navigateur
+ * @constant {string}
+ */
+export const SYSTEM_THEME = 'system';
+
+/**
+ * Choix proposés dans le sélecteur de thème, dans l'ordre d'affichage
+ * @constant {string[]}
+ */
+export const THEME_PREFERENCES = [SYSTEM_THEME, Theme.LIGHT, Theme.DARK, Theme.CONTRAST];
+
+/**
+ * Clé localStorage du thème choisi
+ * @constant {string}
+ */
+export const THEME_STORAGE_KEY = 'banque-digital.theme';
+
+/**
+ * Requêtes média des préférences du navigateur, par ordre de priorité
+ * @constant {Array<{query: string, theme: string}>}
+ */
+const SYSTEM_QUERIES = [
+    { query: '(prefers-contrast: more)', theme: Theme.CONTRAST },
+    { query: '(prefers-color-scheme: dark)', theme: Theme.DARK },
+];
+
+const loadPreference = () => {
+    try {
+        const stored = localStorage.getItem(THEME_STORAGE_KEY);
+        return THEME_PREFERENCES.includes(stored) ? stored : SYSTEM_THEME;
+    } catch (err) {
+        return SYSTEM_THEME;
+    }
+};
+
+let currentPreference = loadPreference();
+const listeners = new Set();
+
+// matchMedia est absent de certains environnements (jsdom)
+const matchMedia = (query) => (typeof window.matchMedia === 'function' ? window.matchMedia(query) : null);
+
+/**
+ * Retourne le thème choisi par l'utilisateur
+ * @returns {string} Un des THEME_PREFERENCES
+ */
+export const getThemePreference = () => currentPreference;
+
+/**
+ * Détermine le thème à appliquer pour un choix donné
+ * @param {string} [preference] - Choix de l'utilisateur, le choix courant par défaut
+ * @returns {string} Thème appliqué (voir Theme)
+ */
+export const resolveTheme = (preference = currentPreference) => {
+    if (preference !== SYSTEM_THEME) return preference;
+    const match = SYSTEM_QUERIES.find(({ query }) => matchMedia(query)?.matches);
+    return match ? match.theme : Theme.LIGHT;
+};
+
+/**
+ * Change le thème choisi et le conserve pour les prochaines visites
+ *
+ * Un choix inconnu est ignoré.
+ *
+ * @param {string} preference - Un des THEME_PREFERENCES
+ */
+export const setThemePreference = (preference) => {
+    if (!THEME_PREFERENCES.includes(preference) || preference === currentPreference) return;
+
+    currentPreference = preference;
+    try {
+        localStorage.setItem(THEME_STORAGE_KEY, preference);
+    } catch (err) {
+        // Le choix reste valable pour la session en cours
+    }
+    listeners.forEach((listener) => listener(preference));
+};
+
+/**
+ * Abonne un écouteur aux changements du thème choisi
+ * @param {Function} listener - Fonction appelée avec le nouveau choix
+ * @returns {Function} Fonction de désabonnement
+ */
+export const subscribeToTheme = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Abonne un écouteur aux changements des préférences du navigateur
+ * @param {Function} listener - Fonction appelée à chaque changement
+ * @returns {Function} Fonction de désabonnement
+ */
+export const subscribeToSystemTheme = (listener) => {
+    const queries = SYSTEM_QUERIES.map(({ query }) => matchMedia(query)).filter(Boolean);
+    queries.forEach((mediaQuery) => mediaQuery.addEventListener?.('change', listener));
+    return () => queries.forEach((mediaQuery) => mediaQuery.removeEventListener?.('change', listener));
+};
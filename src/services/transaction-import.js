@@ -0,0 +1,169 @@
+import { TypeTransaction } from './type-definitions';
+import { projectSolde, validateRetrait } from './overdraft-rules';
+import { formatList, t } from './i18n';
+import { getDevise } from './money';
+import { TransactionRequestSchema, parseAmount, validate } from './form-validation';
+
+/**
+ * Import en masse de transactions depuis un fichier CSV
+ *
+ * Ce fichier contient l'analyse et la validation des fichiers CSV
+ * d'import ainsi que l'exécution des envois avec une concurrence limitée.
+ *
+ * Format attendu (une transaction par ligne, en-tête facultatif) :
+ *     compteId;type;montant
+ *     42;DEPOT;150,00
+ *     42;RETRAIT;20.5
+ *
+ * Le montant est exprimé dans la devise du compte et vérifié par les mêmes
+ * règles que le formulaire de transaction (voir services/form-validation) :
+ * virgule ou point comme séparateur décimal, décimales de la devise et
+ * montant maximal converti dans cette devise.
+ *
+ * @module services/transaction-import
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+/**
+ * Analyse le contenu d'un fichier CSV d'import
+ *
+ * Les lignes vides sont ignorées et une éventuelle ligne d'en-tête
+ * commençant par « compteId » est sautée. Le numéro de ligne du fichier
+ * est conservé pour les messages d'erreur.
+ *
+ * @param {string} text - Contenu du fichier CSV
+ * @returns {Array<{line: number, compteId: string, type: string, montant: string, extra: boolean}>}
+ *          Lignes brutes du fichier
+ */
+export const parseImportCsv = (text) =>
+    text
+        .replace(/^\uFEFF/, '')
+        .split(/\r?\n/)
+        .map((content, index) => ({ content: content.trim(), line: index + 1 }))
+        .filter(({ content, line }) => content !== '' && !(line === 1 && /^compte_?id;/i.test(content)))
+        .map(({ content, line }) => {
+            const [compteId = '', type = '', montant = '', ...rest] = content.split(';').map((field) => field.trim());
+            return { line, compteId, type: type.toUpperCase(), montant, extra: rest.length > 0 };
+        });
+
+/**
+ * Valide les lignes d'import par rapport aux comptes chargés
+ *
+ * Les lignes d'un même compte étant envoyées dans l'ordre du fichier, le solde
+ * de chaque compte est suivi ligne après ligne : un retrait est refusé s'il
+ * dépasse le découvert autorisé compte tenu des lignes valides qui le précèdent.
+ * Les règles propres à l'appelant passent par `checkRow`, avant ce suivi : une
+ * ligne qu'elles rejettent ne compte pas dans le solde des lignes suivantes.
+ *
+ * @param {Array} rows - Lignes brutes renvoyées par parseImportCsv
+ * @param {Array<Compte>} comptes - Comptes existants
+ * @param {Function} [checkRow] - Règle supplémentaire appelée avec { type, montant, devise },
+ *                                qui retourne un message d'erreur ou null
+ * @returns {Array<{line: number, compteId: string, type: string, montant: number|null, devise: string, errors: string[]}>}
+ *          Lignes avec le montant converti, la devise du compte et la liste de leurs erreurs
+ */
+export const validateImportRows = (rows, comptes, checkRow = () => null) => {
+    const compteIds = new Set(comptes.map((compte) => String(compte.id)));
+    const projected = new Map(comptes.map((compte) => [String(compte.id), compte]));
+    const types = Object.values(TypeTransaction);
+
+    return rows.map((row) => {
+        const errors = [];
+
+        if (row.extra) errors.push(t('transactionImport.errors.columns'));
+        if (!row.compteId) {
+            errors.push(t('transactionImport.errors.missingCompte'));
+        } else if (!compteIds.has(row.compteId)) {
+            errors.push(t('transactionImport.errors.unknownCompte', { id: row.compteId }));
+        }
+        if (!types.includes(row.type)) {
+            errors.push(t('transactionImport.errors.invalidType', {
+                type: row.type || t('transactionImport.errors.empty'),
+                values: formatList(types),
+            }));
+        }
+
+        const compte = projected.get(row.compteId);
+        const devise = getDevise(compte);
+        let montant = null;
+        if (Number.isNaN(parseAmount(row.montant))) {
+            errors.push(t('transactionImport.errors.invalidMontant', {
+                montant: row.montant || t('transactionImport.errors.empty'),
+            }));
+        } else {
+            const { montant: montantError } = validate(
+                { montant: TransactionRequestSchema.montant },
+                { montant: row.montant, devise }
+            );
+            if (montantError) errors.push(montantError);
+            else montant = parseAmount(row.montant);
+        }
+
+        const rejection = montant !== null ? checkRow({ type: row.type, montant, devise }) : null;
+        if (rejection) errors.push(rejection);
+
+        if (errors.length === 0 && compte) {
+            const refus = row.type === TypeTransaction.RETRAIT ? validateRetrait(compte, montant) : null;
+            if (refus) {
+                errors.push(refus);
+            } else {
+                projected.set(row.compteId, { ...compte, solde: projectSolde(compte, row.type, montant) });
+            }
+        }
+
+        return { line: row.line, compteId: row.compteId, type: row.type, montant, devise, errors };
+    });
+};
+
+/**
+ * Exécute des tâches asynchrones avec un nombre maximal de tâches simultanées
+ *
+ * Les tâches sont lancées dans l'ordre ; une tâche en échec n'interrompt pas
+ * les suivantes. Le résultat de chaque tâche est conservé à sa position.
+ *
+ * @param {Array} items - Éléments à traiter
+ * @param {number} limit - Nombre maximal de tâches simultanées
+ * @param {Function} worker - Fonction asynchrone appelée pour chaque élément
+ * @returns {Promise<Array<{status: ('fulfilled'|'rejected'), value?: *, reason?: Error}>>}
+ *          Résultats dans l'ordre des éléments
+ */
+export const runWithConcurrency = async (items, limit, worker) => {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runNext = async () => {
+        while (next < items.length) {
+            const index = next;
+            next += 1;
+            try {
+                results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+            } catch (reason) {
+                results[index] = { status: 'rejected', reason };
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+    return results;
+};
+
+/**
+ * Regroupe les lignes par compte pour conserver l'ordre des opérations d'un même compte
+ *
+ * Chaque groupe est envoyé séquentiellement tandis que les groupes sont traités
+ * en parallèle : un retrait n'est ainsi jamais envoyé avant un dépôt qui le
+ * précède dans le fichier pour le même compte.
+ *
+ * @param {Array<{compteId: string}>} rows - Lignes valides à envoyer
+ * @returns {Array<Array>} Lignes groupées par compte, dans l'ordre du fichier
+ */
+export const groupByCompte = (rows) => {
+    const groups = new Map();
+    rows.forEach((row) => {
+        if (!groups.has(row.compteId)) groups.set(row.compteId, []);
+        groups.get(row.compteId).push(row);
+    });
+    return [...groups.values()];
+};
@@ -0,0 +1,197 @@
+import { TypeTransaction } from './type-definitions';
+import { DEFAULT_DEVISE, fromMinorUnits, getDevise, toMinorUnits } from './money';
+
+/**
+ * Fonctions utilitaires de calcul sur les transactions bancaires
+ *
+ * Ce fichier regroupe les calculs purs effectués côté client à partir des
+ * transactions renvoyées par le backend GraphQL. Ces fonctions ne dépendent
+ * ni de React ni d'Apollo Client et peuvent être réutilisées par tous les
+ * composants qui affichent des montants ou des soldes.
+ *
+ * Les fonctions incluent :
+ * - Calcul du montant signé d'une transaction (dépôt positif, retrait négatif)
+ * - Tri chronologique des transactions
+ * - Reconstitution du solde après chaque transaction
+ * - Solde après transaction pour des transactions de plusieurs comptes
+ * - Filtrage, tri et pagination des listes de transactions
+ *
+ * @module services/transaction-utils
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+/**
+ * Retourne le montant signé d'une transaction
+ * @param {Transaction} transaction - Transaction à évaluer
+ * @returns {number} Montant positif pour un dépôt, négatif pour un retrait
+ */
+export const signedMontant = (transaction) =>
+    transaction.type === TypeTransaction.DEPOT ? transaction.montant : -transaction.montant;
+
+/**
+ * Trie les transactions par ordre chronologique croissant
+ *
+ * Les transactions de même date sont départagées par leur identifiant
+ * pour garantir un ordre stable d'un rendu à l'autre.
+ *
+ * @param {Transaction[]} transactions - Transactions à trier
+ * @returns {Transaction[]} Nouveau tableau trié du plus ancien au plus récent
+ */
+export const sortByDate = (transactions) =>
+    [...transactions].sort((a, b) => {
+        const diff = new Date(a.date) - new Date(b.date);
+        if (diff !== 0) return diff;
+        return String(a.id).localeCompare(String(b.id), undefined, { numeric: true });
+    });
+
+/**
+ * Reconstitue le solde d'un compte après chacune de ses transactions
+ *
+ * Le solde d'ouverture n'est pas fourni par le backend : il est déduit du
+ * solde actuel du compte moins la somme des montants signés de toutes ses
+ * transactions. Les calculs sont faits en unités mineures de la devise du
+ * compte (voir services/money).
+ *
+ * @param {Transaction[]} transactions - Transactions d'un seul compte
+ * @param {number} currentSolde - Solde actuel du compte
+ * @param {string} [devise=DEFAULT_DEVISE] - Devise du compte
+ * @returns {{ openingSolde: number, rows: Array<{ transaction: Transaction, solde: number }> }}
+ *          Solde d'ouverture et transactions triées avec le solde après chacune
+ */
+export const computeRunningBalances = (transactions, currentSolde, devise = DEFAULT_DEVISE) => {
+    const sorted = sortByDate(transactions);
+    const total = sorted.reduce((acc, transaction) => acc + toMinorUnits(signedMontant(transaction), devise), 0);
+    const opening = toMinorUnits(currentSolde, devise) - total;
+
+    let solde = opening;
+    const rows = sorted.map((transaction) => {
+        solde += toMinorUnits(signedMontant(transaction), devise);
+        return { transaction, solde: fromMinorUnits(solde, devise) };
+    });
+
+    return { openingSolde: fromMinorUnits(opening, devise), rows };
+};
+
+/**
+ * Calcule le solde de chaque compte après chacune de ses transactions
+ *
+ * Les transactions sont regroupées par compte, puis le solde cumulé est
+ * reconstitué à partir du solde actuel de chaque compte (`transaction.compte.solde`).
+ * La liste fournie doit contenir toutes les transactions des comptes concernés
+ * pour que les soldes soient exacts.
+ *
+ * @param {Transaction[]} transactions - Transactions d'un ou plusieurs comptes
+ * @returns {Map<string, number>} Solde après transaction, indexé par identifiant de transaction
+ */
+export const computeBalancesAfter = (transactions) => {
+    const byCompte = new Map();
+    transactions.forEach((transaction) => {
+        const compteId = transaction.compte?.id;
+        if (!byCompte.has(compteId)) byCompte.set(compteId, []);
+        byCompte.get(compteId).push(transaction);
+    });
+
+    const balances = new Map();
+    byCompte.forEach((compteTransactions) => {
+        const { compte } = compteTransactions[0];
+        computeRunningBalances(compteTransactions, compte?.solde ?? 0, getDevise(compte)).rows.forEach(({ transaction, solde }) => {
+            balances.set(transaction.id, solde);
+        });
+    });
+
+    return balances;
+};
+
+/**
+ * Critères de filtrage vides, utilisés comme valeur initiale des filtres
+ * @constant {Object}
+ * @property {string} search - Texte recherché dans l'identifiant de la transaction ou du compte
+ * @property {string} type - Type de transaction (DEPOT, RETRAIT ou '' pour tous)
+ * @property {string} compteId - Identifiant du compte ('' pour tous)
+ * @property {string} montantMin - Montant minimum inclus
+ * @property {string} montantMax - Montant maximum inclus
+ * @property {string} dateFrom - Date de début incluse (AAAA-MM-JJ)
+ * @property {string} dateTo - Date de fin incluse (AAAA-MM-JJ)
+ */
+export const EMPTY_FILTERS = {
+    search: '',
+    type: '',
+    compteId: '',
+    montantMin: '',
+    montantMax: '',
+    dateFrom: '',
+    dateTo: '',
+};
+
+/**
+ * Filtre une liste de transactions selon les critères fournis
+ *
+ * Les critères vides sont ignorés. Les dates sont comparées sur leur partie
+ * AAAA-MM-JJ, ce qui rend les bornes inclusives quelle que soit l'heure.
+ *
+ * @param {Transaction[]} transactions - Transactions à filtrer
+ * @param {Object} filters - Critères de filtrage (voir EMPTY_FILTERS)
+ * @returns {Transaction[]} Transactions correspondant à tous les critères
+ */
+export const filterTransactions = (transactions, filters) => {
+    const search = filters.search.trim().toLowerCase();
+    const montantMin = filters.montantMin === '' ? null : parseFloat(filters.montantMin);
+    const montantMax = filters.montantMax === '' ? null : parseFloat(filters.montantMax);
+
+    return transactions.filter((transaction) => {
+        const day = String(transaction.date).slice(0, 10);
+
+        if (search
+            && !String(transaction.id).toLowerCase().includes(search)
+            && !String(transaction.compte?.id).toLowerCase().includes(search)) return false;
+        if (filters.type && transaction.type !== filters.type) return false;
+        if (filters.compteId && transaction.compte?.id !== filters.compteId) return false;
+        if (montantMin !== null && transaction.montant < montantMin) return false;
+        if (montantMax !== null && transaction.montant > montantMax) return false;
+        if (filters.dateFrom && day < filters.dateFrom) return false;
+        if (filters.dateTo && day > filters.dateTo) return false;
+        return true;
+    });
+};
+
+/**
+ * Trie une liste de transactions
+ * @param {Transaction[]} transactions - Transactions à trier
+ * @param {('date'|'montant'|'type')} field - Champ de tri
+ * @param {('asc'|'desc')} direction - Sens du tri
+ * @returns {Transaction[]} Nouveau tableau trié
+ */
+export const sortTransactions = (transactions, field, direction) => {
+    const compare = {
+        date: (a, b) => new Date(a.date) - new Date(b.date),
+        montant: (a, b) => a.montant - b.montant,
+        type: (a, b) => a.type.localeCompare(b.type),
+    }[field];
+    const factor = direction === 'desc' ? -1 : 1;
+
+    return [...transactions].sort((a, b) =>
+        factor * (compare(a, b)
+            || String(a.id).localeCompare(String(b.id), undefined, { numeric: true })));
+};
+
+/**
+ * Extrait une page d'une liste
+ * @param {Array} items - Liste complète
+ * @param {number} page - Numéro de page, à partir de 1
+ * @param {number} pageSize - Nombre d'éléments par page
+ * @returns {{ items: Array, page: number, pageCount: number }}
+ *          Éléments de la page, numéro de page borné et nombre total de pages
+ */
+export const paginate = (items, page, pageSize) => {
+    const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+    const current = Math.min(Math.max(1, page), pageCount);
+    const start = (current - 1) * pageSize;
+
+    return {
+        items: items.slice(start, start + pageSize),
+        page: current,
+        pageCount,
+    };
+};
@@ -8,6 +8,9 @@
  * Les constantes sont organisées par domaine :
  * - TypeCompte : Types de comptes bancaires disponibles
  * - TypeTransaction : Types de transactions bancaires disponibles
+ * - TypeOperation : Opérations proposées par le formulaire de transaction
+ * - Role : Profils des utilisateurs de l'application
+ * - Devise : Devises dans lesquelles un compte peut être tenu
  *
  * Ces constantes sont utilisées pour éviter les erreurs de frappe et assurer
  * la maintenance du code. Elles correspondent aux types TypeScript définis
@@ -41,3 +44,57 @@ export const TypeTransaction = {
     RETRAIT: 'RETRAIT', // Transaction de retrait (débit du compte)
 };
 
+/**
+ * Constantes pour les opérations proposées par le formulaire de transaction
+ *
+ * Le virement n'existe pas côté backend : il est exécuté par le client
+ * sous la forme d'un retrait sur le compte source suivi d'un dépôt
+ * sur le compte destination.
+ *
+ * @constant {Object}
+ * @property {string} DEPOT - Dépôt sur un compte
+ * @property {string} RETRAIT - Retrait sur un compte
+ * @property {string} VIREMENT - Virement d'un compte vers un autre
+ */
+export const TypeOperation = {
+    DEPOT: TypeTransaction.DEPOT,     // Dépôt sur un compte
+    RETRAIT: TypeTransaction.RETRAIT, // Retrait sur un compte
+    VIREMENT: 'VIREMENT',             // Virement entre deux comptes
+};
+
+/**
+ * Constantes pour les profils des utilisateurs
+ *
+ * Les droits associés à chaque profil sont définis dans services/permissions.
+ *
+ * @constant {Object}
+ * @property {string} CONSEILLER - Conseiller bancaire : création de comptes et transactions
+ * @property {string} SUPERVISEUR - Superviseur : tous les droits, dont la validation des retraits importants
+ * @property {string} LECTURE_SEULE - Consultation uniquement
+ */
+export const Role = {
+    CONSEILLER: 'CONSEILLER',       // Conseiller bancaire
+    SUPERVISEUR: 'SUPERVISEUR',     // Superviseur
+    LECTURE_SEULE: 'LECTURE_SEULE', // Consultation uniquement
+};
+
+/**
+ * Constantes pour les devises dans lesquelles un compte peut être tenu
+ *
+ * Les valeurs sont les codes ISO 4217, utilisés tels quels par
+ * Intl.NumberFormat. Les taux de conversion sont définis dans services/money.
+ *
+ * @constant {Object}
+ * @property {string} EUR - Euro, devise par défaut des comptes
+ * @property {string} USD - Dollar des États-Unis
+ * @property {string} GBP - Livre sterling
+ * @property {string} CHF - Franc suisse
+ * @property {string} MAD - Dirham marocain
+ */
+export const Devise = {
+    EUR: 'EUR', // Euro
+    USD: 'USD', // Dollar des États-Unis
+    GBP: 'GBP', // Livre sterling
+    CHF: 'CHF', // Franc suisse
+    MAD: 'MAD', // Dirham marocain
+};
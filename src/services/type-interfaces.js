@@ -9,7 +9,8 @@
  * - Entités principales (Compte, Transaction)
  * - Statistiques (SoldeStats, TransactionStats)
  * - Requêtes/DTOs (CompteRequest, TransactionRequest)
- * - Types énumérés (TypeCompte, TypeTransaction)
+ * - Utilisateur connecté (Utilisateur)
+ * - Types énumérés (TypeCompte, TypeTransaction, Role, Devise)
  *
  * Toutes les interfaces sont exportées pour être utilisées dans les composants
  * React et les requêtes GraphQL.
@@ -24,13 +25,15 @@
  * Interface pour un compte bancaire
  * @interface Compte
  * @property {string} id - Identifiant unique du compte
- * @property {number} solde - Solde actuel du compte en euros
+ * @property {number} solde - Solde actuel du compte dans sa devise
+ * @property {Devise} devise - Devise du compte (code ISO 4217)
  * @property {string} dateCreation - Date de création au format ISO 8601
  * @property {TypeCompte} type - Type de compte (COURANT ou EPARGNE)
  */
 export interface Compte {
     id: string;           // Identifiant unique du compte
     solde: number;        // Solde actuel du compte
+    devise: string;       // Devise du compte (voir Devise)
     dateCreation: string; // Date de création au format ISO
     type: TypeCompte;     // Type de compte (COURANT ou EPARGNE)
 }
@@ -40,7 +43,7 @@ export interface Compte {
  * @interface Transaction
  * @property {string} id - Identifiant unique de la transaction
  * @property {TypeTransaction} type - Type de transaction (DEPOT ou RETRAIT)
- * @property {number} montant - Montant de la transaction en euros
+ * @property {number} montant - Montant de la transaction dans la devise du compte
  * @property {string} date - Date de la transaction au format ISO 8601
  * @property {Compte} compte - Compte associé à la transaction
  */
@@ -52,48 +55,74 @@ export interface Transaction {
     compte: Compte;       // Compte associé à la transaction
 }
 
+/**
+ * Interface pour les statistiques de solde des comptes d'une devise
+ * @interface SoldeDeviseStats
+ * @property {string} devise - Devise des comptes
+ * @property {number} count - Nombre de comptes dans cette devise
+ * @property {number} sum - Somme des soldes dans cette devise
+ */
+export interface SoldeDeviseStats {
+    devise: string; // Devise des comptes (voir Devise)
+    count: number;  // Nombre de comptes
+    sum: number;    // Somme des soldes
+}
+
 /**
  * Interface pour les statistiques de solde des comptes
  * @interface SoldeStats
  * @property {number} count - Nombre total de comptes
- * @property {number} sum - Somme totale des soldes en euros
- * @property {number} average - Moyenne des soldes en euros
+ * @property {SoldeDeviseStats[]} parDevise - Statistiques par devise
  */
 export interface SoldeStats {
-    count: number;   // Nombre total de comptes
-    sum: number;     // Somme totale des soldes
-    average: number; // Moyenne des soldes
+    count: number;                  // Nombre total de comptes
+    parDevise: SoldeDeviseStats[];  // Statistiques par devise
+}
+
+/**
+ * Interface pour les statistiques des transactions d'une devise de compte
+ * @interface TransactionDeviseStats
+ * @property {string} devise - Devise des comptes concernés
+ * @property {number} count - Nombre de transactions dans cette devise
+ * @property {number} sumDepots - Somme des dépôts dans cette devise
+ * @property {number} sumRetraits - Somme des retraits dans cette devise
+ */
+export interface TransactionDeviseStats {
+    devise: string;      // Devise des comptes concernés (voir Devise)
+    count: number;       // Nombre de transactions
+    sumDepots: number;   // Somme des dépôts
+    sumRetraits: number; // Somme des retraits
 }
 
 /**
  * Interface pour les statistiques des transactions
  * @interface TransactionStats
  * @property {number} count - Nombre total de transactions
- * @property {number} sumDepots - Somme totale des dépôts en euros
- * @property {number} sumRetraits - Somme totale des retraits en euros
+ * @property {TransactionDeviseStats[]} parDevise - Statistiques par devise de compte
  */
 export interface TransactionStats {
-    count: number;       // Nombre total de transactions
-    sumDepots: number;   // Somme totale des dépôts
-    sumRetraits: number; // Somme totale des retraits
+    count: number;                       // Nombre total de transactions
+    parDevise: TransactionDeviseStats[]; // Statistiques par devise de compte
 }
 
 /**
  * Interface pour les demandes de création de compte
  * @interface CompteRequest
- * @property {number} solde - Solde initial du nouveau compte en euros
+ * @property {number} solde - Solde initial du nouveau compte dans sa devise
  * @property {TypeCompte} type - Type du nouveau compte (COURANT ou EPARGNE)
+ * @property {Devise} devise - Devise du nouveau compte
  */
 export interface CompteRequest {
     solde: number;    // Solde initial du nouveau compte
     type: TypeCompte; // Type du nouveau compte
+    devise: string;   // Devise du nouveau compte (voir Devise)
 }
 
 /**
  * Interface pour les demandes de création de transaction
  * @interface TransactionRequest
  * @property {TypeTransaction} type - Type de la transaction (DEPOT ou RETRAIT)
- * @property {number} montant - Montant de la transaction en euros
+ * @property {number} montant - Montant de la transaction dans la devise du compte
  * @property {string} compteId - Identifiant unique du compte concerné
  */
 export interface TransactionRequest {
@@ -106,7 +135,23 @@ export interface TransactionRequest {
  * Types énumérés pour les valeurs prédéfinies
  * @typedef {('COURANT'|'EPARGNE')} TypeCompte - Types de comptes disponibles
  * @typedef {('DEPOT'|'RETRAIT')} TypeTransaction - Types de transactions disponibles
+ * @typedef {('CONSEILLER'|'SUPERVISEUR'|'LECTURE_SEULE')} Role - Profils des utilisateurs
+ * @typedef {('EUR'|'USD'|'GBP'|'CHF'|'MAD')} Devise - Devises des comptes
  */
 export type TypeCompte = 'COURANT' | 'EPARGNE';         // Types de comptes disponibles
 export type TypeTransaction = 'DEPOT' | 'RETRAIT';      // Types de transactions disponibles
+export type Role = 'CONSEILLER' | 'SUPERVISEUR' | 'LECTURE_SEULE'; // Profils des utilisateurs
+export type Devise = 'EUR' | 'USD' | 'GBP' | 'CHF' | 'MAD';       // Devises des comptes
 
+/**
+ * Interface pour l'utilisateur connecté
+ * @interface Utilisateur
+ * @property {string} username - Identifiant de connexion
+ * @property {string} nom - Nom affiché dans l'en-tête
+ * @property {Role} role - Profil déterminant les opérations autorisées
+ */
+export interface Utilisateur {
+    username: string; // Identifiant de connexion
+    nom: string;      // Nom affiché
+    role: Role;       // Profil de l'utilisateur
+}
@@ -0,0 +1,114 @@
+import { TypeTransaction } from './type-definitions';
+import { validateRetrait } from './overdraft-rules';
+import { formatAmount, t } from './i18n';
+import { getDevise } from './money';
+
+/**
+ * Exécution des virements entre comptes
+ *
+ * Le backend GraphQL ne propose pas de mutation de virement. Un virement est
+ * donc exécuté en deux étapes avec la mutation ADD_TRANSACTION :
+ * 1. Retrait sur le compte source
+ * 2. Dépôt sur le compte destination
+ *
+ * Si le dépôt échoue, le retrait est annulé par un dépôt compensatoire sur
+ * le compte source. Le résultat décrit précisément l'état final pour que
+ * l'interface puisse informer l'utilisateur.
+ *
+ * @module services/virement
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+
+/**
+ * Statuts possibles d'un virement
+ * @constant {Object}
+ * @property {string} SUCCES - Les deux opérations ont réussi
+ * @property {string} ECHEC_RETRAIT - Le retrait a échoué, aucun compte n'a été modifié
+ * @property {string} ANNULE - Le dépôt a échoué et le retrait a été compensé
+ * @property {string} INCOHERENT - Le dépôt et la compensation ont échoué, intervention manuelle requise
+ */
+export const StatutVirement = {
+    SUCCES: 'SUCCES',
+    ECHEC_RETRAIT: 'ECHEC_RETRAIT',
+    ANNULE: 'ANNULE',
+    INCOHERENT: 'INCOHERENT',
+};
+
+/**
+ * Vérifie qu'un virement peut être soumis
+ *
+ * Les deux comptes doivent être tenus dans la même devise : les taux de
+ * services/money ne servent qu'aux totaux consolidés et ne permettent pas
+ * de convertir un montant réellement transféré. Le retrait sur le compte
+ * source doit respecter sa règle de découvert (voir services/overdraft-rules).
+ *
+ * @param {Object} source - Compte source
+ * @param {Object} destination - Compte destination
+ * @param {number} montant - Montant du virement
+ * @returns {string|null} Message d'erreur, ou null si le virement est valide
+ */
+export const validateVirement = (source, destination, montant) => {
+    if (!source) return t('virement.sourceRequired');
+    if (!destination) return t('virement.destinationRequired');
+    if (source.id === destination.id) return t('virement.sameCompte');
+    if (getDevise(source) !== getDevise(destination)) {
+        return t('virement.deviseMismatch', { source: getDevise(source), destination: getDevise(destination) });
+    }
+    const refus = validateRetrait(source, montant);
+    if (refus) return t('virement.sourceRefused', { reason: refus });
+    return null;
+};
+
+/**
+ * Exécute un virement sous forme de retrait puis de dépôt
+ *
+ * @param {Function} addTransaction - Fonction de mutation ADD_TRANSACTION renvoyée par useMutation
+ * @param {Object} virement - Paramètres du virement
+ * @param {string} virement.sourceId - Identifiant du compte source
+ * @param {string} virement.destinationId - Identifiant du compte destination
+ * @param {number} virement.montant - Montant du virement
+ * @param {string} [virement.devise] - Devise des deux comptes
+ * @returns {Promise<{ statut: string, message: string }>} Statut final et message à afficher
+ */
+export const executeVirement = async (addTransaction, { sourceId, destinationId, montant, devise }) => {
+    const transaction = (type, compteId) =>
+        addTransaction({ variables: { transactionRequest: { type, montant, compteId } } });
+
+    try {
+        await transaction(TypeTransaction.RETRAIT, sourceId);
+    } catch (err) {
+        return {
+            statut: StatutVirement.ECHEC_RETRAIT,
+            message: t('virement.retraitFailed', { message: err.message }),
+        };
+    }
+
+    try {
+        await transaction(TypeTransaction.DEPOT, destinationId);
+    } catch (depotError) {
+        try {
+            await transaction(TypeTransaction.DEPOT, sourceId);
+        } catch (compensationError) {
+            return {
+                statut: StatutVirement.INCOHERENT,
+                message: t('virement.compensationFailed', {
+                    depotMessage: depotError.message,
+                    amount: formatAmount(montant, { devise }),
+                    compteId: sourceId,
+                    compensationMessage: compensationError.message,
+                }),
+            };
+        }
+        return {
+            statut: StatutVirement.ANNULE,
+            message: t('virement.compensated', { message: depotError.message }),
+        };
+    }
+
+    return {
+        statut: StatutVirement.SUCCES,
+        message: t('virement.success'),
+    };
+};
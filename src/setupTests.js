@@ -0,0 +1,13 @@
+/**
+ * Configuration de l'environnement de test Jest
+ *
+ * Ce fichier est chargé automatiquement par react-scripts avant chaque
+ * fichier de test. Il enregistre les matchers de @testing-library/jest-dom
+ * (toBeInTheDocument, toBeDisabled, toHaveTextContent...).
+ *
+ * @module setupTests
+ * @author Halmaoui Abdellah
+ * @version 2.0
+ * @since 2025
+ */
+import '@testing-library/jest-dom';
@@ -1,3 +1,14 @@
+/**
+ * Couleur Tailwind lue dans une variable CSS du thème courant
+ *
+ * Les variables sont définies dans src/index.css pour chaque thème, au format
+ * « R G B » afin que les modificateurs d'opacité (bg-surface/50) restent utilisables.
+ *
+ * @param {string} name - Nom de la variable sans le préfixe --color-
+ * @returns {string} Valeur de couleur Tailwind
+ */
+const themeColor = (name) => `rgb(var(--color-${name}) / <alpha-value>)`;
+
 module.exports = {
   content: [
     "./src/**/*.{js,jsx,ts,tsx}",
@@ -5,6 +16,10 @@ module.exports = {
   ],
   theme: {
     extend: {
+      // Couleur des bordures sans couleur explicite (classe border seule)
+      borderColor: {
+        DEFAULT: themeColor('line'),
+      },
       colors: {
         primary: {
           50: '#eff6ff',
@@ -18,6 +33,35 @@ module.exports = {
           800: '#1e40af',
           900: '#1e3a8a',
         },
+        // Couleurs sémantiques, adaptées à chaque thème
+        canvas: themeColor('canvas'),
+        surface: themeColor('surface'),
+        content: {
+          DEFAULT: themeColor('content'),
+          muted: themeColor('content-muted'),
+        },
+        line: themeColor('line'),
+        accent: themeColor('accent'),
+        depot: {
+          DEFAULT: themeColor('depot'),
+          soft: themeColor('depot-soft'),
+        },
+        retrait: {
+          DEFAULT: themeColor('retrait'),
+          soft: themeColor('retrait-soft'),
+        },
+        courant: {
+          DEFAULT: themeColor('courant'),
+          soft: themeColor('courant-soft'),
+        },
+        epargne: {
+          DEFAULT: themeColor('epargne'),
+          soft: themeColor('epargne-soft'),
+        },
+        // Nuances neutres des composants, inversées par les thèmes sombres
+        slate: Object.fromEntries(
+          [50, 100, 200, 300, 400, 500, 600, 700, 800, 900].map((shade) => [shade, themeColor(`slate-${shade}`)])
+        ),
       },
     },
   },